@@ -499,6 +499,130 @@ const tableDefs = [
       }
     ],
     BillingMode: 'PAY_PER_REQUEST'
+  },
+  {
+    TableName: `${TABLE_PREFIX}futures_picks`,
+    KeySchema: [
+      { AttributeName: 'id', KeyType: 'HASH' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'game_id', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'game_id-index',
+        KeySchema: [
+          { AttributeName: 'game_id', KeyType: 'HASH' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        BillingMode: 'PAY_PER_REQUEST'
+      }
+    ],
+    BillingMode: 'PAY_PER_REQUEST'
+  },
+  {
+    TableName: `${TABLE_PREFIX}leagues`,
+    KeySchema: [
+      { AttributeName: 'id', KeyType: 'HASH' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' }
+    ],
+    BillingMode: 'PAY_PER_REQUEST'
+  },
+  {
+    TableName: `${TABLE_PREFIX}notifications`,
+    KeySchema: [
+      { AttributeName: 'id', KeyType: 'HASH' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'user_id', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'user_id-index',
+        KeySchema: [
+          { AttributeName: 'user_id', KeyType: 'HASH' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        BillingMode: 'PAY_PER_REQUEST'
+      }
+    ],
+    BillingMode: 'PAY_PER_REQUEST'
+  },
+  {
+    TableName: `${TABLE_PREFIX}game_messages`,
+    KeySchema: [
+      { AttributeName: 'id', KeyType: 'HASH' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'game_id', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'game_id-index',
+        KeySchema: [
+          { AttributeName: 'game_id', KeyType: 'HASH' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        BillingMode: 'PAY_PER_REQUEST'
+      }
+    ],
+    BillingMode: 'PAY_PER_REQUEST'
+  },
+  {
+    TableName: `${TABLE_PREFIX}game_join_codes`,
+    KeySchema: [
+      { AttributeName: 'id', KeyType: 'HASH' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'game_id', AttributeType: 'S' },
+      { AttributeName: 'code', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'game_id-index',
+        KeySchema: [
+          { AttributeName: 'game_id', KeyType: 'HASH' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        BillingMode: 'PAY_PER_REQUEST'
+      },
+      {
+        IndexName: 'code-index',
+        KeySchema: [
+          { AttributeName: 'code', KeyType: 'HASH' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        BillingMode: 'PAY_PER_REQUEST'
+      }
+    ],
+    BillingMode: 'PAY_PER_REQUEST'
+  },
+  {
+    TableName: `${TABLE_PREFIX}pick_overrides`,
+    KeySchema: [
+      { AttributeName: 'id', KeyType: 'HASH' }
+    ],
+    AttributeDefinitions: [
+      { AttributeName: 'id', AttributeType: 'S' },
+      { AttributeName: 'game_id', AttributeType: 'S' }
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'game_id-index',
+        KeySchema: [
+          { AttributeName: 'game_id', KeyType: 'HASH' }
+        ],
+        Projection: { ProjectionType: 'ALL' },
+        BillingMode: 'PAY_PER_REQUEST'
+      }
+    ],
+    BillingMode: 'PAY_PER_REQUEST'
   }
 ];
 
@@ -17,11 +17,14 @@ import pickRoutes from "./routes/picks.js";
 import seasonRoutes from "./routes/seasons.js";
 import adminRoutes from "./routes/admin.js";
 import healthRoutes from "./routes/health.js";
+import streamRoutes from "./routes/stream.js";
+import notificationRoutes from "./routes/notifications.js";
 // import databaseAdminRoutes from "./routes/databaseAdmin.js";
 
 // Import services
 import scheduler from "./services/scheduler.js";
 import configService from "./services/configService.js";
+import liveUpdates from "./services/liveUpdates.js";
 
 // Load environment variables conditionally
 // When using LocalStack (USE_LOCALSTACK=true), .env.local is already loaded by dotenv-cli
@@ -111,6 +114,8 @@ const gracefulShutdown = async (signal) => {
     // Stop accepting new connections
     if (server) {
       console.log('🔌 Closing server...');
+      // Open event streams would otherwise hold the server open
+      liveUpdates.closeAll();
       await new Promise((resolve, reject) => {
         server.close((err) => {
           if (err) reject(err);
@@ -192,6 +197,8 @@ app.use("/api/picks", pickRoutes);
 app.use("/api/seasons", seasonRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/health", healthRoutes);
+app.use("/api/stream", streamRoutes);
+app.use("/api/notifications", notificationRoutes);
 // app.use("/api/admin/database", databaseAdminRoutes);
 
 // Serve static logo files with graceful fallback for missing files
@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import configService from '../services/configService.js';
 import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
+import gameRoles from '../services/gameRoles.js';
 
 export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -12,6 +13,12 @@ export const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, configService.getJwtSecret());
+
+    // Purpose-scoped tokens (e.g. for event streams) are only accepted where they're issued for
+    if (decoded.purpose) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
     const userService = DatabaseServiceFactory.getUserService();
     
     // Primary lookup by userId, fallback to email if needed
@@ -63,4 +70,26 @@ export const requireGameOwner = async (req, res, next) => {
   } catch (error) {
     return res.status(500).json({ error: 'Database error' });
   }
-};
\ No newline at end of file
+};
+
+// Owners, admins and co-commissioners who were given the permission
+export const requireGamePermission = (permission) => async (req, res, next) => {
+  const gameId = req.params.gameId || req.body.gameId;
+
+  if (!gameId) {
+    return res.status(400).json({ error: 'Game ID required' });
+  }
+
+  try {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const participant = await gameService.getParticipant(gameId, req.user.id);
+
+    if (!gameRoles.hasPermission(participant, permission) && !req.user.is_admin) {
+      return res.status(403).json({ error: 'Game commissioner access required' });
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json({ error: 'Database error' });
+  }
+};
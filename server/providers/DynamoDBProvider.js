@@ -24,7 +24,13 @@ export default class DynamoDBProvider extends BaseDatabaseProvider {
       system_settings: `${this.tablePrefix}system_settings`,
       picks: `${this.tablePrefix}picks`,
       weekly_standings: `${this.tablePrefix}weekly_standings`,
-      game_invitations: `${this.tablePrefix}game_invitations`
+      game_invitations: `${this.tablePrefix}game_invitations`,
+      futures_picks: `${this.tablePrefix}futures_picks`,
+      leagues: `${this.tablePrefix}leagues`,
+      notifications: `${this.tablePrefix}notifications`,
+      game_messages: `${this.tablePrefix}game_messages`,
+      game_join_codes: `${this.tablePrefix}game_join_codes`,
+      pick_overrides: `${this.tablePrefix}pick_overrides`
     };
   }
 
@@ -389,10 +395,43 @@ export default class DynamoDBProvider extends BaseDatabaseProvider {
       ExpressionAttributeValues: expressionAttributeValues,
       ReturnValues: 'ALL_NEW'
     });
-    
+
     return await this.docClient.send(command);
   }
 
+  /**
+   * Atomically add to a numeric attribute (a missing one counts as 0). With a limit field,
+   * the update only happens while the counter is below that attribute, or the item has no limit.
+   * @param {string} tableName - Table name
+   * @param {Object} key - Item key
+   * @param {string} field - Counter attribute
+   * @param {number} amount - Amount to add (negative to subtract)
+   * @param {string|null} [limitField] - Attribute the counter must be below
+   * @returns {Promise<boolean>} False if the limit had been reached
+   */
+  async _dynamoIncrement(tableName, key, field, amount, limitField = null) {
+    const command = new UpdateCommand({
+      TableName: this.tables[tableName] || tableName,
+      Key: key,
+      UpdateExpression: 'SET #field = if_not_exists(#field, :zero) + :amount',
+      ...(limitField && {
+        ConditionExpression: 'attribute_not_exists(#limit) OR attribute_type(#limit, :null) OR #field < #limit'
+      }),
+      ExpressionAttributeNames: { '#field': field, ...(limitField && { '#limit': limitField }) },
+      ExpressionAttributeValues: { ':zero': 0, ':amount': amount, ...(limitField && { ':null': 'NULL' }) }
+    });
+
+    try {
+      await this.docClient.send(command);
+      return true;
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
   async _dynamoDelete(tableName, key) {
     // Check if docClient is properly initialized
     if (!this.docClient) {
@@ -70,12 +70,18 @@ export default class SQLiteProvider extends BaseDatabaseProvider {
         password_reset_token TEXT,
         password_reset_expires DATETIME,
         last_login DATETIME,
+        pick_reminders BOOLEAN DEFAULT 1, -- Email a reminder when picks are missing before a lock
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (favorite_team_id) REFERENCES football_teams (id)
       )
     `);
 
+    // Pick reminder opt-out for existing users tables
+    try {
+      await this.run(`ALTER TABLE users ADD COLUMN pick_reminders BOOLEAN DEFAULT 1`);
+    } catch (e) {}
+
     // Football Teams table
     await this.run(`
       CREATE TABLE IF NOT EXISTS football_teams (
@@ -103,6 +109,14 @@ export default class SQLiteProvider extends BaseDatabaseProvider {
         season_id TEXT NOT NULL,
         weekly_week INTEGER,
         is_active BOOLEAN DEFAULT 1,
+        tiebreaker_games TEXT, -- JSON map of week number to the football game used as that week's tiebreaker
+        survivor_lives INTEGER DEFAULT 1, -- Strikes a survivor player can take before elimination
+        rules TEXT, -- JSON rules document (lock mode, tie scoring, missed picks, week range, playoffs)
+        futures TEXT, -- JSON futures settings (enabled, lock date, win total lines)
+        league_id TEXT, -- League this game is one season of (NULL for a standalone game)
+        recap_weeks TEXT, -- JSON list of weeks whose results recap has been emailed
+        visibility TEXT DEFAULT 'private', -- private, unlisted (joinable from its link) or public (listed in the directory)
+        max_participants INTEGER, -- Cap on players joining on their own, NULL for no cap
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (commissioner_id) REFERENCES users (id),
@@ -129,14 +143,58 @@ export default class SQLiteProvider extends BaseDatabaseProvider {
     try {
       await this.run(`ALTER TABLE pickem_games ADD COLUMN is_active BOOLEAN DEFAULT 1`);
     } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE pickem_games ADD COLUMN tiebreaker_games TEXT`);
+    } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE pickem_games ADD COLUMN survivor_lives INTEGER DEFAULT 1`);
+    } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE pickem_games ADD COLUMN rules TEXT`);
+    } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE pickem_games ADD COLUMN futures TEXT`);
+    } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE pickem_games ADD COLUMN league_id TEXT`);
+    } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE pickem_games ADD COLUMN recap_weeks TEXT`);
+    } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE pickem_games ADD COLUMN visibility TEXT DEFAULT 'private'`);
+    } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE pickem_games ADD COLUMN max_participants INTEGER`);
+    } catch (e) {}
+
+    // Leagues group a pickem game's seasons so membership and commissioner carry over year to year
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS leagues (
+        id TEXT PRIMARY KEY,
+        league_name TEXT NOT NULL,
+        commissioner_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (commissioner_id) REFERENCES users (id)
+      )
+    `);
 
-    // Game participants (owners and players)
+    // Game participants (owners, co-commissioners and players)
     await this.run(`
       CREATE TABLE IF NOT EXISTS game_participants (
         id TEXT PRIMARY KEY,
         game_id TEXT NOT NULL,
         user_id TEXT NOT NULL,
-        role TEXT NOT NULL CHECK (role IN ('owner', 'player')),
+        role TEXT NOT NULL CHECK (role IN ('owner', 'co_commissioner', 'player')),
+        permissions TEXT, -- JSON list of what a co-commissioner may manage
+        survivor_status TEXT DEFAULT 'alive' CHECK (survivor_status IN ('alive', 'eliminated')),
+        strikes INTEGER DEFAULT 0,
+        eliminated_week INTEGER,
+        reentry_week INTEGER, -- Strikes from this week and earlier were cleared by a re-entry
+        bracket_picks TEXT, -- JSON playoff bracket predictions (bracket games only)
+        reminder_week INTEGER, -- Last week a missing-picks reminder went out
+        reminder_email_failed INTEGER DEFAULT 0, -- That reminder's email failed and is retried on its own
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (game_id) REFERENCES pickem_games (id) ON DELETE CASCADE,
         FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
@@ -144,6 +202,80 @@ export default class SQLiteProvider extends BaseDatabaseProvider {
       )
     `);
 
+    // Survivor elimination tracking for existing game_participants tables
+    try {
+      await this.run(`ALTER TABLE game_participants ADD COLUMN survivor_status TEXT DEFAULT 'alive'`);
+    } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE game_participants ADD COLUMN strikes INTEGER DEFAULT 0`);
+    } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE game_participants ADD COLUMN eliminated_week INTEGER`);
+    } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE game_participants ADD COLUMN reentry_week INTEGER`);
+    } catch (e) {}
+
+    // Playoff bracket predictions for existing game_participants tables
+    try {
+      await this.run(`ALTER TABLE game_participants ADD COLUMN bracket_picks TEXT`);
+    } catch (e) {}
+
+    // Pick reminder tracking for existing game_participants tables
+    try {
+      await this.run(`ALTER TABLE game_participants ADD COLUMN reminder_week INTEGER`);
+    } catch (e) {}
+    try {
+      await this.run(`ALTER TABLE game_participants ADD COLUMN reminder_email_failed INTEGER DEFAULT 0`);
+    } catch (e) {}
+
+    // Co-commissioner permissions for existing game_participants tables
+    try {
+      await this.run(`ALTER TABLE game_participants ADD COLUMN permissions TEXT`);
+    } catch (e) {}
+
+    // Widen the role constraint to allow co-commissioners by recreating the table
+    const participantsTable = await this.get(
+      `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'game_participants'`
+    );
+    if (participantsTable && !participantsTable.sql.includes('co_commissioner')) {
+      // Rows are copied as-is, so don't re-check their references mid-rebuild
+      await this.run("PRAGMA foreign_keys = OFF;");
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS game_participants_new (
+          id TEXT PRIMARY KEY,
+          game_id TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          role TEXT NOT NULL CHECK (role IN ('owner', 'co_commissioner', 'player')),
+          permissions TEXT,
+          survivor_status TEXT DEFAULT 'alive' CHECK (survivor_status IN ('alive', 'eliminated')),
+          strikes INTEGER DEFAULT 0,
+          eliminated_week INTEGER,
+          reentry_week INTEGER,
+          bracket_picks TEXT,
+          reminder_week INTEGER,
+          reminder_email_failed INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (game_id) REFERENCES pickem_games (id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+          UNIQUE (game_id, user_id)
+        )
+      `);
+
+      // Copy existing data
+      await this.run(`
+        INSERT INTO game_participants_new
+        SELECT id, game_id, user_id, role, permissions, survivor_status, strikes, eliminated_week,
+               reentry_week, bracket_picks, reminder_week, reminder_email_failed, created_at
+        FROM game_participants
+      `);
+
+      // Drop old table and rename new one
+      await this.run(`DROP TABLE game_participants`);
+      await this.run(`ALTER TABLE game_participants_new RENAME TO game_participants`);
+      await this.run("PRAGMA foreign_keys = ON;");
+    }
+
     // Season table
     await this.run(`
       CREATE TABLE IF NOT EXISTS seasons (
@@ -171,6 +303,7 @@ export default class SQLiteProvider extends BaseDatabaseProvider {
         season_type INTEGER DEFAULT 2,
         quarter INTEGER,
         time_remaining INTEGER,
+        spread REAL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (season_id) REFERENCES seasons (id),
@@ -189,6 +322,11 @@ export default class SQLiteProvider extends BaseDatabaseProvider {
       await this.run(`ALTER TABLE football_games ADD COLUMN scores_updated_at DATETIME`);
     } catch (e) {}
 
+    // Point spread from the home team's perspective (negative = home favored)
+    try {
+      await this.run(`ALTER TABLE football_games ADD COLUMN spread REAL`);
+    } catch (e) {}
+
     // System Settings table for admin configuration
     await this.run(`
       CREATE TABLE IF NOT EXISTS system_settings (
@@ -216,6 +354,10 @@ export default class SQLiteProvider extends BaseDatabaseProvider {
         pick_team_id TEXT NOT NULL,
         is_correct BOOLEAN DEFAULT NULL,
         tiebreaker INTEGER,
+        confidence INTEGER,
+        spread REAL,
+        is_push BOOLEAN DEFAULT 0,
+        is_auto BOOLEAN DEFAULT 0,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users (id),
@@ -252,6 +394,25 @@ export default class SQLiteProvider extends BaseDatabaseProvider {
       await this.run(`ALTER TABLE picks ADD COLUMN week INTEGER`);
     } catch (e) {}
 
+    // Confidence rank (1..N) for confidence-points games
+    try {
+      await this.run(`ALTER TABLE picks ADD COLUMN confidence INTEGER`);
+    } catch (e) {}
+
+    // Spread locked in when the pick was made, and push flag for ATS grading
+    try {
+      await this.run(`ALTER TABLE picks ADD COLUMN spread REAL`);
+    } catch (e) {}
+
+    try {
+      await this.run(`ALTER TABLE picks ADD COLUMN is_push BOOLEAN DEFAULT 0`);
+    } catch (e) {}
+
+    // Picks made by the scheduler for players who missed the lock
+    try {
+      await this.run(`ALTER TABLE picks ADD COLUMN is_auto BOOLEAN DEFAULT 0`);
+    } catch (e) {}
+
     // Weekly Standings table
     await this.run(`
       CREATE TABLE IF NOT EXISTS weekly_standings (
@@ -275,6 +436,99 @@ export default class SQLiteProvider extends BaseDatabaseProvider {
       )
     `);
 
+    // Futures Picks table (season-long props: division winners, champions, win totals)
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS futures_picks (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        game_id TEXT NOT NULL,
+        season_id TEXT NOT NULL,
+        category TEXT NOT NULL, -- division, conference, super_bowl or win_total
+        subject TEXT NOT NULL, -- Division name, conference, 'super_bowl' or team ID for win totals
+        pick TEXT NOT NULL, -- Team ID, or 'over'/'under' for win totals
+        is_correct BOOLEAN DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (game_id) REFERENCES pickem_games (id),
+        FOREIGN KEY (season_id) REFERENCES seasons (id),
+        UNIQUE (user_id, game_id, category, subject)
+      )
+    `);
+
+    // Notifications table (in-app notification center)
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        game_id TEXT, -- Game the notification is about, if any
+        type TEXT NOT NULL, -- invitation, results, strike or elimination
+        title TEXT NOT NULL,
+        message TEXT,
+        link TEXT, -- Page to open when the notification is clicked
+        is_read BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (game_id) REFERENCES pickem_games (id)
+      )
+    `);
+
+    // Game Messages table (per-game message board)
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS game_messages (
+        id TEXT PRIMARY KEY,
+        game_id TEXT NOT NULL,
+        user_id TEXT, -- Author, NULL for system messages
+        body TEXT NOT NULL,
+        is_system BOOLEAN DEFAULT 0, -- Posted by the app, e.g. when a week is final
+        is_pinned BOOLEAN DEFAULT 0,
+        created_at TEXT NOT NULL, -- ISO timestamp with milliseconds so pages don't split on ties
+        FOREIGN KEY (game_id) REFERENCES pickem_games (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+
+    // Game Join Codes table (shareable join links)
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS game_join_codes (
+        id TEXT PRIMARY KEY,
+        game_id TEXT NOT NULL,
+        code TEXT UNIQUE NOT NULL, -- Short code, also the last part of the /join/:code link
+        created_by_user_id TEXT NOT NULL,
+        expires_at TEXT, -- NULL never expires
+        max_uses INTEGER, -- NULL is unlimited
+        use_count INTEGER DEFAULT 0,
+        is_revoked BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (game_id) REFERENCES pickem_games (id),
+        FOREIGN KEY (created_by_user_id) REFERENCES users (id)
+      )
+    `);
+
+    // Pick Overrides table (audit log of picks a commissioner made or changed for a player)
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS pick_overrides (
+        id TEXT PRIMARY KEY,
+        game_id TEXT NOT NULL,
+        user_id TEXT NOT NULL, -- Player whose pick was changed
+        overridden_by_user_id TEXT, -- NULL once the commissioner's account is deleted
+        football_game_id TEXT NOT NULL,
+        season_id TEXT NOT NULL,
+        week INTEGER NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+        previous_team_id TEXT,
+        new_team_id TEXT,
+        previous_confidence INTEGER,
+        new_confidence INTEGER,
+        reason TEXT NOT NULL,
+        created_at TEXT NOT NULL, -- ISO timestamp with milliseconds
+        FOREIGN KEY (game_id) REFERENCES pickem_games (id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (overridden_by_user_id) REFERENCES users (id)
+      )
+    `);
+
     // Game Invitations table
     await this.run(`
       CREATE TABLE IF NOT EXISTS game_invitations (
@@ -5,10 +5,13 @@ import espnService from "../services/espnApi.js";
 import scheduler from "../services/scheduler.js";
 import pickCalculator from "../services/pickCalculator.js";
 import onDemandUpdates from "../services/onDemandUpdates.js";
+import spreadImport from "../services/spreadImport.js";
 import configService from "../services/configService.js";
 import db from "../models/database.js";
 import crypto from "crypto";
 import emailService from "../services/emailService.js";
+import { NOTIFICATION_EVENTS } from "../services/notificationChannels.js";
+import notificationCenter from "../services/notificationCenter.js";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -952,6 +955,13 @@ router.delete(
         await gameService.transferCommissionerRole(userId, req.user.id);
       }
       
+      await DatabaseServiceFactory.getNotificationService().deleteUserNotifications(userId);
+      await DatabaseServiceFactory.getMessageService().deleteMessagesByUser(userId);
+      await DatabaseServiceFactory.getJoinCodeService().deleteJoinCodesByUser(userId);
+      await DatabaseServiceFactory.getPickOverrideService().deleteOverridesByUser(userId);
+      await DatabaseServiceFactory.getFuturesService().deleteFuturesPicksByUser(userId);
+      await DatabaseServiceFactory.getLeagueService().transferLeagueCommissioner(userId, req.user.id);
+
       // Finally delete the user
       await userService.deleteUser(userId);
 
@@ -1224,6 +1234,78 @@ router.put(
   }
 );
 
+// Update NFL game point spread (home team perspective, null clears the line)
+router.put(
+  "/football-games/:gameId/spread",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { gameId } = req.params;
+      const { spread } = req.body;
+
+      if (spread !== null && (typeof spread !== "number" || !Number.isFinite(spread))) {
+        return res.status(400).json({ error: "Spread must be a number or null" });
+      }
+
+      const nflDataService = DatabaseServiceFactory.getNFLDataService();
+      const game = await nflDataService.getFootballGameById(gameId);
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+
+      const updatedGame = await nflDataService.updateGameSpread(gameId, spread);
+
+      res.json({ message: "Game spread updated successfully", game: updatedGame });
+    } catch (error) {
+      logger.error("Update game spread error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Import point spreads for a season from CSV or JSON file content
+router.post(
+  "/seasons/:seasonId/spreads/import",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { seasonId } = req.params;
+      const { format, content } = req.body;
+
+      if (!["csv", "json"].includes(format)) {
+        return res.status(400).json({ error: 'Format must be "csv" or "json"' });
+      }
+
+      if (!content || typeof content !== "string") {
+        return res.status(400).json({ error: "File content is required" });
+      }
+
+      const seasonService = DatabaseServiceFactory.getSeasonService();
+      const season = await seasonService.getSeasonById(seasonId);
+      if (!season) {
+        return res.status(404).json({ error: "Season not found" });
+      }
+
+      let result;
+      try {
+        result = await spreadImport.importSpreads(seasonId, content, format);
+      } catch (parseError) {
+        return res.status(400).json({ error: parseError.message });
+      }
+
+      res.json({
+        message: `Imported ${result.updated} spreads for ${season.season}`,
+        ...result
+      });
+    } catch (error) {
+      logger.error("Import spreads error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Set current season
 router.put(
   "/seasons/:seasonId/current",
@@ -1726,6 +1808,22 @@ router.put(
         return res.status(400).json({ error: "Settings must be an array" });
       }
 
+      // A game's notification channels: webhook URLs and comma-separated event lists
+      if (category.startsWith("notifications_")) {
+        for (const { key, value } of settings) {
+          if (key?.endsWith("_url") && value && !/^https?:\/\/\S+$/.test(value)) {
+            return res.status(400).json({ error: `${key} must be an http(s) URL` });
+          }
+          if (key?.endsWith("_events") && value) {
+            const unknown = String(value).split(",").map((event) => event.trim())
+              .filter((event) => event && !NOTIFICATION_EVENTS.includes(event));
+            if (unknown.length > 0) {
+              return res.status(400).json({ error: `Unknown notification events: ${unknown.join(", ")}` });
+            }
+          }
+        }
+      }
+
       for (const setting of settings) {
         const { key, value, encrypted = false, description = "" } = setting;
 
@@ -1992,6 +2090,7 @@ router.post("/invite-user", authenticateToken, requireAdmin, async (req, res) =>
       // Add user as player
       const { v4: uuidv4 } = await import("uuid");
       await gameService.addParticipant(gameId, existingUser.id, 'player');
+      await notificationCenter.notifyInvitation(game, existingUser.id, `${req.user.first_name} ${req.user.last_name}`);
 
       res.json({
         message: `Successfully added ${existingUser.email} to the game "${game.game_name}"`,
@@ -5,6 +5,8 @@ import { v4 as uuidv4 } from 'uuid';
 import { authenticateToken } from '../middleware/auth.js';
 import configService from '../services/configService.js';
 import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
+import { wantsPickReminders } from '../services/pickReminders.js';
+import joinCodes from '../services/joinCodes.js';
 import db from '../models/database.js';
 
 const router = express.Router();
@@ -229,6 +231,90 @@ router.post('/register-invite', async (req, res) => {
   }
 });
 
+// Register user with a game's join link or code
+router.post('/register-join', async (req, res) => {
+  try {
+    const { email, password, firstName, lastName, favoriteTeamId, joinCode: code } = req.body;
+
+    // Validate required fields
+    if (!email || !password || !firstName || !lastName || !code) {
+      return res.status(400).json({
+        error: 'Email, password, first name, last name, and join code are required'
+      });
+    }
+
+    // Check the code before creating an account that would end up in no game
+    const joinCodeService = DatabaseServiceFactory.getJoinCodeService();
+    const joinCode = await joinCodeService.getJoinCodeByCode(joinCodes.normalizeCode(code));
+    const unavailableReason = joinCodes.getUnavailableReason(joinCode);
+    if (unavailableReason) {
+      return res.status(400).json({ error: unavailableReason });
+    }
+
+    // Check if user already exists
+    const userService = DatabaseServiceFactory.getUserService();
+    const userExists = await userService.userExists(email);
+    if (userExists) {
+      return res.status(409).json({ error: 'User with this email already exists. Log in to join the game.' });
+    }
+
+    // Hash password
+    const saltRounds = 12;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Create user
+    const userId = uuidv4();
+    const emailVerificationToken = uuidv4();
+
+    await userService.createUser({
+      id: userId,
+      email,
+      password: hashedPassword,
+      firstName,
+      lastName,
+      favoriteTeamId,
+      emailVerificationToken,
+      emailVerified: false
+    });
+
+    // The account stays even if the last use of the link was just taken; they can ask for a new one
+    const joinError = await joinCodes.redeem(joinCode, userId);
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameByIdForAdmin(joinCode.game_id);
+
+    // Generate JWT token
+    const token = jwt.sign(
+      { userId, email: email.toLowerCase() },
+      configService.getJwtSecret(),
+      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    );
+
+    res.status(201).json({
+      message: joinError
+        ? `Account created successfully, but you couldn't be added to the game: ${joinError}`
+        : `Account created successfully! You've been added to "${game.game_name}".`,
+      token,
+      user: {
+        id: userId,
+        email: email.toLowerCase(),
+        firstName,
+        lastName,
+        favoriteTeamId: favoriteTeamId || null,
+        isAdmin: false,
+        emailVerified: false
+      },
+      joined: !joinError,
+      gameId: game.id,
+      gameName: game.game_name
+    });
+
+  } catch (error) {
+    console.error('Join registration error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Login user
 router.post('/login', async (req, res) => {
   try {
@@ -270,6 +356,7 @@ router.post('/login', async (req, res) => {
         firstName: user.first_name,
         lastName: user.last_name,
         favoriteTeamId: user.favorite_team_id,
+        pickReminders: wantsPickReminders(user),
         isAdmin: Boolean(user.is_admin),
         emailVerified: Boolean(user.email_verified)
       }
@@ -293,6 +380,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         firstName: user.first_name,
         lastName: user.last_name,
         favoriteTeamId: user.favorite_team_id,
+        pickReminders: wantsPickReminders(user),
         isAdmin: Boolean(user.is_admin),
         emailVerified: Boolean(user.email_verified)
       }
@@ -306,11 +394,11 @@ router.get('/me', authenticateToken, async (req, res) => {
 // Update user profile
 router.put('/update', authenticateToken, async (req, res) => {
   try {
-    const { favoriteTeamId, firstName, lastName } = req.body;
+    const { favoriteTeamId, firstName, lastName, pickReminders } = req.body;
     const userId = req.user.id;
 
     const userService = DatabaseServiceFactory.getUserService();
-    const updatedUser = await userService.updateUserDynamic(userId, { firstName, lastName, favoriteTeamId });
+    const updatedUser = await userService.updateUserDynamic(userId, { firstName, lastName, favoriteTeamId, pickReminders });
 
     res.json({
       message: 'User updated successfully',
@@ -320,6 +408,7 @@ router.put('/update', authenticateToken, async (req, res) => {
         firstName: updatedUser.first_name,
         lastName: updatedUser.last_name,
         favoriteTeamId: updatedUser.favorite_team_id,
+        pickReminders: wantsPickReminders(updatedUser),
         isAdmin: Boolean(updatedUser.is_admin),
         emailVerified: Boolean(updatedUser.email_verified)
       }
@@ -1,62 +1,1029 @@
 import express from "express";
-import { authenticateToken, requireGameOwner } from "../middleware/auth.js";
+import { authenticateToken, requireGameOwner, requireGamePermission } from "../middleware/auth.js";
 import DatabaseServiceFactory from "../services/database/DatabaseServiceFactory.js";
 import emailService from "../services/emailService.js";
+import standingsCalculator, { CUMULATIVE_WEEK } from "../services/standingsCalculator.js";
+import survivorEngine from "../services/survivorEngine.js";
+import bracketService from "../services/bracketService.js";
+import futuresEngine from "../services/futuresEngine.js";
+import leagueManager from "../services/leagueManager.js";
+import gameRules from "../services/gameRules.js";
+import pickCalculator from "../services/pickCalculator.js";
+import projectionEngine, { PROJECTION_GAME_TYPES } from "../services/projectionEngine.js";
+import weeklyRecap from "../services/weeklyRecap.js";
+import notificationCenter from "../services/notificationCenter.js";
+import gameChat, { MAX_MESSAGE_LENGTH } from "../services/gameChat.js";
+import joinCodes, { MAX_JOIN_CODE_DAYS, MAX_JOIN_CODE_USES } from "../services/joinCodes.js";
+import gameDirectory from "../services/gameDirectory.js";
+import gameRoles from "../services/gameRoles.js";
+import pickOverrides from "../services/pickOverrides.js";
 import crypto from "crypto";
 
-// Utility function to create URL-friendly slugs
-function createGameSlug(gameName) {
-  return gameName
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, "") // Remove special characters except spaces and hyphens
-    .replace(/\s+/g, "-") // Replace spaces with hyphens
-    .replace(/-+/g, "-") // Replace multiple hyphens with single hyphen
-    .trim()
-    .replace(/^-+|-+$/g, ""); // Remove leading/trailing hyphens
+// Tiebreaker details safe to share with participants (individual guesses stay private)
+function publicTiebreaker(result) {
+  if (!result) {
+    return null;
+  }
+  const { guesses, ...tiebreaker } = result;
+  return tiebreaker;
+}
+
+// Like picks, other players' tiebreaker guesses stay hidden until the tiebreaker game locks,
+// unless the game makes picks always visible
+async function hideUnlockedGuesses(game, standings, tiebreaker, userId) {
+  const rules = gameRules.getRules(game);
+  if (!tiebreaker || rules.pick_visibility === "always") {
+    return standings;
+  }
+
+  const nflDataService = DatabaseServiceFactory.getNFLDataService();
+  const footballGame = await nflDataService.getFootballGameById(tiebreaker.footballGameId);
+  const weekGames = await nflDataService.getGamesBySeasonAndWeek(footballGame.season_id, footballGame.week);
+  if (gameRules.isPickLocked(rules, footballGame, weekGames)) {
+    return standings;
+  }
+
+  return standings.map(row => row.user_id === userId ? row : { ...row, tiebreaker_score: null });
 }
 
-const router = express.Router();
+const router = express.Router();
+
+// Get all pickem games (users see only games they participate in)
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const games = await gameService.getUserGames(req.user.id);
+    res.json({ games });
+  } catch (error) {
+    console.error("Get games error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Browse the public games directory, newest first
+router.get("/public", authenticateToken, async (req, res) => {
+  try {
+    const search = typeof req.query.search === "string" ? req.query.search.trim().slice(0, 100) : "";
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const { games, total } = await gameService.getPublicGames({ search, limit, offset: (page - 1) * limit });
+    const memberGameIds = new Set((await gameService.getUserGames(req.user.id)).map(game => game.id));
+
+    res.json({
+      games: games.map(game => gameDirectory.formatListing(game, memberGameIds)),
+      total,
+      page,
+      totalPages: Math.max(Math.ceil(total / limit), 1)
+    });
+  } catch (error) {
+    console.error("Get public games error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get game by slug (participants can view)
+router.get("/by-slug/:gameSlug", authenticateToken, async (req, res) => {
+  try {
+    const { gameSlug } = req.params;
+    const decodedSlug = decodeURIComponent(gameSlug);
+    
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameBySlug(decodedSlug, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    res.json({ game });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get game by slug error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Preview the game behind a join link (no login needed, so new players can see what they're joining)
+router.get("/join/:code", async (req, res) => {
+  try {
+    const joinCodeService = DatabaseServiceFactory.getJoinCodeService();
+    const joinCode = await joinCodeService.getJoinCodeByCode(joinCodes.normalizeCode(req.params.code));
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = joinCode ? await gameService.getGameByIdForAdmin(joinCode.game_id) : null;
+
+    if (!game) {
+      return res.status(404).json({ error: "This join link is not valid" });
+    }
+
+    const commissioner = game.participants.find(participant => participant.role === "owner");
+    const unavailableReason = joinCodes.getUnavailableReason(joinCode) ||
+      (gameDirectory.isFull(game) ? "This game is full" : null);
+
+    res.json({
+      game: {
+        id: game.id,
+        gameName: game.game_name,
+        gameType: game.type,
+        playerCount: game.participants.length,
+        commissionerName: commissioner ? `${commissioner.first_name} ${commissioner.last_name}` : null
+      },
+      code: joinCode.code,
+      available: !unavailableReason,
+      reason: unavailableReason
+    });
+  } catch (error) {
+    console.error("Get join link error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Join a game with a join link or code
+router.post("/join/:code", authenticateToken, async (req, res) => {
+  try {
+    const joinCodeService = DatabaseServiceFactory.getJoinCodeService();
+    const joinCode = await joinCodeService.getJoinCodeByCode(joinCodes.normalizeCode(req.params.code));
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = joinCode ? await gameService.getGameByIdForAdmin(joinCode.game_id) : null;
+
+    if (!game) {
+      return res.status(404).json({ error: "This join link is not valid" });
+    }
+
+    // Already being in the game is fine: the link just takes them there
+    if (await gameService.getParticipant(game.id, req.user.id)) {
+      return res.json({ message: "You are already in this game", gameId: game.id, gameName: game.game_name, alreadyMember: true });
+    }
+
+    const joinError = await joinCodes.redeem(joinCode, req.user.id);
+    if (joinError) {
+      return res.status(400).json({ error: joinError });
+    }
+
+    res.json({ message: `You've joined "${game.game_name}"`, gameId: game.id, gameName: game.game_name, alreadyMember: false });
+  } catch (error) {
+    console.error("Join game error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get specific game
+router.get("/:gameId", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    res.json({ game });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get game error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get materialized standings for a game (cumulative season table unless a week is given)
+router.get("/:gameId/standings", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { week } = req.query;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    let standingsWeek = CUMULATIVE_WEEK;
+    if (week !== undefined) {
+      standingsWeek = parseInt(week);
+      if (isNaN(standingsWeek) || standingsWeek < 1) {
+        return res.status(400).json({ error: "Week must be a positive number" });
+      }
+    }
+
+    const seasonId = req.query.seasonId || game.season_id;
+    const standings = await standingsCalculator.getStandings(game, seasonId, standingsWeek);
+    const tiebreaker = standingsWeek === CUMULATIVE_WEEK
+      ? null
+      : await standingsCalculator.getTiebreakerResult(game, seasonId, standingsWeek);
+
+    res.json({
+      standings: await hideUnlockedGuesses(game, standings, tiebreaker, req.user.id),
+      seasonId,
+      week: standingsWeek === CUMULATIVE_WEEK ? null : standingsWeek,
+      tiebreaker: publicTiebreaker(tiebreaker)
+    });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get standings error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get the tiebreaker game for a week
+router.get("/:gameId/tiebreaker/:week", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const week = parseInt(req.params.week);
+
+    if (isNaN(week) || week < 1) {
+      return res.status(400).json({ error: "Week must be a positive number" });
+    }
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    const tiebreaker = await standingsCalculator.getTiebreakerResult(game, game.season_id, week);
+
+    res.json({ tiebreaker: publicTiebreaker(tiebreaker) });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get tiebreaker error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Choose the tiebreaker game for a week (needs edit_rules, null restores the week's last game)
+router.put(
+  "/:gameId/tiebreaker/:week",
+  authenticateToken,
+  requireGamePermission("edit_rules"),
+  async (req, res) => {
+    try {
+      const { gameId } = req.params;
+      const { footballGameId = null } = req.body;
+      const week = parseInt(req.params.week);
+
+      if (isNaN(week) || week < 1) {
+        return res.status(400).json({ error: "Week must be a positive number" });
+      }
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const nflDataService = DatabaseServiceFactory.getNFLDataService();
+
+      const game = await gameService.getGameByIdForAdmin(gameId);
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+
+      const now = new Date();
+      const current = await standingsCalculator.getTiebreakerGame(game, game.season_id, week);
+      if (current && now >= new Date(current.footballGame.start_time)) {
+        return res.status(400).json({ error: "The tiebreaker game has already started" });
+      }
+
+      if (footballGameId) {
+        const footballGame = await nflDataService.getFootballGameById(footballGameId);
+        if (!footballGame || footballGame.season_id !== game.season_id || gameRules.getSeasonWeek(footballGame) !== week) {
+          return res.status(400).json({ error: "Football game is not part of this week" });
+        }
+        if (now >= new Date(footballGame.start_time)) {
+          return res.status(400).json({ error: "Cannot choose a game that has already started" });
+        }
+      }
+
+      await gameService.setTiebreakerGame(gameId, week, footballGameId);
+      await standingsCalculator.updateGameWeekStandings(game, game.season_id, week);
+
+      const tiebreaker = await standingsCalculator.getTiebreakerResult(game, game.season_id, week);
+
+      res.json({
+        message: "Tiebreaker game updated successfully",
+        tiebreaker: publicTiebreaker(tiebreaker)
+      });
+    } catch (error) {
+      console.error("Update tiebreaker error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get a game's rules document
+router.get("/:gameId/rules", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    res.json({ rules: gameRules.getRules(game) });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get game rules error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Update a game's rules (needs edit_rules); standings are re-scored under the new rules
+router.put(
+  "/:gameId/rules",
+  authenticateToken,
+  requireGamePermission("edit_rules"),
+  async (req, res) => {
+    try {
+      const { gameId } = req.params;
+      const { rules: updates } = req.body;
+
+      if (!updates || typeof updates !== "object") {
+        return res.status(400).json({ error: "Rules are required" });
+      }
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const game = await gameService.getGameByIdForAdmin(gameId);
+
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+
+      const rules = gameRules.mergeRules(game, updates);
+      const rulesError = gameRules.validateRules(rules);
+      if (rulesError) {
+        return res.status(400).json({ error: rulesError });
+      }
+
+      await gameService.updateGameRules(gameId, rules);
+      await pickCalculator.rescoreGame({ ...game, rules });
+
+      res.json({ message: "Game rules updated successfully", rules });
+    } catch (error) {
+      console.error("Update game rules error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Preview the results recap email for a week (needs edit_rules); nothing is sent
+router.get(
+  "/:gameId/recap/:week/preview",
+  authenticateToken,
+  requireGamePermission("edit_rules"),
+  async (req, res) => {
+    try {
+      const { gameId } = req.params;
+      const week = parseInt(req.params.week);
+
+      if (isNaN(week) || week < 1) {
+        return res.status(400).json({ error: "Week must be a positive number" });
+      }
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const game = await gameService.getGameByIdForAdmin(gameId);
+
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+
+      if (!PROJECTION_GAME_TYPES.includes(game.type)) {
+        return res.status(400).json({ error: "Recaps are only available for games with a pick on every matchup" });
+      }
+
+      const seasonId = req.query.seasonId || game.season_id;
+      const recap = await weeklyRecap.buildRecap(game, seasonId, week);
+      const email = emailService.buildWeeklyRecap(recap, req.user.first_name);
+
+      res.json({
+        ...email,
+        week,
+        isComplete: recap.is_complete,
+        enabled: gameRules.getRules(game).recap_emails
+      });
+    } catch (error) {
+      console.error("Preview recap error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get when picks lock for each football game in a week, and which games count
+router.get("/:gameId/pick-locks/:week", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const week = parseInt(req.params.week);
+
+    if (isNaN(week) || week < 1) {
+      return res.status(400).json({ error: "Week must be a positive number" });
+    }
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    const rules = gameRules.getRules(game);
+    const seasonId = req.query.seasonId || game.season_id;
+    const weekGames = await nflDataService.getGamesBySeasonAndWeek(seasonId, week);
+
+    const locks = {};
+    for (const footballGame of weekGames) {
+      locks[footballGame.id] = {
+        lockTime: gameRules.getLockTime(rules, footballGame, weekGames).toISOString(),
+        inPlay: gameRules.isGameInPlay(rules, footballGame)
+      };
+    }
+
+    res.json({ lockMode: rules.lock_mode, locks });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get pick locks error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get a week's projected standings if every game in progress ends the way it stands now
+router.get("/:gameId/projection/:week", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const week = parseInt(req.params.week);
+
+    if (isNaN(week) || week < 1) {
+      return res.status(400).json({ error: "Week must be a positive number" });
+    }
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    if (!PROJECTION_GAME_TYPES.includes(game.type)) {
+      return res.status(400).json({ error: "Projections are only available for games with a pick on every matchup" });
+    }
+
+    const seasonId = req.query.seasonId || game.season_id;
+    const projection = await projectionEngine.getWeekProjection(game, seasonId, week);
+
+    res.json(projection);
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get projection error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get survivor standings: who is still alive, strikes taken and when players went out
+router.get("/:gameId/survivor", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    if (game.type !== "survivor") {
+      return res.status(400).json({ error: "This is not a survivor game" });
+    }
+
+    const survivor = await survivorEngine.getSurvivorStandings(game);
+
+    res.json({ ...survivor, seasonId: game.season_id });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get survivor standings error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get the playoff bracket, the user's predictions and the bracket standings
+router.get("/:gameId/bracket", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    if (game.type !== "bracket") {
+      return res.status(400).json({ error: "This is not a bracket game" });
+    }
+
+    const bracket = await bracketService.getBracket(game.season_id);
+    const standings = await bracketService.getStandings(game, bracket);
+    const myStanding = standings.find(standing => standing.user_id === req.user.id);
+
+    // Other players' brackets stay private until the wild-card round kicks off
+    const visibleStandings = standings.map(standing =>
+      bracket?.isLocked || standing.user_id === req.user.id
+        ? standing
+        : { ...standing, picks: null, champion_id: null }
+    );
+
+    res.json({
+      bracket,
+      picks: myStanding?.picks || null,
+      standings: visibleStandings
+    });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get bracket error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Save the user's bracket predictions before the wild-card round kicks off
+router.put("/:gameId/bracket", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    if (game.type !== "bracket") {
+      return res.status(400).json({ error: "This is not a bracket game" });
+    }
+
+    const bracket = await bracketService.getBracket(game.season_id);
+
+    if (!bracket) {
+      return res.status(400).json({ error: "The playoff bracket is not set yet" });
+    }
+
+    if (bracket.isLocked) {
+      return res.status(400).json({ error: "Brackets locked when the wild-card round kicked off" });
+    }
+
+    const picks = bracketService.parsePicks(req.body.picks);
+    const validationError = bracketService.validatePicks(bracket, picks);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await gameService.updateBracketPicks(gameId, req.user.id, picks);
+
+    res.json({ message: "Bracket saved successfully", picks });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Save bracket error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get the futures markets, the user's futures picks and the futures standings
+router.get("/:gameId/futures", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const futuresService = DatabaseServiceFactory.getFuturesService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    const futures = await futuresEngine.getFutures(game);
+    const picks = await futuresService.getFuturesPicks(gameId);
+    const standings = await futuresEngine.getStandings(game, picks);
+    const myStanding = standings.find(standing => standing.user_id === req.user.id);
+
+    // Other players' futures stay private until futures lock
+    const visibleStandings = standings.map(standing =>
+      futures.isLocked || standing.user_id === req.user.id
+        ? standing
+        : { ...standing, picks: null }
+    );
+
+    res.json({
+      ...futures,
+      picks: myStanding?.picks || [],
+      standings: visibleStandings
+    });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get futures error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Save the user's futures picks before futures lock
+router.put("/:gameId/futures/picks", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const futuresService = DatabaseServiceFactory.getFuturesService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    const futures = await futuresEngine.getFutures(game);
+
+    if (!futures.settings.enabled) {
+      return res.status(400).json({ error: "Futures are not enabled for this game" });
+    }
+
+    if (futures.isLocked) {
+      return res.status(400).json({ error: "Futures picks are locked" });
+    }
+
+    const picks = Array.isArray(req.body.picks)
+      ? req.body.picks.map(pick => ({
+          category: String(pick?.category),
+          subject: String(pick?.subject),
+          pick: String(pick?.pick)
+        }))
+      : req.body.picks;
+    const validationError = futuresEngine.validatePicks(futures.markets, picks);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await futuresService.saveFuturesPicks(gameId, req.user.id, game.season_id, picks);
+
+    res.json({ message: "Futures picks saved successfully", picks });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Save futures picks error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Update a game's futures settings (needs edit_rules); picks are re-graded against any new win total lines.
+// The lock date and lines are frozen once futures lock, like the picks made against them.
+router.put(
+  "/:gameId/futures/settings",
+  authenticateToken,
+  requireGamePermission("edit_rules"),
+  async (req, res) => {
+    try {
+      const { gameId } = req.params;
+      const { settings: updates } = req.body;
+
+      if (!updates || typeof updates !== "object") {
+        return res.status(400).json({ error: "Futures settings are required" });
+      }
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const game = await gameService.getGameByIdForAdmin(gameId);
+
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+
+      const settings = futuresEngine.mergeSettings(game, updates);
+      const settingsError = futuresEngine.validateSettings(settings);
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError });
+      }
+
+      const futures = await futuresEngine.getFutures(game);
+      if (futures.isLocked && futuresEngine.changesLockedSettings(futures.settings, settings)) {
+        return res.status(400).json({ error: "The lock date and win totals can't change once futures are locked" });
+      }
+
+      await gameService.updateFuturesSettings(gameId, settings);
+      await futuresEngine.gradeFutures(game.season_id);
+
+      res.json({ message: "Futures settings updated successfully", settings });
+    } catch (error) {
+      console.error("Update futures settings error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get the all-time history of the league a game belongs to, with each season's champions
+router.get("/:gameId/history", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    const history = await leagueManager.getHistory(game);
+
+    res.json(history);
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get league history error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get a page of a game's message board (participants only), oldest first, with pinned messages
+router.get("/:gameId/messages", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    const messageService = DatabaseServiceFactory.getMessageService();
+
+    let cursor = null;
+    if (before) {
+      cursor = await messageService.getMessageById(before);
+      if (!cursor || cursor.game_id !== gameId) {
+        return res.status(400).json({ error: "Unknown message cursor" });
+      }
+    }
+
+    // One extra row tells us whether there are older messages left
+    const page = await messageService.getMessages(gameId, { before: cursor, limit: limit + 1 });
+    const pinned = await messageService.getPinnedMessages(gameId);
+
+    res.json({
+      messages: page.slice(0, limit).reverse().map(message => gameChat.formatMessage(message)),
+      pinned: pinned.map(message => gameChat.formatMessage(message)),
+      hasMore: page.length > limit
+    });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Get messages error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Post a message to a game's message board (participants only)
+router.post("/:gameId/messages", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const body = typeof req.body.body === "string" ? req.body.body.trim() : "";
+
+    if (!body) {
+      return res.status(400).json({ error: "Message cannot be empty" });
+    }
+    if (body.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` });
+    }
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    const message = await gameChat.postMessage(game, req.user.id, body);
+
+    res.status(201).json({ message });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: "Access denied" });
+    }
+    console.error("Post message error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete a message (its author, anyone who can moderate the game's chat, or an admin)
+router.delete("/:gameId/messages/:messageId", authenticateToken, async (req, res) => {
+  try {
+    const { gameId, messageId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const messageService = DatabaseServiceFactory.getMessageService();
+
+    const message = await messageService.getMessageById(messageId);
+    if (!message || message.game_id !== gameId) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const participant = await gameService.getParticipant(gameId, req.user.id);
+    const isAuthor = !!participant && message.user_id === req.user.id;
+    const isModerator = gameRoles.hasPermission(participant, "moderate_chat") || req.user.is_admin;
+    if (!isAuthor && !isModerator) {
+      return res.status(403).json({ error: "Only the author or a game commissioner can delete this message" });
+    }
+
+    const game = await gameService.getGameByIdForAdmin(gameId);
+    await gameChat.deleteMessage(game, messageId);
+
+    res.json({ message: "Message deleted successfully" });
+  } catch (error) {
+    console.error("Delete message error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Pin or unpin a message (anyone who can moderate the game's chat)
+router.put(
+  "/:gameId/messages/:messageId/pin",
+  authenticateToken,
+  requireGamePermission("moderate_chat"),
+  async (req, res) => {
+    try {
+      const { gameId, messageId } = req.params;
+      const { pinned } = req.body;
+
+      if (typeof pinned !== "boolean") {
+        return res.status(400).json({ error: "pinned must be true or false" });
+      }
+
+      const messageService = DatabaseServiceFactory.getMessageService();
+      const existing = await messageService.getMessageById(messageId);
+      if (!existing || existing.game_id !== gameId) {
+        return res.status(404).json({ error: "Message not found" });
+      }
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const game = await gameService.getGameByIdForAdmin(gameId);
+      const message = await gameChat.setPinned(game, messageId, pinned);
+
+      res.json({ message });
+    } catch (error) {
+      console.error("Pin message error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Start the current season for a game's league (owner only), carrying over its members and settings
+router.post(
+  "/:gameId/new-season",
+  authenticateToken,
+  requireGameOwner,
+  async (req, res) => {
+    try {
+      const { gameId } = req.params;
+
+      const seasonService = DatabaseServiceFactory.getSeasonService();
+      const currentSeason = await seasonService.getCurrentSeason();
 
-// Get all pickem games (users see only games they participate in)
-router.get("/", authenticateToken, async (req, res) => {
-  try {
-    const gameService = DatabaseServiceFactory.getGameService();
-    const games = await gameService.getUserGames(req.user.id);
-    res.json({ games });
-  } catch (error) {
-    console.error("Get games error:", error);
-    res.status(500).json({ error: "Internal server error" });
+      if (!currentSeason) {
+        return res.status(400).json({
+          error: "No current season set. Please contact an administrator.",
+        });
+      }
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const game = await gameService.getGameByIdForAdmin(gameId);
+
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+
+      if (game.season_id === currentSeason.id) {
+        return res.status(400).json({ error: `This game is already in the ${currentSeason.season} season` });
+      }
+
+      const newGame = await leagueManager.startNewSeason(game, currentSeason);
+
+      res.status(201).json({
+        message: `Started the ${currentSeason.season} season`,
+        game: newGame,
+      });
+    } catch (error) {
+      if (error.message.startsWith('This league has already started')) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Start new season error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-});
+);
 
-// Get game by slug (participants can view)
-router.get("/by-slug/:gameSlug", authenticateToken, async (req, res) => {
-  try {
-    const { gameSlug } = req.params;
-    const decodedSlug = decodeURIComponent(gameSlug);
-    
-    const gameService = DatabaseServiceFactory.getGameService();
-    const game = await gameService.getGameBySlug(decodedSlug, req.user.id);
+// Set how many strikes a survivor player can take before elimination (needs edit_rules)
+router.put(
+  "/:gameId/survivor/lives",
+  authenticateToken,
+  requireGamePermission("edit_rules"),
+  async (req, res) => {
+    try {
+      const { gameId } = req.params;
+      const lives = Number(req.body.lives);
 
-    if (!game) {
-      return res.status(404).json({ error: "Game not found" });
+      if (!Number.isInteger(lives) || lives < 1 || lives > 5) {
+        return res.status(400).json({ error: "Lives must be a whole number between 1 and 5" });
+      }
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const game = await gameService.getGameByIdForAdmin(gameId);
+
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+
+      if (game.type !== "survivor") {
+        return res.status(400).json({ error: "This is not a survivor game" });
+      }
+
+      await gameService.updateGameData(gameId, { survivor_lives: lives });
+
+      // More or fewer lives can knock players out or bring them back
+      const updatedGame = { ...game, survivor_lives: lives };
+      await pickCalculator.rescoreGame(updatedGame);
+      const survivor = await survivorEngine.getSurvivorStandings(updatedGame);
+
+      res.json({ message: "Survivor lives updated successfully", ...survivor });
+    } catch (error) {
+      console.error("Update survivor lives error:", error);
+      res.status(500).json({ error: "Internal server error" });
     }
+  }
+);
 
-    res.json({ game });
-  } catch (error) {
-    if (error.message === 'Access denied') {
-      return res.status(403).json({ error: "Access denied" });
+// Re-enter an eliminated player with a fresh set of lives (owner only)
+router.post(
+  "/:gameId/survivor/:userId/reinstate",
+  authenticateToken,
+  requireGameOwner,
+  async (req, res) => {
+    try {
+      const { gameId, userId } = req.params;
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const game = await gameService.getGameByIdForAdmin(gameId);
+
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+
+      if (game.type !== "survivor") {
+        return res.status(400).json({ error: "This is not a survivor game" });
+      }
+
+      await survivorEngine.reinstateParticipant(game, game.season_id, userId);
+      const survivor = await survivorEngine.getSurvivorStandings(game);
+
+      res.json({ message: "Player reinstated successfully", ...survivor });
+    } catch (error) {
+      if (error.message === 'User is not in this game' || error.message === 'Player has not been eliminated') {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Reinstate survivor player error:", error);
+      res.status(500).json({ error: "Internal server error" });
     }
-    console.error("Get game by slug error:", error);
-    res.status(500).json({ error: "Internal server error" });
   }
-});
+);
 
-// Get specific game
-router.get("/:gameId", authenticateToken, async (req, res) => {
+// Get a game's pick override log, newest first (participants only). Like players' picks,
+// the teams picked stay hidden until the football game locks.
+router.get("/:gameId/pick-overrides", authenticateToken, async (req, res) => {
   try {
     const { gameId } = req.params;
-    
+    const week = req.query.week ? parseInt(req.query.week, 10) : undefined;
+
     const gameService = DatabaseServiceFactory.getGameService();
     const game = await gameService.getGameById(gameId, req.user.id);
 
@@ -64,16 +1031,58 @@ router.get("/:gameId", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "Game not found" });
     }
 
-    res.json({ game });
+    const overrides = await pickOverrides.getOverrides(gameId, { week });
+
+    // Commissioners who can edit picks see everything; players only see picks that have locked
+    const participant = await gameService.getParticipant(gameId, req.user.id);
+    if (req.user.is_admin || gameRoles.hasPermission(participant, "edit_picks")) {
+      return res.json({ overrides });
+    }
+
+    res.json({ overrides: await pickOverrides.maskUnlockedOverrides(game, overrides, req.user.id) });
   } catch (error) {
     if (error.message === 'Access denied') {
       return res.status(403).json({ error: "Access denied" });
     }
-    console.error("Get game error:", error);
+    console.error("Get pick overrides error:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Create, change or remove a player's pick for them, even after it locks (needs edit_picks).
+// Every override needs a reason and is logged for the whole game to see.
+router.post(
+  "/:gameId/pick-overrides",
+  authenticateToken,
+  requireGamePermission("edit_picks"),
+  async (req, res) => {
+    try {
+      const { gameId } = req.params;
+      const { userId, footballGameId, pickTeamId = null, confidence, reason } = req.body;
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const game = await gameService.getGameByIdForAdmin(gameId);
+
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+
+      const request = { userId, footballGameId, pickTeamId, confidence, reason };
+      const overrideError = await pickOverrides.validateOverride(game, request);
+      if (overrideError) {
+        return res.status(400).json({ error: overrideError });
+      }
+
+      const override = await pickOverrides.applyOverride(game, req.user.id, request);
+
+      res.status(201).json({ message: "Pick overridden successfully", override });
+    } catch (error) {
+      console.error("Override pick error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 // Create new pickem game
 router.post("/", authenticateToken, async (req, res) => {
   try {
@@ -83,10 +1092,10 @@ router.post("/", authenticateToken, async (req, res) => {
       return res.status(400).json({ error: "Game name is required" });
     }
 
-    if (!["week", "survivor"].includes(gameType)) {
+    if (!["week", "survivor", "confidence", "ats", "bracket"].includes(gameType)) {
       return res
         .status(400)
-        .json({ error: 'Game type must be "week" or "survivor"' });
+        .json({ error: 'Game type must be "week", "survivor", "confidence", "ats" or "bracket"' });
     }
 
     // Get current season
@@ -170,11 +1179,11 @@ router.delete(
   }
 );
 
-// Add player to game or send invitation
+// Add player to game or send invitation (needs invite)
 router.post(
   "/:gameId/players",
   authenticateToken,
-  requireGameOwner,
+  requireGamePermission("invite"),
   async (req, res) => {
     try {
       const { gameId } = req.params;
@@ -211,6 +1220,7 @@ router.post(
 
         // Add user as player
         const participant = await gameService.addParticipant(gameId, existingUser.id, 'player');
+        await notificationCenter.notifyInvitation(game, existingUser.id, `${inviter.first_name} ${inviter.last_name}`);
 
         res.json({
           message: "Player added successfully",
@@ -272,16 +1282,25 @@ router.post(
   }
 );
 
-// Remove player from game
+// Remove player from game (needs remove_players; only owners can remove co-commissioners)
 router.delete(
   "/:gameId/players/:userId",
   authenticateToken,
-  requireGameOwner,
+  requireGamePermission("remove_players"),
   async (req, res) => {
     try {
       const { gameId, userId } = req.params;
 
       const gameService = DatabaseServiceFactory.getGameService();
+      const target = await gameService.getParticipant(gameId, userId);
+
+      if (target && target.role === "co_commissioner" && !req.user.is_admin) {
+        const remover = await gameService.getParticipant(gameId, req.user.id);
+        if (remover.role !== "owner") {
+          return res.status(403).json({ error: "Only the game owner can remove a co-commissioner" });
+        }
+      }
+
       await gameService.removeParticipant(gameId, userId);
 
       res.json({ message: "Player removed successfully" });
@@ -298,8 +1317,79 @@ router.delete(
   }
 );
 
-// Get invitations for a specific game (game owner only)
-router.get("/:gameId/invitations", authenticateToken, requireGameOwner, async (req, res) => {
+// Make a participant a co-commissioner with chosen permissions, or a regular player (owner only)
+router.put(
+  "/:gameId/participants/:userId/role",
+  authenticateToken,
+  requireGameOwner,
+  async (req, res) => {
+    try {
+      const { gameId, userId } = req.params;
+      const { role, permissions = [] } = req.body;
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const participant = await gameService.getParticipant(gameId, userId);
+
+      const validationError = gameRoles.validateRoleUpdate(participant, role, permissions);
+      if (validationError) {
+        return res.status(participant ? 400 : 404).json({ error: validationError });
+      }
+
+      const updated = await gameRoles.updateRole(gameId, userId, role, permissions);
+
+      res.json({
+        message: "Role updated successfully",
+        participant: {
+          user_id: updated.user_id,
+          role: updated.role,
+          permissions: gameRoles.getPermissions(updated)
+        }
+      });
+    } catch (error) {
+      console.error("Update participant role error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Hand the game to another participant (owner only); the previous owner becomes a co-commissioner
+router.post(
+  "/:gameId/transfer-ownership",
+  authenticateToken,
+  requireGameOwner,
+  async (req, res) => {
+    try {
+      const { gameId } = req.params;
+      const { userId } = req.body;
+
+      if (!userId) {
+        return res.status(400).json({ error: "User ID is required" });
+      }
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const game = await gameService.getGameByIdForAdmin(gameId);
+
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+
+      const transferError = await gameRoles.transferOwnership(game, userId);
+      if (transferError) {
+        return res.status(400).json({ error: transferError });
+      }
+
+      const updatedGame = await gameService.getGameByIdForAdmin(gameId);
+
+      res.json({ message: "Ownership transferred successfully", game: updatedGame });
+    } catch (error) {
+      console.error("Transfer ownership error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get invitations for a specific game (needs invite)
+router.get("/:gameId/invitations", authenticateToken, requireGamePermission("invite"), async (req, res) => {
   try {
     const { gameId } = req.params;
 
@@ -329,8 +1419,154 @@ router.get("/:gameId/invitations", authenticateToken, requireGameOwner, async (r
   }
 });
 
-// Cancel invitation (game owner only)
-router.delete("/:gameId/invitations/:invitationId", authenticateToken, requireGameOwner, async (req, res) => {
+// Preview an unlisted or public game before joining it (members can preview any of their games)
+router.get("/:gameId/preview", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameByIdForAdmin(gameId);
+    const isMember = !!game && game.participants.some(participant => participant.user_id === req.user.id);
+
+    // Private games don't reveal they exist to anyone outside them
+    if (!game || (!isMember && gameDirectory.getVisibility(game) === "private")) {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    const commissioner = game.participants.find(participant => participant.role === "owner");
+    const listing = gameDirectory.formatListing({
+      ...game,
+      player_count: game.participants.length,
+      commissioner_name: commissioner ? `${commissioner.first_name} ${commissioner.last_name}` : null
+    }, new Set(isMember ? [game.id] : []));
+
+    res.json({ game: listing, joinError: isMember ? null : gameDirectory.getSelfJoinError(game) });
+  } catch (error) {
+    console.error("Get game preview error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Join an unlisted or public game without an invitation, if it isn't full
+router.post("/:gameId/join", authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameByIdForAdmin(gameId);
+
+    if (!game || gameDirectory.getVisibility(game) === "private") {
+      return res.status(404).json({ error: "Game not found" });
+    }
+
+    if (game.participants.some(participant => participant.user_id === req.user.id)) {
+      return res.json({ message: "You are already in this game", gameId: game.id, gameName: game.game_name, alreadyMember: true });
+    }
+
+    const joinError = await gameDirectory.join(game, req.user.id);
+    if (joinError) {
+      return res.status(400).json({ error: joinError });
+    }
+
+    res.json({ message: `You've joined "${game.game_name}"`, gameId: game.id, gameName: game.game_name, alreadyMember: false });
+  } catch (error) {
+    console.error("Join public game error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Set who can find and join a game, and the cap on players joining on their own (game owner only)
+router.put(
+  "/:gameId/visibility",
+  authenticateToken,
+  requireGameOwner,
+  async (req, res) => {
+    try {
+      const { gameId } = req.params;
+      const { visibility, maxParticipants = null } = req.body;
+
+      const gameService = DatabaseServiceFactory.getGameService();
+      const game = await gameService.getGameByIdForAdmin(gameId);
+
+      if (!game) {
+        return res.status(404).json({ error: "Game not found" });
+      }
+
+      const validationError = gameDirectory.validateSettings(game, visibility, maxParticipants);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      await gameService.updateGameData(gameId, { visibility, max_participants: maxParticipants });
+
+      res.json({ message: "Visibility updated successfully", visibility, maxParticipants });
+    } catch (error) {
+      console.error("Update game visibility error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get a game's join links (needs invite)
+router.get("/:gameId/join-codes", authenticateToken, requireGamePermission("invite"), async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const joinCodeService = DatabaseServiceFactory.getJoinCodeService();
+    const gameJoinCodes = await joinCodeService.getGameJoinCodes(gameId);
+
+    res.json({ joinCodes: gameJoinCodes.map(joinCode => joinCodes.formatJoinCode(joinCode)) });
+  } catch (error) {
+    console.error("Get join links error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Create a join link with an optional expiry and use limit (needs invite)
+router.post("/:gameId/join-codes", authenticateToken, requireGamePermission("invite"), async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const { expiresInDays = null, maxUses = null } = req.body;
+
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_JOIN_CODE_DAYS)) {
+      return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${MAX_JOIN_CODE_DAYS}` });
+    }
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_JOIN_CODE_USES)) {
+      return res.status(400).json({ error: `maxUses must be a whole number from 1 to ${MAX_JOIN_CODE_USES}` });
+    }
+
+    const joinCode = await joinCodes.createJoinCode(gameId, req.user.id, { expiresInDays, maxUses });
+
+    res.status(201).json({ joinCode: joinCodes.formatJoinCode(joinCode) });
+  } catch (error) {
+    console.error("Create join link error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Revoke a join link (needs invite)
+router.delete("/:gameId/join-codes/:joinCodeId", authenticateToken, requireGamePermission("invite"), async (req, res) => {
+  try {
+    const { gameId, joinCodeId } = req.params;
+
+    const joinCodeService = DatabaseServiceFactory.getJoinCodeService();
+    const joinCode = await joinCodeService.getJoinCodeById(joinCodeId);
+
+    if (!joinCode || joinCode.game_id !== gameId) {
+      return res.status(404).json({ error: "Join link not found" });
+    }
+
+    await joinCodeService.revokeJoinCode(joinCodeId);
+
+    res.json({ message: "Join link revoked successfully" });
+  } catch (error) {
+    console.error("Revoke join link error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Cancel invitation (needs invite)
+router.delete("/:gameId/invitations/:invitationId", authenticateToken, requireGamePermission("invite"), async (req, res) => {
   try {
     const { gameId, invitationId } = req.params;
 
@@ -0,0 +1,58 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
+import { parseTimestamp } from '../services/survivorEngine.js';
+
+const router = express.Router();
+
+// Most notifications the bell menu shows
+const MAX_NOTIFICATIONS = 50;
+
+const formatNotification = (notification) => ({
+  id: notification.id,
+  gameId: notification.game_id || null,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message || null,
+  link: notification.link || null,
+  isRead: notification.is_read === 1 || notification.is_read === true,
+  createdAt: parseTimestamp(notification.created_at)?.toISOString() || null
+});
+
+// Get the current user's recent notifications and unread count
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const notificationService = DatabaseServiceFactory.getNotificationService();
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_NOTIFICATIONS);
+
+    const notifications = await notificationService.getUserNotifications(req.user.id, limit);
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+    res.json({ notifications: notifications.map(formatNotification), unreadCount });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark notifications read: the given IDs, or all of them when none are given
+router.post('/read', authenticateToken, async (req, res) => {
+  try {
+    const { ids } = req.body || {};
+
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'ids must be an array of notification IDs' });
+    }
+
+    const notificationService = DatabaseServiceFactory.getNotificationService();
+    await notificationService.markRead(req.user.id, ids || null);
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
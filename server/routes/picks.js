@@ -2,9 +2,90 @@ import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
 import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
 import db from '../models/database.js';
+import gameRules from '../services/gameRules.js';
 
 const router = express.Router();
 
+const isConfidenceGame = (game) =>
+  !!game && (game.type === 'confidence' || game.game_type === 'confidence');
+
+const isSpreadGame = (game) =>
+  !!game && (game.type === 'ats' || game.game_type === 'ats');
+
+const hasSpread = (footballGame) =>
+  footballGame.spread !== null && footballGame.spread !== undefined;
+
+// Percentage of the pool on each side, rounded to one decimal
+const toTeamShares = (counts, total) => counts.map(({ pick_team_id, pick_count }) => ({
+  teamId: pick_team_id,
+  pickCount: pick_count,
+  percentage: total > 0 ? Math.round((pick_count / total) * 1000) / 10 : 0
+}));
+
+// Whether how the pool picked a football game is still hidden: until its picks lock,
+// unless the game makes picks always visible
+const isMatchupHidden = (rules, footballGame, weekGames, now) =>
+  rules.pick_visibility !== 'always' && !gameRules.isPickLocked(rules, footballGame, weekGames, now);
+
+// Whether picks on a football game have locked under the pickem game's lock mode
+async function isPickLocked(game, footballGame) {
+  const nflDataService = DatabaseServiceFactory.getNFLDataService();
+  const weekGames = await nflDataService.getGamesBySeasonAndWeek(footballGame.season_id, footballGame.week);
+  return gameRules.isPickLocked(gameRules.getRules(game), footballGame, weekGames);
+}
+
+// Blank out another player's picks that haven't locked yet, unless their game makes picks always visible
+async function maskUnlockedPicks(picks) {
+  const gameService = DatabaseServiceFactory.getGameService();
+  const nflDataService = DatabaseServiceFactory.getNFLDataService();
+  const rulesCache = {};
+  const weekGamesCache = {};
+  const now = new Date();
+
+  const visiblePicks = [];
+  for (const pick of picks) {
+    if (!rulesCache[pick.game_id]) {
+      rulesCache[pick.game_id] = gameRules.getRules(await gameService.getGameByIdForAdmin(pick.game_id));
+    }
+    const rules = rulesCache[pick.game_id];
+    if (rules.pick_visibility === 'always') {
+      visiblePicks.push(pick);
+      continue;
+    }
+
+    const weekKey = `${pick.season_id}:${pick.week}`;
+    if (!weekGamesCache[weekKey]) {
+      weekGamesCache[weekKey] = await nflDataService.getGamesBySeasonAndWeek(pick.season_id, pick.week);
+    }
+    const weekGames = weekGamesCache[weekKey];
+    const footballGame = weekGames.find(g => g.id === pick.football_game_id) ||
+      { start_time: pick.start_time, week: pick.week };
+
+    if (gameRules.isPickLocked(rules, footballGame, weekGames, now)) {
+      visiblePicks.push(pick);
+      continue;
+    }
+
+    visiblePicks.push({
+      id: pick.id,
+      user_id: pick.user_id,
+      game_id: pick.game_id,
+      season_id: pick.season_id,
+      week: pick.week,
+      football_game_id: pick.football_game_id,
+      start_time: pick.start_time,
+      pick_team_id: null,
+      confidence: null,
+      tiebreaker: null,
+      spread: null,
+      is_correct: null,
+      is_hidden: true
+    });
+  }
+
+  return visiblePicks;
+}
+
 // Get user's picks for a game/season/week
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -37,7 +118,8 @@ router.get('/', authenticateToken, async (req, res) => {
       week
     });
 
-    res.json({ picks });
+    // Other players' picks only show once they lock
+    res.json({ picks: targetUserId === req.user.id ? picks : await maskUnlockedPicks(picks) });
   } catch (error) {
     console.error('Get picks error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -47,7 +129,7 @@ router.get('/', authenticateToken, async (req, res) => {
 // Make a pick
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { gameId, footballGameId, pickTeamId, tiebreaker } = req.body;
+    const { gameId, footballGameId, pickTeamId, tiebreaker, confidence } = req.body;
 
     if (!gameId || !footballGameId || !pickTeamId) {
       return res.status(400).json({
@@ -71,12 +153,20 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Football game not found' });
     }
 
-    // Check if game has already started
-    const now = new Date();
-    const gameStart = new Date(footballGame.start_time);
-    
-    if (now >= gameStart) {
-      return res.status(400).json({ error: 'Cannot make picks after game has started' });
+    const game = await gameService.getGameById(gameId, req.user.id);
+    const rules = gameRules.getRules(game);
+
+    if (game.type === 'bracket') {
+      return res.status(400).json({ error: 'Bracket games are picked on the playoff bracket' });
+    }
+
+    if (!gameRules.isGameInPlay(rules, footballGame)) {
+      return res.status(400).json({ error: 'This football game is not part of this pick\'em game' });
+    }
+
+    // Check if picks have locked for this game
+    if (await isPickLocked(game, footballGame)) {
+      return res.status(400).json({ error: 'Picks are locked for this game' });
     }
 
     // Verify the pick team is playing in this game
@@ -86,10 +176,13 @@ router.post('/', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Selected team is not playing in this game' });
     }
 
-    // Get game details for survivor check
-    const game = await gameService.getGameById(gameId, req.user.id);
-    
     if (game && (game.type === 'survivor' || game.game_type === 'survivor')) {
+      if (participant.survivor_status === 'eliminated') {
+        return res.status(403).json({
+          error: `You were eliminated in week ${participant.eliminated_week} and can no longer make picks`
+        });
+      }
+
       // Check if user has already picked this team in survivor mode
       const pickService = DatabaseServiceFactory.getPickService();
       const hasPickedTeam = await pickService.hasPickedTeamInSurvivor(
@@ -106,8 +199,36 @@ router.post('/', authenticateToken, async (req, res) => {
       }
     }
 
+    // Against-the-spread picks need a posted line to lock in
+    if (isSpreadGame(game) && !hasSpread(footballGame)) {
+      return res.status(400).json({ error: 'No spread has been posted for this game yet' });
+    }
+
     // Create or update the pick using the service
     const pickService = DatabaseServiceFactory.getPickService();
+
+    if (isConfidenceGame(game)) {
+      const weekGames = await nflDataService.getGamesBySeasonAndWeek(footballGame.season_id, footballGame.week);
+      const weekPicks = await pickService.getUserPicks({
+        userId: req.user.id,
+        gameId,
+        seasonId: footballGame.season_id,
+        week: footballGame.week
+      });
+
+      // Playoff picks share week numbers with the regular season but are ranked separately
+      const rankableGames = gameRules.getRankableGames(rules, weekGames, footballGame);
+      const rankableIds = new Set(rankableGames.map(g => g.id));
+      const ranks = weekPicks
+        .filter(p => p.football_game_id !== footballGameId && p.confidence && rankableIds.has(p.football_game_id))
+        .map(p => p.confidence);
+      ranks.push(Number(confidence));
+
+      const rankError = gameRules.validateConfidenceRanks(ranks, rankableGames.length);
+      if (rankError) {
+        return res.status(400).json({ error: rankError });
+      }
+    }
     
     // For survivor games, check for existing pick by week (not by footballGameId)
     // For weekly games, check by footballGameId as normal
@@ -120,7 +241,7 @@ router.post('/', authenticateToken, async (req, res) => {
         seasonId: footballGame.season_id,
         week: footballGame.week
       });
-      existingPick = userWeekPicks.length > 0 ? userWeekPicks[0] : null;
+      existingPick = userWeekPicks.find(p => gameRules.getSeasonWeek(p) === gameRules.getSeasonWeek(footballGame)) || null;
       
       // If there's an existing pick for this week but different football game, delete it first
       if (existingPick && existingPick.football_game_id !== footballGameId) {
@@ -139,7 +260,9 @@ router.post('/', authenticateToken, async (req, res) => {
       gameId,
       footballGameId,
       pickTeamId,
-      tiebreaker
+      tiebreaker,
+      confidence: isConfidenceGame(game) ? Number(confidence) : null,
+      spread: isSpreadGame(game) ? footballGame.spread : null
     });
 
     res.json({
@@ -153,6 +276,132 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Save a full week of confidence picks at once so ranks can be reordered
+// without tripping the per-pick uniqueness check
+router.put('/confidence', authenticateToken, async (req, res) => {
+  try {
+    const { gameId, picks, tiebreakers = {} } = req.body;
+
+    if (!gameId || !Array.isArray(picks) || picks.length === 0) {
+      return res.status(400).json({ error: 'Game ID and picks are required' });
+    }
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const participant = await gameService.getParticipant(gameId, req.user.id);
+
+    if (!participant) {
+      return res.status(403).json({ error: 'You are not a participant in this game' });
+    }
+
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!isConfidenceGame(game)) {
+      return res.status(400).json({ error: 'This game does not use confidence points' });
+    }
+
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const rules = gameRules.getRules(game);
+    const footballGames = {};
+
+    for (const pick of picks) {
+      if (!pick.footballGameId || !pick.pickTeamId) {
+        return res.status(400).json({ error: 'Each pick needs an NFL game ID and pick team ID' });
+      }
+
+      const footballGame = await nflDataService.getFootballGameById(pick.footballGameId);
+
+      if (!footballGame) {
+        return res.status(404).json({ error: 'Football game not found' });
+      }
+
+      if (footballGame.home_team_id !== pick.pickTeamId && footballGame.away_team_id !== pick.pickTeamId) {
+        return res.status(400).json({ error: 'Selected team is not playing in this game' });
+      }
+
+      if (!gameRules.isGameInPlay(rules, footballGame)) {
+        return res.status(400).json({ error: 'This football game is not part of this pick\'em game' });
+      }
+
+      footballGames[pick.footballGameId] = footballGame;
+    }
+
+    const firstGame = footballGames[picks[0].footballGameId];
+    const { season_id: seasonId, week } = firstGame;
+    const seasonWeek = gameRules.getSeasonWeek(firstGame);
+
+    if (Object.values(footballGames).some(g => g.season_id !== seasonId || gameRules.getSeasonWeek(g) !== seasonWeek)) {
+      return res.status(400).json({ error: 'All confidence picks must be for the same week' });
+    }
+
+    const pickService = DatabaseServiceFactory.getPickService();
+    const existingPicks = await pickService.getUserPicks({
+      userId: req.user.id,
+      gameId,
+      seasonId,
+      week
+    });
+
+    // Merge the submitted picks over what is already saved for the week
+    const weekGames = await nflDataService.getGamesBySeasonAndWeek(seasonId, week);
+    const rankableGames = gameRules.getRankableGames(rules, weekGames, firstGame);
+    const rankableIds = new Set(rankableGames.map(g => g.id));
+    const ranksByGame = {};
+    existingPicks.forEach(p => {
+      if (p.confidence && rankableIds.has(p.football_game_id)) ranksByGame[p.football_game_id] = p.confidence;
+    });
+
+    const changedPicks = [];
+    for (const pick of picks) {
+      const rank = Number(pick.confidence);
+      const existing = existingPicks.find(p => p.football_game_id === pick.footballGameId);
+      const unchanged = existing &&
+        existing.pick_team_id === pick.pickTeamId &&
+        existing.confidence === rank &&
+        (existing.tiebreaker || null) === (tiebreakers[pick.footballGameId] || null);
+
+      if (unchanged) continue;
+
+      if (gameRules.isPickLocked(rules, footballGames[pick.footballGameId], weekGames)) {
+        return res.status(400).json({ error: 'Picks are locked for this game' });
+      }
+
+      ranksByGame[pick.footballGameId] = rank;
+      changedPicks.push({ ...pick, confidence: rank });
+    }
+
+    const rankError = gameRules.validateConfidenceRanks(Object.values(ranksByGame), rankableGames.length);
+    if (rankError) {
+      return res.status(400).json({ error: rankError });
+    }
+
+    for (const pick of changedPicks) {
+      await pickService.createOrUpdatePick({
+        userId: req.user.id,
+        gameId,
+        footballGameId: pick.footballGameId,
+        pickTeamId: pick.pickTeamId,
+        tiebreaker: tiebreakers[pick.footballGameId],
+        confidence: pick.confidence
+      });
+    }
+
+    const savedPicks = await pickService.getUserPicks({
+      userId: req.user.id,
+      gameId,
+      seasonId,
+      week
+    });
+
+    res.json({
+      message: `${changedPicks.length} picks saved`,
+      picks: savedPicks
+    });
+  } catch (error) {
+    console.error('Save confidence picks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Delete a pick
 router.delete('/:pickId', authenticateToken, async (req, res) => {
   try {
@@ -171,12 +420,14 @@ router.delete('/:pickId', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check if game has already started
-    const now = new Date();
-    const gameStart = new Date(pick.start_time);
-    
-    if (now >= gameStart) {
-      return res.status(400).json({ error: 'Cannot delete picks after game has started' });
+    // Check if picks have locked for this game
+    const gameService = DatabaseServiceFactory.getGameService();
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const game = await gameService.getGameByIdForAdmin(pick.game_id);
+    const footballGame = await nflDataService.getFootballGameById(pick.football_game_id);
+
+    if (footballGame && await isPickLocked(game, footballGame)) {
+      return res.status(400).json({ error: 'Cannot delete picks after they have locked' });
     }
 
     await pickService.deletePick(pickId, req.user.id);
@@ -206,11 +457,16 @@ router.get('/game/:gameId/summary', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // Only picks on football games the game's rules put in play are counted
+    const game = await gameService.getGameByIdForAdmin(gameId);
+    const inPlayGames = game && seasonId ? await gameRules.getInPlayGames(game, seasonId) : null;
+
     // Use the pick service to get the summary
     const pickService = DatabaseServiceFactory.getPickService();
     const summary = await pickService.getGamePicksSummary(gameId, {
       seasonId,
-      week: week ? parseInt(week) : undefined
+      week: week ? parseInt(week) : undefined,
+      footballGameIds: inPlayGames ? inPlayGames.map(g => g.id) : undefined
     });
 
     console.log(`[PicksRoute] Returning picks summary with ${summary.length} players`);
@@ -221,7 +477,67 @@ router.get('/game/:gameId/summary', authenticateToken, async (req, res) => {
   }
 });
 
-// Get team pick percentages for survivor games
+// Get how the pool picked every matchup in a week (any game type). Matchups whose picks
+// haven't locked stay hidden unless the game makes picks always visible.
+router.get('/game/:gameId/consensus/:week', authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const week = parseInt(req.params.week);
+
+    if (isNaN(week) || week < 1) {
+      return res.status(400).json({ error: 'Week must be a positive number' });
+    }
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const participant = await gameService.getParticipant(gameId, req.user.id);
+
+    if (!participant && !req.user.is_admin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const game = await gameService.getGameByIdForAdmin(gameId);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const seasonId = req.query.seasonId || game.season_id;
+    const rules = gameRules.getRules(game);
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const pickService = DatabaseServiceFactory.getPickService();
+
+    const [weekGames, counts] = await Promise.all([
+      nflDataService.getGamesBySeasonAndWeek(seasonId, week),
+      pickService.getWeekPickCounts(gameId, seasonId, week)
+    ]);
+
+    const now = new Date();
+    const matchups = weekGames
+      .filter(footballGame => gameRules.isGameInPlay(rules, footballGame))
+      .map(footballGame => {
+        const isHidden = isMatchupHidden(rules, footballGame, weekGames, now);
+        const gameCounts = counts.filter(row => row.football_game_id === footballGame.id);
+        const totalPicks = gameCounts.reduce((sum, row) => sum + row.pick_count, 0);
+
+        return {
+          footballGameId: footballGame.id,
+          homeTeamId: footballGame.home_team_id,
+          awayTeamId: footballGame.away_team_id,
+          isHidden,
+          // Hidden matchups don't reveal how many players have picked them either
+          totalPicks: isHidden ? null : totalPicks,
+          teamStats: isHidden ? [] : toTeamShares(gameCounts, totalPicks)
+        };
+      });
+
+    res.json({ week, matchups });
+  } catch (error) {
+    console.error('Get pick consensus error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get team pick percentages for survivor games. Picks on games that haven't locked
+// aren't broken down by team unless the game makes picks always visible.
 router.get('/game/:gameId/survivor-stats/:week', authenticateToken, async (req, res) => {
   try {
     const { gameId, week } = req.params;
@@ -239,37 +555,32 @@ router.get('/game/:gameId/survivor-stats/:week', authenticateToken, async (req,
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Get all picks for this game, season, and week from all users
-    const pickService = DatabaseServiceFactory.getPickService();
-    
-    // First get all participants in the game
-    const participants = await gameService.getGameParticipants(gameId);
-    
-    // Get picks for each participant
-    let allPicks = [];
-    for (const participant of participants) {
-      const userPicks = await pickService.getUserPicks({
-        userId: participant.user_id,
-        gameId,
-        seasonId,
-        week: parseInt(week)
-      });
-      allPicks = allPicks.concat(userPicks);
+    const game = await gameService.getGameByIdForAdmin(gameId);
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
     }
 
-    // Count picks by team
-    const teamPickCounts = {};
-    let totalPicks = 0;
+    // Survivor players pick one team a week, so the week's counts by team are the whole story
+    const rules = gameRules.getRules(game);
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const pickService = DatabaseServiceFactory.getPickService();
 
-    allPicks.forEach(pick => {
-      if (!teamPickCounts[pick.pick_team_id]) {
-        teamPickCounts[pick.pick_team_id] = 0;
-      }
-      teamPickCounts[pick.pick_team_id]++;
-      totalPicks++;
+    const [weekGames, counts] = await Promise.all([
+      nflDataService.getGamesBySeasonAndWeek(seasonId, parseInt(week)),
+      pickService.getWeekPickCounts(gameId, seasonId, parseInt(week))
+    ]);
+
+    const now = new Date();
+    const hiddenGameIds = new Set(weekGames
+      .filter(footballGame => isMatchupHidden(rules, footballGame, weekGames, now))
+      .map(footballGame => footballGame.id));
+
+    const teamPickCounts = {};
+    counts.filter(row => !hiddenGameIds.has(row.football_game_id)).forEach(({ pick_team_id, pick_count }) => {
+      teamPickCounts[pick_team_id] = (teamPickCounts[pick_team_id] || 0) + pick_count;
     });
+    const totalPicks = counts.reduce((sum, row) => sum + row.pick_count, 0);
 
-    // Calculate percentages
     const teamStats = Object.entries(teamPickCounts).map(([teamId, count]) => ({
       teamId,
       pickCount: count,
@@ -0,0 +1,92 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { authenticateToken } from '../middleware/auth.js';
+import configService from '../services/configService.js';
+import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
+import liveUpdates from '../services/liveUpdates.js';
+
+const router = express.Router();
+
+// EventSource can't send an Authorization header, so streams are opened with a token in the
+// query string. Query strings end up in logs and history, so that token is only good for
+// opening one game's stream, and only briefly.
+const STREAM_TOKEN_PURPOSE = 'stream';
+const STREAM_TOKEN_EXPIRES_IN = '1m';
+
+const authenticateStreamToken = async (req, res, next) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, configService.getJwtSecret());
+    if (decoded.purpose !== STREAM_TOKEN_PURPOSE || decoded.gameId !== req.params.gameId) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
+    const userService = DatabaseServiceFactory.getUserService();
+    const user = await userService.getUserById(decoded.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+};
+
+// Issue a token for opening a game's stream
+router.post('/games/:gameId/token', authenticateToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const token = jwt.sign(
+      { userId: req.user.id, gameId: game.id, purpose: STREAM_TOKEN_PURPOSE },
+      configService.getJwtSecret(),
+      { expiresIn: STREAM_TOKEN_EXPIRES_IN }
+    );
+
+    res.json({ token });
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    console.error('Stream token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Live score and pick-result updates for a game (Server-Sent Events)
+router.get('/games/:gameId', authenticateStreamToken, async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const game = await gameService.getGameById(gameId, req.user.id);
+
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    liveUpdates.subscribe(req, res, game);
+  } catch (error) {
+    if (error.message === 'Access denied') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    console.error('Game stream error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
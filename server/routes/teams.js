@@ -367,20 +367,7 @@ router.get('/records', async (req, res) => {
     const seasonStatus = await espnService.getCurrentSeasonStatus();
     const currentWeek = Math.max(1, seasonStatus.week - 1); // Get previous week to ensure we have data
     
-    const games = await espnService.fetchWeeklyGames(currentWeek, 2, seasonInfo.year);
-    
-    // Extract team records from the games
-    const teamRecords = {};
-    
-    games.forEach(game => {
-      if (game.competitions && game.competitions.competitors) {
-        game.competitions.competitors.forEach(competitor => {
-          if (competitor.record && competitor.team.abbreviation) {
-            teamRecords[competitor.team.abbreviation] = competitor.record;
-          }
-        });
-      }
-    });
+    const teamRecords = await espnService.fetchTeamRecords(currentWeek, seasonInfo.year);
     
     res.json({
       records: teamRecords,
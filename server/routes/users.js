@@ -1,6 +1,7 @@
 import express from 'express';
 import { authenticateToken, requireAdmin } from '../middleware/auth.js';
 import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
+import statsService from '../services/statsService.js';
 
 const router = express.Router();
 
@@ -105,4 +106,23 @@ router.get('/:userId/games', authenticateToken, async (req, res) => {
   }
 });
 
+// Get user's all-time and per-season pick statistics
+router.get('/:userId/stats', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    // Users can only see their own stats unless they're admin
+    if (userId !== req.user.id && !req.user.is_admin) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const stats = await statsService.getUserStats(userId);
+
+    res.json({ stats });
+  } catch (error) {
+    console.error('Get user stats error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,240 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import gameRules, { FINAL_STATUSES } from './gameRules.js';
+import pickCalculator from './pickCalculator.js';
+import { parseTimestamp } from './survivorEngine.js';
+
+const isSurvivorGame = (game) =>
+  !!game && (game.type === 'survivor' || game.game_type === 'survivor');
+
+const isConfidenceGame = (game) =>
+  !!game && (game.type === 'confidence' || game.game_type === 'confidence');
+
+const isSpreadGame = (game) =>
+  !!game && (game.type === 'ats' || game.game_type === 'ats');
+
+const hasSpread = (footballGame) =>
+  footballGame.spread !== null && footballGame.spread !== undefined;
+
+class AutoPickerService {
+  /**
+   * Team a policy picks in one football game. When a policy can't decide
+   * (no line posted, favorite team not playing) it falls back to the home team.
+   * @param {string} policy - Auto-pick policy
+   * @param {Object} footballGame - Football game
+   * @param {string|null} favoriteTeamId - The player's favorite team
+   * @returns {string} Team ID
+   */
+  chooseTeam(policy, footballGame, favoriteTeamId) {
+    const { home_team_id: homeTeamId, away_team_id: awayTeamId } = footballGame;
+
+    if (policy === 'favorite' && hasSpread(footballGame) && footballGame.spread > 0) {
+      return awayTeamId;
+    }
+    if (policy === 'favorite_team' && favoriteTeamId === awayTeamId) {
+      return awayTeamId;
+    }
+    if (policy === 'random') {
+      return Math.random() < 0.5 ? homeTeamId : awayTeamId;
+    }
+    return homeTeamId;
+  }
+
+  /**
+   * Choose a survivor pick from a set of football games, skipping teams the player has already used
+   * @param {string} policy - Auto-pick policy
+   * @param {Array} footballGames - Football games to choose from
+   * @param {Set<string>} usedTeamIds - Teams already picked this season
+   * @param {string|null} favoriteTeamId - The player's favorite team
+   * @returns {{footballGame: Object, teamId: string}|null} Pick, or null if every team is used
+   */
+  chooseSurvivorPick(policy, footballGames, usedTeamIds, favoriteTeamId) {
+    const options = footballGames
+      .slice()
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
+      .flatMap(footballGame => [
+        { footballGame, teamId: footballGame.home_team_id },
+        { footballGame, teamId: footballGame.away_team_id }
+      ])
+      .filter(option => !usedTeamIds.has(option.teamId));
+
+    if (options.length === 0) {
+      return null;
+    }
+
+    if (policy === 'random') {
+      return options[Math.floor(Math.random() * options.length)];
+    }
+
+    if (policy === 'favorite_team') {
+      const favorite = options.find(option => option.teamId === favoriteTeamId);
+      if (favorite) return favorite;
+    }
+
+    if (policy === 'favorite') {
+      // Biggest favorite on the board
+      const favorites = options
+        .filter(option => hasSpread(option.footballGame) && option.footballGame.spread !== 0 &&
+          option.teamId === this.chooseTeam('favorite', option.footballGame, null))
+        .sort((a, b) => Math.abs(b.footballGame.spread) - Math.abs(a.footballGame.spread));
+      if (favorites.length > 0) return favorites[0];
+    }
+
+    return options.find(option => option.teamId === option.footballGame.home_team_id) || options[0];
+  }
+
+  /**
+   * Make missing picks for one pickem game whose picks have locked, including games that
+   * have already finished
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{created: number, finishedWeeks: Set<number>}>} Number of picks created and
+   *   the NFL weeks of finished games that got one, which still need grading
+   */
+  async applyGameAutoPicks(game, seasonId, now = new Date()) {
+    const rules = gameRules.getRules(game);
+    const finishedWeeks = new Set();
+    if (rules.auto_pick_policy === 'none') {
+      return { created: 0, finishedWeeks };
+    }
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const pickService = DatabaseServiceFactory.getPickService();
+    const userService = DatabaseServiceFactory.getUserService();
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+
+    const inPlayGames = await gameRules.getInPlayGames(game, seasonId);
+    // Keyed by season week so playoff rounds don't merge into regular weeks 1-5
+    const weeks = [...new Set(inPlayGames.map(footballGame => gameRules.getSeasonWeek(footballGame)))].sort((a, b) => a - b);
+
+    const weekGamesByWeek = new Map();
+    for (const week of weeks) {
+      const { week: storedWeek } = inPlayGames.find(footballGame => gameRules.getSeasonWeek(footballGame) === week);
+      weekGamesByWeek.set(week, await nflDataService.getGamesBySeasonAndWeek(seasonId, storedWeek));
+    }
+
+    const participants = await gameService.getGameParticipants(game.id);
+    let created = 0;
+
+    for (const participant of participants) {
+      if (isSurvivorGame(game) && participant.survivor_status === 'eliminated') {
+        continue;
+      }
+
+      const joinedAt = parseTimestamp(participant.created_at);
+      const picks = await pickService.getUserPicks({ userId: participant.user_id, gameId: game.id, seasonId });
+      const favoriteTeamId = rules.auto_pick_policy === 'favorite_team'
+        ? (await userService.getUserById(participant.user_id))?.favorite_team_id || null
+        : null;
+
+      for (const week of weeks) {
+        const weekGames = weekGamesByWeek.get(week);
+        // Finished games still get a pick: the job may not have run while they were locked
+        const inPlayWeekGames = inPlayGames.filter(footballGame => gameRules.getSeasonWeek(footballGame) === week);
+
+        if (isSurvivorGame(game)) {
+          if (picks.some(pick => gameRules.getSeasonWeek(pick) === week)) continue;
+
+          // A survivor pick is due when the main slate locks: the first kickoff in
+          // week-lock games, otherwise Sunday 1pm. Only games from then on are candidates.
+          const firstKickoff = new Date(Math.min(...inPlayWeekGames
+            .map(footballGame => new Date(footballGame.start_time).getTime())));
+          const deadline = rules.lock_mode === 'week' ? firstKickoff : gameRules.getSundayLock(firstKickoff);
+          if (now < deadline || (joinedAt && joinedAt > deadline)) continue;
+
+          const candidates = inPlayWeekGames.filter(footballGame => new Date(footballGame.start_time) >= deadline);
+          const usedTeamIds = new Set(picks.map(pick => pick.pick_team_id));
+          const choice = this.chooseSurvivorPick(rules.auto_pick_policy, candidates, usedTeamIds, favoriteTeamId);
+          if (!choice) continue;
+
+          const pick = await pickService.createOrUpdatePick({
+            userId: participant.user_id,
+            gameId: game.id,
+            footballGameId: choice.footballGame.id,
+            pickTeamId: choice.teamId,
+            isAuto: true
+          });
+          picks.push(pick);
+          created++;
+          if (FINAL_STATUSES.includes(choice.footballGame.status)) {
+            finishedWeeks.add(choice.footballGame.week);
+          }
+          continue;
+        }
+
+        for (const footballGame of inPlayWeekGames) {
+          if (!gameRules.isPickLocked(rules, footballGame, weekGames, now)) continue;
+          if (joinedAt && joinedAt > gameRules.getLockTime(rules, footballGame, weekGames)) continue;
+          if (picks.some(pick => pick.football_game_id === footballGame.id)) continue;
+          if (isSpreadGame(game) && !hasSpread(footballGame)) continue;
+
+          let confidence = null;
+          if (isConfidenceGame(game)) {
+            // Lowest rank the player hasn't used this week
+            const rankableIds = new Set(gameRules.getRankableGames(rules, weekGames, footballGame).map(g => g.id));
+            const usedRanks = new Set(picks.filter(pick => rankableIds.has(pick.football_game_id)).map(pick => pick.confidence));
+            const maxRank = rankableIds.size;
+            confidence = Array.from({ length: maxRank }, (_, i) => i + 1).find(rank => !usedRanks.has(rank));
+            if (!confidence) continue;
+          }
+
+          const pick = await pickService.createOrUpdatePick({
+            userId: participant.user_id,
+            gameId: game.id,
+            footballGameId: footballGame.id,
+            pickTeamId: this.chooseTeam(rules.auto_pick_policy, footballGame, favoriteTeamId),
+            confidence,
+            spread: isSpreadGame(game) ? footballGame.spread : null,
+            isAuto: true
+          });
+          picks.push(pick);
+          created++;
+          if (FINAL_STATUSES.includes(footballGame.status)) {
+            finishedWeeks.add(footballGame.week);
+          }
+        }
+      }
+    }
+
+    return { created, finishedWeeks };
+  }
+
+  /**
+   * Make missing picks for every active pickem game in a season that has an auto-pick policy,
+   * then grade the ones made on finished games
+   * @param {string} seasonId - Season ID
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{games: number, picksCreated: number}>}
+   */
+  async applyAutoPicks(seasonId, now = new Date()) {
+    try {
+      const gameService = DatabaseServiceFactory.getGameService();
+
+      const games = (await gameService.getAllGames()).filter(game =>
+        game.season_id === seasonId &&
+        game.is_active !== 0 && game.is_active !== false &&
+        gameRules.getRules(game).auto_pick_policy !== 'none'
+      );
+
+      let picksCreated = 0;
+      const finishedWeeks = new Set();
+      for (const game of games) {
+        const result = await this.applyGameAutoPicks(game, seasonId, now);
+        picksCreated += result.created;
+        result.finishedWeeks.forEach(week => finishedWeeks.add(week));
+      }
+
+      for (const week of [...finishedWeeks].sort((a, b) => a - b)) {
+        await pickCalculator.calculatePicks(seasonId, week);
+      }
+
+      console.log(`[AutoPicker] Made ${picksCreated} auto-picks across ${games.length} games`);
+      return { games: games.length, picksCreated };
+    } catch (error) {
+      console.error('[AutoPicker] Failed to apply auto-picks:', error);
+      throw error;
+    }
+  }
+}
+
+export default new AutoPickerService();
@@ -0,0 +1,329 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import { FINAL_STATUSES } from './gameRules.js';
+
+const REGULAR_SEASON = 2;
+const POSTSEASON = 3;
+const CONFERENCES = ['AFC', 'NFC'];
+
+// ESPN postseason weeks: 1 wild card, 2 divisional, 3 conference championships,
+// 4 Pro Bowl and 5 Super Bowl. Later rounds are worth more.
+export const BRACKET_ROUNDS = [
+  { key: 'wild_card', name: 'Wild Card', week: 1, points: 1, matchups: 6 },
+  { key: 'divisional', name: 'Divisional', week: 2, points: 2, matchups: 4 },
+  { key: 'conference', name: 'Conference Championship', week: 3, points: 4, matchups: 2 },
+  { key: 'super_bowl', name: 'Super Bowl', week: 5, points: 8, matchups: 1 }
+];
+
+const isFinal = (footballGame) => FINAL_STATUSES.includes(footballGame.status);
+
+const getWinner = (footballGame) => {
+  if (!isFinal(footballGame) || footballGame.home_score === footballGame.away_score) return null;
+  return footballGame.home_score > footballGame.away_score ? footballGame.home_team_id : footballGame.away_team_id;
+};
+
+const getLoser = (footballGame) => {
+  const winner = getWinner(footballGame);
+  if (!winner) return null;
+  return winner === footballGame.home_team_id ? footballGame.away_team_id : footballGame.home_team_id;
+};
+
+class BracketService {
+  /**
+   * Regular-season win percentage for every team with a final game
+   * @param {Array} seasonGames - Football games in the season
+   * @returns {Map<string, number>} Team ID to win percentage (ties count as half)
+   */
+  getWinPercentages(seasonGames) {
+    const records = new Map();
+    const record = (teamId) => {
+      if (!records.has(teamId)) records.set(teamId, { wins: 0, games: 0 });
+      return records.get(teamId);
+    };
+
+    for (const footballGame of seasonGames) {
+      if ((footballGame.season_type || REGULAR_SEASON) !== REGULAR_SEASON || !isFinal(footballGame)) continue;
+
+      const home = record(footballGame.home_team_id);
+      const away = record(footballGame.away_team_id);
+      home.games++;
+      away.games++;
+      if (footballGame.home_score > footballGame.away_score) {
+        home.wins++;
+      } else if (footballGame.away_score > footballGame.home_score) {
+        away.wins++;
+      } else {
+        home.wins += 0.5;
+        away.wins += 0.5;
+      }
+    }
+
+    return new Map([...records].map(([teamId, { wins, games }]) => [teamId, games ? wins / games : 0]));
+  }
+
+  /**
+   * Build a season's playoff bracket from its postseason football games.
+   * Seeds come from the wild-card matchups: the home teams are seeds 2-4 in order of
+   * regular-season record and their opponents are 7, 6 and 5. The 1 seed is the conference's
+   * best record among teams without a wild-card game.
+   * @param {string} seasonId - Season ID
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object|null>} Bracket, or null until every wild-card game is scheduled
+   */
+  async getBracket(seasonId, now = new Date()) {
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const seasonGames = (await nflDataService.getGamesBySeason(seasonId))
+      .filter(footballGame => footballGame.season_type !== 1);
+    const postseasonGames = seasonGames.filter(footballGame => footballGame.season_type === POSTSEASON);
+    const wildCardGames = postseasonGames.filter(footballGame => footballGame.week === BRACKET_ROUNDS[0].week);
+
+    if (wildCardGames.length === 0) {
+      return null;
+    }
+
+    const teams = {};
+    for (const teamId of new Set(seasonGames.flatMap(g => [g.home_team_id, g.away_team_id]))) {
+      const team = await nflDataService.getTeamById(teamId);
+      if (team) {
+        teams[teamId] = {
+          id: team.id,
+          team_code: team.team_code,
+          team_name: team.team_name,
+          team_city: team.team_city,
+          team_logo: team.team_logo,
+          team_conference: team.team_conference
+        };
+      }
+    }
+
+    const conferenceOf = (teamId) => teams[teamId]?.team_conference;
+    const winPercentages = this.getWinPercentages(seasonGames);
+    const byRecord = (a, b) => (winPercentages.get(b) || 0) - (winPercentages.get(a) || 0);
+
+    const seeds = {};
+    for (const conference of CONFERENCES) {
+      const conferenceGames = wildCardGames.filter(g => conferenceOf(g.home_team_id) === conference);
+
+      // Only the seven-team format (one bye per conference) is supported
+      if (conferenceGames.length !== 3) {
+        return null;
+      }
+
+      const wildCardTeamIds = new Set(conferenceGames.flatMap(g => [g.home_team_id, g.away_team_id]));
+      const [topSeed] = Object.keys(teams)
+        .filter(teamId => conferenceOf(teamId) === conference && !wildCardTeamIds.has(teamId))
+        .sort(byRecord);
+      if (!topSeed) {
+        return null;
+      }
+      const homeTeamIds = conferenceGames.map(g => g.home_team_id).sort(byRecord);
+
+      seeds[conference] = [{ seed: 1, team_id: topSeed }];
+      homeTeamIds.forEach((homeTeamId, index) => {
+        const wildCardGame = conferenceGames.find(g => g.home_team_id === homeTeamId);
+        seeds[conference].push({ seed: index + 2, team_id: homeTeamId });
+        seeds[conference].push({ seed: 7 - index, team_id: wildCardGame.away_team_id });
+      });
+      seeds[conference].sort((a, b) => a.seed - b.seed);
+    }
+
+    const games = {};
+    const winners = {};
+    for (const round of BRACKET_ROUNDS) {
+      games[round.key] = postseasonGames.filter(g => {
+        if (round.key !== 'super_bowl') return g.week === round.week;
+        // The Super Bowl is the only game after the conference championships between an AFC and an NFC team
+        return g.week > BRACKET_ROUNDS[2].week &&
+          conferenceOf(g.home_team_id) !== conferenceOf(g.away_team_id) &&
+          CONFERENCES.includes(conferenceOf(g.home_team_id)) &&
+          CONFERENCES.includes(conferenceOf(g.away_team_id));
+      });
+      winners[round.key] = games[round.key].map(getWinner).filter(Boolean);
+    }
+
+    const eliminated = BRACKET_ROUNDS.flatMap(round => games[round.key].map(getLoser).filter(Boolean));
+    const lockTime = new Date(Math.min(...wildCardGames.map(g => new Date(g.start_time).getTime())));
+
+    return {
+      seasonId,
+      lockTime: lockTime.toISOString(),
+      isLocked: now >= lockTime,
+      rounds: BRACKET_ROUNDS,
+      seeds,
+      teams,
+      games,
+      winners,
+      eliminated
+    };
+  }
+
+  /**
+   * Matchups a set of predictions leads to, round by round. Divisional matchups are
+   * reseeded: the 1 seed hosts the lowest remaining seed and the other two meet.
+   * A round is left empty until every earlier winner in that conference has been picked.
+   * @param {Object} bracket - Result of getBracket
+   * @param {Object} picks - Winning team IDs keyed by round
+   * @returns {Object} Arrays of [higher seed team ID, lower seed team ID] keyed by round
+   */
+  getMatchups(bracket, picks = {}) {
+    const seedOf = {};
+    for (const conference of CONFERENCES) {
+      for (const { seed, team_id } of bracket.seeds[conference]) {
+        seedOf[team_id] = seed;
+      }
+    }
+
+    const pickedFrom = (round, matchups) => matchups.map(matchup =>
+      matchup.find(teamId => (picks[round] || []).includes(teamId)) || null
+    );
+
+    const matchups = { wild_card: [], divisional: [], conference: [], super_bowl: [] };
+    const champions = [];
+
+    for (const conference of CONFERENCES) {
+      const bySeed = Object.fromEntries(bracket.seeds[conference].map(({ seed, team_id }) => [seed, team_id]));
+      const wildCard = [[bySeed[2], bySeed[7]], [bySeed[3], bySeed[6]], [bySeed[4], bySeed[5]]];
+      matchups.wild_card.push(...wildCard);
+
+      const wildCardWinners = pickedFrom('wild_card', wildCard);
+      if (wildCardWinners.includes(null)) continue;
+
+      const remaining = [bySeed[1], ...wildCardWinners].sort((a, b) => seedOf[a] - seedOf[b]);
+      const divisional = [[remaining[0], remaining[3]], [remaining[1], remaining[2]]];
+      matchups.divisional.push(...divisional);
+
+      const divisionalWinners = pickedFrom('divisional', divisional);
+      if (divisionalWinners.includes(null)) continue;
+
+      const championship = divisionalWinners.sort((a, b) => seedOf[a] - seedOf[b]);
+      matchups.conference.push(championship);
+
+      const [champion] = pickedFrom('conference', [championship]);
+      if (champion) champions.push(champion);
+    }
+
+    if (champions.length === CONFERENCES.length) {
+      matchups.super_bowl.push(champions);
+    }
+
+    return matchups;
+  }
+
+  /**
+   * Validate a complete set of bracket predictions
+   * @param {Object} bracket - Result of getBracket
+   * @param {Object} picks - Winning team IDs keyed by round
+   * @returns {string|null} Error message, or null if every matchup has exactly one winner
+   */
+  validatePicks(bracket, picks) {
+    if (!picks || typeof picks !== 'object') {
+      return 'Bracket picks are required';
+    }
+
+    const matchups = this.getMatchups(bracket, picks);
+    for (const round of BRACKET_ROUNDS) {
+      const roundPicks = picks[round.key];
+      if (!Array.isArray(roundPicks)) {
+        return `Pick a winner for every ${round.name} matchup`;
+      }
+
+      const roundMatchups = matchups[round.key];
+      if (roundMatchups.length !== round.matchups) {
+        return `Pick a winner for every ${round.name} matchup`;
+      }
+
+      const chosen = roundMatchups.map(matchup => matchup.filter(teamId => roundPicks.includes(teamId)));
+      if (chosen.some(winners => winners.length !== 1) || roundPicks.length !== roundMatchups.length) {
+        return `Pick exactly one winner for each ${round.name} matchup`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Keep only the known rounds of a predictions document
+   * @param {Object|string|null} picks - Stored predictions (JSON string or object)
+   * @returns {Object|null} Winning team IDs keyed by round, or null if nothing was saved
+   */
+  parsePicks(picks) {
+    let parsed = picks;
+    if (typeof parsed === 'string') {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch (error) {
+        return null;
+      }
+    }
+    if (!parsed || typeof parsed !== 'object') {
+      return null;
+    }
+
+    return Object.fromEntries(BRACKET_ROUNDS.map(round => [
+      round.key,
+      Array.isArray(parsed[round.key]) ? parsed[round.key].map(String) : []
+    ]));
+  }
+
+  /**
+   * Score predictions against the results so far
+   * @param {Object} bracket - Result of getBracket
+   * @param {Object} picks - Winning team IDs keyed by round
+   * @returns {{points: number, max_points: number, correct_picks: number}}
+   */
+  scorePicks(bracket, picks) {
+    const eliminated = new Set(bracket.eliminated);
+    let points = 0;
+    let maxPoints = 0;
+    let correctPicks = 0;
+
+    for (const round of BRACKET_ROUNDS) {
+      const winners = bracket.winners[round.key];
+      for (const teamId of picks[round.key] || []) {
+        if (winners.includes(teamId)) {
+          points += round.points;
+          maxPoints += round.points;
+          correctPicks++;
+        } else if (!eliminated.has(teamId)) {
+          // Still alive, so this pick can still come in
+          maxPoints += round.points;
+        }
+      }
+    }
+
+    return { points, max_points: maxPoints, correct_picks: correctPicks };
+  }
+
+  /**
+   * Bracket standings for a game: most points first, then most points still possible
+   * @param {Object} game - Pickem game
+   * @param {Object} bracket - Result of getBracket
+   * @returns {Promise<Array>} Participants with their predictions and score
+   */
+  async getStandings(game, bracket) {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const participants = await gameService.getGameParticipants(game.id);
+
+    const standings = participants.map(participant => {
+      const picks = this.parsePicks(participant.bracket_picks);
+      const score = picks && bracket ? this.scorePicks(bracket, picks) : { points: 0, max_points: 0, correct_picks: 0 };
+      return {
+        user_id: participant.user_id,
+        display_name: participant.display_name,
+        first_name: participant.first_name,
+        last_name: participant.last_name,
+        has_bracket: !!picks,
+        champion_id: picks?.super_bowl[0] || null,
+        picks,
+        ...score
+      };
+    });
+
+    return standings.sort((a, b) =>
+      b.points - a.points ||
+      b.max_points - a.max_points ||
+      (a.display_name || '').localeCompare(b.display_name || '')
+    );
+  }
+}
+
+export default new BracketService();
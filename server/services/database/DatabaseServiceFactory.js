@@ -7,6 +7,13 @@ import SQLiteUserService from './sqlite/SQLiteUserService.js';
 import SQLiteInvitationService from './sqlite/SQLiteInvitationService.js';
 import SQLitePickService from './sqlite/SQLitePickService.js';
 import SQLiteNFLDataService from './sqlite/SQLiteNFLDataService.js';
+import SQLiteStandingsService from './sqlite/SQLiteStandingsService.js';
+import SQLiteFuturesService from './sqlite/SQLiteFuturesService.js';
+import SQLiteLeagueService from './sqlite/SQLiteLeagueService.js';
+import SQLiteNotificationService from './sqlite/SQLiteNotificationService.js';
+import SQLiteMessageService from './sqlite/SQLiteMessageService.js';
+import SQLiteJoinCodeService from './sqlite/SQLiteJoinCodeService.js';
+import SQLitePickOverrideService from './sqlite/SQLitePickOverrideService.js';
 
 // DynamoDB implementations
 import DynamoDBGameService from './dynamodb/DynamoDBGameService.js';
@@ -15,6 +22,13 @@ import DynamoDBUserService from './dynamodb/DynamoDBUserService.js';
 import DynamoDBInvitationService from './dynamodb/DynamoDBInvitationService.js';
 import DynamoDBPickService from './dynamodb/DynamoDBPickService.js';
 import DynamoDBNFLDataService from './dynamodb/DynamoDBNFLDataService.js';
+import DynamoDBStandingsService from './dynamodb/DynamoDBStandingsService.js';
+import DynamoDBFuturesService from './dynamodb/DynamoDBFuturesService.js';
+import DynamoDBLeagueService from './dynamodb/DynamoDBLeagueService.js';
+import DynamoDBNotificationService from './dynamodb/DynamoDBNotificationService.js';
+import DynamoDBMessageService from './dynamodb/DynamoDBMessageService.js';
+import DynamoDBJoinCodeService from './dynamodb/DynamoDBJoinCodeService.js';
+import DynamoDBPickOverrideService from './dynamodb/DynamoDBPickOverrideService.js';
 
 /**
  * Database Service Factory
@@ -186,6 +200,188 @@ export default class DatabaseServiceFactory {
     return this._services.get(cacheKey);
   }
 
+  /**
+   * Get Standings Service for current database type
+   * @returns {IStandingsService} Database-specific standings service
+   */
+  static getStandingsService() {
+    const cacheKey = 'standingsService';
+    if (!this._services.has(cacheKey)) {
+      const dbType = DatabaseProviderFactory.getProviderType();
+      let service;
+      
+      switch (dbType) {
+        case 'dynamodb':
+          service = new DynamoDBStandingsService();
+          break;
+        case 'sqlite':
+        default:
+          service = new SQLiteStandingsService();
+          break;
+      }
+      
+      this._services.set(cacheKey, service);
+    }
+    
+    return this._services.get(cacheKey);
+  }
+
+  /**
+   * Get Futures Service for current database type
+   * @returns {IFuturesService} Database-specific futures service
+   */
+  static getFuturesService() {
+    const cacheKey = 'futuresService';
+    if (!this._services.has(cacheKey)) {
+      const dbType = DatabaseProviderFactory.getProviderType();
+      let service;
+      
+      switch (dbType) {
+        case 'dynamodb':
+          service = new DynamoDBFuturesService();
+          break;
+        case 'sqlite':
+        default:
+          service = new SQLiteFuturesService();
+          break;
+      }
+      
+      this._services.set(cacheKey, service);
+    }
+    
+    return this._services.get(cacheKey);
+  }
+
+  /**
+   * Get League Service for current database type
+   * @returns {ILeagueService} Database-specific league service
+   */
+  static getLeagueService() {
+    const cacheKey = 'leagueService';
+    if (!this._services.has(cacheKey)) {
+      const dbType = DatabaseProviderFactory.getProviderType();
+      let service;
+      
+      switch (dbType) {
+        case 'dynamodb':
+          service = new DynamoDBLeagueService();
+          break;
+        case 'sqlite':
+        default:
+          service = new SQLiteLeagueService();
+          break;
+      }
+      
+      this._services.set(cacheKey, service);
+    }
+    
+    return this._services.get(cacheKey);
+  }
+
+  /**
+   * Get Notification Service for current database type
+   * @returns {INotificationService} Database-specific notification service
+   */
+  static getNotificationService() {
+    const cacheKey = 'notificationService';
+    if (!this._services.has(cacheKey)) {
+      const dbType = DatabaseProviderFactory.getProviderType();
+      let service;
+      
+      switch (dbType) {
+        case 'dynamodb':
+          service = new DynamoDBNotificationService();
+          break;
+        case 'sqlite':
+        default:
+          service = new SQLiteNotificationService();
+          break;
+      }
+      
+      this._services.set(cacheKey, service);
+    }
+    
+    return this._services.get(cacheKey);
+  }
+
+  /**
+   * Get Message Service for current database type
+   * @returns {IMessageService} Database-specific message service
+   */
+  static getMessageService() {
+    const cacheKey = 'messageService';
+    if (!this._services.has(cacheKey)) {
+      const dbType = DatabaseProviderFactory.getProviderType();
+      let service;
+      
+      switch (dbType) {
+        case 'dynamodb':
+          service = new DynamoDBMessageService();
+          break;
+        case 'sqlite':
+        default:
+          service = new SQLiteMessageService();
+          break;
+      }
+      
+      this._services.set(cacheKey, service);
+    }
+    
+    return this._services.get(cacheKey);
+  }
+
+  /**
+   * Get Join Code Service for current database type
+   * @returns {IJoinCodeService} Database-specific join code service
+   */
+  static getJoinCodeService() {
+    const cacheKey = 'joinCodeService';
+    if (!this._services.has(cacheKey)) {
+      const dbType = DatabaseProviderFactory.getProviderType();
+      let service;
+      
+      switch (dbType) {
+        case 'dynamodb':
+          service = new DynamoDBJoinCodeService();
+          break;
+        case 'sqlite':
+        default:
+          service = new SQLiteJoinCodeService();
+          break;
+      }
+      
+      this._services.set(cacheKey, service);
+    }
+    
+    return this._services.get(cacheKey);
+  }
+
+  /**
+   * Get Pick Override Service for current database type
+   * @returns {IPickOverrideService} Database-specific pick override service
+   */
+  static getPickOverrideService() {
+    const cacheKey = 'pickOverrideService';
+    if (!this._services.has(cacheKey)) {
+      const dbType = DatabaseProviderFactory.getProviderType();
+      let service;
+      
+      switch (dbType) {
+        case 'dynamodb':
+          service = new DynamoDBPickOverrideService();
+          break;
+        case 'sqlite':
+        default:
+          service = new SQLitePickOverrideService();
+          break;
+      }
+      
+      this._services.set(cacheKey, service);
+    }
+    
+    return this._services.get(cacheKey);
+  }
+
   /**
    * Get current database type
    * @returns {string} Database type (sqlite, dynamodb)
@@ -0,0 +1,98 @@
+import { v4 as uuidv4 } from 'uuid';
+import IFuturesService from '../interfaces/IFuturesService.js';
+import db from '../../../models/database.js';
+
+/**
+ * DynamoDB-specific Futures Service
+ * Implements futures pick operations using DynamoDB database provider
+ */
+export default class DynamoDBFuturesService extends IFuturesService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Get futures picks for a game
+   * @param {string} gameId - Game ID
+   * @param {string} [userId] - Only this user's picks (all players if omitted)
+   * @returns {Promise<Array>} Picks with category, subject, pick and is_correct
+   */
+  async getFuturesPicks(gameId, userId = null) {
+    const picks = await this.db._getByGameIdGSI('futures_picks', gameId) || [];
+
+    return picks
+      .filter(pick => !userId || pick.user_id === userId)
+      .sort((a, b) =>
+        a.user_id.localeCompare(b.user_id) ||
+        a.category.localeCompare(b.category) ||
+        a.subject.localeCompare(b.subject)
+      );
+  }
+
+  /**
+   * Replace a user's futures picks for a game
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} seasonId - Season ID
+   * @param {Array<{category: string, subject: string, pick: string}>} picks - Validated picks
+   * @returns {Promise<void>}
+   */
+  async saveFuturesPicks(gameId, userId, seasonId, picks) {
+    const existingPicks = await this.getFuturesPicks(gameId, userId);
+    for (const existing of existingPicks) {
+      await this.db._dynamoDelete('futures_picks', { id: existing.id });
+    }
+
+    const now = new Date().toISOString();
+    for (const pick of picks) {
+      await this.db._dynamoPut('futures_picks', {
+        id: uuidv4(),
+        user_id: userId,
+        game_id: gameId,
+        season_id: seasonId,
+        category: pick.category,
+        subject: pick.subject,
+        pick: pick.pick,
+        is_correct: null,
+        created_at: now,
+        updated_at: now
+      });
+    }
+  }
+
+  /**
+   * Grade every pick on one futures market in a game
+   * @param {string} gameId - Game ID
+   * @param {string} category - Market category
+   * @param {string} subject - Market subject
+   * @param {string|null} result - Winning pick, or null to mark the market ungraded
+   * @returns {Promise<void>}
+   */
+  async gradeFuturesPicks(gameId, category, subject, result) {
+    const picks = (await this.getFuturesPicks(gameId))
+      .filter(pick => pick.category === category && pick.subject === subject);
+
+    for (const pick of picks) {
+      const isCorrect = result === null ? null : pick.pick === result;
+      if (pick.is_correct !== isCorrect) {
+        await this.db._dynamoUpdate('futures_picks', { id: pick.id }, {
+          is_correct: isCorrect,
+          updated_at: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  /**
+   * Delete every futures pick a user has made, in all games
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteFuturesPicksByUser(userId) {
+    const result = await this.db._dynamoScan('futures_picks', { user_id: userId });
+    for (const pick of result.Items || []) {
+      await this.db._dynamoDelete('futures_picks', { id: pick.id });
+    }
+  }
+}
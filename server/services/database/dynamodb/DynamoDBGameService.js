@@ -1,6 +1,11 @@
 import { v4 as uuidv4 } from 'uuid';
 import IGameService from '../interfaces/IGameService.js';
 import db from '../../../models/database.js';
+import { createGameSlug } from '../../../utils/gameSlug.js';
+
+// Mirrors the CHECK constraint on game_participants.role in SQLite
+const PARTICIPANT_ROLES = ['owner', 'co_commissioner', 'player'];
+const ROLE_ORDER = { owner: 0, co_commissioner: 1, player: 2 };
 
 /**
  * DynamoDB-specific Game Service
@@ -60,17 +65,6 @@ export default class DynamoDBGameService extends IGameService {
    * @returns {Promise<Object|null>} Game with participants
    */
   async getGameBySlug(gameSlug, userId) {
-    // Helper function to create URL-friendly slugs
-    const createGameSlug = (gameName) => {
-      return gameName
-        .toLowerCase()
-        .replace(/[^a-z0-9\s-]/g, "")
-        .replace(/\s+/g, "-")
-        .replace(/-+/g, "-")
-        .trim()
-        .replace(/^-+|-+$/g, "");
-    };
-
     // Use GSI user_id-index to check if user is a participant in any games
     const userParticipations = await this.db._getByUserIdGSI('game_participants', userId);
 
@@ -192,7 +186,7 @@ export default class DynamoDBGameService extends IGameService {
     const gameId = uuidv4();
 
     // Convert gameType to match database values
-    const dbGameType = gameType === "week" ? "weekly" : "survivor";
+    const dbGameType = gameType === "week" ? "weekly" : gameType;
 
     const gameItem = {
       id: gameId,
@@ -200,7 +194,8 @@ export default class DynamoDBGameService extends IGameService {
       type: dbGameType,
       commissioner_id: commissionerId,
       season_id: seasonId,
-      is_active: true
+      is_active: true,
+      participant_count: 0
     };
 
     // Create the game
@@ -276,6 +271,14 @@ export default class DynamoDBGameService extends IGameService {
       }
     }
 
+    // Delete futures picks
+    const futuresPicks = await this.db._dynamoScan('futures_picks', { game_id: gameId });
+    if (futuresPicks.Items) {
+      for (const futuresPick of futuresPicks.Items) {
+        await this.db._dynamoDelete('futures_picks', { id: futuresPick.id });
+      }
+    }
+
     // Delete game invitations
     const invitations = await this.db._dynamoScan('game_invitations', { game_id: gameId });
     if (invitations.Items) {
@@ -284,6 +287,38 @@ export default class DynamoDBGameService extends IGameService {
       }
     }
 
+    // Delete notifications about the game
+    const notifications = await this.db._dynamoScan('notifications', { game_id: gameId });
+    if (notifications.Items) {
+      for (const notification of notifications.Items) {
+        await this.db._dynamoDelete('notifications', { id: notification.id });
+      }
+    }
+
+    // Delete the game's message board
+    const messages = await this.db._dynamoScan('game_messages', { game_id: gameId });
+    if (messages.Items) {
+      for (const message of messages.Items) {
+        await this.db._dynamoDelete('game_messages', { id: message.id });
+      }
+    }
+
+    // Delete the game's join links
+    const joinCodes = await this.db._dynamoScan('game_join_codes', { game_id: gameId });
+    if (joinCodes.Items) {
+      for (const joinCode of joinCodes.Items) {
+        await this.db._dynamoDelete('game_join_codes', { id: joinCode.id });
+      }
+    }
+
+    // Delete the game's pick override log
+    const overrides = await this.db._dynamoScan('pick_overrides', { game_id: gameId });
+    if (overrides.Items) {
+      for (const override of overrides.Items) {
+        await this.db._dynamoDelete('pick_overrides', { id: override.id });
+      }
+    }
+
     // Delete game participants
     const participants = await this.db._dynamoScan('game_participants', { game_id: gameId });
     if (participants.Items) {
@@ -296,24 +331,62 @@ export default class DynamoDBGameService extends IGameService {
     await this.db._dynamoDelete('pickem_games', { id: gameId });
   }
 
+  /**
+   * Make sure a game has a participant_count, the counter addParticipantIfNotFull caps
+   * atomically. Games created before it was kept are counted from their roster.
+   * @param {string} gameId - Game ID
+   * @returns {Promise<boolean>} True if the count was just taken from the roster
+   */
+  async seedParticipantCount(gameId) {
+    const game = (await this.db._dynamoGet('pickem_games', { id: gameId })).Item;
+    if (!game || game.participant_count !== undefined) {
+      return false;
+    }
+
+    const participants = await this.db._getByGameIdGSI('game_participants', gameId);
+    await this.db._dynamoUpdate('pickem_games', { id: gameId }, { participant_count: participants.length });
+    return true;
+  }
+
+  /**
+   * Keep a game's participant_count in step with a participant being added or removed
+   * @param {string} gameId - Game ID
+   * @param {number} change - 1 for an added participant, -1 for a removed one
+   * @returns {Promise<void>}
+   */
+  async countParticipants(gameId, change) {
+    // A freshly seeded count already reflects the change
+    if (!await this.seedParticipantCount(gameId)) {
+      await this.db._dynamoIncrement('pickem_games', { id: gameId }, 'participant_count', change);
+    }
+  }
+
   /**
    * Add participant to game
    * @param {string} gameId - Game ID
    * @param {string} userId - User ID
-   * @param {string} role - Participant role (owner/player)
+   * @param {string} role - Participant role (owner/co_commissioner/player)
    * @returns {Promise<Object>} Participant record
    */
   async addParticipant(gameId, userId, role = 'player') {
+    if (!PARTICIPANT_ROLES.includes(role)) {
+      throw new Error(`Invalid participant role: ${role}`);
+    }
+
     const participantId = uuidv4();
     
     const participantItem = {
       id: participantId,
       game_id: gameId,
       user_id: userId,
-      role: role
+      role: role,
+      survivor_status: 'alive',
+      strikes: 0,
+      created_at: new Date().toISOString()
     };
 
     await this.db._dynamoPut('game_participants', participantItem);
+    await this.countParticipants(gameId, 1);
 
     // Get user info for return
     const userResult = await this.db._dynamoGet('users', { id: userId });
@@ -328,6 +401,81 @@ export default class DynamoDBGameService extends IGameService {
     };
   }
 
+  /**
+   * Add a player to a game only while it has room under its max_participants cap. The
+   * seat is claimed with a conditional update of the game's participant_count, so
+   * simultaneous joins can't overfill a game.
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} role - Participant role
+   * @returns {Promise<Object|null>} Participant record, or null if the game is full
+   */
+  async addParticipantIfNotFull(gameId, userId, role = 'player') {
+    await this.seedParticipantCount(gameId);
+    if (!await this.db._dynamoIncrement('pickem_games', { id: gameId }, 'participant_count', 1, 'max_participants')) {
+      return null;
+    }
+
+    try {
+      const participantItem = {
+        id: uuidv4(),
+        game_id: gameId,
+        user_id: userId,
+        role: role,
+        survivor_status: 'alive',
+        strikes: 0,
+        created_at: new Date().toISOString()
+      };
+      await this.db._dynamoPut('game_participants', participantItem);
+      return participantItem;
+    } catch (error) {
+      // Give the seat back
+      await this.db._dynamoIncrement('pickem_games', { id: gameId }, 'participant_count', -1);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a participant's role and co-commissioner permissions
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} role - co_commissioner or player
+   * @param {string[]} permissions - What a co-commissioner may manage, empty for players
+   * @returns {Promise<Object>} Updated participant
+   */
+  async updateParticipantRole(gameId, userId, role, permissions = []) {
+    if (!PARTICIPANT_ROLES.includes(role)) {
+      throw new Error(`Invalid participant role: ${role}`);
+    }
+
+    const participant = await this.getParticipant(gameId, userId);
+
+    if (!participant) {
+      throw new Error('User is not in this game');
+    }
+
+    await this.db._dynamoUpdate('game_participants', { id: participant.id }, { role, permissions });
+
+    return { ...participant, role, permissions };
+  }
+
+  /**
+   * Hand a game to another participant. The new owner becomes commissioner and the
+   * previous owner stays on as a co-commissioner with the given permissions.
+   * @param {string} gameId - Game ID
+   * @param {string|null} fromUserId - Current owner, if the game has one
+   * @param {string} toUserId - Participant taking over
+   * @param {string[]} previousOwnerPermissions - Permissions the previous owner keeps
+   * @returns {Promise<void>}
+   */
+  async transferOwnership(gameId, fromUserId, toUserId, previousOwnerPermissions = []) {
+    if (fromUserId) {
+      await this.updateParticipantRole(gameId, fromUserId, 'co_commissioner', previousOwnerPermissions);
+    }
+    await this.updateParticipantRole(gameId, toUserId, 'owner', []);
+    await this.db._dynamoUpdate('pickem_games', { id: gameId }, { commissioner_id: toUserId });
+  }
+
   /**
    * Remove participant from game
    * @param {string} gameId - Game ID
@@ -348,6 +496,7 @@ export default class DynamoDBGameService extends IGameService {
 
     // Delete participant record
     await this.db._dynamoDelete('game_participants', { id: participant.id });
+    await this.countParticipants(gameId, -1);
 
     // Also remove any picks for this user in this game
     const picks = await this.db._dynamoScan('picks', { 
@@ -362,6 +511,19 @@ export default class DynamoDBGameService extends IGameService {
     }
   }
 
+  /**
+   * Remove a user from every game they belong to, whatever their role
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async removeParticipantFromAllGames(userId) {
+    const result = await this.db._dynamoScan('game_participants', { user_id: userId });
+    for (const participant of result.Items || []) {
+      await this.db._dynamoDelete('game_participants', { id: participant.id });
+      await this.countParticipants(participant.game_id, -1);
+    }
+  }
+
   /**
    * Check if user is participant in game
    * @param {string} gameId - Game ID
@@ -441,10 +603,12 @@ export default class DynamoDBGameService extends IGameService {
 
       participantsWithUserInfo.push({
         ...participant,
+        permissions: participant.permissions || [],
         user_id: participant.user_id,
         first_name: user?.first_name,
         last_name: user?.last_name,
         email: user?.email,
+        pick_reminders: user?.pick_reminders,
         display_name: user ? `${user.first_name} ${user.last_name}` : null
       });
     }
@@ -452,7 +616,7 @@ export default class DynamoDBGameService extends IGameService {
     // Sort by role, then by name
     return participantsWithUserInfo.sort((a, b) => {
       if (a.role !== b.role) {
-        return a.role === 'owner' ? -1 : 1;
+        return (ROLE_ORDER[a.role] ?? 2) - (ROLE_ORDER[b.role] ?? 2);
       }
       return (a.display_name || '').localeCompare(b.display_name || '');
     });
@@ -600,6 +764,19 @@ export default class DynamoDBGameService extends IGameService {
     }
   }
 
+  /**
+   * Make another user the commissioner of every game a user is commissioner of
+   * @param {string} fromUserId - Current commissioner
+   * @param {string} toUserId - New commissioner
+   * @returns {Promise<void>}
+   */
+  async transferCommissionerRole(fromUserId, toUserId) {
+    const result = await this.db._dynamoScan('pickem_games', { commissioner_id: fromUserId });
+    for (const game of result.Items || []) {
+      await this.updateGameData(game.id, { commissioner_id: toUserId });
+    }
+  }
+
   /**
    * Get game count by season
    * @param {string} seasonId - Season ID
@@ -615,4 +792,169 @@ export default class DynamoDBGameService extends IGameService {
       return 0; // Return 0 on error to be safe
     }
   }
-}
\ No newline at end of file
+
+  /**
+   * Get the commissioner-designated tiebreaker games for a game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} Map of week number to football game ID
+   */
+  async getTiebreakerGames(gameId) {
+    const result = await this.db._dynamoGet('pickem_games', { id: gameId });
+    return result.Item?.tiebreaker_games || {};
+  }
+
+  /**
+   * Designate the tiebreaker football game for a week
+   * @param {string} gameId - Game ID
+   * @param {number} week - Week number
+   * @param {string|null} footballGameId - Football game ID (null restores the default)
+   * @returns {Promise<Object>} Updated map of week number to football game ID
+   */
+  async setTiebreakerGame(gameId, week, footballGameId) {
+    const tiebreakerGames = await this.getTiebreakerGames(gameId);
+    if (footballGameId) {
+      tiebreakerGames[week] = footballGameId;
+    } else {
+      delete tiebreakerGames[week];
+    }
+
+    await this.db._dynamoUpdate('pickem_games', { id: gameId }, {
+      tiebreaker_games: tiebreakerGames
+    });
+    return tiebreakerGames;
+  }
+
+  /**
+   * Update a participant's survivor elimination tracking
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {Object} updates - Any of survivor_status, strikes, eliminated_week and reentry_week
+   * @returns {Promise<void>}
+   */
+  async updateSurvivorStatus(gameId, userId, updates) {
+    const participant = await this.getParticipant(gameId, userId);
+
+    if (!participant) {
+      throw new Error('User is not in this game');
+    }
+
+    await this.db._dynamoUpdate('game_participants', { id: participant.id }, updates);
+  }
+
+  /**
+   * Replace a game's rules document
+   * @param {string} gameId - Game ID
+   * @param {Object} rules - Validated rules document
+   * @returns {Promise<void>}
+   */
+  async updateGameRules(gameId, rules) {
+    await this.db._dynamoUpdate('pickem_games', { id: gameId }, { rules });
+  }
+
+  /**
+   * Save a participant's playoff bracket predictions
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {Object} picks - Validated predictions: winning team IDs keyed by round
+   * @returns {Promise<void>}
+   */
+  async updateBracketPicks(gameId, userId, picks) {
+    const participant = await this.getParticipant(gameId, userId);
+
+    if (!participant) {
+      throw new Error('User is not in this game');
+    }
+
+    await this.db._dynamoUpdate('game_participants', { id: participant.id }, { bracket_picks: picks });
+  }
+
+  /**
+   * Replace a game's futures settings
+   * @param {string} gameId - Game ID
+   * @param {Object} settings - Validated futures settings: enabled flag, lock time and win total lines
+   * @returns {Promise<void>}
+   */
+  async updateFuturesSettings(gameId, settings) {
+    await this.db._dynamoUpdate('pickem_games', { id: gameId }, { futures: settings });
+  }
+
+  /**
+   * Record the week a participant was last sent a missing-picks reminder
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {number} week - Week number
+   * @param {boolean} [emailFailed] - The reminder email failed and should be retried
+   * @returns {Promise<void>}
+   */
+  async updateReminderWeek(gameId, userId, week, emailFailed = false) {
+    const participant = await this.getParticipant(gameId, userId);
+
+    if (!participant) {
+      throw new Error('User is not in this game');
+    }
+
+    await this.db._dynamoUpdate('game_participants', { id: participant.id }, {
+      reminder_week: week,
+      reminder_email_failed: emailFailed
+    });
+  }
+
+  /**
+   * Get the weeks whose results recap has been emailed to a game's players
+   * @param {string} gameId - Game ID
+   * @returns {Promise<number[]>} Week numbers
+   */
+  async getRecapWeeks(gameId) {
+    const result = await this.db._dynamoGet('pickem_games', { id: gameId });
+    return result.Item?.recap_weeks || [];
+  }
+
+  /**
+   * Record that a week's results recap has been emailed to a game's players
+   * @param {string} gameId - Game ID
+   * @param {number} week - Week number
+   * @returns {Promise<number[]>} Updated list of recapped weeks
+   */
+  async addRecapWeek(gameId, week) {
+    const recapWeeks = await this.getRecapWeeks(gameId);
+    if (!recapWeeks.includes(week)) {
+      recapWeeks.push(week);
+    }
+
+    await this.db._dynamoUpdate('pickem_games', { id: gameId }, {
+      recap_weeks: recapWeeks
+    });
+    return recapWeeks;
+  }
+
+  /**
+   * Get a page of the active public games, newest first
+   * @param {Object} [options]
+   * @param {string} [options.search] - Only games whose name contains this
+   * @param {number} [options.limit] - Page size
+   * @param {number} [options.offset] - Games to skip
+   * @returns {Promise<{games: Array, total: number}>} Games with player_count and commissioner_name
+   */
+  async getPublicGames({ search = '', limit = 20, offset = 0 } = {}) {
+    const result = await this.db._dynamoScan('pickem_games', { visibility: 'public' });
+    const needle = search.toLowerCase();
+
+    const matching = (result.Items || [])
+      .filter(game => game.is_active !== false && (game.game_name || '').toLowerCase().includes(needle))
+      .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || '') || a.id.localeCompare(b.id));
+
+    const games = [];
+    for (const game of matching.slice(offset, offset + limit)) {
+      const participants = await this.getGameParticipants(game.id);
+      const commissioner = (await this.db._dynamoGet('users', { id: game.commissioner_id })).Item;
+      games.push({
+        ...game,
+        game_type: game.type || 'weekly',
+        player_count: participants.length,
+        commissioner_name: commissioner ? `${commissioner.first_name} ${commissioner.last_name}` : null
+      });
+    }
+
+    return { games, total: matching.length };
+  }
+}
@@ -0,0 +1,106 @@
+import { v4 as uuidv4 } from 'uuid';
+import IJoinCodeService from '../interfaces/IJoinCodeService.js';
+import db from '../../../models/database.js';
+
+/**
+ * DynamoDB-specific Join Code Service
+ * Implements join link operations using DynamoDB database provider
+ */
+export default class DynamoDBJoinCodeService extends IJoinCodeService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Create a join code for a game
+   * @param {Object} joinCode - Join code data
+   * @returns {Promise<Object>} Created join code
+   */
+  async createJoinCode({ gameId, code, createdBy, expiresAt = null, maxUses = null }) {
+    const now = new Date().toISOString();
+    const joinCode = {
+      id: uuidv4(),
+      game_id: gameId,
+      code,
+      created_by_user_id: createdBy,
+      expires_at: expiresAt,
+      max_uses: maxUses,
+      use_count: 0,
+      is_revoked: false,
+      created_at: now,
+      updated_at: now
+    };
+
+    await this.db._dynamoPut('game_join_codes', joinCode);
+    return joinCode;
+  }
+
+  /**
+   * Get a join code by its code
+   * @param {string} code - Short code
+   * @returns {Promise<Object|null>} Join code
+   */
+  async getJoinCodeByCode(code) {
+    const result = await this.db._dynamoQueryGSI('game_join_codes', 'code-index', { code });
+    return (result.Items && result.Items.length > 0) ? result.Items[0] : null;
+  }
+
+  /**
+   * Get a join code by ID
+   * @param {string} joinCodeId - Join code ID
+   * @returns {Promise<Object|null>} Join code
+   */
+  async getJoinCodeById(joinCodeId) {
+    const result = await this.db._dynamoGet('game_join_codes', { id: joinCodeId });
+    return result.Item || null;
+  }
+
+  /**
+   * Get every join code of a game, newest first
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Array>} Join codes
+   */
+  async getGameJoinCodes(gameId) {
+    const joinCodes = await this.db._getByGameIdGSI('game_join_codes', gameId);
+    return joinCodes.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Count one join against a code, unless it has already reached its limit
+   * @param {string} joinCodeId - Join code ID
+   * @returns {Promise<boolean>} Whether the use was recorded
+   */
+  async recordUse(joinCodeId) {
+    const joinCode = await this.getJoinCodeById(joinCodeId);
+    if (!joinCode || (joinCode.max_uses != null && joinCode.use_count >= joinCode.max_uses)) {
+      return false;
+    }
+
+    await this.db._dynamoUpdate('game_join_codes', { id: joinCodeId }, {
+      use_count: (joinCode.use_count || 0) + 1
+    });
+    return true;
+  }
+
+  /**
+   * Revoke a join code so it can no longer be used
+   * @param {string} joinCodeId - Join code ID
+   * @returns {Promise<void>}
+   */
+  async revokeJoinCode(joinCodeId) {
+    await this.db._dynamoUpdate('game_join_codes', { id: joinCodeId }, { is_revoked: true });
+  }
+
+  /**
+   * Delete every join code a user created
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteJoinCodesByUser(userId) {
+    const joinCodes = await this.db._dynamoScan('game_join_codes', { created_by_user_id: userId });
+    for (const joinCode of joinCodes.Items || []) {
+      await this.db._dynamoDelete('game_join_codes', { id: joinCode.id });
+    }
+  }
+}
@@ -0,0 +1,109 @@
+import { v4 as uuidv4 } from 'uuid';
+import ILeagueService from '../interfaces/ILeagueService.js';
+import db from '../../../models/database.js';
+
+/**
+ * DynamoDB-specific League Service
+ * Implements league operations using DynamoDB database provider
+ */
+export default class DynamoDBLeagueService extends ILeagueService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Create a league
+   * @param {Object} leagueData - League data
+   * @param {string} leagueData.leagueName - League name
+   * @param {string} leagueData.commissionerId - Commissioner user ID
+   * @returns {Promise<Object>} Created league
+   */
+  async createLeague(leagueData) {
+    const { leagueName, commissionerId } = leagueData;
+    const now = new Date().toISOString();
+
+    const league = {
+      id: uuidv4(),
+      league_name: leagueName,
+      commissioner_id: commissionerId,
+      created_at: now,
+      updated_at: now
+    };
+
+    await this.db._dynamoPut('leagues', league);
+    return league;
+  }
+
+  /**
+   * Get league by ID
+   * @param {string} leagueId - League ID
+   * @returns {Promise<Object|null>} League or null
+   */
+  async getLeagueById(leagueId) {
+    const result = await this.db._dynamoGet('leagues', { id: leagueId });
+    return result.Item || null;
+  }
+
+  /**
+   * Update a league
+   * @param {string} leagueId - League ID
+   * @param {Object} updates - Fields to update (leagueName, commissionerId)
+   * @returns {Promise<Object>} Updated league
+   */
+  async updateLeague(leagueId, updates) {
+    const existingLeague = await this.getLeagueById(leagueId);
+
+    if (!existingLeague) {
+      throw new Error('League not found');
+    }
+
+    const updateData = {
+      league_name: updates.leagueName || existingLeague.league_name,
+      commissioner_id: updates.commissionerId || existingLeague.commissioner_id,
+      updated_at: new Date().toISOString()
+    };
+
+    await this.db._dynamoUpdate('leagues', { id: leagueId }, updateData);
+    return { ...existingLeague, ...updateData };
+  }
+
+  /**
+   * Get every season's pickem game in a league
+   * @param {string} leagueId - League ID
+   * @returns {Promise<Array>} Games with their season year, oldest season first
+   */
+  async getLeagueGames(leagueId) {
+    const result = await this.db._dynamoScan('pickem_games', { league_id: leagueId });
+    const games = result.Items || [];
+
+    const seasonYears = new Map();
+    for (const seasonId of new Set(games.map(game => game.season_id))) {
+      const season = await this.db._dynamoGet('seasons', { id: seasonId });
+      seasonYears.set(seasonId, season.Item?.season || null);
+    }
+
+    return games
+      .map(game => ({ ...game, game_type: game.type || 'weekly', season: seasonYears.get(game.season_id) }))
+      .sort((a, b) =>
+        String(a.season || '').localeCompare(String(b.season || '')) ||
+        String(a.created_at || '').localeCompare(String(b.created_at || ''))
+      );
+  }
+
+  /**
+   * Make another user the commissioner of every league a user is commissioner of
+   * @param {string} fromUserId - Current commissioner
+   * @param {string} toUserId - New commissioner
+   * @returns {Promise<void>}
+   */
+  async transferLeagueCommissioner(fromUserId, toUserId) {
+    const result = await this.db._dynamoScan('leagues', { commissioner_id: fromUserId });
+    for (const league of result.Items || []) {
+      await this.db._dynamoUpdate('leagues', { id: league.id }, {
+        commissioner_id: toUserId,
+        updated_at: new Date().toISOString()
+      });
+    }
+  }
+}
@@ -0,0 +1,132 @@
+import { v4 as uuidv4 } from 'uuid';
+import IMessageService from '../interfaces/IMessageService.js';
+import db from '../../../models/database.js';
+
+// Newest first, with the ID breaking ties between messages posted in the same millisecond
+const newestFirst = (a, b) =>
+  b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id);
+
+/**
+ * DynamoDB-specific Message Service
+ * Implements message board operations using DynamoDB database provider
+ */
+export default class DynamoDBMessageService extends IMessageService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Add author names to messages
+   * @param {Array} messages - Messages
+   * @returns {Promise<Array>} Messages with first_name and last_name
+   */
+  async withAuthors(messages) {
+    const authors = new Map();
+    for (const userId of new Set(messages.map(message => message.user_id).filter(Boolean))) {
+      const result = await this.db._dynamoGet('users', { id: userId });
+      authors.set(userId, result.Item);
+    }
+
+    return messages.map(message => ({
+      ...message,
+      first_name: authors.get(message.user_id)?.first_name ?? null,
+      last_name: authors.get(message.user_id)?.last_name ?? null
+    }));
+  }
+
+  /**
+   * Post a message to a game's board
+   * @param {Object} message - Message data
+   * @returns {Promise<Object>} Created message with author name
+   */
+  async createMessage({ gameId, userId = null, body, isSystem = false }) {
+    const message = {
+      id: uuidv4(),
+      game_id: gameId,
+      user_id: userId,
+      body,
+      is_system: isSystem,
+      is_pinned: false,
+      created_at: new Date().toISOString()
+    };
+
+    await this.db._dynamoPut('game_messages', message);
+    return (await this.withAuthors([message]))[0];
+  }
+
+  /**
+   * Get a page of a game's messages, newest first
+   * @param {string} gameId - Game ID
+   * @param {Object} [options]
+   * @param {Object|null} [options.before] - Only messages older than this one
+   * @param {number} [options.limit] - Maximum messages to return
+   * @returns {Promise<Array>} Messages with author names
+   */
+  async getMessages(gameId, { before = null, limit = 50 } = {}) {
+    const messages = (await this.db._getByGameIdGSI('game_messages', gameId) || [])
+      .filter(message => !before || newestFirst(before, message) < 0)
+      .sort(newestFirst)
+      .slice(0, limit);
+
+    return await this.withAuthors(messages);
+  }
+
+  /**
+   * Get a game's pinned messages, newest first
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Array>} Messages with author names
+   */
+  async getPinnedMessages(gameId) {
+    const messages = (await this.db._getByGameIdGSI('game_messages', gameId) || [])
+      .filter(message => message.is_pinned)
+      .sort(newestFirst);
+
+    return await this.withAuthors(messages);
+  }
+
+  /**
+   * Get a message by ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} Message with author name
+   */
+  async getMessageById(messageId) {
+    const result = await this.db._dynamoGet('game_messages', { id: messageId });
+    if (!result.Item) {
+      return null;
+    }
+    return (await this.withAuthors([result.Item]))[0];
+  }
+
+  /**
+   * Pin or unpin a message
+   * @param {string} messageId - Message ID
+   * @param {boolean} pinned - Whether the message is pinned
+   * @returns {Promise<Object|null>} Updated message
+   */
+  async setPinned(messageId, pinned) {
+    await this.db._dynamoUpdate('game_messages', { id: messageId }, { is_pinned: !!pinned });
+    return await this.getMessageById(messageId);
+  }
+
+  /**
+   * Delete a message
+   * @param {string} messageId - Message ID
+   * @returns {Promise<void>}
+   */
+  async deleteMessage(messageId) {
+    await this.db._dynamoDelete('game_messages', { id: messageId });
+  }
+
+  /**
+   * Delete every message a user wrote
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteMessagesByUser(userId) {
+    const messages = await this.db._dynamoScan('game_messages', { user_id: userId });
+    for (const message of messages.Items || []) {
+      await this.db._dynamoDelete('game_messages', { id: message.id });
+    }
+  }
+}
@@ -330,4 +330,23 @@ export default class DynamoDBNFLDataService extends INFLDataService {
     const updatedResult = await this.db._dynamoGet('football_games', { id: gameId });
     return updatedResult.Item;
   }
+
+  /**
+   * Update game point spread
+   * @param {string} gameId - Game ID
+   * @param {number|null} spread - Home team spread (negative = home favored), null to clear
+   * @returns {Promise<Object>} Updated game
+   */
+  async updateGameSpread(gameId, spread) {
+    const existingGameResult = await this.db._dynamoGet('football_games', { id: gameId });
+    if (!existingGameResult.Item) {
+      throw new Error('Football game not found');
+    }
+
+    await this.db._dynamoUpdate('football_games', { id: gameId }, { spread });
+
+    // Return updated game
+    const updatedResult = await this.db._dynamoGet('football_games', { id: gameId });
+    return updatedResult.Item;
+  }
 }
\ No newline at end of file
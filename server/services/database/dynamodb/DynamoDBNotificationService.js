@@ -0,0 +1,89 @@
+import { v4 as uuidv4 } from 'uuid';
+import INotificationService from '../interfaces/INotificationService.js';
+import db from '../../../models/database.js';
+
+/**
+ * DynamoDB-specific Notification Service
+ * Implements in-app notification operations using DynamoDB database provider
+ */
+export default class DynamoDBNotificationService extends INotificationService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Create a notification for a user
+   * @param {Object} notification - Notification data
+   * @returns {Promise<Object>} Created notification
+   */
+  async createNotification({ userId, gameId = null, type, title, message = null, link = null }) {
+    const notification = {
+      id: uuidv4(),
+      user_id: userId,
+      game_id: gameId,
+      type,
+      title,
+      message,
+      link,
+      is_read: false,
+      created_at: new Date().toISOString()
+    };
+
+    await this.db._dynamoPut('notifications', notification);
+    return notification;
+  }
+
+  /**
+   * Get a user's most recent notifications, newest first
+   * @param {string} userId - User ID
+   * @param {number} [limit] - Maximum notifications to return
+   * @returns {Promise<Array>} Notifications
+   */
+  async getUserNotifications(userId, limit = 20) {
+    const notifications = await this.db._getByUserIdGSI('notifications', userId) || [];
+
+    return notifications
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unread count
+   */
+  async getUnreadCount(userId) {
+    const notifications = await this.db._getByUserIdGSI('notifications', userId) || [];
+    return notifications.filter(notification => !notification.is_read).length;
+  }
+
+  /**
+   * Mark a user's notifications read
+   * @param {string} userId - User ID
+   * @param {Array<string>|null} [notificationIds] - Notifications to mark (all of the user's if omitted)
+   * @returns {Promise<void>}
+   */
+  async markRead(userId, notificationIds = null) {
+    const notifications = await this.db._getByUserIdGSI('notifications', userId) || [];
+
+    for (const notification of notifications) {
+      if (notification.is_read) continue;
+      if (notificationIds && !notificationIds.includes(notification.id)) continue;
+
+      await this.db._dynamoUpdate('notifications', { id: notification.id }, { is_read: true });
+    }
+  }
+
+  /**
+   * Delete every notification of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteUserNotifications(userId) {
+    const notifications = await this.db._getByUserIdGSI('notifications', userId) || [];
+    for (const notification of notifications) {
+      await this.db._dynamoDelete('notifications', { id: notification.id });
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import { v4 as uuidv4 } from 'uuid';
+import IPickOverrideService from '../interfaces/IPickOverrideService.js';
+import db from '../../../models/database.js';
+
+// Newest first, with the ID breaking ties between overrides made in the same millisecond
+const newestFirst = (a, b) =>
+  b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id);
+
+/**
+ * DynamoDB-specific Pick Override Service
+ * Implements the pick override audit log using DynamoDB database provider
+ */
+export default class DynamoDBPickOverrideService extends IPickOverrideService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Add player and commissioner names to overrides
+   * @param {Array} overrides - Overrides
+   * @returns {Promise<Array>} Overrides with player_name and overridden_by_name
+   */
+  async withNames(overrides) {
+    const userIds = new Set();
+    overrides.forEach(override => {
+      userIds.add(override.user_id);
+      if (override.overridden_by_user_id) userIds.add(override.overridden_by_user_id);
+    });
+
+    const names = new Map();
+    for (const userId of userIds) {
+      const result = await this.db._dynamoGet('users', { id: userId });
+      if (result.Item) {
+        names.set(userId, `${result.Item.first_name} ${result.Item.last_name}`);
+      }
+    }
+
+    return overrides.map(override => ({
+      ...override,
+      player_name: names.get(override.user_id) ?? null,
+      overridden_by_name: names.get(override.overridden_by_user_id) ?? null
+    }));
+  }
+
+  /**
+   * Record a pick a commissioner created, changed or removed for a player
+   * @param {Object} override - Override data
+   * @returns {Promise<Object>} Created override with player and commissioner names
+   */
+  async createOverride({
+    gameId, userId, overriddenBy, footballGameId, seasonId, week, action,
+    previousTeamId = null, newTeamId = null, previousConfidence = null, newConfidence = null, reason
+  }) {
+    const override = {
+      id: uuidv4(),
+      game_id: gameId,
+      user_id: userId,
+      overridden_by_user_id: overriddenBy,
+      football_game_id: footballGameId,
+      season_id: seasonId,
+      week,
+      action,
+      previous_team_id: previousTeamId,
+      new_team_id: newTeamId,
+      previous_confidence: previousConfidence,
+      new_confidence: newConfidence,
+      reason,
+      created_at: new Date().toISOString()
+    };
+
+    await this.db._dynamoPut('pick_overrides', override);
+    return (await this.withNames([override]))[0];
+  }
+
+  /**
+   * Get a game's overrides, newest first
+   * @param {string} gameId - Game ID
+   * @param {Object} [filters]
+   * @param {number} [filters.week] - Only overrides for this week
+   * @returns {Promise<Array>} Overrides with player and commissioner names
+   */
+  async getGameOverrides(gameId, { week } = {}) {
+    const overrides = (await this.db._getByGameIdGSI('pick_overrides', gameId) || [])
+      .filter(override => !week || override.week === week)
+      .sort(newestFirst);
+
+    return await this.withNames(overrides);
+  }
+
+  /**
+   * Remove a deleted user from the log: overrides of their picks are deleted and
+   * overrides they made are kept without their name
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteOverridesByUser(userId) {
+    const ofUser = await this.db._dynamoScan('pick_overrides', { user_id: userId });
+    for (const override of ofUser.Items || []) {
+      await this.db._dynamoDelete('pick_overrides', { id: override.id });
+    }
+
+    const byUser = await this.db._dynamoScan('pick_overrides', { overridden_by_user_id: userId });
+    for (const override of byUser.Items || []) {
+      await this.db._dynamoUpdate('pick_overrides', { id: override.id }, { overridden_by_user_id: null });
+    }
+  }
+}
@@ -62,6 +62,7 @@ export default class DynamoDBPickService extends IPickService {
           enrichedPicks.push({
             ...pick,
             week: footballGame.week,
+            season_type: footballGame.season_type,
             start_time: footballGame.start_time,
             game_status: footballGame.status,
             home_team_city: homeTeam.team_city,
@@ -95,10 +96,13 @@ export default class DynamoDBPickService extends IPickService {
    * @param {string} pickData.footballGameId - Football game ID
    * @param {string} pickData.pickTeamId - Team ID of the pick
    * @param {number} [pickData.tiebreaker] - Tiebreaker value
+   * @param {number} [pickData.confidence] - Confidence rank (confidence games only)
+   * @param {number} [pickData.spread] - Home spread locked in with the pick (ATS games only)
+   * @param {boolean} [pickData.isAuto] - Pick was made by the game's auto-pick policy
    * @returns {Promise<Object>} Created/updated pick
    */
   async createOrUpdatePick(pickData) {
-    const { userId, gameId, footballGameId, pickTeamId, tiebreaker } = pickData;
+    const { userId, gameId, footballGameId, pickTeamId, tiebreaker, confidence, spread, isAuto } = pickData;
 
     // Get football game details for season and week
     const gameResult = await this.db._dynamoGet('football_games', { id: footballGameId });
@@ -116,7 +120,10 @@ export default class DynamoDBPickService extends IPickService {
       // Update existing pick
       await this.db._dynamoUpdate('picks', { id: pickId }, {
         pick_team_id: pickTeamId,
-        tiebreaker: tiebreaker || null
+        tiebreaker: tiebreaker || null,
+        confidence: confidence || null,
+        spread: spread ?? null,
+        is_auto: !!isAuto
       });
     } else {
       // Create new pick with all required composite keys for GSI lookups
@@ -129,6 +136,9 @@ export default class DynamoDBPickService extends IPickService {
         football_game_id: footballGameId,
         pick_team_id: pickTeamId,
         tiebreaker: tiebreaker || null,
+        confidence: confidence || null,
+        spread: spread ?? null,
+        is_auto: !!isAuto,
         // Composite keys for GSI lookups
         season_id_week: this.db._createCompositeKey(footballGame.season_id, footballGame.week.toString()),
         user_game_football: this.db._createCompositeKey(userId, gameId, footballGameId),
@@ -164,6 +174,30 @@ export default class DynamoDBPickService extends IPickService {
     await this.db._dynamoDelete('picks', { id: pickId });
   }
 
+  /**
+   * Delete every pick a user has made, in all games
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deletePicksByUser(userId) {
+    const result = await this.db._dynamoScan('picks', { user_id: userId });
+    for (const pick of result.Items || []) {
+      await this.db._dynamoDelete('picks', { id: pick.id });
+    }
+  }
+
+  /**
+   * Delete a user's weekly standings, in all games
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteStandingsByUser(userId) {
+    const result = await this.db._dynamoScan('weekly_standings', { user_id: userId });
+    for (const standing of result.Items || []) {
+      await this.db._dynamoDelete('weekly_standings', { id: standing.id });
+    }
+  }
+
   /**
    * Get pick by ID
    * @param {string} pickId - Pick ID
@@ -177,7 +211,7 @@ export default class DynamoDBPickService extends IPickService {
       return null;
     }
 
-    // Get football game for start time
+    // Get football game for start time and season type
     const gameResult = await this.db._dynamoGet('football_games', { id: pick.football_game_id });
     const footballGame = gameResult.Item;
     
@@ -188,6 +222,7 @@ export default class DynamoDBPickService extends IPickService {
     return {
       ...pick,
       start_time: footballGame ? footballGame.start_time : null,
+      season_type: footballGame ? footballGame.season_type : null,
       pick_team_city: team.team_city,
       pick_team_name: team.team_name,
       pick_team_code: team.team_code
@@ -200,10 +235,11 @@ export default class DynamoDBPickService extends IPickService {
    * @param {Object} [filters] - Additional filters
    * @param {string} [filters.seasonId] - Season ID
    * @param {number} [filters.week] - Week number
-   * @returns {Promise<Array>} User pick statistics
+   * @returns {Promise<Array>} User pick statistics, including total_points (sum of confidence for correct picks) and push_picks
    */
   async getGamePicksSummary(gameId, filters = {}) {
-    const { seasonId, week } = filters;
+    const { seasonId, week, footballGameIds } = filters;
+    const countedGames = footballGameIds ? new Set(footballGameIds) : null;
     
     try {
       // Use GSI game_id-index for efficient lookup of participants
@@ -227,6 +263,10 @@ export default class DynamoDBPickService extends IPickService {
         // Apply filters in sequence
         let picks = userPicks.filter(p => p.game_id === gameId);
         
+        if (countedGames) {
+          picks = picks.filter(p => countedGames.has(p.football_game_id));
+        }
+        
         if (seasonId) {
           picks = picks.filter(p => p.season_id === seasonId);
         }
@@ -241,7 +281,12 @@ export default class DynamoDBPickService extends IPickService {
         const totalPicks = picks.length;
         const correctPicks = picks.filter(p => p.is_correct === true || p.is_correct === 1).length;
         const incorrectPicks = picks.filter(p => p.is_correct === false || p.is_correct === 0).length;
-        const pickPercentage = totalPicks > 0 ? Math.round((correctPicks / totalPicks) * 100 * 100) / 100 : 0;
+        const pushPicks = picks.filter(p => p.is_push === true || p.is_push === 1).length;
+        const gradedPicks = totalPicks - pushPicks;
+        const pickPercentage = gradedPicks > 0 ? Math.round((correctPicks / gradedPicks) * 100 * 100) / 100 : 0;
+        const totalPoints = picks
+          .filter(p => p.is_correct === true || p.is_correct === 1)
+          .reduce((sum, p) => sum + (p.confidence || 0), 0);
         
         // Get user info
         const userResult = await this.db._dynamoGet('users', { id: participant.user_id });
@@ -253,15 +298,20 @@ export default class DynamoDBPickService extends IPickService {
           last_name: user.last_name || 'User',
           total_picks: totalPicks,
           correct_picks: correctPicks,
-          pick_percentage: pickPercentage
+          push_picks: pushPicks,
+          pick_percentage: pickPercentage,
+          total_points: totalPoints
         });
       } catch (error) {
         console.error(`[DynamoDBPickService] Error calculating picks for user ${participant.user_id}:`, error);
       }
     }
     
-    // Sort by correct picks (descending), then by pick percentage (descending)
+    // Sort by confidence points, then correct picks, then pick percentage (all descending)
     return summary.sort((a, b) => {
+      if (b.total_points !== a.total_points) {
+        return b.total_points - a.total_points;
+      }
       if (b.correct_picks !== a.correct_picks) {
         return b.correct_picks - a.correct_picks;
       }
@@ -410,6 +460,136 @@ export default class DynamoDBPickService extends IPickService {
     }
   }
 
+  /**
+   * Grade against-the-spread picks for a completed game using each pick's locked spread
+   * @param {Object} footballGame - Completed football game with final scores
+   * @returns {Promise<{updatedCount: number}>} Number of picks updated
+   */
+  async updateSpreadPicksForGame(footballGame) {
+    try {
+      const picks = await this.db._dynamoQueryGSI('picks', 'football_game_id-index', {
+        football_game_id: footballGame.id
+      });
+
+      const gameTypes = {};
+      let updatedCount = 0;
+
+      for (const pick of (picks.Items || [])) {
+        if (pick.spread === null || pick.spread === undefined) continue;
+
+        if (!(pick.game_id in gameTypes)) {
+          const gameResult = await this.db._dynamoGet('pickem_games', { id: pick.game_id });
+          gameTypes[pick.game_id] = gameResult.Item?.type;
+        }
+        if (gameTypes[pick.game_id] !== 'ats') continue;
+
+        try {
+          // The home side covers when home_score + spread beats away_score; equal is a push
+          const margin = footballGame.home_score + pick.spread - footballGame.away_score;
+          const pickedHome = pick.pick_team_id === footballGame.home_team_id;
+
+          await this.db._dynamoUpdate('picks', { id: pick.id }, {
+            is_push: margin === 0 ? 1 : 0,
+            is_correct: margin === 0 ? null : ((pickedHome ? margin > 0 : margin < 0) ? 1 : 0)
+          });
+          updatedCount++;
+        } catch (error) {
+          console.error(`[DynamoDBPickService] Failed to grade ATS pick ${pick.id}:`, error);
+        }
+      }
+
+      return { updatedCount };
+
+    } catch (error) {
+      console.error(`[DynamoDBPickService] Error in updateSpreadPicksForGame:`, error);
+      return { updatedCount: 0 };
+    }
+  }
+
+  /**
+   * Grade one pickem game's picks on a football game that ended in a tie
+   * @param {string} footballGameId - Football game ID
+   * @param {string} gameId - Pickem game ID
+   * @param {string} tieScoring - 'loss', 'push' or 'win' from the game's rules
+   * @returns {Promise<{updatedCount: number}>} Number of picks updated
+   */
+  async updateTiedPicksForGame(footballGameId, gameId, tieScoring) {
+    try {
+      const picks = await this.db._dynamoQueryGSI('picks', 'football_game_id-index', {
+        football_game_id: footballGameId
+      });
+
+      const grades = {
+        loss: { is_correct: 0, is_push: 0 },
+        push: { is_correct: null, is_push: 1 },
+        win: { is_correct: 1, is_push: 0 }
+      };
+      const grade = grades[tieScoring] || grades.loss;
+      let updatedCount = 0;
+
+      for (const pick of (picks.Items || []).filter(p => p.game_id === gameId)) {
+        try {
+          await this.db._dynamoUpdate('picks', { id: pick.id }, grade);
+          updatedCount++;
+        } catch (error) {
+          console.error(`[DynamoDBPickService] Failed to grade tied pick ${pick.id}:`, error);
+        }
+      }
+
+      return { updatedCount };
+
+    } catch (error) {
+      console.error(`[DynamoDBPickService] Error in updateTiedPicksForGame:`, error);
+      return { updatedCount: 0 };
+    }
+  }
+
+  /**
+   * Get every tiebreaker guess entered for a week
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @returns {Promise<Array<{user_id: string, football_game_id: string, tiebreaker: number}>>} Picks carrying a tiebreaker
+   */
+  async getWeekTiebreakers(gameId, seasonId, week) {
+    const picks = await this.db._getByGameIdGSI('picks', gameId);
+
+    return picks
+      .filter(p =>
+        p.season_id === seasonId &&
+        p.week === parseInt(week) &&
+        p.tiebreaker !== null && p.tiebreaker !== undefined
+      )
+      .map(p => ({
+        user_id: p.user_id,
+        football_game_id: p.football_game_id,
+        tiebreaker: p.tiebreaker
+      }));
+  }
+
+  /**
+   * Count every player's picks in a week by matchup and team, in one aggregated read
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @returns {Promise<Array<{football_game_id: string, pick_team_id: string, pick_count: number}>>}
+   */
+  async getWeekPickCounts(gameId, seasonId, week) {
+    const picks = await this.db._getByGameIdGSI('picks', gameId);
+
+    const counts = new Map();
+    for (const pick of picks) {
+      if (pick.season_id !== seasonId || pick.week !== parseInt(week)) continue;
+
+      const key = `${pick.football_game_id}:${pick.pick_team_id}`;
+      const row = counts.get(key) || { football_game_id: pick.football_game_id, pick_team_id: pick.pick_team_id, pick_count: 0 };
+      row.pick_count++;
+      counts.set(key, row);
+    }
+
+    return [...counts.values()];
+  }
+
   /**
    * Get pick statistics for a season
    * @param {string} seasonId - Season ID
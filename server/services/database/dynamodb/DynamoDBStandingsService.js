@@ -0,0 +1,101 @@
+import { v4 as uuidv4 } from 'uuid';
+import IStandingsService from '../interfaces/IStandingsService.js';
+import db from '../../../models/database.js';
+
+/**
+ * DynamoDB-specific Standings Service
+ * Implements materialized standings using DynamoDB database provider
+ */
+export default class DynamoDBStandingsService extends IStandingsService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Get the raw standings items for one week of a game
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @returns {Promise<Array>} Standings items
+   * @private
+   */
+  async _getStandingsItems(gameId, seasonId, week) {
+    const result = await this.db._dynamoQueryGSI('weekly_standings', 'game_season_week-index', {
+      game_season_week: this.db._createCompositeKey(gameId, seasonId, week.toString())
+    });
+    return result.Items || [];
+  }
+
+  /**
+   * Replace the stored standings for one week of a game
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number (0 for cumulative season standings)
+   * @param {Array<Object>} standings - Rows with user_id, correct_picks, total_picks, pick_percentage, points_earned, weekly_rank and tiebreaker_score
+   * @returns {Promise<void>}
+   */
+  async saveStandings(gameId, seasonId, week, standings) {
+    const existingItems = await this._getStandingsItems(gameId, seasonId, week);
+    const existingByUser = new Map(existingItems.map(item => [item.user_id, item]));
+    const now = new Date().toISOString();
+
+    for (const standing of standings) {
+      const existing = existingByUser.get(standing.user_id);
+      existingByUser.delete(standing.user_id);
+
+      await this.db._dynamoPut('weekly_standings', {
+        id: existing?.id || uuidv4(),
+        user_id: standing.user_id,
+        game_id: gameId,
+        season_id: seasonId,
+        week,
+        correct_picks: standing.correct_picks,
+        total_picks: standing.total_picks,
+        pick_percentage: standing.pick_percentage,
+        tiebreaker_score: standing.tiebreaker_score ?? null,
+        weekly_rank: standing.weekly_rank,
+        points_earned: standing.points_earned,
+        season_id_week: this.db._createCompositeKey(seasonId, week.toString()),
+        game_season_week: this.db._createCompositeKey(gameId, seasonId, week.toString()),
+        created_at: existing?.created_at || now,
+        updated_at: now
+      });
+    }
+
+    // Players who left the game drop out of the table
+    for (const staleItem of existingByUser.values()) {
+      await this.db._dynamoDelete('weekly_standings', { id: staleItem.id });
+    }
+  }
+
+  /**
+   * Get stored standings for one week of a game
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number (0 for cumulative season standings)
+   * @returns {Promise<Array>} Standings with user names, ordered by rank
+   */
+  async getStandings(gameId, seasonId, week) {
+    const items = await this._getStandingsItems(gameId, seasonId, week);
+
+    const standings = [];
+    for (const item of items) {
+      const userResult = await this.db._dynamoGet('users', { id: item.user_id });
+      const user = userResult.Item;
+
+      standings.push({
+        ...item,
+        first_name: user?.first_name,
+        last_name: user?.last_name
+      });
+    }
+
+    return standings.sort((a, b) => {
+      if (a.weekly_rank !== b.weekly_rank) {
+        return a.weekly_rank - b.weekly_rank;
+      }
+      return `${a.first_name} ${a.last_name}`.localeCompare(`${b.first_name} ${b.last_name}`);
+    });
+  }
+}
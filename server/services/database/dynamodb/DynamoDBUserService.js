@@ -413,6 +413,9 @@ export default class DynamoDBUserService extends IUserService {
       // DynamoDB needs null instead of undefined to clear the field
       updateItem.favorite_team_id = updates.favoriteTeamId || null;
     }
+    if (updates.pickReminders !== undefined) {
+      updateItem.pick_reminders = Boolean(updates.pickReminders);
+    }
 
     if (Object.keys(updateItem).length === 0) {
       throw new Error('No valid fields to update');
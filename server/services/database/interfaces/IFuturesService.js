@@ -0,0 +1,48 @@
+/**
+ * Futures Service Interface
+ * Defines database-agnostic operations for season-long futures picks
+ */
+export default class IFuturesService {
+  /**
+   * Get futures picks for a game
+   * @param {string} gameId - Game ID
+   * @param {string} [userId] - Only this user's picks (all players if omitted)
+   * @returns {Promise<Array>} Picks with category, subject, pick and is_correct
+   */
+  async getFuturesPicks(gameId, userId = null) {
+    throw new Error('getFuturesPicks must be implemented');
+  }
+
+  /**
+   * Replace a user's futures picks for a game
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} seasonId - Season ID
+   * @param {Array<{category: string, subject: string, pick: string}>} picks - Validated picks
+   * @returns {Promise<void>}
+   */
+  async saveFuturesPicks(gameId, userId, seasonId, picks) {
+    throw new Error('saveFuturesPicks must be implemented');
+  }
+
+  /**
+   * Grade every pick on one futures market in a game
+   * @param {string} gameId - Game ID
+   * @param {string} category - Market category
+   * @param {string} subject - Market subject
+   * @param {string|null} result - Winning pick, or null to mark the market ungraded
+   * @returns {Promise<void>}
+   */
+  async gradeFuturesPicks(gameId, category, subject, result) {
+    throw new Error('gradeFuturesPicks must be implemented');
+  }
+
+  /**
+   * Delete every futures pick a user has made, in all games
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteFuturesPicksByUser(userId) {
+    throw new Error('deleteFuturesPicksByUser must be implemented');
+  }
+}
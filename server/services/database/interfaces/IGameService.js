@@ -45,7 +45,7 @@ export default class IGameService {
    * Create a new game
    * @param {Object} gameData - Game creation data
    * @param {string} gameData.gameName - Name of the game
-   * @param {string} gameData.gameType - Type of game (weekly/survivor)
+   * @param {string} gameData.gameType - Type of game (week/survivor/confidence/ats)
    * @param {string} gameData.commissionerId - User ID of the commissioner
    * @param {string} gameData.seasonId - Season ID
    * @returns {Promise<Object>} Created game
@@ -77,13 +77,50 @@ export default class IGameService {
    * Add participant to game
    * @param {string} gameId - Game ID
    * @param {string} userId - User ID
-   * @param {string} role - Participant role (owner/player)
+   * @param {string} role - Participant role (owner/co_commissioner/player)
    * @returns {Promise<Object>} Participant record
    */
   async addParticipant(gameId, userId, role = 'player') {
     throw new Error('addParticipant must be implemented');
   }
 
+  /**
+   * Add a player to a game only while it has room under its max_participants cap. The
+   * check and the insert happen in one step, so simultaneous joins can't overfill a game.
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} role - Participant role
+   * @returns {Promise<Object|null>} Participant record, or null if the game is full
+   */
+  async addParticipantIfNotFull(gameId, userId, role = 'player') {
+    throw new Error('addParticipantIfNotFull must be implemented');
+  }
+
+  /**
+   * Change a participant's role and co-commissioner permissions
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} role - co_commissioner or player
+   * @param {string[]} permissions - What a co-commissioner may manage, empty for players
+   * @returns {Promise<Object>} Updated participant
+   */
+  async updateParticipantRole(gameId, userId, role, permissions = []) {
+    throw new Error('updateParticipantRole must be implemented');
+  }
+
+  /**
+   * Hand a game to another participant. The new owner becomes commissioner and the
+   * previous owner stays on as a co-commissioner with the given permissions.
+   * @param {string} gameId - Game ID
+   * @param {string} fromUserId - Current owner
+   * @param {string} toUserId - Participant taking over
+   * @param {string[]} previousOwnerPermissions - Permissions the previous owner keeps
+   * @returns {Promise<void>}
+   */
+  async transferOwnership(gameId, fromUserId, toUserId, previousOwnerPermissions = []) {
+    throw new Error('transferOwnership must be implemented');
+  }
+
   /**
    * Remove participant from game
    * @param {string} gameId - Game ID
@@ -94,6 +131,15 @@ export default class IGameService {
     throw new Error('removeParticipant must be implemented');
   }
 
+  /**
+   * Remove a user from every game they belong to, whatever their role
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async removeParticipantFromAllGames(userId) {
+    throw new Error('removeParticipantFromAllGames must be implemented');
+  }
+
   /**
    * Check if user is participant in game
    * @param {string} gameId - Game ID
@@ -184,6 +230,16 @@ export default class IGameService {
     throw new Error('updateCommissionerForGamesWithoutCommissioner must be implemented');
   }
 
+  /**
+   * Make another user the commissioner of every game a user is commissioner of
+   * @param {string} fromUserId - Current commissioner
+   * @param {string} toUserId - New commissioner
+   * @returns {Promise<void>}
+   */
+  async transferCommissionerRole(fromUserId, toUserId) {
+    throw new Error('transferCommissionerRole must be implemented');
+  }
+
   /**
    * Get game count by season
    * @param {string} seasonId - Season ID
@@ -192,4 +248,109 @@ export default class IGameService {
   async getGameCountBySeason(seasonId) {
     throw new Error('getGameCountBySeason must be implemented');
   }
-}
\ No newline at end of file
+
+  /**
+   * Get the commissioner-designated tiebreaker games for a game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} Map of week number to football game ID
+   */
+  async getTiebreakerGames(gameId) {
+    throw new Error('getTiebreakerGames must be implemented');
+  }
+
+  /**
+   * Designate the tiebreaker football game for a week
+   * @param {string} gameId - Game ID
+   * @param {number} week - Week number
+   * @param {string|null} footballGameId - Football game ID (null restores the default)
+   * @returns {Promise<Object>} Updated map of week number to football game ID
+   */
+  async setTiebreakerGame(gameId, week, footballGameId) {
+    throw new Error('setTiebreakerGame must be implemented');
+  }
+
+  /**
+   * Update a participant's survivor elimination tracking
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {Object} updates - Any of survivor_status, strikes, eliminated_week and reentry_week
+   * @returns {Promise<void>}
+   */
+  async updateSurvivorStatus(gameId, userId, updates) {
+    throw new Error('updateSurvivorStatus must be implemented');
+  }
+
+  /**
+   * Replace a game's rules document
+   * @param {string} gameId - Game ID
+   * @param {Object} rules - Validated rules document
+   * @returns {Promise<void>}
+   */
+  async updateGameRules(gameId, rules) {
+    throw new Error('updateGameRules must be implemented');
+  }
+
+  /**
+   * Save a participant's playoff bracket predictions
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {Object} picks - Validated predictions: winning team IDs keyed by round
+   * @returns {Promise<void>}
+   */
+  async updateBracketPicks(gameId, userId, picks) {
+    throw new Error('updateBracketPicks must be implemented');
+  }
+
+  /**
+   * Replace a game's futures settings
+   * @param {string} gameId - Game ID
+   * @param {Object} settings - Validated futures settings: enabled flag, lock time and win total lines
+   * @returns {Promise<void>}
+   */
+  async updateFuturesSettings(gameId, settings) {
+    throw new Error('updateFuturesSettings must be implemented');
+  }
+
+  /**
+   * Record the week a participant was last sent a missing-picks reminder
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {number} week - Week number
+   * @param {boolean} [emailFailed] - The reminder email failed and should be retried
+   * @returns {Promise<void>}
+   */
+  async updateReminderWeek(gameId, userId, week, emailFailed = false) {
+    throw new Error('updateReminderWeek must be implemented');
+  }
+
+  /**
+   * Get the weeks whose results recap has been emailed to a game's players
+   * @param {string} gameId - Game ID
+   * @returns {Promise<number[]>} Week numbers
+   */
+  async getRecapWeeks(gameId) {
+    throw new Error('getRecapWeeks must be implemented');
+  }
+
+  /**
+   * Record that a week's results recap has been emailed to a game's players
+   * @param {string} gameId - Game ID
+   * @param {number} week - Week number
+   * @returns {Promise<number[]>} Updated list of recapped weeks
+   */
+  async addRecapWeek(gameId, week) {
+    throw new Error('addRecapWeek must be implemented');
+  }
+
+  /**
+   * Get a page of the active public games, newest first
+   * @param {Object} [options]
+   * @param {string} [options.search] - Only games whose name contains this
+   * @param {number} [options.limit] - Page size
+   * @param {number} [options.offset] - Games to skip
+   * @returns {Promise<{games: Array, total: number}>} Games with player_count and commissioner_name
+   */
+  async getPublicGames({ search = '', limit = 20, offset = 0 } = {}) {
+    throw new Error('getPublicGames must be implemented');
+  }
+}
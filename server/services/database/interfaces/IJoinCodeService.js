@@ -0,0 +1,73 @@
+/**
+ * Join Code Service Interface
+ * Defines database-agnostic operations for shareable game join links
+ */
+export default class IJoinCodeService {
+  /**
+   * Create a join code for a game
+   * @param {Object} joinCode - Join code data
+   * @param {string} joinCode.gameId - Game ID
+   * @param {string} joinCode.code - Unique short code
+   * @param {string} joinCode.createdBy - User who created it
+   * @param {string|null} [joinCode.expiresAt] - ISO expiry, null never expires
+   * @param {number|null} [joinCode.maxUses] - Maximum joins, null is unlimited
+   * @returns {Promise<Object>} Created join code
+   */
+  async createJoinCode(joinCode) {
+    throw new Error('createJoinCode must be implemented');
+  }
+
+  /**
+   * Get a join code by its code
+   * @param {string} code - Short code
+   * @returns {Promise<Object|null>} Join code
+   */
+  async getJoinCodeByCode(code) {
+    throw new Error('getJoinCodeByCode must be implemented');
+  }
+
+  /**
+   * Get a join code by ID
+   * @param {string} joinCodeId - Join code ID
+   * @returns {Promise<Object|null>} Join code
+   */
+  async getJoinCodeById(joinCodeId) {
+    throw new Error('getJoinCodeById must be implemented');
+  }
+
+  /**
+   * Get every join code of a game, newest first
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Array>} Join codes
+   */
+  async getGameJoinCodes(gameId) {
+    throw new Error('getGameJoinCodes must be implemented');
+  }
+
+  /**
+   * Count one join against a code, unless it has already reached its limit
+   * @param {string} joinCodeId - Join code ID
+   * @returns {Promise<boolean>} Whether the use was recorded
+   */
+  async recordUse(joinCodeId) {
+    throw new Error('recordUse must be implemented');
+  }
+
+  /**
+   * Revoke a join code so it can no longer be used
+   * @param {string} joinCodeId - Join code ID
+   * @returns {Promise<void>}
+   */
+  async revokeJoinCode(joinCodeId) {
+    throw new Error('revokeJoinCode must be implemented');
+  }
+
+  /**
+   * Delete every join code a user created
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteJoinCodesByUser(userId) {
+    throw new Error('deleteJoinCodesByUser must be implemented');
+  }
+}
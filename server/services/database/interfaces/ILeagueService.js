@@ -0,0 +1,54 @@
+/**
+ * League Service Interface
+ * Defines database-agnostic operations for leagues: a pickem game carried across seasons
+ */
+export default class ILeagueService {
+  /**
+   * Create a league
+   * @param {Object} leagueData - League data
+   * @param {string} leagueData.leagueName - League name
+   * @param {string} leagueData.commissionerId - Commissioner user ID
+   * @returns {Promise<Object>} Created league
+   */
+  async createLeague(leagueData) {
+    throw new Error('createLeague must be implemented');
+  }
+
+  /**
+   * Get league by ID
+   * @param {string} leagueId - League ID
+   * @returns {Promise<Object|null>} League or null
+   */
+  async getLeagueById(leagueId) {
+    throw new Error('getLeagueById must be implemented');
+  }
+
+  /**
+   * Update a league
+   * @param {string} leagueId - League ID
+   * @param {Object} updates - Fields to update (leagueName, commissionerId)
+   * @returns {Promise<Object>} Updated league
+   */
+  async updateLeague(leagueId, updates) {
+    throw new Error('updateLeague must be implemented');
+  }
+
+  /**
+   * Get every season's pickem game in a league
+   * @param {string} leagueId - League ID
+   * @returns {Promise<Array>} Games with their season year, oldest season first
+   */
+  async getLeagueGames(leagueId) {
+    throw new Error('getLeagueGames must be implemented');
+  }
+
+  /**
+   * Make another user the commissioner of every league a user is commissioner of
+   * @param {string} fromUserId - Current commissioner
+   * @param {string} toUserId - New commissioner
+   * @returns {Promise<void>}
+   */
+  async transferLeagueCommissioner(fromUserId, toUserId) {
+    throw new Error('transferLeagueCommissioner must be implemented');
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Message Service Interface
+ * Defines database-agnostic operations for per-game message boards
+ */
+export default class IMessageService {
+  /**
+   * Post a message to a game's board
+   * @param {Object} message - Message data
+   * @param {string} message.gameId - Game ID
+   * @param {string|null} [message.userId] - Author (omitted for system messages)
+   * @param {string} message.body - Message text
+   * @param {boolean} [message.isSystem] - Posted by the app rather than a player
+   * @returns {Promise<Object>} Created message with author name
+   */
+  async createMessage(message) {
+    throw new Error('createMessage must be implemented');
+  }
+
+  /**
+   * Get a page of a game's messages, newest first
+   * @param {string} gameId - Game ID
+   * @param {Object} [options]
+   * @param {Object|null} [options.before] - Only messages older than this one
+   * @param {number} [options.limit] - Maximum messages to return
+   * @returns {Promise<Array>} Messages with author names
+   */
+  async getMessages(gameId, { before = null, limit = 50 } = {}) {
+    throw new Error('getMessages must be implemented');
+  }
+
+  /**
+   * Get a game's pinned messages, newest first
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Array>} Messages with author names
+   */
+  async getPinnedMessages(gameId) {
+    throw new Error('getPinnedMessages must be implemented');
+  }
+
+  /**
+   * Get a message by ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} Message with author name
+   */
+  async getMessageById(messageId) {
+    throw new Error('getMessageById must be implemented');
+  }
+
+  /**
+   * Pin or unpin a message
+   * @param {string} messageId - Message ID
+   * @param {boolean} pinned - Whether the message is pinned
+   * @returns {Promise<Object|null>} Updated message
+   */
+  async setPinned(messageId, pinned) {
+    throw new Error('setPinned must be implemented');
+  }
+
+  /**
+   * Delete a message
+   * @param {string} messageId - Message ID
+   * @returns {Promise<void>}
+   */
+  async deleteMessage(messageId) {
+    throw new Error('deleteMessage must be implemented');
+  }
+
+  /**
+   * Delete every message a user wrote
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteMessagesByUser(userId) {
+    throw new Error('deleteMessagesByUser must be implemented');
+  }
+}
@@ -133,4 +133,14 @@ export default class INFLDataService {
   async updateGameTime(gameId, startTime) {
     throw new Error('updateGameTime must be implemented');
   }
+
+  /**
+   * Update game point spread
+   * @param {string} gameId - Game ID
+   * @param {number|null} spread - Home team spread (negative = home favored), null to clear
+   * @returns {Promise<Object>} Updated game
+   */
+  async updateGameSpread(gameId, spread) {
+    throw new Error('updateGameSpread must be implemented');
+  }
 }
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Notification Service Interface
+ * Defines database-agnostic operations for in-app notifications
+ */
+export default class INotificationService {
+  /**
+   * Create a notification for a user
+   * @param {Object} notification - Notification data
+   * @param {string} notification.userId - User to notify
+   * @param {string} [notification.gameId] - Game the notification is about
+   * @param {string} notification.type - invitation, results, strike or elimination
+   * @param {string} notification.title - Short headline
+   * @param {string} [notification.message] - Details
+   * @param {string} [notification.link] - Page to open when clicked
+   * @returns {Promise<Object>} Created notification
+   */
+  async createNotification(notification) {
+    throw new Error('createNotification must be implemented');
+  }
+
+  /**
+   * Get a user's most recent notifications, newest first
+   * @param {string} userId - User ID
+   * @param {number} [limit] - Maximum notifications to return
+   * @returns {Promise<Array>} Notifications
+   */
+  async getUserNotifications(userId, limit = 20) {
+    throw new Error('getUserNotifications must be implemented');
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unread count
+   */
+  async getUnreadCount(userId) {
+    throw new Error('getUnreadCount must be implemented');
+  }
+
+  /**
+   * Mark a user's notifications read
+   * @param {string} userId - User ID
+   * @param {Array<string>|null} [notificationIds] - Notifications to mark (all of the user's if omitted)
+   * @returns {Promise<void>}
+   */
+  async markRead(userId, notificationIds = null) {
+    throw new Error('markRead must be implemented');
+  }
+
+  /**
+   * Delete every notification of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteUserNotifications(userId) {
+    throw new Error('deleteUserNotifications must be implemented');
+  }
+}
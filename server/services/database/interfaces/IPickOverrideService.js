@@ -0,0 +1,47 @@
+/**
+ * Pick Override Service Interface
+ * Defines database-agnostic operations for the audit log of picks commissioners make for players
+ */
+export default class IPickOverrideService {
+  /**
+   * Record a pick a commissioner created, changed or removed for a player
+   * @param {Object} override - Override data
+   * @param {string} override.gameId - Game ID
+   * @param {string} override.userId - Player whose pick changed
+   * @param {string} override.overriddenBy - Commissioner or admin who changed it
+   * @param {string} override.footballGameId - Football game picked
+   * @param {string} override.seasonId - Season ID
+   * @param {number} override.week - Week number
+   * @param {string} override.action - create, update or delete
+   * @param {string|null} [override.previousTeamId] - Team picked before the override
+   * @param {string|null} [override.newTeamId] - Team picked after the override
+   * @param {number|null} [override.previousConfidence] - Confidence before (confidence games only)
+   * @param {number|null} [override.newConfidence] - Confidence after (confidence games only)
+   * @param {string} override.reason - Why the commissioner stepped in
+   * @returns {Promise<Object>} Created override with player and commissioner names
+   */
+  async createOverride(override) {
+    throw new Error('createOverride must be implemented');
+  }
+
+  /**
+   * Get a game's overrides, newest first
+   * @param {string} gameId - Game ID
+   * @param {Object} [filters]
+   * @param {number} [filters.week] - Only overrides for this week
+   * @returns {Promise<Array>} Overrides with player and commissioner names
+   */
+  async getGameOverrides(gameId, { week } = {}) {
+    throw new Error('getGameOverrides must be implemented');
+  }
+
+  /**
+   * Remove a deleted user from the log: overrides of their picks are deleted and
+   * overrides they made are kept without their name
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteOverridesByUser(userId) {
+    throw new Error('deleteOverridesByUser must be implemented');
+  }
+}
@@ -24,6 +24,9 @@ export default class IPickService {
    * @param {string} pickData.footballGameId - Football game ID
    * @param {string} pickData.pickTeamId - Team ID of the pick
    * @param {number} [pickData.tiebreaker] - Tiebreaker value
+   * @param {number} [pickData.confidence] - Confidence rank (confidence games only)
+   * @param {number} [pickData.spread] - Home spread locked in with the pick (ATS games only)
+   * @param {boolean} [pickData.isAuto] - Pick was made by the game's auto-pick policy
    * @returns {Promise<Object>} Created/updated pick
    */
   async createOrUpdatePick(pickData) {
@@ -40,6 +43,24 @@ export default class IPickService {
     throw new Error('deletePick must be implemented');
   }
 
+  /**
+   * Delete every pick a user has made, in all games
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deletePicksByUser(userId) {
+    throw new Error('deletePicksByUser must be implemented');
+  }
+
+  /**
+   * Delete a user's weekly standings, in all games
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteStandingsByUser(userId) {
+    throw new Error('deleteStandingsByUser must be implemented');
+  }
+
   /**
    * Get pick by ID
    * @param {string} pickId - Pick ID
@@ -55,7 +76,8 @@ export default class IPickService {
    * @param {Object} [filters] - Additional filters
    * @param {string} [filters.seasonId] - Season ID
    * @param {number} [filters.week] - Week number
-   * @returns {Promise<Array>} User pick statistics
+   * @param {Array<string>} [filters.footballGameIds] - Only count picks on these football games
+   * @returns {Promise<Array>} User pick statistics, including total_points (sum of confidence for correct picks) and push_picks
    */
   async getGamePicksSummary(gameId, filters = {}) {
     throw new Error('getGamePicksSummary must be implemented');
@@ -113,6 +135,48 @@ export default class IPickService {
     throw new Error('updatePicksForGame must be implemented');
   }
 
+  /**
+   * Grade against-the-spread picks for a completed game using each pick's locked spread
+   * @param {Object} footballGame - Completed football game with final scores
+   * @returns {Promise<{updatedCount: number}>} Number of picks updated
+   */
+  async updateSpreadPicksForGame(footballGame) {
+    throw new Error('updateSpreadPicksForGame must be implemented');
+  }
+
+  /**
+   * Grade one pickem game's picks on a football game that ended in a tie
+   * @param {string} footballGameId - Football game ID
+   * @param {string} gameId - Pickem game ID
+   * @param {string} tieScoring - 'loss', 'push' or 'win' from the game's rules
+   * @returns {Promise<{updatedCount: number}>} Number of picks updated
+   */
+  async updateTiedPicksForGame(footballGameId, gameId, tieScoring) {
+    throw new Error('updateTiedPicksForGame must be implemented');
+  }
+
+  /**
+   * Get every tiebreaker guess entered for a week
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @returns {Promise<Array<{user_id: string, football_game_id: string, tiebreaker: number}>>} Picks carrying a tiebreaker
+   */
+  async getWeekTiebreakers(gameId, seasonId, week) {
+    throw new Error('getWeekTiebreakers must be implemented');
+  }
+
+  /**
+   * Count every player's picks in a week by matchup and team, in one aggregated read
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @returns {Promise<Array<{football_game_id: string, pick_team_id: string, pick_count: number}>>}
+   */
+  async getWeekPickCounts(gameId, seasonId, week) {
+    throw new Error('getWeekPickCounts must be implemented');
+  }
+
   /**
    * Get pick statistics for a season
    * @param {string} seasonId - Season ID
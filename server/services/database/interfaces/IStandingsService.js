@@ -0,0 +1,28 @@
+/**
+ * Standings Service Interface
+ * Defines database-agnostic operations for materialized weekly standings
+ */
+export default class IStandingsService {
+  /**
+   * Replace the stored standings for one week of a game
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number (0 for cumulative season standings)
+   * @param {Array<Object>} standings - Rows with user_id, correct_picks, total_picks, pick_percentage, points_earned, weekly_rank and tiebreaker_score
+   * @returns {Promise<void>}
+   */
+  async saveStandings(gameId, seasonId, week, standings) {
+    throw new Error('saveStandings must be implemented');
+  }
+
+  /**
+   * Get stored standings for one week of a game
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number (0 for cumulative season standings)
+   * @returns {Promise<Array>} Standings with user names, ordered by rank
+   */
+  async getStandings(gameId, seasonId, week) {
+    throw new Error('getStandings must be implemented');
+  }
+}
@@ -0,0 +1,80 @@
+import { v4 as uuidv4 } from 'uuid';
+import IFuturesService from '../interfaces/IFuturesService.js';
+import db from '../../../models/database.js';
+
+/**
+ * SQLite-specific Futures Service
+ * Implements futures pick operations using SQLite database provider
+ */
+export default class SQLiteFuturesService extends IFuturesService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Get futures picks for a game
+   * @param {string} gameId - Game ID
+   * @param {string} [userId] - Only this user's picks (all players if omitted)
+   * @returns {Promise<Array>} Picks with category, subject, pick and is_correct
+   */
+  async getFuturesPicks(gameId, userId = null) {
+    let query = 'SELECT * FROM futures_picks WHERE game_id = ?';
+    const params = [gameId];
+
+    if (userId) {
+      query += ' AND user_id = ?';
+      params.push(userId);
+    }
+
+    query += ' ORDER BY user_id, category, subject';
+
+    return await this.db.all(query, params);
+  }
+
+  /**
+   * Replace a user's futures picks for a game
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} seasonId - Season ID
+   * @param {Array<{category: string, subject: string, pick: string}>} picks - Validated picks
+   * @returns {Promise<void>}
+   */
+  async saveFuturesPicks(gameId, userId, seasonId, picks) {
+    await this.db.run('DELETE FROM futures_picks WHERE game_id = ? AND user_id = ?', [gameId, userId]);
+
+    for (const pick of picks) {
+      await this.db.run(`
+        INSERT INTO futures_picks (
+          id, user_id, game_id, season_id, category, subject, pick, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `, [uuidv4(), userId, gameId, seasonId, pick.category, pick.subject, pick.pick]);
+    }
+  }
+
+  /**
+   * Grade every pick on one futures market in a game
+   * @param {string} gameId - Game ID
+   * @param {string} category - Market category
+   * @param {string} subject - Market subject
+   * @param {string|null} result - Winning pick, or null to mark the market ungraded
+   * @returns {Promise<void>}
+   */
+  async gradeFuturesPicks(gameId, category, subject, result) {
+    await this.db.run(`
+      UPDATE futures_picks
+      SET is_correct = CASE WHEN ? IS NULL THEN NULL WHEN pick = ? THEN 1 ELSE 0 END,
+          updated_at = datetime('now')
+      WHERE game_id = ? AND category = ? AND subject = ?
+    `, [result, result, gameId, category, subject]);
+  }
+
+  /**
+   * Delete every futures pick a user has made, in all games
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteFuturesPicksByUser(userId) {
+    await this.db.run('DELETE FROM futures_picks WHERE user_id = ?', [userId]);
+  }
+}
@@ -1,6 +1,13 @@
 import { v4 as uuidv4 } from 'uuid';
 import IGameService from '../interfaces/IGameService.js';
 import db from '../../../models/database.js';
+import { createGameSlug } from '../../../utils/gameSlug.js';
+
+// Co-commissioner permissions are stored as a JSON list
+const parsePermissions = (participant) => participant && {
+  ...participant,
+  permissions: participant.permissions ? JSON.parse(participant.permissions) : []
+};
 
 /**
  * SQLite-specific Game Service
@@ -38,17 +45,6 @@ export default class SQLiteGameService extends IGameService {
    * @returns {Promise<Object|null>} Game with participants
    */
   async getGameBySlug(gameSlug, userId) {
-    // Helper function to create URL-friendly slugs
-    const createGameSlug = (gameName) => {
-      return gameName
-        .toLowerCase()
-        .replace(/[^a-z0-9\s-]/g, "")
-        .replace(/\s+/g, "-")
-        .replace(/-+/g, "-")
-        .trim()
-        .replace(/^-+|-+$/g, "");
-    };
-
     // Get all games and find the one that matches the slug
     const games = await db.all(`
       SELECT g.*, g.type as game_type, u.first_name || ' ' || u.last_name as commissioner_name
@@ -166,7 +162,7 @@ export default class SQLiteGameService extends IGameService {
     const gameId = uuidv4();
 
     // Convert gameType to match database values
-    const dbGameType = gameType === "week" ? "weekly" : "survivor";
+    const dbGameType = gameType === "week" ? "weekly" : gameType;
 
     // Create the game
     await db.run(
@@ -250,7 +246,12 @@ export default class SQLiteGameService extends IGameService {
     // Delete related records manually to handle foreign key constraints
     await db.run("DELETE FROM picks WHERE game_id = ?", [gameId]);
     await db.run("DELETE FROM weekly_standings WHERE game_id = ?", [gameId]);
+    await db.run("DELETE FROM futures_picks WHERE game_id = ?", [gameId]);
     await db.run("DELETE FROM game_invitations WHERE game_id = ?", [gameId]);
+    await db.run("DELETE FROM notifications WHERE game_id = ?", [gameId]);
+    await db.run("DELETE FROM game_messages WHERE game_id = ?", [gameId]);
+    await db.run("DELETE FROM game_join_codes WHERE game_id = ?", [gameId]);
+    await db.run("DELETE FROM pick_overrides WHERE game_id = ?", [gameId]);
     await db.run("DELETE FROM game_participants WHERE game_id = ?", [gameId]);
     
     // Finally delete the game itself
@@ -261,7 +262,7 @@ export default class SQLiteGameService extends IGameService {
    * Add participant to game
    * @param {string} gameId - Game ID
    * @param {string} userId - User ID
-   * @param {string} role - Participant role (owner/player)
+   * @param {string} role - Participant role (owner/co_commissioner/player)
    * @returns {Promise<Object>} Participant record
    */
   async addParticipant(gameId, userId, role = 'player') {
@@ -291,6 +292,74 @@ export default class SQLiteGameService extends IGameService {
     );
   }
 
+  /**
+   * Add a player to a game only while it has room under its max_participants cap. The
+   * check and the insert happen in one step, so simultaneous joins can't overfill a game.
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} role - Participant role
+   * @returns {Promise<Object|null>} Participant record, or null if the game is full
+   */
+  async addParticipantIfNotFull(gameId, userId, role = 'player') {
+    const result = await db.run(
+      `
+      INSERT INTO game_participants (id, game_id, user_id, role)
+      SELECT ?, ?, ?, ?
+      FROM pickem_games g
+      WHERE g.id = ?
+        AND (g.max_participants IS NULL
+          OR (SELECT COUNT(*) FROM game_participants WHERE game_id = g.id) < g.max_participants)
+    `,
+      [uuidv4(), gameId, userId, role, gameId]
+    );
+
+    return result.changes > 0 ? await this.getParticipant(gameId, userId) : null;
+  }
+
+  /**
+   * Change a participant's role and co-commissioner permissions
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {string} role - co_commissioner or player
+   * @param {string[]} permissions - What a co-commissioner may manage, empty for players
+   * @returns {Promise<Object>} Updated participant
+   */
+  async updateParticipantRole(gameId, userId, role, permissions = []) {
+    const result = await db.run(
+      `UPDATE game_participants SET role = ?, permissions = ? WHERE game_id = ? AND user_id = ?`,
+      [role, JSON.stringify(permissions), gameId, userId]
+    );
+
+    if (result.changes === 0) {
+      throw new Error('User is not in this game');
+    }
+
+    return await this.getParticipant(gameId, userId);
+  }
+
+  /**
+   * Hand a game to another participant. The new owner becomes commissioner and the
+   * previous owner stays on as a co-commissioner with the given permissions.
+   * @param {string} gameId - Game ID
+   * @param {string|null} fromUserId - Current owner, if the game has one
+   * @param {string} toUserId - Participant taking over
+   * @param {string[]} previousOwnerPermissions - Permissions the previous owner keeps
+   * @returns {Promise<void>}
+   */
+  async transferOwnership(gameId, fromUserId, toUserId, previousOwnerPermissions = []) {
+    if (fromUserId) {
+      await this.updateParticipantRole(gameId, fromUserId, 'co_commissioner', previousOwnerPermissions);
+    }
+    await db.run(
+      `UPDATE game_participants SET role = 'owner', permissions = NULL WHERE game_id = ? AND user_id = ?`,
+      [gameId, toUserId]
+    );
+    await db.run(
+      `UPDATE pickem_games SET commissioner_id = ?, updated_at = datetime('now') WHERE id = ?`,
+      [toUserId, gameId]
+    );
+  }
+
   /**
    * Remove participant from game
    * @param {string} gameId - Game ID
@@ -327,6 +396,15 @@ export default class SQLiteGameService extends IGameService {
     );
   }
 
+  /**
+   * Remove a user from every game they belong to, whatever their role
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async removeParticipantFromAllGames(userId) {
+    await db.run('DELETE FROM game_participants WHERE user_id = ?', [userId]);
+  }
+
   /**
    * Check if user is participant in game
    * @param {string} gameId - Game ID
@@ -334,13 +412,14 @@ export default class SQLiteGameService extends IGameService {
    * @returns {Promise<Object|null>} Participant info or null
    */
   async getParticipant(gameId, userId) {
-    return await db.get(
+    const participant = await db.get(
       `
       SELECT * FROM game_participants 
       WHERE game_id = ? AND user_id = ?
     `,
       [gameId, userId]
     );
+    return parsePermissions(participant);
   }
 
   /**
@@ -349,23 +428,36 @@ export default class SQLiteGameService extends IGameService {
    * @returns {Promise<Array>} Participants with user info
    */
   async getGameParticipants(gameId) {
-    return await db.all(
+    const participants = await db.all(
       `
       SELECT 
         gp.role,
+        gp.permissions,
         gp.id,
+        gp.survivor_status,
+        gp.strikes,
+        gp.eliminated_week,
+        gp.reentry_week,
+        gp.bracket_picks,
+        gp.reminder_week,
+        gp.reminder_email_failed,
+        gp.created_at,
         u.id as user_id,
         u.first_name,
         u.last_name,
         u.email,
+        u.pick_reminders,
         u.first_name || ' ' || u.last_name as display_name
       FROM game_participants gp
       JOIN users u ON gp.user_id = u.id
       WHERE gp.game_id = ?
-      ORDER BY gp.role, u.first_name, u.last_name
+      ORDER BY
+        CASE gp.role WHEN 'owner' THEN 0 WHEN 'co_commissioner' THEN 1 ELSE 2 END,
+        u.first_name, u.last_name
     `,
       [gameId]
     );
+    return participants.map(parsePermissions);
   }
 
   /**
@@ -492,6 +584,16 @@ export default class SQLiteGameService extends IGameService {
     );
   }
 
+  /**
+   * Make another user the commissioner of every game a user is commissioner of
+   * @param {string} fromUserId - Current commissioner
+   * @param {string} toUserId - New commissioner
+   * @returns {Promise<void>}
+   */
+  async transferCommissionerRole(fromUserId, toUserId) {
+    await db.run('UPDATE pickem_games SET commissioner_id = ? WHERE commissioner_id = ?', [toUserId, fromUserId]);
+  }
+
   /**
    * Get game count by season
    * @param {string} seasonId - Season ID
@@ -501,4 +603,178 @@ export default class SQLiteGameService extends IGameService {
     const result = await db.get('SELECT COUNT(*) as count FROM pickem_games WHERE season_id = ?', [seasonId]);
     return result ? result.count : 0;
   }
-}
\ No newline at end of file
+
+  /**
+   * Get the commissioner-designated tiebreaker games for a game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} Map of week number to football game ID
+   */
+  async getTiebreakerGames(gameId) {
+    const game = await db.get('SELECT tiebreaker_games FROM pickem_games WHERE id = ?', [gameId]);
+    return game?.tiebreaker_games ? JSON.parse(game.tiebreaker_games) : {};
+  }
+
+  /**
+   * Designate the tiebreaker football game for a week
+   * @param {string} gameId - Game ID
+   * @param {number} week - Week number
+   * @param {string|null} footballGameId - Football game ID (null restores the default)
+   * @returns {Promise<Object>} Updated map of week number to football game ID
+   */
+  async setTiebreakerGame(gameId, week, footballGameId) {
+    const tiebreakerGames = await this.getTiebreakerGames(gameId);
+    if (footballGameId) {
+      tiebreakerGames[week] = footballGameId;
+    } else {
+      delete tiebreakerGames[week];
+    }
+
+    await db.run(
+      `UPDATE pickem_games SET tiebreaker_games = ?, updated_at = datetime('now') WHERE id = ?`,
+      [JSON.stringify(tiebreakerGames), gameId]
+    );
+    return tiebreakerGames;
+  }
+
+  /**
+   * Update a participant's survivor elimination tracking
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {Object} updates - Any of survivor_status, strikes, eliminated_week and reentry_week
+   * @returns {Promise<void>}
+   */
+  async updateSurvivorStatus(gameId, userId, updates) {
+    const fields = Object.keys(updates);
+    const setClause = fields.map(field => `${field} = ?`).join(', ');
+
+    await db.run(
+      `UPDATE game_participants SET ${setClause} WHERE game_id = ? AND user_id = ?`,
+      [...Object.values(updates), gameId, userId]
+    );
+  }
+
+  /**
+   * Replace a game's rules document
+   * @param {string} gameId - Game ID
+   * @param {Object} rules - Validated rules document
+   * @returns {Promise<void>}
+   */
+  async updateGameRules(gameId, rules) {
+    await db.run(
+      `UPDATE pickem_games SET rules = ?, updated_at = datetime('now') WHERE id = ?`,
+      [JSON.stringify(rules), gameId]
+    );
+  }
+
+  /**
+   * Save a participant's playoff bracket predictions
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {Object} picks - Validated predictions: winning team IDs keyed by round
+   * @returns {Promise<void>}
+   */
+  async updateBracketPicks(gameId, userId, picks) {
+    await db.run(
+      `UPDATE game_participants SET bracket_picks = ? WHERE game_id = ? AND user_id = ?`,
+      [JSON.stringify(picks), gameId, userId]
+    );
+  }
+
+  /**
+   * Replace a game's futures settings
+   * @param {string} gameId - Game ID
+   * @param {Object} settings - Validated futures settings: enabled flag, lock time and win total lines
+   * @returns {Promise<void>}
+   */
+  async updateFuturesSettings(gameId, settings) {
+    await db.run(
+      `UPDATE pickem_games SET futures = ?, updated_at = datetime('now') WHERE id = ?`,
+      [JSON.stringify(settings), gameId]
+    );
+  }
+
+  /**
+   * Record the week a participant was last sent a missing-picks reminder
+   * @param {string} gameId - Game ID
+   * @param {string} userId - User ID
+   * @param {number} week - Week number
+   * @param {boolean} [emailFailed] - The reminder email failed and should be retried
+   * @returns {Promise<void>}
+   */
+  async updateReminderWeek(gameId, userId, week, emailFailed = false) {
+    await db.run(
+      `UPDATE game_participants SET reminder_week = ?, reminder_email_failed = ? WHERE game_id = ? AND user_id = ?`,
+      [week, emailFailed ? 1 : 0, gameId, userId]
+    );
+  }
+
+  /**
+   * Get the weeks whose results recap has been emailed to a game's players
+   * @param {string} gameId - Game ID
+   * @returns {Promise<number[]>} Week numbers
+   */
+  async getRecapWeeks(gameId) {
+    const game = await db.get('SELECT recap_weeks FROM pickem_games WHERE id = ?', [gameId]);
+    return game?.recap_weeks ? JSON.parse(game.recap_weeks) : [];
+  }
+
+  /**
+   * Record that a week's results recap has been emailed to a game's players
+   * @param {string} gameId - Game ID
+   * @param {number} week - Week number
+   * @returns {Promise<number[]>} Updated list of recapped weeks
+   */
+  async addRecapWeek(gameId, week) {
+    const recapWeeks = await this.getRecapWeeks(gameId);
+    if (!recapWeeks.includes(week)) {
+      recapWeeks.push(week);
+    }
+
+    await db.run(
+      `UPDATE pickem_games SET recap_weeks = ?, updated_at = datetime('now') WHERE id = ?`,
+      [JSON.stringify(recapWeeks), gameId]
+    );
+    return recapWeeks;
+  }
+
+  /**
+   * Get a page of the active public games, newest first
+   * @param {Object} [options]
+   * @param {string} [options.search] - Only games whose name contains this
+   * @param {number} [options.limit] - Page size
+   * @param {number} [options.offset] - Games to skip
+   * @returns {Promise<{games: Array, total: number}>} Games with player_count and commissioner_name
+   */
+  async getPublicGames({ search = '', limit = 20, offset = 0 } = {}) {
+    const where = `
+      WHERE g.visibility = 'public' AND (g.is_active = 1 OR g.is_active IS NULL)
+        AND g.game_name LIKE ? ESCAPE '\\'
+    `;
+    const pattern = `%${search.replace(/[\\%_]/g, match => `\\${match}`)}%`;
+
+    const { total } = await db.get(
+      `SELECT COUNT(*) as total FROM pickem_games g ${where}`,
+      [pattern]
+    );
+
+    const games = await db.all(
+      `
+      SELECT
+        g.*,
+        g.type as game_type,
+        COUNT(gp.id) as player_count,
+        u.first_name || ' ' || u.last_name as commissioner_name
+      FROM pickem_games g
+      LEFT JOIN game_participants gp ON g.id = gp.game_id
+      LEFT JOIN users u ON g.commissioner_id = u.id
+      ${where}
+      GROUP BY g.id
+      ORDER BY g.created_at DESC, g.id
+      LIMIT ? OFFSET ?
+    `,
+      [pattern, limit, offset]
+    );
+
+    return { games, total };
+  }
+}
@@ -0,0 +1,101 @@
+import { v4 as uuidv4 } from 'uuid';
+import IJoinCodeService from '../interfaces/IJoinCodeService.js';
+import db from '../../../models/database.js';
+
+/**
+ * SQLite-specific Join Code Service
+ * Implements join link operations using SQLite database provider
+ */
+export default class SQLiteJoinCodeService extends IJoinCodeService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Create a join code for a game
+   * @param {Object} joinCode - Join code data
+   * @returns {Promise<Object>} Created join code
+   */
+  async createJoinCode({ gameId, code, createdBy, expiresAt = null, maxUses = null }) {
+    const id = uuidv4();
+
+    await this.db.run(`
+      INSERT INTO game_join_codes (id, game_id, code, created_by_user_id, expires_at, max_uses)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [id, gameId, code, createdBy, expiresAt, maxUses]);
+
+    return await this.getJoinCodeById(id);
+  }
+
+  /**
+   * Get a join code by its code
+   * @param {string} code - Short code
+   * @returns {Promise<Object|null>} Join code
+   */
+  async getJoinCodeByCode(code) {
+    const joinCode = await this.db.get('SELECT * FROM game_join_codes WHERE code = ?', [code]);
+    return joinCode || null;
+  }
+
+  /**
+   * Get a join code by ID
+   * @param {string} joinCodeId - Join code ID
+   * @returns {Promise<Object|null>} Join code
+   */
+  async getJoinCodeById(joinCodeId) {
+    const joinCode = await this.db.get('SELECT * FROM game_join_codes WHERE id = ?', [joinCodeId]);
+    return joinCode || null;
+  }
+
+  /**
+   * Get every join code of a game, newest first
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Array>} Join codes
+   */
+  async getGameJoinCodes(gameId) {
+    return await this.db.all(`
+      SELECT * FROM game_join_codes
+      WHERE game_id = ?
+      ORDER BY created_at DESC
+    `, [gameId]);
+  }
+
+  /**
+   * Count one join against a code, unless it has already reached its limit
+   * @param {string} joinCodeId - Join code ID
+   * @returns {Promise<boolean>} Whether the use was recorded
+   */
+  async recordUse(joinCodeId) {
+    // The limit is checked in the same statement so two joins can't both take the last use
+    const result = await this.db.run(`
+      UPDATE game_join_codes
+      SET use_count = use_count + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND (max_uses IS NULL OR use_count < max_uses)
+    `, [joinCodeId]);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Revoke a join code so it can no longer be used
+   * @param {string} joinCodeId - Join code ID
+   * @returns {Promise<void>}
+   */
+  async revokeJoinCode(joinCodeId) {
+    await this.db.run(`
+      UPDATE game_join_codes
+      SET is_revoked = 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [joinCodeId]);
+  }
+
+  /**
+   * Delete every join code a user created
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteJoinCodesByUser(userId) {
+    await this.db.run('DELETE FROM game_join_codes WHERE created_by_user_id = ?', [userId]);
+  }
+}
@@ -0,0 +1,97 @@
+import { v4 as uuidv4 } from 'uuid';
+import ILeagueService from '../interfaces/ILeagueService.js';
+import db from '../../../models/database.js';
+
+/**
+ * SQLite-specific League Service
+ * Implements league operations using SQLite database provider
+ */
+export default class SQLiteLeagueService extends ILeagueService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Create a league
+   * @param {Object} leagueData - League data
+   * @param {string} leagueData.leagueName - League name
+   * @param {string} leagueData.commissionerId - Commissioner user ID
+   * @returns {Promise<Object>} Created league
+   */
+  async createLeague(leagueData) {
+    const { leagueName, commissionerId } = leagueData;
+    const leagueId = uuidv4();
+
+    await this.db.run(`
+      INSERT INTO leagues (id, league_name, commissioner_id, created_at, updated_at)
+      VALUES (?, ?, ?, datetime('now'), datetime('now'))
+    `, [leagueId, leagueName, commissionerId]);
+
+    return await this.getLeagueById(leagueId);
+  }
+
+  /**
+   * Get league by ID
+   * @param {string} leagueId - League ID
+   * @returns {Promise<Object|null>} League or null
+   */
+  async getLeagueById(leagueId) {
+    return await this.db.get('SELECT * FROM leagues WHERE id = ?', [leagueId]) || null;
+  }
+
+  /**
+   * Update a league
+   * @param {string} leagueId - League ID
+   * @param {Object} updates - Fields to update (leagueName, commissionerId)
+   * @returns {Promise<Object>} Updated league
+   */
+  async updateLeague(leagueId, updates) {
+    const existingLeague = await this.getLeagueById(leagueId);
+
+    if (!existingLeague) {
+      throw new Error('League not found');
+    }
+
+    await this.db.run(`
+      UPDATE leagues
+      SET league_name = ?, commissioner_id = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `, [
+      updates.leagueName || existingLeague.league_name,
+      updates.commissionerId || existingLeague.commissioner_id,
+      leagueId
+    ]);
+
+    return await this.getLeagueById(leagueId);
+  }
+
+  /**
+   * Get every season's pickem game in a league
+   * @param {string} leagueId - League ID
+   * @returns {Promise<Array>} Games with their season year, oldest season first
+   */
+  async getLeagueGames(leagueId) {
+    return await this.db.all(`
+      SELECT g.*, g.type as game_type, s.season
+      FROM pickem_games g
+      LEFT JOIN seasons s ON g.season_id = s.id
+      WHERE g.league_id = ?
+      ORDER BY s.season, g.created_at
+    `, [leagueId]);
+  }
+
+  /**
+   * Make another user the commissioner of every league a user is commissioner of
+   * @param {string} fromUserId - Current commissioner
+   * @param {string} toUserId - New commissioner
+   * @returns {Promise<void>}
+   */
+  async transferLeagueCommissioner(fromUserId, toUserId) {
+    await this.db.run(`
+      UPDATE leagues
+      SET commissioner_id = ?, updated_at = datetime('now')
+      WHERE commissioner_id = ?
+    `, [toUserId, fromUserId]);
+  }
+}
@@ -0,0 +1,124 @@
+import { v4 as uuidv4 } from 'uuid';
+import IMessageService from '../interfaces/IMessageService.js';
+import db from '../../../models/database.js';
+
+const MESSAGE_COLUMNS = `
+  m.*,
+  u.first_name,
+  u.last_name
+`;
+
+/**
+ * SQLite-specific Message Service
+ * Implements message board operations using SQLite database provider
+ */
+export default class SQLiteMessageService extends IMessageService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Post a message to a game's board
+   * @param {Object} message - Message data
+   * @returns {Promise<Object>} Created message with author name
+   */
+  async createMessage({ gameId, userId = null, body, isSystem = false }) {
+    const id = uuidv4();
+
+    await this.db.run(`
+      INSERT INTO game_messages (id, game_id, user_id, body, is_system, is_pinned, created_at)
+      VALUES (?, ?, ?, ?, ?, 0, ?)
+    `, [id, gameId, userId, body, isSystem ? 1 : 0, new Date().toISOString()]);
+
+    return await this.getMessageById(id);
+  }
+
+  /**
+   * Get a page of a game's messages, newest first
+   * @param {string} gameId - Game ID
+   * @param {Object} [options]
+   * @param {Object|null} [options.before] - Only messages older than this one
+   * @param {number} [options.limit] - Maximum messages to return
+   * @returns {Promise<Array>} Messages with author names
+   */
+  async getMessages(gameId, { before = null, limit = 50 } = {}) {
+    let query = `
+      SELECT ${MESSAGE_COLUMNS}
+      FROM game_messages m
+      LEFT JOIN users u ON m.user_id = u.id
+      WHERE m.game_id = ?
+    `;
+    const params = [gameId];
+
+    if (before) {
+      query += ' AND (m.created_at < ? OR (m.created_at = ? AND m.id < ?))';
+      params.push(before.created_at, before.created_at, before.id);
+    }
+
+    query += ' ORDER BY m.created_at DESC, m.id DESC LIMIT ?';
+    params.push(limit);
+
+    return await this.db.all(query, params);
+  }
+
+  /**
+   * Get a game's pinned messages, newest first
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Array>} Messages with author names
+   */
+  async getPinnedMessages(gameId) {
+    return await this.db.all(`
+      SELECT ${MESSAGE_COLUMNS}
+      FROM game_messages m
+      LEFT JOIN users u ON m.user_id = u.id
+      WHERE m.game_id = ? AND m.is_pinned = 1
+      ORDER BY m.created_at DESC, m.id DESC
+    `, [gameId]);
+  }
+
+  /**
+   * Get a message by ID
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} Message with author name
+   */
+  async getMessageById(messageId) {
+    const message = await this.db.get(`
+      SELECT ${MESSAGE_COLUMNS}
+      FROM game_messages m
+      LEFT JOIN users u ON m.user_id = u.id
+      WHERE m.id = ?
+    `, [messageId]);
+
+    return message || null;
+  }
+
+  /**
+   * Pin or unpin a message
+   * @param {string} messageId - Message ID
+   * @param {boolean} pinned - Whether the message is pinned
+   * @returns {Promise<Object|null>} Updated message
+   */
+  async setPinned(messageId, pinned) {
+    await this.db.run('UPDATE game_messages SET is_pinned = ? WHERE id = ?', [pinned ? 1 : 0, messageId]);
+    return await this.getMessageById(messageId);
+  }
+
+  /**
+   * Delete a message
+   * @param {string} messageId - Message ID
+   * @returns {Promise<void>}
+   */
+  async deleteMessage(messageId) {
+    await this.db.run('DELETE FROM game_messages WHERE id = ?', [messageId]);
+  }
+
+  /**
+   * Delete every message a user wrote
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteMessagesByUser(userId) {
+    await this.db.run('DELETE FROM game_messages WHERE user_id = ?', [userId]);
+  }
+}
@@ -116,7 +116,7 @@ export default class SQLiteNFLDataService extends INFLDataService {
     const { seasonId, week, homeTeamId, awayTeamId } = criteria;
     
     return await db.get(`
-      SELECT id FROM football_games
+      SELECT * FROM football_games
       WHERE season_id = ? AND week = ? AND home_team_id = ? AND away_team_id = ?
     `, [seasonId, week, homeTeamId, awayTeamId]);
   }
@@ -160,13 +160,14 @@ export default class SQLiteNFLDataService extends INFLDataService {
     }
 
     const {
-      home_score, away_score, status, game_date, start_time, season_type, scores_updated_at
+      home_score, away_score, status, game_date, start_time, season_type, quarter, time_remaining, scores_updated_at
     } = updates;
 
     await db.run(`
       UPDATE football_games
       SET home_score = ?, away_score = ?, status = ?,
-          game_date = ?, start_time = ?, season_type = ?, updated_at = datetime('now'), scores_updated_at = datetime('now')
+          game_date = ?, start_time = ?, season_type = ?, quarter = ?, time_remaining = ?,
+          updated_at = datetime('now'), scores_updated_at = datetime('now')
       WHERE id = ?
     `, [
       home_score || existingGame.home_score,
@@ -175,6 +176,8 @@ export default class SQLiteNFLDataService extends INFLDataService {
       game_date || existingGame.game_date,
       start_time || existingGame.start_time,
       season_type || existingGame.season_type,
+      quarter ?? existingGame.quarter,
+      time_remaining ?? existingGame.time_remaining,
       gameId
     ]);
 
@@ -359,4 +362,25 @@ export default class SQLiteNFLDataService extends INFLDataService {
 
     return await db.get('SELECT * FROM football_games WHERE id = ?', [gameId]);
   }
+
+  /**
+   * Update game point spread
+   * @param {string} gameId - Game ID
+   * @param {number|null} spread - Home team spread (negative = home favored), null to clear
+   * @returns {Promise<Object>} Updated game
+   */
+  async updateGameSpread(gameId, spread) {
+    const existingGame = await db.get('SELECT * FROM football_games WHERE id = ?', [gameId]);
+    if (!existingGame) {
+      throw new Error('Football game not found');
+    }
+
+    await db.run(`
+      UPDATE football_games
+      SET spread = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `, [spread, gameId]);
+
+    return await db.get('SELECT * FROM football_games WHERE id = ?', [gameId]);
+  }
 }
\ No newline at end of file
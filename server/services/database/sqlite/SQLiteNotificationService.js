@@ -0,0 +1,89 @@
+import { v4 as uuidv4 } from 'uuid';
+import INotificationService from '../interfaces/INotificationService.js';
+import db from '../../../models/database.js';
+
+/**
+ * SQLite-specific Notification Service
+ * Implements in-app notification operations using SQLite database provider
+ */
+export default class SQLiteNotificationService extends INotificationService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Create a notification for a user
+   * @param {Object} notification - Notification data
+   * @returns {Promise<Object>} Created notification
+   */
+  async createNotification({ userId, gameId = null, type, title, message = null, link = null }) {
+    const id = uuidv4();
+
+    await this.db.run(`
+      INSERT INTO notifications (id, user_id, game_id, type, title, message, link, is_read, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0, datetime('now'))
+    `, [id, userId, gameId, type, title, message, link]);
+
+    return await this.db.get('SELECT * FROM notifications WHERE id = ?', [id]);
+  }
+
+  /**
+   * Get a user's most recent notifications, newest first
+   * @param {string} userId - User ID
+   * @param {number} [limit] - Maximum notifications to return
+   * @returns {Promise<Array>} Notifications
+   */
+  async getUserNotifications(userId, limit = 20) {
+    return await this.db.all(`
+      SELECT * FROM notifications
+      WHERE user_id = ?
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ?
+    `, [userId, limit]);
+  }
+
+  /**
+   * Count a user's unread notifications
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Unread count
+   */
+  async getUnreadCount(userId) {
+    const row = await this.db.get(
+      'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0',
+      [userId]
+    );
+    return row?.count || 0;
+  }
+
+  /**
+   * Mark a user's notifications read
+   * @param {string} userId - User ID
+   * @param {Array<string>|null} [notificationIds] - Notifications to mark (all of the user's if omitted)
+   * @returns {Promise<void>}
+   */
+  async markRead(userId, notificationIds = null) {
+    if (!notificationIds) {
+      await this.db.run('UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0', [userId]);
+      return;
+    }
+    if (notificationIds.length === 0) {
+      return;
+    }
+
+    const placeholders = notificationIds.map(() => '?').join(', ');
+    await this.db.run(
+      `UPDATE notifications SET is_read = 1 WHERE user_id = ? AND id IN (${placeholders})`,
+      [userId, ...notificationIds]
+    );
+  }
+
+  /**
+   * Delete every notification of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteUserNotifications(userId) {
+    await this.db.run('DELETE FROM notifications WHERE user_id = ?', [userId]);
+  }
+}
@@ -0,0 +1,83 @@
+import { v4 as uuidv4 } from 'uuid';
+import IPickOverrideService from '../interfaces/IPickOverrideService.js';
+import db from '../../../models/database.js';
+
+const OVERRIDE_QUERY = `
+  SELECT
+    o.*,
+    p.first_name || ' ' || p.last_name as player_name,
+    c.first_name || ' ' || c.last_name as overridden_by_name
+  FROM pick_overrides o
+  LEFT JOIN users p ON o.user_id = p.id
+  LEFT JOIN users c ON o.overridden_by_user_id = c.id
+`;
+
+/**
+ * SQLite-specific Pick Override Service
+ * Implements the pick override audit log using SQLite database provider
+ */
+export default class SQLitePickOverrideService extends IPickOverrideService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Record a pick a commissioner created, changed or removed for a player
+   * @param {Object} override - Override data
+   * @returns {Promise<Object>} Created override with player and commissioner names
+   */
+  async createOverride({
+    gameId, userId, overriddenBy, footballGameId, seasonId, week, action,
+    previousTeamId = null, newTeamId = null, previousConfidence = null, newConfidence = null, reason
+  }) {
+    const id = uuidv4();
+
+    await this.db.run(`
+      INSERT INTO pick_overrides (
+        id, game_id, user_id, overridden_by_user_id, football_game_id, season_id, week, action,
+        previous_team_id, new_team_id, previous_confidence, new_confidence, reason, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id, gameId, userId, overriddenBy, footballGameId, seasonId, week, action,
+      previousTeamId, newTeamId, previousConfidence, newConfidence, reason, new Date().toISOString()
+    ]);
+
+    return await this.db.get(`${OVERRIDE_QUERY} WHERE o.id = ?`, [id]);
+  }
+
+  /**
+   * Get a game's overrides, newest first
+   * @param {string} gameId - Game ID
+   * @param {Object} [filters]
+   * @param {number} [filters.week] - Only overrides for this week
+   * @returns {Promise<Array>} Overrides with player and commissioner names
+   */
+  async getGameOverrides(gameId, { week } = {}) {
+    let query = `${OVERRIDE_QUERY} WHERE o.game_id = ?`;
+    const params = [gameId];
+
+    if (week) {
+      query += ' AND o.week = ?';
+      params.push(week);
+    }
+
+    query += ' ORDER BY o.created_at DESC, o.id DESC';
+
+    return await this.db.all(query, params);
+  }
+
+  /**
+   * Remove a deleted user from the log: overrides of their picks are deleted and
+   * overrides they made are kept without their name
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteOverridesByUser(userId) {
+    await this.db.run('DELETE FROM pick_overrides WHERE user_id = ?', [userId]);
+    await this.db.run(
+      'UPDATE pick_overrides SET overridden_by_user_id = NULL WHERE overridden_by_user_id = ?',
+      [userId]
+    );
+  }
+}
@@ -28,6 +28,7 @@ export default class SQLitePickService extends IPickService {
       SELECT
         p.*,
         ng.week,
+        ng.season_type,
         ng.start_time,
         ng.status as game_status,
         ht.team_city as home_team_city,
@@ -77,10 +78,13 @@ export default class SQLitePickService extends IPickService {
    * @param {string} pickData.footballGameId - Football game ID
    * @param {string} pickData.pickTeamId - Team ID of the pick
    * @param {number} [pickData.tiebreaker] - Tiebreaker value
+   * @param {number} [pickData.confidence] - Confidence rank (confidence games only)
+   * @param {number} [pickData.spread] - Home spread locked in with the pick (ATS games only)
+   * @param {boolean} [pickData.isAuto] - Pick was made by the game's auto-pick policy
    * @returns {Promise<Object>} Created/updated pick
    */
   async createOrUpdatePick(pickData) {
-    const { userId, gameId, footballGameId, pickTeamId, tiebreaker } = pickData;
+    const { userId, gameId, footballGameId, pickTeamId, tiebreaker, confidence, spread, isAuto } = pickData;
 
     // Get football game details for season and week
     const footballGame = await this.db.get(`
@@ -101,16 +105,16 @@ export default class SQLitePickService extends IPickService {
       // Update existing pick
       await this.db.run(`
         UPDATE picks
-        SET pick_team_id = ?, tiebreaker = ?, updated_at = datetime('now')
+        SET pick_team_id = ?, tiebreaker = ?, confidence = ?, spread = ?, is_auto = ?, updated_at = datetime('now')
         WHERE id = ?
-      `, [pickTeamId, tiebreaker || null, pickId]);
+      `, [pickTeamId, tiebreaker || null, confidence || null, spread ?? null, isAuto ? 1 : 0, pickId]);
     } else {
       // Create new pick
       await this.db.run(`
         INSERT INTO picks (
           id, user_id, game_id, season_id, week, football_game_id,
-          pick_team_id, tiebreaker
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          pick_team_id, tiebreaker, confidence, spread, is_auto
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         pickId,
         userId,
@@ -119,7 +123,10 @@ export default class SQLitePickService extends IPickService {
         footballGame.week,
         footballGameId,
         pickTeamId,
-        tiebreaker || null
+        tiebreaker || null,
+        confidence || null,
+        spread ?? null,
+        isAuto ? 1 : 0
       ]);
     }
 
@@ -147,6 +154,24 @@ export default class SQLitePickService extends IPickService {
     await this.db.run('DELETE FROM picks WHERE id = ?', [pickId]);
   }
 
+  /**
+   * Delete every pick a user has made, in all games
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deletePicksByUser(userId) {
+    await this.db.run('DELETE FROM picks WHERE user_id = ?', [userId]);
+  }
+
+  /**
+   * Delete a user's weekly standings, in all games
+   * @param {string} userId - User ID
+   * @returns {Promise<void>}
+   */
+  async deleteStandingsByUser(userId) {
+    await this.db.run('DELETE FROM weekly_standings WHERE user_id = ?', [userId]);
+  }
+
   /**
    * Get pick by ID
    * @param {string} pickId - Pick ID
@@ -157,6 +182,7 @@ export default class SQLitePickService extends IPickService {
       SELECT
         p.*,
         ng.start_time,
+        ng.season_type,
         pt.team_city as pick_team_city,
         pt.team_name as pick_team_name,
         pt.team_code as pick_team_code
@@ -173,10 +199,10 @@ export default class SQLitePickService extends IPickService {
    * @param {Object} [filters] - Additional filters
    * @param {string} [filters.seasonId] - Season ID
    * @param {number} [filters.week] - Week number
-   * @returns {Promise<Array>} User pick statistics
+   * @returns {Promise<Array>} User pick statistics, including total_points (sum of confidence for correct picks) and push_picks
    */
   async getGamePicksSummary(gameId, filters = {}) {
-    const { seasonId, week } = filters;
+    const { seasonId, week, footballGameIds } = filters;
     
     let query = `
       SELECT 
@@ -185,19 +211,32 @@ export default class SQLitePickService extends IPickService {
         u.last_name,
         COUNT(p.id) as total_picks,
         SUM(CASE WHEN p.is_correct = 1 THEN 1 ELSE 0 END) as correct_picks,
+        SUM(CASE WHEN p.is_push = 1 THEN 1 ELSE 0 END) as push_picks,
         ROUND(
           CASE 
-            WHEN COUNT(p.id) > 0 
-            THEN (SUM(CASE WHEN p.is_correct = 1 THEN 1 ELSE 0 END) * 100.0 / COUNT(p.id))
+            WHEN COUNT(p.id) - SUM(CASE WHEN p.is_push = 1 THEN 1 ELSE 0 END) > 0 
+            THEN (SUM(CASE WHEN p.is_correct = 1 THEN 1 ELSE 0 END) * 100.0 /
+                  (COUNT(p.id) - SUM(CASE WHEN p.is_push = 1 THEN 1 ELSE 0 END)))
             ELSE 0 
           END, 2
-        ) as pick_percentage
+        ) as pick_percentage,
+        SUM(CASE WHEN p.is_correct = 1 THEN COALESCE(p.confidence, 0) ELSE 0 END) as total_points
       FROM game_participants gp
       JOIN users u ON gp.user_id = u.id
       LEFT JOIN picks p ON gp.user_id = p.user_id AND gp.game_id = p.game_id
     `;
     
-    const params = [gameId];
+    const params = [];
+
+    // Filter in the join so participants without matching picks still get a row
+    if (footballGameIds) {
+      query += footballGameIds.length > 0
+        ? ` AND p.football_game_id IN (${footballGameIds.map(() => '?').join(', ')})`
+        : ' AND 0';
+      params.push(...footballGameIds);
+    }
+
+    params.push(gameId);
     const conditions = ['gp.game_id = ?'];
     
     if (seasonId) {
@@ -212,7 +251,7 @@ export default class SQLitePickService extends IPickService {
     
     query += ' WHERE ' + conditions.join(' AND ');
     query += ' GROUP BY gp.user_id, u.first_name, u.last_name';
-    query += ' ORDER BY pick_percentage DESC, correct_picks DESC';
+    query += ' ORDER BY total_points DESC, pick_percentage DESC, correct_picks DESC';
 
     return await this.db.all(query, params);
   }
@@ -289,39 +328,115 @@ export default class SQLitePickService extends IPickService {
    * @returns {Promise<{updatedCount: number}>} Number of picks updated
    */
   async updatePicksForGame(footballGameId, winningTeamId) {
-    return new Promise((resolve, reject) => {
-      if (winningTeamId) {
-        this.db.run(`
-          UPDATE picks
-          SET is_correct = CASE
-            WHEN pick_team_id = ? THEN 1
-            ELSE 0
-          END,
-          updated_at = datetime('now')
-          WHERE football_game_id = ?
-        `, [winningTeamId, footballGameId], function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve({ updatedCount: this.changes });
-          }
-        });
-      } else {
-        // Handle tie games - mark all picks as incorrect
-        this.db.run(`
-          UPDATE picks
-          SET is_correct = 0,
-          updated_at = datetime('now')
-          WHERE football_game_id = ?
-        `, [footballGameId], function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve({ updatedCount: this.changes });
-          }
-        });
-      }
-    });
+    let result;
+    if (winningTeamId) {
+      result = await this.db.run(`
+        UPDATE picks
+        SET is_correct = CASE
+          WHEN pick_team_id = ? THEN 1
+          ELSE 0
+        END,
+        updated_at = datetime('now')
+        WHERE football_game_id = ?
+      `, [winningTeamId, footballGameId]);
+    } else {
+      // Handle tie games - mark all picks as incorrect
+      result = await this.db.run(`
+        UPDATE picks
+        SET is_correct = 0,
+        updated_at = datetime('now')
+        WHERE football_game_id = ?
+      `, [footballGameId]);
+    }
+
+    return { updatedCount: result.changes };
+  }
+
+  /**
+   * Grade against-the-spread picks for a completed game using each pick's locked spread
+   * @param {Object} footballGame - Completed football game with final scores
+   * @returns {Promise<{updatedCount: number}>} Number of picks updated
+   */
+  async updateSpreadPicksForGame(footballGame) {
+    const { id, home_team_id, home_score, away_score } = footballGame;
+
+    // The home side covers when home_score + spread beats away_score; equal is a push
+    const result = await this.db.run(`
+      UPDATE picks
+      SET is_push = CASE WHEN ? + spread = ? THEN 1 ELSE 0 END,
+      is_correct = CASE
+        WHEN ? + spread = ? THEN NULL
+        WHEN pick_team_id = ? THEN (? + spread > ?)
+        ELSE (? + spread < ?)
+      END,
+      updated_at = datetime('now')
+      WHERE football_game_id = ?
+        AND spread IS NOT NULL
+        AND game_id IN (SELECT id FROM pickem_games WHERE type = 'ats')
+    `, [
+      home_score, away_score,
+      home_score, away_score,
+      home_team_id, home_score, away_score,
+      home_score, away_score,
+      id
+    ]);
+
+    return { updatedCount: result.changes };
+  }
+
+  /**
+   * Grade one pickem game's picks on a football game that ended in a tie
+   * @param {string} footballGameId - Football game ID
+   * @param {string} gameId - Pickem game ID
+   * @param {string} tieScoring - 'loss', 'push' or 'win' from the game's rules
+   * @returns {Promise<{updatedCount: number}>} Number of picks updated
+   */
+  async updateTiedPicksForGame(footballGameId, gameId, tieScoring) {
+    const grades = {
+      loss: { is_correct: 0, is_push: 0 },
+      push: { is_correct: null, is_push: 1 },
+      win: { is_correct: 1, is_push: 0 }
+    };
+    const grade = grades[tieScoring] || grades.loss;
+
+    const result = await this.db.run(`
+      UPDATE picks
+      SET is_correct = ?, is_push = ?, updated_at = datetime('now')
+      WHERE football_game_id = ? AND game_id = ?
+    `, [grade.is_correct, grade.is_push, footballGameId, gameId]);
+
+    return { updatedCount: result.changes };
+  }
+
+  /**
+   * Get every tiebreaker guess entered for a week
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @returns {Promise<Array<{user_id: string, football_game_id: string, tiebreaker: number}>>} Picks carrying a tiebreaker
+   */
+  async getWeekTiebreakers(gameId, seasonId, week) {
+    return await this.db.all(`
+      SELECT user_id, football_game_id, tiebreaker
+      FROM picks
+      WHERE game_id = ? AND season_id = ? AND week = ? AND tiebreaker IS NOT NULL
+    `, [gameId, seasonId, parseInt(week)]);
+  }
+
+  /**
+   * Count every player's picks in a week by matchup and team, in one aggregated read
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @returns {Promise<Array<{football_game_id: string, pick_team_id: string, pick_count: number}>>}
+   */
+  async getWeekPickCounts(gameId, seasonId, week) {
+    return await this.db.all(`
+      SELECT football_game_id, pick_team_id, COUNT(*) as pick_count
+      FROM picks
+      WHERE game_id = ? AND season_id = ? AND week = ?
+      GROUP BY football_game_id, pick_team_id
+    `, [gameId, seasonId, parseInt(week)]);
   }
 
   /**
@@ -331,41 +446,35 @@ export default class SQLitePickService extends IPickService {
    * @returns {Promise<Object>} Pick statistics
    */
   async getPicksStatsBySeason(seasonId, week = null) {
-    return new Promise((resolve, reject) => {
-      let whereClause = 'WHERE season_id = ?';
-      let params = [seasonId];
-      
-      if (week) {
-        whereClause += ' AND week = ?';
-        params.push(week);
-      }
+    let whereClause = 'WHERE season_id = ?';
+    let params = [seasonId];
+
+    if (week) {
+      whereClause += ' AND week = ?';
+      params.push(week);
+    }
+
+    const result = await this.db.get(`
+      SELECT
+        COUNT(*) as total_picks,
+        COUNT(CASE WHEN is_correct = 1 THEN 1 END) as correct_picks,
+        COUNT(CASE WHEN is_correct = 0 THEN 1 END) as incorrect_picks,
+        COUNT(CASE WHEN is_correct IS NULL THEN 1 END) as pending_picks,
+        ROUND(
+          (COUNT(CASE WHEN is_correct = 1 THEN 1 END) * 100.0) /
+          NULLIF(COUNT(CASE WHEN is_correct IS NOT NULL THEN 1 END), 0),
+          2
+        ) as accuracy_percentage
+      FROM picks
+      ${whereClause}
+    `, params);
 
-      this.db.get(`
-        SELECT
-          COUNT(*) as total_picks,
-          COUNT(CASE WHEN is_correct = 1 THEN 1 END) as correct_picks,
-          COUNT(CASE WHEN is_correct = 0 THEN 1 END) as incorrect_picks,
-          COUNT(CASE WHEN is_correct IS NULL THEN 1 END) as pending_picks,
-          ROUND(
-            (COUNT(CASE WHEN is_correct = 1 THEN 1 END) * 100.0) /
-            NULLIF(COUNT(CASE WHEN is_correct IS NOT NULL THEN 1 END), 0),
-            2
-          ) as accuracy_percentage
-        FROM picks
-        ${whereClause}
-      `, params, (err, result) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(result || {
-            total_picks: 0,
-            correct_picks: 0,
-            incorrect_picks: 0,
-            pending_picks: 0,
-            accuracy_percentage: 0
-          });
-        }
-      });
-    });
+    return result || {
+      total_picks: 0,
+      correct_picks: 0,
+      incorrect_picks: 0,
+      pending_picks: 0,
+      accuracy_percentage: 0
+    };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,71 @@
+import { v4 as uuidv4 } from 'uuid';
+import IStandingsService from '../interfaces/IStandingsService.js';
+import db from '../../../models/database.js';
+
+/**
+ * SQLite-specific Standings Service
+ * Implements materialized standings using SQLite database provider
+ */
+export default class SQLiteStandingsService extends IStandingsService {
+  constructor() {
+    super();
+    this.db = db.provider; // Use the singleton database provider
+  }
+
+  /**
+   * Replace the stored standings for one week of a game
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number (0 for cumulative season standings)
+   * @param {Array<Object>} standings - Rows with user_id, correct_picks, total_picks, pick_percentage, points_earned, weekly_rank and tiebreaker_score
+   * @returns {Promise<void>}
+   */
+  async saveStandings(gameId, seasonId, week, standings) {
+    // Replace rather than upsert so players who left the game drop out of the table
+    await this.db.run(
+      'DELETE FROM weekly_standings WHERE game_id = ? AND season_id = ? AND week = ?',
+      [gameId, seasonId, week]
+    );
+
+    for (const standing of standings) {
+      await this.db.run(`
+        INSERT INTO weekly_standings (
+          id, user_id, game_id, season_id, week, correct_picks, total_picks,
+          pick_percentage, tiebreaker_score, weekly_rank, points_earned, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `, [
+        uuidv4(),
+        standing.user_id,
+        gameId,
+        seasonId,
+        week,
+        standing.correct_picks,
+        standing.total_picks,
+        standing.pick_percentage,
+        standing.tiebreaker_score ?? null,
+        standing.weekly_rank,
+        standing.points_earned
+      ]);
+    }
+  }
+
+  /**
+   * Get stored standings for one week of a game
+   * @param {string} gameId - Game ID
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number (0 for cumulative season standings)
+   * @returns {Promise<Array>} Standings with user names, ordered by rank
+   */
+  async getStandings(gameId, seasonId, week) {
+    return await this.db.all(`
+      SELECT
+        ws.*,
+        u.first_name,
+        u.last_name
+      FROM weekly_standings ws
+      JOIN users u ON ws.user_id = u.id
+      WHERE ws.game_id = ? AND ws.season_id = ? AND ws.week = ?
+      ORDER BY ws.weekly_rank, u.first_name, u.last_name
+    `, [gameId, seasonId, week]);
+  }
+}
@@ -45,6 +45,7 @@ export default class SQLiteUserService extends IUserService {
         u.is_admin,
         u.email_verified,
         u.last_login,
+        u.pick_reminders,
         u.created_at,
         t.team_name as favorite_team_name,
         t.team_city as favorite_team_city
@@ -286,6 +287,10 @@ export default class SQLiteUserService extends IUserService {
       updateFields.push('favorite_team_id = ?');
       values.push(updates.favoriteTeamId || null);
     }
+    if (updates.pickReminders !== undefined) {
+      updateFields.push('pick_reminders = ?');
+      values.push(updates.pickReminders ? 1 : 0);
+    }
 
     if (updateFields.length === 0) {
       throw new Error('No valid fields to update');
@@ -2,6 +2,7 @@ import nodemailer from "nodemailer";
 import db from "../models/database.js";
 import crypto from "crypto";
 import configService from "./configService.js";
+import { createGameSlug } from "../utils/gameSlug.js";
 
 // Get encryption key from config service with proper error handling
 const getEncryptionKey = () => {
@@ -41,6 +42,25 @@ function decrypt(encryptedText) {
   }
 }
 
+// Lock times read as e.g. "Sunday 1:00 PM ET" in reminders and chat messages
+export function formatLockTime(lockTime) {
+  return new Intl.DateTimeFormat("en-US", {
+    timeZone: "America/New_York",
+    weekday: "long",
+    hour: "numeric",
+    minute: "2-digit"
+  }).format(lockTime) + " ET";
+}
+
+// Player and team names end up in recap HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 // Helper function to resolve the base URL for email links
 function resolveBaseUrl() {
   let baseUrl = process.env.CLIENT_URL;
@@ -111,6 +131,15 @@ class EmailService {
   }
 
   async loadSmtpSettings() {
+    const smtpConfig = await this.loadSettings('smtp');
+    if (smtpConfig) {
+      this.smtpSettings = smtpConfig;
+    }
+    return smtpConfig;
+  }
+
+  // Decrypted key/value settings saved under a category through /api/admin/settings/:category
+  async loadSettings(category) {
     try {
       // Ensure database is initialized before accessing it
       await db.initialize();
@@ -120,7 +149,7 @@ class EmailService {
       
       // Check if database provider is available
       if (!dbProvider) {
-        console.log("Database provider not available, skipping SMTP settings load");
+        console.log(`Database provider not available, skipping ${category} settings load`);
         return null;
       }
       
@@ -128,7 +157,7 @@ class EmailService {
       
       if (dbType === 'dynamodb') {
         // For DynamoDB, scan system_settings table
-        const result = await dbProvider._dynamoScan('system_settings', { category: 'smtp' });
+        const result = await dbProvider._dynamoScan('system_settings', { category });
         settings = result.Items || [];
       } else {
         // For SQLite, check if system_settings table exists first
@@ -142,11 +171,11 @@ class EmailService {
             settings = await dbProvider.all(`
               SELECT key, value, encrypted
               FROM system_settings
-              WHERE category = 'smtp'
+              WHERE category = ?
               ORDER BY key
-            `);
+            `, [category]);
           } else {
-            console.log("system_settings table does not exist, using environment variables for SMTP");
+            console.log(`system_settings table does not exist, no ${category} settings to load`);
             return null;
           }
         } catch (tableError) {
@@ -155,17 +184,16 @@ class EmailService {
         }
       }
 
-      const smtpConfig = {};
+      const config = {};
       settings.forEach((setting) => {
-        smtpConfig[setting.key] = setting.encrypted
+        config[setting.key] = setting.encrypted
           ? decrypt(setting.value)
           : setting.value;
       });
 
-      this.smtpSettings = smtpConfig;
-      return smtpConfig;
+      return config;
     } catch (error) {
-      console.error("Failed to load SMTP settings:", error);
+      console.error(`Failed to load ${category} settings:`, error);
       return null;
     }
   }
@@ -446,6 +474,143 @@ class EmailService {
       return { success: false, error: error.message };
     }
   }
+
+  // Subject, HTML and plain-text bodies of a reminder for a player with picks still to make
+  buildPickReminder(userName, gameName, week, lockTime, missingCount) {
+    const baseUrl = resolveBaseUrl();
+    const gameUrl = `${baseUrl}/game/${createGameSlug(gameName)}`;
+    const profileUrl = `${baseUrl}/profile`;
+    const lockText = formatLockTime(lockTime);
+    const picksText = missingCount === 1 ? "1 pick" : `${missingCount} picks`;
+
+    return {
+      subject: `Reminder: Week ${week} picks for "${gameName}" lock ${lockText}`,
+      html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;"><h2 style="color: #1e40af;">⏰ Don't Forget Your Picks</h2><p>Hi ${escapeHtml(userName)},</p><p>You still have <strong>${picksText}</strong> to make for Week ${week} in <strong>"${escapeHtml(gameName)}"</strong>.</p><p>Picks lock <strong>${lockText}</strong>.</p><div style="text-align: center; margin: 30px 0;"><a href="${gameUrl}" style="background-color: #1e40af; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold;">Make Your Picks</a></div><hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;"><p style="color: #6b7280; font-size: 14px;">Don't want these reminders? Turn them off in your <a href="${profileUrl}" style="color: #6b7280;">profile settings</a>.</p></div>`,
+      text: `Don't Forget Your Picks\n\nHi ${userName},\n\nYou still have ${picksText} to make for Week ${week} in "${gameName}".\n\nPicks lock ${lockText}.\n\nMake your picks:\n${gameUrl}\n\nDon't want these reminders? Turn them off in your profile settings:\n${profileUrl}`
+    };
+  }
+
+  // Subject, HTML and plain-text bodies of a weekly recap (also used for commissioner previews)
+  buildWeeklyRecap(recap, userName) {
+    const baseUrl = resolveBaseUrl();
+    const gameUrl = `${baseUrl}/game/${createGameSlug(recap.game_name)}`;
+    const score = (row) => recap.uses_points
+      ? `${row.points_earned} pts (${row.correct_picks}/${row.total_picks})`
+      : `${row.correct_picks}/${row.total_picks}`;
+    const winnerNames = recap.winners.map(winner => winner.display_name).join(" & ");
+    const winnerLine = recap.winners.length > 0
+      ? `${winnerNames} ${recap.winners.length === 1 ? "wins" : "share"} Week ${recap.week} with ${score(recap.winners[0])}`
+      : `No picks were made in Week ${recap.week}`;
+    const upsetLine = (upset) =>
+      `${upset.winner} ${upset.winner_score}-${upset.loser_score} over ${upset.loser} (+${upset.spread}), picked by ${upset.picked_by} of ${upset.total_picks}`;
+
+    const cell = 'style="padding: 6px 8px; border-bottom: 1px solid #e5e7eb;"';
+    const headerCell = 'style="padding: 6px 8px; text-align: left; background-color: #f3f4f6;"';
+    const recordRows = recap.records.map(row =>
+      `<tr><td ${cell}>${row.rank}</td><td ${cell}>${escapeHtml(row.display_name)}</td><td ${cell}>${score(row)}</td></tr>`
+    ).join("");
+    const standingRows = recap.standings.map(row =>
+      `<tr><td ${cell}>${row.rank}</td><td ${cell}>${escapeHtml(row.display_name)}</td><td ${cell}>${score(row)}</td><td ${cell}>${row.pick_percentage}%</td></tr>`
+    ).join("");
+    const upsetsHtml = recap.upsets.length > 0
+      ? `<h3 style="color: #1e40af;">Biggest Upsets</h3><ul>${recap.upsets.map(upset => `<li>${escapeHtml(upsetLine(upset))}</li>`).join("")}</ul>`
+      : "";
+
+    const html = `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;"><h2 style="color: #1e40af;">🏆 Week ${recap.week} Recap: ${escapeHtml(recap.game_name)}</h2><p>Hi ${escapeHtml(userName)},</p><p style="font-size: 18px;"><strong>${escapeHtml(winnerLine)}</strong></p><h3 style="color: #1e40af;">This Week</h3><table style="width: 100%; border-collapse: collapse;"><tr><th ${headerCell}>#</th><th ${headerCell}>Player</th><th ${headerCell}>Record</th></tr>${recordRows}</table><h3 style="color: #1e40af;">Season Standings</h3><table style="width: 100%; border-collapse: collapse;"><tr><th ${headerCell}>#</th><th ${headerCell}>Player</th><th ${headerCell}>Record</th><th ${headerCell}>Pct</th></tr>${standingRows}</table>${upsetsHtml}<div style="text-align: center; margin: 30px 0;"><a href="${gameUrl}" style="background-color: #1e40af; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold;">View Full Results</a></div><hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;"><p style="color: #6b7280; font-size: 14px;">You're receiving this because you play in "${escapeHtml(recap.game_name)}". The commissioner can turn recaps off in the game's rules.</p></div>`;
+
+    const text = [
+      `Week ${recap.week} Recap: ${recap.game_name}`,
+      "",
+      `Hi ${userName},`,
+      "",
+      winnerLine,
+      "",
+      "This Week",
+      ...recap.records.map(row => `${row.rank}. ${row.display_name} - ${score(row)}`),
+      "",
+      "Season Standings",
+      ...recap.standings.map(row => `${row.rank}. ${row.display_name} - ${score(row)} (${row.pick_percentage}%)`),
+      ...(recap.upsets.length > 0 ? ["", "Biggest Upsets", ...recap.upsets.map(upset => `- ${upsetLine(upset)}`)] : []),
+      "",
+      `View full results: ${gameUrl}`
+    ].join("\n");
+
+    return {
+      subject: `Week ${recap.week} results for "${recap.game_name}"`,
+      html,
+      text
+    };
+  }
+
+  // Subject, HTML and plain-text bodies of a short game notice (picks locked, eliminations)
+  buildGameNotice(userName, gameName, heading, lines) {
+    const baseUrl = resolveBaseUrl();
+    const gameUrl = `${baseUrl}/game/${createGameSlug(gameName)}`;
+
+    const html = `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;"><h2 style="color: #1e40af;">${escapeHtml(heading)}</h2><p>Hi ${escapeHtml(userName)},</p>${lines.map(line => `<p>${escapeHtml(line)}</p>`).join("")}<div style="text-align: center; margin: 30px 0;"><a href="${gameUrl}" style="background-color: #1e40af; color: white; padding: 12px 24px; text-decoration: none; border-radius: 8px; display: inline-block; font-weight: bold;">Open ${escapeHtml(gameName)}</a></div></div>`;
+    const text = [heading, "", `Hi ${userName},`, "", ...lines, "", gameUrl].join("\n");
+
+    return {
+      subject: `${heading} - "${gameName}"`,
+      html,
+      text
+    };
+  }
+
+  async sendNotification(toEmail, message) {
+    // Ensure transporter is initialized before sending
+    await this.initializeTransporter();
+
+    const fromEmail =
+      this.smtpSettings && this.smtpSettings.from
+        ? this.smtpSettings.from
+        : process.env.FROM_EMAIL || "noreply@footballpickem.app";
+
+    const mailOptions = {
+      from: fromEmail,
+      to: toEmail,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      encoding: 'utf8',
+      textEncoding: 'base64',
+      htmlEncoding: 'base64'
+    };
+
+    try {
+      if (process.env.NODE_ENV === "production") {
+        if (!this.transporter) {
+          console.error("Cannot send notification email: SMTP not configured in production");
+          return { success: false, error: "SMTP not configured. Please configure SMTP settings in admin panel." };
+        }
+        const result = await this.transporter.sendMail(mailOptions);
+        console.log("Notification email sent:", result.messageId);
+        return { success: true, messageId: result.messageId };
+      } else {
+        // Development: Try to send if SMTP is configured, otherwise log to console
+        if (this.transporter && this.transporter.options && !this.transporter.options.streamTransport) {
+          try {
+            const result = await this.transporter.sendMail(mailOptions);
+            console.log("Notification email sent:", result.messageId);
+            return { success: true, messageId: result.messageId };
+          } catch (smtpError) {
+            console.error("SMTP failed, falling back to console log:", smtpError.message);
+            // Fall through to console logging
+          }
+        }
+
+        // Fallback: Log email to console
+        console.log("\n=== NOTIFICATION EMAIL (Development Mode - Console Only) ===");
+        console.log("To:", toEmail);
+        console.log("Subject:", message.subject);
+        console.log("===========================================================\n");
+        return { success: true, messageId: "dev-mode-console" };
+      }
+    } catch (error) {
+      console.error("Failed to send notification email:", error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 export default new EmailService();
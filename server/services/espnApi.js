@@ -4,6 +4,7 @@ import { Agent as HttpsAgent } from 'https';
 import { v4 as uuidv4 } from 'uuid';
 import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
 import logger from '../utils/logger.js';
+import liveUpdates from './liveUpdates.js';
 
 class ESPNService {
   constructor() {
@@ -227,7 +228,9 @@ class ESPNService {
         status: {
           type: event.status.type.name,
           detail: event.status.type.detail,
-          completed: event.status.type.completed
+          completed: event.status.type.completed,
+          period: event.status.period || 0,
+          clock: Math.round(event.status.clock || 0) // seconds left in the period
         },
         week: parseInt(event.week?.number || week),
         season: parseInt(currentYear),
@@ -266,6 +269,30 @@ class ESPNService {
     }
   }
 
+  /**
+   * Team records (e.g. "11-6") keyed by team abbreviation, as ESPN lists them on a week's scoreboard.
+   * Teams on a bye that week are missing.
+   * @param {number} week - Regular-season week
+   * @param {string|number} [year] - Season year (defaults to the current season)
+   * @returns {Promise<Object>} Record summaries by team abbreviation
+   */
+  async fetchTeamRecords(week, year = null) {
+    const games = await this.fetchWeeklyGames(week, 2, year);
+
+    const teamRecords = {};
+    games.forEach(game => {
+      if (game.competitions && game.competitions.competitors) {
+        game.competitions.competitors.forEach(competitor => {
+          if (competitor.record && competitor.team.abbreviation) {
+            teamRecords[competitor.team.abbreviation] = competitor.record;
+          }
+        });
+      }
+    });
+
+    return teamRecords;
+  }
+
   async fetchFullSchedule(year = null, includePreseason = false) {
     try {
       const seasonInfo = year ? { year: year.toString(), type: 2 } : await this.fetchCurrentSeason();
@@ -327,6 +354,7 @@ class ESPNService {
 
       let updatedCount = 0;
       let createdCount = 0;
+      const changedGames = [];
 
       for (const gameData of games) {
         if (!gameData.competitions || !gameData.competitions.competitors) {
@@ -383,6 +411,8 @@ class ESPNService {
             home_score: homeTeam.score || 0,
             away_score: awayTeam.score || 0,
             status: gameData.status.type,
+            quarter: gameData.status.period,
+            time_remaining: gameData.status.clock,
             scores_updated_at: now
           };
 
@@ -396,6 +426,22 @@ class ESPNService {
           logger.debug(`[ESPN] Updating game ${existingGame.id} with scores_updated_at: ${now}`);
           await nflDataService.updateFootballGame(existingGame.id, updateData);
           updatedCount++;
+
+          if (Number(existingGame.home_score) !== Number(updateData.home_score) ||
+              Number(existingGame.away_score) !== Number(updateData.away_score) ||
+              existingGame.status !== updateData.status ||
+              existingGame.quarter !== updateData.quarter) {
+            changedGames.push({
+              id: existingGame.id,
+              week: existingGame.week,
+              season_type: existingGame.season_type,
+              home_score: Number(updateData.home_score),
+              away_score: Number(updateData.away_score),
+              status: updateData.status,
+              quarter: updateData.quarter,
+              time_remaining: updateData.time_remaining
+            });
+          }
         } else if (!scoresOnly) {
           // Only create new games if not doing scores-only update
           const gameItem = {
@@ -417,6 +463,8 @@ class ESPNService {
         }
       }
 
+      liveUpdates.publishScores(seasonId, changedGames);
+
       logger.info(`ESPN sync complete: ${createdCount} created, ${updatedCount} updated`);
       return { created: createdCount, updated: updatedCount };
 
@@ -0,0 +1,474 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import bracketService from './bracketService.js';
+import espnService from './espnApi.js';
+import { FINAL_STATUSES } from './gameRules.js';
+
+const REGULAR_SEASON = 2;
+const CONFERENCES = ['AFC', 'NFC'];
+const WIN_TOTAL_OPTIONS = ['over', 'under'];
+
+// Markets a futures pick can be made on, and what a correct pick is worth
+export const FUTURES_CATEGORIES = [
+  { key: 'division', name: 'Division Winners', points: 2 },
+  { key: 'conference', name: 'Conference Champions', points: 3 },
+  { key: 'super_bowl', name: 'Super Bowl Champion', points: 5 },
+  { key: 'win_total', name: 'Win Totals', points: 1 }
+];
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  lock_at: null,
+  win_totals: {}
+};
+
+const categoryPoints = (category) =>
+  FUTURES_CATEGORIES.find(c => c.key === category)?.points || 0;
+
+const marketKey = (category, subject) => `${category}:${subject}`;
+
+/**
+ * Wins in an ESPN record summary, with ties counting as half a win
+ * @param {string} record - Record such as "11-6" or "10-6-1"
+ * @returns {number|null} Wins, or null if the record can't be read
+ */
+const parseWins = (record) => {
+  const [wins, , ties = 0] = String(record).split('-').map(Number);
+  if (Number.isNaN(wins) || Number.isNaN(ties)) return null;
+  return wins + ties / 2;
+};
+
+class FuturesEngine {
+  constructor() {
+    // Final regular-season records by season ID; they can't change once every game is final
+    this.finalRecords = new Map();
+  }
+
+  /**
+   * A game's futures settings merged over the defaults
+   * @param {Object} game - Pickem game
+   * @returns {{enabled: boolean, lock_at: string|null, win_totals: Object}}
+   */
+  getSettings(game) {
+    let stored = game?.futures || {};
+    if (typeof stored === 'string') {
+      try {
+        stored = JSON.parse(stored);
+      } catch (error) {
+        stored = {};
+      }
+    }
+
+    return { ...DEFAULT_SETTINGS, ...stored, win_totals: { ...(stored.win_totals || {}) } };
+  }
+
+  /**
+   * Merge a partial settings update over a game's current futures settings
+   * @param {Object} game - Pickem game
+   * @param {Object} updates - Settings to change
+   * @returns {Object} Complete settings document
+   */
+  mergeSettings(game, updates) {
+    const current = this.getSettings(game);
+    const merged = {};
+    for (const field of Object.keys(current)) {
+      merged[field] = updates[field] !== undefined ? updates[field] : current[field];
+    }
+    return merged;
+  }
+
+  /**
+   * Validate a complete futures settings document
+   * @param {Object} settings - Settings document
+   * @returns {string|null} Error message, or null if the settings are valid
+   */
+  validateSettings(settings) {
+    if (typeof settings.enabled !== 'boolean') {
+      return 'Enabled must be true or false';
+    }
+    if (settings.lock_at !== null && Number.isNaN(new Date(settings.lock_at).getTime())) {
+      return 'Lock date must be a valid date';
+    }
+    if (!settings.win_totals || typeof settings.win_totals !== 'object' || Array.isArray(settings.win_totals)) {
+      return 'Win totals must map team IDs to lines';
+    }
+    for (const line of Object.values(settings.win_totals)) {
+      // Half-point lines so a team can't push
+      if (typeof line !== 'number' || line <= 0 || line >= 17 || line % 1 !== 0.5) {
+        return 'Win total lines must be half-point numbers between 0 and 17 (e.g. 9.5)';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether new settings move the lock date or any win total line, which players have
+   * already picked against once futures lock
+   * @param {Object} current - Current settings document
+   * @param {Object} settings - Complete new settings document
+   * @returns {boolean}
+   */
+  changesLockedSettings(current, settings) {
+    const lockTime = (lockAt) => lockAt ? new Date(lockAt).getTime() : null;
+    const teamIds = new Set([...Object.keys(current.win_totals), ...Object.keys(settings.win_totals)]);
+    return lockTime(current.lock_at) !== lockTime(settings.lock_at) ||
+      [...teamIds].some(teamId => current.win_totals[teamId] !== settings.win_totals[teamId]);
+  }
+
+  /**
+   * Teams that play regular-season games in a season
+   * @param {Array} seasonGames - Football games in the season
+   * @returns {Promise<Object>} Teams keyed by ID
+   */
+  async getTeams(seasonGames) {
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const teams = {};
+
+    const regularSeasonGames = seasonGames.filter(g => (g.season_type || REGULAR_SEASON) === REGULAR_SEASON);
+    for (const teamId of new Set(regularSeasonGames.flatMap(g => [g.home_team_id, g.away_team_id]))) {
+      const team = await nflDataService.getTeamById(teamId);
+      if (team) {
+        teams[teamId] = {
+          id: team.id,
+          team_code: team.team_code,
+          team_name: team.team_name,
+          team_city: team.team_city,
+          team_logo: team.team_logo,
+          team_conference: team.team_conference,
+          team_division: team.team_division
+        };
+      }
+    }
+
+    return teams;
+  }
+
+  /**
+   * Markets open for futures picks in a game: every division and conference,
+   * the Super Bowl, and a win total for each team the commissioner set a line for
+   * @param {Object} settings - Futures settings
+   * @param {Object} teams - Teams keyed by ID
+   * @returns {Array<{category: string, subject: string, name: string, options: string[], line?: number}>}
+   */
+  getMarkets(settings, teams) {
+    const teamList = Object.values(teams)
+      .filter(team => CONFERENCES.includes(team.team_conference))
+      .sort((a, b) => `${a.team_city} ${a.team_name}`.localeCompare(`${b.team_city} ${b.team_name}`));
+    const markets = [];
+
+    const divisions = [...new Set(teamList
+      .filter(team => team.team_division && team.team_division !== 'Unknown')
+      .map(team => `${team.team_conference} ${team.team_division}`))].sort();
+    for (const division of divisions) {
+      markets.push({
+        category: 'division',
+        subject: division,
+        name: division,
+        options: teamList.filter(team => `${team.team_conference} ${team.team_division}` === division).map(team => team.id)
+      });
+    }
+
+    for (const conference of CONFERENCES) {
+      markets.push({
+        category: 'conference',
+        subject: conference,
+        name: `${conference} Champion`,
+        options: teamList.filter(team => team.team_conference === conference).map(team => team.id)
+      });
+    }
+
+    markets.push({
+      category: 'super_bowl',
+      subject: 'super_bowl',
+      name: 'Super Bowl Champion',
+      options: teamList.map(team => team.id)
+    });
+
+    for (const team of teamList) {
+      const line = settings.win_totals[team.id];
+      if (line !== undefined) {
+        markets.push({
+          category: 'win_total',
+          subject: team.id,
+          name: `${team.team_city} ${team.team_name}`,
+          options: WIN_TOTAL_OPTIONS,
+          line
+        });
+      }
+    }
+
+    return markets;
+  }
+
+  /**
+   * When futures picks lock: the commissioner's lock date, otherwise the season's first regular-season kickoff
+   * @param {Object} settings - Futures settings
+   * @param {Array} seasonGames - Football games in the season
+   * @returns {Date|null} Lock time, or null if there is nothing to lock on yet
+   */
+  getLockTime(settings, seasonGames) {
+    if (settings.lock_at) {
+      return new Date(settings.lock_at);
+    }
+
+    const kickoffs = seasonGames
+      .filter(g => (g.season_type || REGULAR_SEASON) === REGULAR_SEASON)
+      .map(g => new Date(g.start_time).getTime())
+      .filter(time => !Number.isNaN(time));
+    return kickoffs.length > 0 ? new Date(Math.min(...kickoffs)) : null;
+  }
+
+  /**
+   * Everything a player needs to make futures picks in a game
+   * @param {Object} game - Pickem game
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} Settings, lock time, categories, markets and teams
+   */
+  async getFutures(game, now = new Date()) {
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const seasonGames = (await nflDataService.getGamesBySeason(game.season_id))
+      .filter(g => g.season_type !== 1);
+
+    const settings = this.getSettings(game);
+    const teams = await this.getTeams(seasonGames);
+    const lockTime = this.getLockTime(settings, seasonGames);
+
+    return {
+      settings,
+      lockTime: lockTime ? lockTime.toISOString() : null,
+      isLocked: !!lockTime && now >= lockTime,
+      categories: FUTURES_CATEGORIES,
+      markets: this.getMarkets(settings, teams),
+      teams
+    };
+  }
+
+  /**
+   * Validate a player's futures picks against the open markets. Markets may be left blank.
+   * @param {Array} markets - Result of getMarkets
+   * @param {Array} picks - Picks with category, subject and pick
+   * @returns {string|null} Error message, or null if every pick is valid
+   */
+  validatePicks(markets, picks) {
+    if (!Array.isArray(picks)) {
+      return 'Futures picks are required';
+    }
+
+    const seen = new Set();
+    for (const pick of picks) {
+      const market = markets.find(m => m.category === pick?.category && m.subject === pick?.subject);
+      if (!market) {
+        return 'Futures pick is for a market that is not open';
+      }
+      if (!market.options.includes(pick.pick)) {
+        return `Invalid pick for ${market.name}`;
+      }
+
+      const key = marketKey(pick.category, pick.subject);
+      if (seen.has(key)) {
+        return `Only one pick is allowed for ${market.name}`;
+      }
+      seen.add(key);
+    }
+
+    return null;
+  }
+
+  /**
+   * Final regular-season team records from ESPN, as GET /api/teams/records reports them.
+   * Null until every regular-season game is final.
+   * @param {string} seasonId - Season ID
+   * @param {Array} seasonGames - Football games in the season
+   * @returns {Promise<Object|null>} Record summaries by team abbreviation
+   */
+  async getFinalRecords(seasonId, seasonGames) {
+    if (this.finalRecords.has(seasonId)) {
+      return this.finalRecords.get(seasonId);
+    }
+
+    const regularSeasonGames = seasonGames.filter(g => (g.season_type || REGULAR_SEASON) === REGULAR_SEASON);
+    if (regularSeasonGames.length === 0 || regularSeasonGames.some(g => !FINAL_STATUSES.includes(g.status))) {
+      return null;
+    }
+
+    const seasonService = DatabaseServiceFactory.getSeasonService();
+    const season = await seasonService.getSeasonById(seasonId);
+    const lastWeek = Math.max(...regularSeasonGames.map(g => g.week));
+
+    // Every team plays in the last regular-season week, so its scoreboard has every final record
+    const records = await espnService.fetchTeamRecords(lastWeek, season?.season);
+    this.finalRecords.set(seasonId, records);
+    return records;
+  }
+
+  /**
+   * Settled futures markets for a season: division winners once the playoff field is set,
+   * conference and Super Bowl champions as they are decided, and win totals once the regular season ends
+   * @param {string} seasonId - Season ID
+   * @param {boolean} includeWinTotals - Whether to look up final records for win totals
+   * @returns {Promise<{teams: Object, results: Map<string, string>}>} Winning pick by market key
+   */
+  async getResults(seasonId, includeWinTotals) {
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const seasonGames = (await nflDataService.getGamesBySeason(seasonId))
+      .filter(g => g.season_type !== 1);
+    const teams = await this.getTeams(seasonGames);
+    const results = new Map();
+
+    const bracket = await bracketService.getBracket(seasonId);
+    if (bracket) {
+      // Seeds 1-4 in each conference are the division winners
+      for (const conference of CONFERENCES) {
+        for (const { seed, team_id: teamId } of bracket.seeds[conference]) {
+          const team = teams[teamId];
+          if (seed <= 4 && team) {
+            results.set(marketKey('division', `${team.team_conference} ${team.team_division}`), teamId);
+          }
+        }
+      }
+
+      for (const teamId of bracket.winners.conference) {
+        const conference = bracket.teams[teamId]?.team_conference;
+        if (conference) {
+          results.set(marketKey('conference', conference), teamId);
+        }
+      }
+
+      const [champion] = bracket.winners.super_bowl;
+      if (champion) {
+        results.set(marketKey('super_bowl', 'super_bowl'), champion);
+      }
+    }
+
+    if (includeWinTotals) {
+      try {
+        const records = await this.getFinalRecords(seasonId, seasonGames);
+        if (records) {
+          for (const team of Object.values(teams)) {
+            const wins = records[team.team_code] ? parseWins(records[team.team_code]) : null;
+            if (wins !== null) {
+              results.set(marketKey('win_total', team.id), String(wins));
+            }
+          }
+        }
+      } catch (error) {
+        // Win totals are graded on a later run once ESPN responds
+        console.error('[Futures] Failed to fetch final team records:', error);
+      }
+    }
+
+    return { teams, results };
+  }
+
+  /**
+   * Grade every futures pick in one game against settled results
+   * @param {Object} game - Pickem game
+   * @param {Object} teams - Teams keyed by ID
+   * @param {Map<string, string>} results - Result of getResults
+   * @returns {Promise<number>} Number of markets settled
+   */
+  async gradeGame(game, teams, results) {
+    const futuresService = DatabaseServiceFactory.getFuturesService();
+    const settings = this.getSettings(game);
+    let settled = 0;
+
+    for (const market of this.getMarkets(settings, teams)) {
+      let result = results.get(marketKey(market.category, market.subject)) ?? null;
+      if (result !== null && market.category === 'win_total') {
+        result = Number(result) > market.line ? 'over' : 'under';
+      }
+
+      await futuresService.gradeFuturesPicks(game.id, market.category, market.subject, result);
+      if (result !== null) settled++;
+    }
+
+    return settled;
+  }
+
+  /**
+   * Grade futures picks in every pickem game of a season that has futures enabled
+   * @param {string} seasonId - Season ID
+   * @returns {Promise<{games: number}>}
+   */
+  async gradeFutures(seasonId) {
+    try {
+      const gameService = DatabaseServiceFactory.getGameService();
+      const games = (await gameService.getAllGames()).filter(game =>
+        game.season_id === seasonId && this.getSettings(game).enabled
+      );
+
+      if (games.length === 0) {
+        return { games: 0 };
+      }
+
+      const includeWinTotals = games.some(game => Object.keys(this.getSettings(game).win_totals).length > 0);
+      const { teams, results } = await this.getResults(seasonId, includeWinTotals);
+
+      for (const game of games) {
+        await this.gradeGame(game, teams, results);
+      }
+
+      console.log(`[Futures] Graded futures for ${games.length} games (${results.size} markets settled)`);
+      return { games: games.length };
+    } catch (error) {
+      console.error('[Futures] Failed to grade futures:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Futures standings for a game: most points first, then most points still possible
+   * @param {Object} game - Pickem game
+   * @param {Array} picks - Every futures pick in the game
+   * @returns {Promise<Array>} Participants with their picks and score
+   */
+  async getStandings(game, picks) {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const participants = await gameService.getGameParticipants(game.id);
+
+    const standings = participants.map(participant => {
+      const userPicks = picks
+        .filter(pick => pick.user_id === participant.user_id)
+        .map(pick => ({
+          category: pick.category,
+          subject: pick.subject,
+          pick: pick.pick,
+          is_correct: pick.is_correct === null || pick.is_correct === undefined ? null : !!pick.is_correct
+        }));
+
+      let points = 0;
+      let maxPoints = 0;
+      let correctPicks = 0;
+      for (const pick of userPicks) {
+        const value = categoryPoints(pick.category);
+        if (pick.is_correct) {
+          points += value;
+          correctPicks++;
+        }
+        if (pick.is_correct !== false) {
+          maxPoints += value;
+        }
+      }
+
+      return {
+        user_id: participant.user_id,
+        display_name: participant.display_name,
+        first_name: participant.first_name,
+        last_name: participant.last_name,
+        picks: userPicks,
+        total_picks: userPicks.length,
+        graded_picks: userPicks.filter(pick => pick.is_correct !== null).length,
+        correct_picks: correctPicks,
+        points,
+        max_points: maxPoints
+      };
+    });
+
+    return standings.sort((a, b) =>
+      b.points - a.points ||
+      b.max_points - a.max_points ||
+      (a.display_name || '').localeCompare(b.display_name || '')
+    );
+  }
+}
+
+export default new FuturesEngine();
@@ -0,0 +1,89 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import liveUpdates from './liveUpdates.js';
+
+export const MAX_MESSAGE_LENGTH = 1000;
+
+class GameChatService {
+  /**
+   * Message as the API returns it
+   * @param {Object} message - Message row with first_name and last_name
+   * @returns {Object}
+   */
+  formatMessage(message) {
+    const isSystem = !!message.is_system;
+    const authorName = isSystem
+      ? null
+      : [message.first_name, message.last_name].filter(Boolean).join(' ') || 'Former player';
+
+    return {
+      id: message.id,
+      gameId: message.game_id,
+      userId: message.user_id || null,
+      authorName,
+      body: message.body,
+      isSystem,
+      isPinned: !!message.is_pinned,
+      createdAt: message.created_at
+    };
+  }
+
+  /**
+   * Post a player's message and push it to everyone watching the game
+   * @param {Object} game - Pickem game
+   * @param {string} userId - Author
+   * @param {string} body - Message text
+   * @returns {Promise<Object>} Formatted message
+   */
+  async postMessage(game, userId, body) {
+    const messageService = DatabaseServiceFactory.getMessageService();
+    const message = this.formatMessage(await messageService.createMessage({ gameId: game.id, userId, body }));
+    liveUpdates.publishMessage(game, 'message', message);
+    return message;
+  }
+
+  /**
+   * Post an announcement from the app itself. Never throws, so callers finishing a week
+   * aren't held up by the message board.
+   * @param {Object} game - Pickem game
+   * @param {string} body - Message text
+   * @returns {Promise<Object|null>} Formatted message, or null if it couldn't be posted
+   */
+  async postSystemMessage(game, body) {
+    try {
+      const messageService = DatabaseServiceFactory.getMessageService();
+      const message = this.formatMessage(await messageService.createMessage({ gameId: game.id, body, isSystem: true }));
+      liveUpdates.publishMessage(game, 'message', message);
+      return message;
+    } catch (error) {
+      console.error(`[GameChat] Failed to post system message to game ${game.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Pin or unpin a message
+   * @param {Object} game - Pickem game
+   * @param {string} messageId - Message ID
+   * @param {boolean} pinned - Whether the message is pinned
+   * @returns {Promise<Object>} Formatted message
+   */
+  async setPinned(game, messageId, pinned) {
+    const messageService = DatabaseServiceFactory.getMessageService();
+    const message = this.formatMessage(await messageService.setPinned(messageId, pinned));
+    liveUpdates.publishMessage(game, 'message_updated', message);
+    return message;
+  }
+
+  /**
+   * Remove a message
+   * @param {Object} game - Pickem game
+   * @param {string} messageId - Message ID
+   */
+  async deleteMessage(game, messageId) {
+    const messageService = DatabaseServiceFactory.getMessageService();
+    await messageService.deleteMessage(messageId);
+    liveUpdates.publishMessage(game, 'message_deleted', { id: messageId });
+  }
+}
+
+export default new GameChatService();
@@ -0,0 +1,113 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+
+export const GAME_VISIBILITIES = ['private', 'unlisted', 'public'];
+
+// Players can join these on their own; private games need an invitation or join link
+const SELF_JOIN_VISIBILITIES = ['unlisted', 'public'];
+
+export const MAX_PARTICIPANTS_LIMIT = 1000;
+
+class GameDirectoryService {
+  /**
+   * A game's visibility, treating games from before the setting existed as private
+   * @param {Object} game - Pickem game
+   * @returns {string}
+   */
+  getVisibility(game) {
+    return GAME_VISIBILITIES.includes(game.visibility) ? game.visibility : 'private';
+  }
+
+  /**
+   * Whether a game has reached its participant cap
+   * @param {Object} game - Pickem game with participants or player_count
+   * @returns {boolean}
+   */
+  isFull(game) {
+    if (game.max_participants == null) {
+      return false;
+    }
+    const playerCount = game.participants ? game.participants.length : Number(game.player_count || 0);
+    return playerCount >= game.max_participants;
+  }
+
+  /**
+   * Why a user can't join a game on their own
+   * @param {Object} game - Pickem game with participants
+   * @returns {string|null} Reason, or null if they can
+   */
+  getSelfJoinError(game) {
+    if (!SELF_JOIN_VISIBILITIES.includes(this.getVisibility(game))) {
+      return 'This game is invitation only';
+    }
+    if (game.is_active === 0 || game.is_active === false) {
+      return 'This game is no longer active';
+    }
+    if (this.isFull(game)) {
+      return 'This game is full';
+    }
+    return null;
+  }
+
+  /**
+   * Validate a visibility update from a commissioner
+   * @param {Object} game - Pickem game with participants
+   * @param {*} visibility - Requested visibility
+   * @param {*} maxParticipants - Requested cap, null for none
+   * @returns {string|null} Validation error, or null if valid
+   */
+  validateSettings(game, visibility, maxParticipants) {
+    if (!GAME_VISIBILITIES.includes(visibility)) {
+      return `Visibility must be one of: ${GAME_VISIBILITIES.join(', ')}`;
+    }
+    if (maxParticipants !== null) {
+      if (!Number.isInteger(maxParticipants) || maxParticipants < 2 || maxParticipants > MAX_PARTICIPANTS_LIMIT) {
+        return `maxParticipants must be a whole number from 2 to ${MAX_PARTICIPANTS_LIMIT}`;
+      }
+      if (maxParticipants < game.participants.length) {
+        return `The game already has ${game.participants.length} players`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Game as the public directory lists it
+   * @param {Object} game - Pickem game with player_count and commissioner_name
+   * @param {Set<string>} memberGameIds - Games the viewer is already in
+   * @returns {Object}
+   */
+  formatListing(game, memberGameIds) {
+    return {
+      id: game.id,
+      gameName: game.game_name,
+      gameType: game.type,
+      playerCount: Number(game.player_count || 0),
+      maxParticipants: game.max_participants ?? null,
+      commissionerName: game.commissioner_name || null,
+      isFull: this.isFull(game),
+      isMember: memberGameIds.has(game.id)
+    };
+  }
+
+  /**
+   * Add a user to an unlisted or public game
+   * @param {Object} game - Pickem game with participants
+   * @param {string} userId - User joining
+   * @returns {Promise<string|null>} Why the user couldn't join, or null once they have
+   */
+  async join(game, userId) {
+    const joinError = this.getSelfJoinError(game);
+    if (joinError) {
+      return joinError;
+    }
+
+    // The game may have filled up since it was loaded
+    const gameService = DatabaseServiceFactory.getGameService();
+    if (!await gameService.addParticipantIfNotFull(game.id, userId, 'player')) {
+      return 'This game is full';
+    }
+    return null;
+  }
+}
+
+export default new GameDirectoryService();
@@ -0,0 +1,116 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+
+export const GAME_ROLES = ['owner', 'co_commissioner', 'player'];
+
+// What an owner can hand to a co-commissioner; owners and admins can always do all of it
+export const GAME_PERMISSIONS = ['invite', 'remove_players', 'edit_picks', 'edit_rules', 'moderate_chat'];
+
+// Roles an owner can assign directly; ownership only changes hands through a transfer
+const ASSIGNABLE_ROLES = ['co_commissioner', 'player'];
+
+class GameRolesService {
+  /**
+   * What a participant may manage in their game
+   * @param {Object|null} participant - Game participant
+   * @returns {string[]} Permissions
+   */
+  getPermissions(participant) {
+    if (!participant) {
+      return [];
+    }
+    if (participant.role === 'owner') {
+      return [...GAME_PERMISSIONS];
+    }
+    if (participant.role !== 'co_commissioner') {
+      return [];
+    }
+
+    let stored = participant.permissions || [];
+    if (typeof stored === 'string') {
+      try {
+        stored = JSON.parse(stored);
+      } catch (error) {
+        stored = [];
+      }
+    }
+    return GAME_PERMISSIONS.filter(permission => stored.includes(permission));
+  }
+
+  /**
+   * Whether a participant holds a permission
+   * @param {Object|null} participant - Game participant
+   * @param {string} permission - One of GAME_PERMISSIONS
+   * @returns {boolean}
+   */
+  hasPermission(participant, permission) {
+    return this.getPermissions(participant).includes(permission);
+  }
+
+  /**
+   * Validate a role change from a game owner
+   * @param {Object|null} participant - Participant being changed
+   * @param {*} role - Requested role
+   * @param {*} permissions - Requested co-commissioner permissions
+   * @returns {string|null} Validation error, or null if valid
+   */
+  validateRoleUpdate(participant, role, permissions) {
+    if (!participant) {
+      return 'User is not in this game';
+    }
+    if (participant.role === 'owner') {
+      return 'Transfer ownership to change the owner\'s role';
+    }
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`;
+    }
+    if (!Array.isArray(permissions) || permissions.some(permission => !GAME_PERMISSIONS.includes(permission))) {
+      return `Permissions must be a list of: ${GAME_PERMISSIONS.join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Make a participant a co-commissioner with the given permissions, or a regular player
+   * @param {string} gameId - Game ID
+   * @param {string} userId - Participant to change
+   * @param {string} role - co_commissioner or player
+   * @param {string[]} permissions - Validated permissions, ignored for players
+   * @returns {Promise<Object>} Updated participant
+   */
+  async updateRole(gameId, userId, role, permissions) {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const granted = role === 'co_commissioner' ? [...new Set(permissions)] : [];
+    return await gameService.updateParticipantRole(gameId, userId, role, granted);
+  }
+
+  /**
+   * Hand a game, and the league it belongs to, to another participant. The previous owner
+   * stays on as a co-commissioner with every permission.
+   * @param {Object} game - Pickem game with participants
+   * @param {string} toUserId - Participant taking over
+   * @returns {Promise<string|null>} Why ownership couldn't be transferred, or null once it has
+   */
+  async transferOwnership(game, toUserId) {
+    const target = game.participants.find(participant => participant.user_id === toUserId);
+    if (!target) {
+      return 'User is not in this game';
+    }
+    if (target.role === 'owner') {
+      return 'That user already owns this game';
+    }
+
+    const owner = game.participants.find(participant => participant.role === 'owner');
+    const gameService = DatabaseServiceFactory.getGameService();
+    await gameService.transferOwnership(game.id, owner ? owner.user_id : null, toUserId, GAME_PERMISSIONS);
+
+    // New seasons are created for the league's commissioner
+    if (game.league_id) {
+      const leagueService = DatabaseServiceFactory.getLeagueService();
+      await leagueService.updateLeague(game.league_id, { commissionerId: toUserId });
+    }
+
+    return null;
+  }
+}
+
+export default new GameRolesService();
@@ -0,0 +1,293 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+
+export const LOCK_MODES = ['game', 'week', 'sunday'];
+export const TIE_SCORING = ['loss', 'push', 'win'];
+export const MISSED_PICK_POLICIES = ['loss', 'ignore'];
+export const PICK_VISIBILITY = ['after_lock', 'always'];
+export const AUTO_PICK_POLICIES = ['none', 'home', 'favorite', 'favorite_team', 'random'];
+
+// ESPN statuses for a football game that has finished
+export const FINAL_STATUSES = ['STATUS_FINAL', 'STATUS_CLOSED', 'Final'];
+
+const REGULAR_SEASON = 2;
+const POSTSEASON = 3;
+const MAX_REGULAR_SEASON_WEEK = 18;
+
+// Sunday 1pm kickoffs are scheduled in US Eastern time
+const EASTERN_TIME_ZONE = 'America/New_York';
+
+class GameRulesService {
+  /**
+   * Default rules for a game type. These match how games behaved before rules were configurable,
+   * except that playoff games are opt-in.
+   * @param {string} gameType - Pickem game type
+   * @returns {Object} Rules document
+   */
+  getDefaultRules(gameType) {
+    return {
+      lock_mode: 'game',
+      tie_scoring: 'loss',
+      // Survivor has always knocked out players who skip a week
+      missed_pick_policy: gameType === 'survivor' ? 'loss' : 'ignore',
+      start_week: 1,
+      end_week: MAX_REGULAR_SEASON_WEEK,
+      // Playoff rounds reuse week numbers 1-5 and the weekly pick screens still list them under
+      // those weeks, so commissioners opt in rather than having January games mixed into week 1
+      include_playoffs: false,
+      // Other players' picks stay hidden until they lock so nobody can copy the leader
+      pick_visibility: 'after_lock',
+      // Players who miss a lock get no pick unless the commissioner opts in
+      auto_pick_policy: 'none',
+      // Email every player a results recap once all of a week's games are final
+      recap_emails: true
+    };
+  }
+
+  /**
+   * Get the effective rules for a game, filling anything unset with the type's defaults
+   * @param {Object} game - Pickem game (rules may be a JSON string or an object)
+   * @returns {Object} Rules document
+   */
+  getRules(game) {
+    let stored = game?.rules || {};
+    if (typeof stored === 'string') {
+      try {
+        stored = JSON.parse(stored);
+      } catch (error) {
+        stored = {};
+      }
+    }
+
+    return { ...this.getDefaultRules(game?.type || game?.game_type), ...stored };
+  }
+
+  /**
+   * Validate a complete rules document
+   * @param {Object} rules - Rules document
+   * @returns {string|null} Error message, or null if the rules are valid
+   */
+  validateRules(rules) {
+    if (!LOCK_MODES.includes(rules.lock_mode)) {
+      return `Lock mode must be one of: ${LOCK_MODES.join(', ')}`;
+    }
+    if (!TIE_SCORING.includes(rules.tie_scoring)) {
+      return `Tie scoring must be one of: ${TIE_SCORING.join(', ')}`;
+    }
+    if (!MISSED_PICK_POLICIES.includes(rules.missed_pick_policy)) {
+      return `Missed pick policy must be one of: ${MISSED_PICK_POLICIES.join(', ')}`;
+    }
+    for (const field of ['start_week', 'end_week']) {
+      if (!Number.isInteger(rules[field]) || rules[field] < 1 || rules[field] > MAX_REGULAR_SEASON_WEEK) {
+        return `Weeks must be whole numbers between 1 and ${MAX_REGULAR_SEASON_WEEK}`;
+      }
+    }
+    if (rules.start_week > rules.end_week) {
+      return 'Start week must not be after end week';
+    }
+    if (typeof rules.include_playoffs !== 'boolean') {
+      return 'Include playoffs must be true or false';
+    }
+    if (!PICK_VISIBILITY.includes(rules.pick_visibility)) {
+      return `Pick visibility must be one of: ${PICK_VISIBILITY.join(', ')}`;
+    }
+    if (!AUTO_PICK_POLICIES.includes(rules.auto_pick_policy)) {
+      return `Auto-pick policy must be one of: ${AUTO_PICK_POLICIES.join(', ')}`;
+    }
+    if (typeof rules.recap_emails !== 'boolean') {
+      return 'Recap emails must be true or false';
+    }
+    return null;
+  }
+
+  /**
+   * Merge updates over a game's current rules, keeping only known fields
+   * @param {Object} game - Pickem game
+   * @param {Object} updates - Partial rules document
+   * @returns {Object} Complete rules document (not yet validated)
+   */
+  mergeRules(game, updates) {
+    const current = this.getRules(game);
+    const merged = {};
+    for (const field of Object.keys(current)) {
+      merged[field] = updates[field] !== undefined ? updates[field] : current[field];
+    }
+    return merged;
+  }
+
+  /**
+   * Whether a football game counts toward a pickem game under its rules
+   * @param {Object} rules - Rules document
+   * @param {Object} footballGame - Football game
+   * @returns {boolean}
+   */
+  isGameInPlay(rules, footballGame) {
+    const seasonType = footballGame.season_type || REGULAR_SEASON;
+    if (seasonType === POSTSEASON) {
+      return rules.include_playoffs;
+    }
+    return seasonType === REGULAR_SEASON &&
+      footballGame.week >= rules.start_week &&
+      footballGame.week <= rules.end_week;
+  }
+
+  /**
+   * Whether a season week (as numbered by getSeasonWeek) counts toward a pickem game under its rules
+   * @param {Object} rules - Rules document
+   * @param {number} seasonWeek - Season week, 19 and up for the playoffs
+   * @returns {boolean}
+   */
+  isSeasonWeekInPlay(rules, seasonWeek) {
+    if (seasonWeek > MAX_REGULAR_SEASON_WEEK) {
+      return rules.include_playoffs;
+    }
+    return seasonWeek >= rules.start_week && seasonWeek <= rules.end_week;
+  }
+
+  /**
+   * Football games in a season that count toward a pickem game
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @returns {Promise<Array>} Football games in play under the game's rules
+   */
+  async getInPlayGames(game, seasonId) {
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const rules = this.getRules(game);
+    const seasonGames = await nflDataService.getGamesBySeason(seasonId);
+    return seasonGames.filter(footballGame => this.isGameInPlay(rules, footballGame));
+  }
+
+  /**
+   * 1pm Eastern on the first Sunday on or after a given moment
+   * @param {Date} from - Any moment in the week
+   * @returns {Date}
+   */
+  getSundayLock(from) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: EASTERN_TIME_ZONE,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        weekday: 'short'
+      }).formatToParts(from).map(part => [part.type, part.value])
+    );
+
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const daysUntilSunday = (7 - weekdays.indexOf(parts.weekday)) % 7;
+
+    // 1pm EDT is 17:00 UTC; during standard time it is an hour later
+    const lock = new Date(Date.UTC(
+      parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day) + daysUntilSunday, 17
+    ));
+    const easternHour = parseInt(new Intl.DateTimeFormat('en-US', {
+      timeZone: EASTERN_TIME_ZONE,
+      hour: 'numeric',
+      hourCycle: 'h23'
+    }).format(lock));
+
+    return easternHour === 13 ? lock : new Date(lock.getTime() + (13 - easternHour) * 60 * 60 * 1000);
+  }
+
+  /**
+   * When picks on a football game lock under the game's lock mode
+   * @param {Object} rules - Rules document
+   * @param {Object} footballGame - Football game being picked
+   * @param {Array} weekGames - Every football game in the same week
+   * @returns {Date}
+   */
+  getLockTime(rules, footballGame, weekGames) {
+    const kickoff = new Date(footballGame.start_time);
+    const kickoffs = weekGames
+      .filter(g => g.season_type !== 1 && (g.season_type || REGULAR_SEASON) === (footballGame.season_type || REGULAR_SEASON))
+      .map(g => new Date(g.start_time).getTime());
+    const firstKickoff = new Date(Math.min(kickoff.getTime(), ...kickoffs));
+
+    if (rules.lock_mode === 'week') {
+      return firstKickoff;
+    }
+
+    if (rules.lock_mode === 'sunday') {
+      // Thursday and Saturday games still lock at their own kickoff
+      const sundayLock = this.getSundayLock(firstKickoff);
+      return kickoff < sundayLock ? kickoff : sundayLock;
+    }
+
+    return kickoff;
+  }
+
+  /**
+   * Whether picks on a football game are locked
+   * @param {Object} rules - Rules document
+   * @param {Object} footballGame - Football game being picked
+   * @param {Array} weekGames - Every football game in the same week
+   * @param {Date} [now] - Current time
+   * @returns {boolean}
+   */
+  isPickLocked(rules, footballGame, weekGames, now = new Date()) {
+    return now >= this.getLockTime(rules, footballGame, weekGames);
+  }
+
+  /**
+   * Postseason games are stored as weeks 1-5 of season type 3. Number them after the regular
+   * season so a week's games never mix with a playoff round, and weeks still sort in order.
+   * @param {Object} footballGame - Football game (or a pick carrying season_type and week)
+   * @returns {number} 1-18 for the regular season, 19 and up for the playoffs
+   */
+  getSeasonWeek(footballGame) {
+    return (footballGame.season_type || REGULAR_SEASON) === POSTSEASON
+      ? MAX_REGULAR_SEASON_WEEK + footballGame.week
+      : footballGame.week;
+  }
+
+  /**
+   * Football games a confidence pick is ranked against: the game's week (or playoff round),
+   * as long as the game's rules put it in play
+   * @param {Object} rules - Rules document
+   * @param {Array} weekGames - Every football game stored under the same week number
+   * @param {Object} footballGame - Football game being picked
+   * @returns {Array}
+   */
+  getRankableGames(rules, weekGames, footballGame) {
+    const seasonWeek = this.getSeasonWeek(footballGame);
+    return weekGames.filter(g =>
+      g.season_type !== 1 && this.getSeasonWeek(g) === seasonWeek && this.isGameInPlay(rules, g)
+    );
+  }
+
+  /**
+   * How many confidence ranks a week has (N). Preseason games and games outside the
+   * game's week range are never offered for picks, so they don't count.
+   * @param {Object} rules - Rules document
+   * @param {Array} weekGames - Every football game stored under the same week number
+   * @param {Object} footballGame - Football game being picked
+   * @returns {number}
+   */
+  countRankableGames(rules, weekGames, footballGame) {
+    return this.getRankableGames(rules, weekGames, footballGame).length;
+  }
+
+  /**
+   * Confidence ranks run 1..N (N = football games in the week) and each rank
+   * may only be used once per user, game and week
+   * @param {number[]} ranks - A player's ranks for the week
+   * @param {number} maxRank - N
+   * @returns {string|null} Validation error, or null if valid
+   */
+  validateConfidenceRanks(ranks, maxRank) {
+    const seen = new Set();
+
+    for (const rank of ranks) {
+      if (!Number.isInteger(rank) || rank < 1 || rank > maxRank) {
+        return `Confidence must be a whole number between 1 and ${maxRank}`;
+      }
+      if (seen.has(rank)) {
+        return `Confidence ${rank} is already used this week`;
+      }
+      seen.add(rank);
+    }
+
+    return null;
+  }
+}
+
+export default new GameRulesService();
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+
+// No 0/O or 1/I/L, so codes read out loud or copied by hand still work
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+export const MAX_JOIN_CODE_DAYS = 365;
+export const MAX_JOIN_CODE_USES = 1000;
+
+class JoinCodeService {
+  /**
+   * A new random join code
+   * @returns {string}
+   */
+  generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  /**
+   * Canonical form of a code typed or pasted by a player
+   * @param {string} code - Code as entered
+   * @returns {string}
+   */
+  normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Why a join code can't be used right now
+   * @param {Object} joinCode - Join code
+   * @returns {string|null} Reason, or null if it can be used
+   */
+  getUnavailableReason(joinCode) {
+    if (!joinCode) {
+      return 'This join link is not valid';
+    }
+    if (joinCode.is_revoked) {
+      return 'This join link has been revoked';
+    }
+    if (joinCode.expires_at && new Date(joinCode.expires_at) <= new Date()) {
+      return 'This join link has expired';
+    }
+    if (joinCode.max_uses != null && joinCode.use_count >= joinCode.max_uses) {
+      return 'This join link has already been used the maximum number of times';
+    }
+    return null;
+  }
+
+  /**
+   * Join code as the API returns it
+   * @param {Object} joinCode - Join code row
+   * @returns {Object}
+   */
+  formatJoinCode(joinCode) {
+    const unavailableReason = this.getUnavailableReason(joinCode);
+    let status = 'active';
+    if (joinCode.is_revoked) {
+      status = 'revoked';
+    } else if (unavailableReason) {
+      status = joinCode.expires_at && new Date(joinCode.expires_at) <= new Date() ? 'expired' : 'used_up';
+    }
+
+    return {
+      id: joinCode.id,
+      code: joinCode.code,
+      expiresAt: joinCode.expires_at || null,
+      maxUses: joinCode.max_uses ?? null,
+      useCount: joinCode.use_count || 0,
+      status,
+      createdAt: joinCode.created_at
+    };
+  }
+
+  /**
+   * Create a join code for a game, retrying on the rare clash with an existing code
+   * @param {string} gameId - Game ID
+   * @param {string} userId - Commissioner creating it
+   * @param {Object} [options]
+   * @param {number|null} [options.expiresInDays] - Days until it expires, null never expires
+   * @param {number|null} [options.maxUses] - Maximum joins, null is unlimited
+   * @returns {Promise<Object>} Created join code
+   */
+  async createJoinCode(gameId, userId, { expiresInDays = null, maxUses = null } = {}) {
+    const joinCodeService = DatabaseServiceFactory.getJoinCodeService();
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = this.generateCode();
+      if (await joinCodeService.getJoinCodeByCode(code)) continue;
+
+      return await joinCodeService.createJoinCode({ gameId, code, createdBy: userId, expiresAt, maxUses });
+    }
+
+    throw new Error('Could not generate a unique join code');
+  }
+
+  /**
+   * Add a user who isn't in the game yet to the game a join code belongs to
+   * @param {Object} joinCode - Join code
+   * @param {string} userId - User joining
+   * @returns {Promise<string|null>} Why the user couldn't join, or null once they have
+   */
+  async redeem(joinCode, userId) {
+    const unavailableReason = this.getUnavailableReason(joinCode);
+    if (unavailableReason) {
+      return unavailableReason;
+    }
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const joinCodeService = DatabaseServiceFactory.getJoinCodeService();
+
+    // Take the seat first so a use is only counted for someone who got in
+    if (!await gameService.addParticipantIfNotFull(joinCode.game_id, userId, 'player')) {
+      return 'This game is full';
+    }
+
+    if (!await joinCodeService.recordUse(joinCode.id)) {
+      await gameService.removeParticipant(joinCode.game_id, userId);
+      return 'This join link has already been used the maximum number of times';
+    }
+
+    return null;
+  }
+}
+
+export default new JoinCodeService();
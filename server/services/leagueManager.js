@@ -0,0 +1,183 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import standingsCalculator from './standingsCalculator.js';
+import survivorEngine from './survivorEngine.js';
+import bracketService from './bracketService.js';
+import futuresEngine from './futuresEngine.js';
+import gameRules, { FINAL_STATUSES } from './gameRules.js';
+import gameRoles from './gameRoles.js';
+
+// "Office Pool 2024" -> "Office Pool"
+const stripSeasonYear = (gameName) => gameName.replace(/\s+\d{4}$/, '').trim() || gameName;
+
+class LeagueManager {
+  /**
+   * The league a game belongs to. A standalone game becomes the first season of a new league.
+   * @param {Object} game - Pickem game
+   * @returns {Promise<Object>} League
+   */
+  async ensureLeague(game) {
+    const leagueService = DatabaseServiceFactory.getLeagueService();
+
+    if (game.league_id) {
+      const league = await leagueService.getLeagueById(game.league_id);
+      if (league) return league;
+    }
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const league = await leagueService.createLeague({
+      leagueName: stripSeasonYear(game.game_name),
+      commissionerId: game.commissioner_id
+    });
+    await gameService.updateGameData(game.id, { league_id: league.id });
+
+    return league;
+  }
+
+  /**
+   * Roll a league over to a new season: clone its latest game (type, rules, survivor lives,
+   * whether futures are on) onto the season and carry over every member, their role and permissions
+   * @param {Object} game - Any of the league's pickem games
+   * @param {Object} season - Season to start
+   * @returns {Promise<Object>} The new season's game
+   */
+  async startNewSeason(game, season) {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const leagueService = DatabaseServiceFactory.getLeagueService();
+
+    const league = await this.ensureLeague(game);
+    const leagueGames = await leagueService.getLeagueGames(league.id);
+
+    if (leagueGames.some(leagueGame => leagueGame.season_id === season.id)) {
+      throw new Error(`This league has already started the ${season.season} season`);
+    }
+
+    const template = leagueGames[leagueGames.length - 1] || game;
+    const newGame = await gameService.createGame({
+      gameName: `${league.league_name} ${season.season}`,
+      gameType: template.type,
+      commissionerId: league.commissioner_id,
+      seasonId: season.id
+    });
+
+    await gameService.updateGameData(newGame.id, {
+      league_id: league.id,
+      survivor_lives: survivorEngine.getLives(template),
+      visibility: template.visibility || 'private',
+      max_participants: template.max_participants ?? null
+    });
+
+    if (template.rules) {
+      await gameService.updateGameRules(newGame.id, gameRules.getRules(template));
+    }
+
+    // Lock dates and win total lines are set fresh each season
+    if (futuresEngine.getSettings(template).enabled) {
+      await gameService.updateFuturesSettings(newGame.id, { enabled: true, lock_at: null, win_totals: {} });
+    }
+
+    const participants = await gameService.getGameParticipants(template.id);
+    for (const participant of participants) {
+      if (participant.user_id !== league.commissioner_id) {
+        await gameService.addParticipant(newGame.id, participant.user_id, participant.role);
+        if (participant.role === 'co_commissioner') {
+          await gameService.updateParticipantRole(
+            newGame.id, participant.user_id, participant.role, gameRoles.getPermissions(participant)
+          );
+        }
+      }
+    }
+
+    return await gameService.getGameByIdForAdmin(newGame.id);
+  }
+
+  /**
+   * Whoever is on top of a game's season: players tied for first in the standings,
+   * survivors still alive (or the last to go out), or the top bracket
+   * @param {Object} game - Pickem game
+   * @returns {Promise<Array<{user_id: string, display_name: string}>>}
+   */
+  async getLeaders(game) {
+    const toLeader = (row) => ({
+      user_id: row.user_id,
+      display_name: row.display_name || `${row.first_name} ${row.last_name}`
+    });
+
+    if (game.type === 'survivor') {
+      const { standings } = await survivorEngine.getSurvivorStandings(game);
+      const [top] = standings;
+      if (!top) return [];
+
+      return standings
+        .filter(row => top.survivor_status === 'alive'
+          ? row.survivor_status === 'alive' && row.strikes === top.strikes
+          : row.eliminated_week === top.eliminated_week)
+        .map(toLeader);
+    }
+
+    if (game.type === 'bracket') {
+      const bracket = await bracketService.getBracket(game.season_id);
+      const standings = await bracketService.getStandings(game, bracket);
+      const [top] = standings;
+      if (!top || top.points === 0) return [];
+
+      return standings.filter(row => row.points === top.points).map(toLeader);
+    }
+
+    const standings = await standingsCalculator.getStandings(game, game.season_id);
+    return standings
+      .filter(row => row.weekly_rank === 1 && row.correct_picks > 0)
+      .map(toLeader);
+  }
+
+  /**
+   * All-time history of the league a game belongs to, newest season first.
+   * A game that isn't in a league has a one-season history.
+   * @param {Object} game - Pickem game
+   * @returns {Promise<{league: Object|null, seasons: Array}>}
+   */
+  async getHistory(game) {
+    const leagueService = DatabaseServiceFactory.getLeagueService();
+    const seasonService = DatabaseServiceFactory.getSeasonService();
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const gameService = DatabaseServiceFactory.getGameService();
+
+    const league = game.league_id ? await leagueService.getLeagueById(game.league_id) : null;
+    let leagueGames;
+    if (league) {
+      leagueGames = await leagueService.getLeagueGames(league.id);
+    } else {
+      const season = await seasonService.getSeasonById(game.season_id);
+      leagueGames = [{ ...game, season: season?.season || null }];
+    }
+
+    const seasons = [];
+    for (const leagueGame of leagueGames) {
+      // A season is decided once every regular-season and playoff game in it is final
+      const seasonGames = (await nflDataService.getGamesBySeason(leagueGame.season_id))
+        .filter(footballGame => footballGame.season_type !== 1);
+      const isComplete = seasonGames.length > 0 &&
+        seasonGames.every(footballGame => FINAL_STATUSES.includes(footballGame.status));
+      const participants = await gameService.getGameParticipants(leagueGame.id);
+
+      seasons.push({
+        game_id: leagueGame.id,
+        game_name: leagueGame.game_name,
+        game_type: leagueGame.type,
+        season_id: leagueGame.season_id,
+        season: leagueGame.season,
+        player_count: participants.length,
+        is_complete: isComplete,
+        leaders: await this.getLeaders(leagueGame)
+      });
+    }
+
+    return {
+      league: league
+        ? { id: league.id, league_name: league.league_name, commissioner_id: league.commissioner_id }
+        : null,
+      seasons: seasons.reverse()
+    };
+  }
+}
+
+export default new LeagueManager();
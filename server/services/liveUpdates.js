@@ -0,0 +1,136 @@
+import logger from '../utils/logger.js';
+
+// Comment lines keep idle connections (and any proxy in front of them) from timing out
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+class LiveUpdatesService {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Hold a response open as a Server-Sent Events stream for one pickem game
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} game - Pickem game the client is watching
+   */
+  subscribe(req, res, game) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+
+    const client = { res, gameId: game.id, seasonId: game.season_id };
+    this.clients.add(client);
+    this.send(client, 'ready', { game_id: game.id, season_id: game.season_id });
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+  }
+
+  /**
+   * Write one event to a client
+   * @param {Object} client - Subscribed client
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  send(client, event, data) {
+    try {
+      client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      logger.warn(`[LiveUpdates] Failed to write to client for game ${client.gameId}:`, error.message);
+    }
+  }
+
+  /**
+   * Send an event to everyone watching a game in a season
+   * @param {string} seasonId - Season ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @param {string|null} gameId - Only clients watching this pickem game (optional)
+   */
+  publish(seasonId, event, data, gameId = null) {
+    let delivered = 0;
+    for (const client of this.clients) {
+      if (client.seasonId === seasonId && (!gameId || client.gameId === gameId)) {
+        this.send(client, event, data);
+        delivered++;
+      }
+    }
+
+    if (delivered > 0) {
+      logger.debug(`[LiveUpdates] Sent ${event} to ${delivered} clients`);
+    }
+  }
+
+  /**
+   * Football games whose score or status changed in an ESPN sync
+   * @param {string} seasonId - Season ID
+   * @param {Array} games - Changed football games
+   */
+  publishScores(seasonId, games) {
+    if (games.length === 0) return;
+    this.publish(seasonId, 'scores', { season_id: seasonId, games });
+  }
+
+  /**
+   * Picks whose correctness changed after football games were graded
+   * @param {string} seasonId - Season ID
+   * @param {number[]} weeks - Weeks with regraded picks
+   * @param {string|null} gameId - Only this pickem game was re-scored (optional)
+   */
+  publishPicksGraded(seasonId, weeks, gameId = null) {
+    if (weeks.length === 0) return;
+    this.publish(seasonId, 'picks', { season_id: seasonId, game_id: gameId, weeks }, gameId);
+  }
+
+  /**
+   * A message posted to, edited on or removed from a game's message board
+   * @param {Object} game - Pickem game
+   * @param {'message'|'message_updated'|'message_deleted'} event - Event name
+   * @param {Object} data - Formatted message, or {id} for a deletion
+   */
+  publishMessage(game, event, data) {
+    this.publish(game.season_id, event, { game_id: game.id, ...data }, game.id);
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': ping\n\n');
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * End every open stream so the HTTP server can shut down
+   */
+  closeAll() {
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+}
+
+export default new LiveUpdatesService();
@@ -0,0 +1,143 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import emailService from './emailService.js';
+import gameRules from './gameRules.js';
+import notificationDispatcher from './notificationDispatcher.js';
+
+class LockNotificationService {
+  /**
+   * Lock times of a pickem game that passed in [since, now), each with the football games
+   * that locked then. Survivor games lock once a week, like their auto-picks.
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {Date} since - Start of the window
+   * @param {Date} now - End of the window
+   * @returns {Promise<Array<{lockTime: Date, week: number, footballGames: Array}>>}
+   */
+  async getLocksBetween(game, seasonId, since, now) {
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+
+    const rules = gameRules.getRules(game);
+    const inPlayGames = await gameRules.getInPlayGames(game, seasonId);
+    const weeks = [...new Set(inPlayGames
+      .filter(footballGame => {
+        // Locks are never later than kickoff, so only games from the window on can lock in it
+        const kickoff = new Date(footballGame.start_time);
+        return kickoff >= since && kickoff < new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+      })
+      .map(footballGame => gameRules.getSeasonWeek(footballGame)))];
+
+    const locks = new Map();
+    for (const week of weeks) {
+      const weekInPlay = inPlayGames.filter(footballGame => gameRules.getSeasonWeek(footballGame) === week);
+      const weekGames = await nflDataService.getGamesBySeasonAndWeek(seasonId, weekInPlay[0].week);
+
+      for (const footballGame of weekInPlay) {
+        let lockTime;
+        if (game.type === 'survivor') {
+          const firstKickoff = new Date(Math.min(...weekInPlay.map(weekGame => new Date(weekGame.start_time).getTime())));
+          lockTime = rules.lock_mode === 'week' ? firstKickoff : gameRules.getSundayLock(firstKickoff);
+        } else {
+          lockTime = gameRules.getLockTime(rules, footballGame, weekGames);
+        }
+        if (lockTime < since || lockTime >= now) continue;
+
+        const key = `${week}-${lockTime.getTime()}`;
+        if (!locks.has(key)) {
+          locks.set(key, { lockTime, week, footballGames: [] });
+        }
+        locks.get(key).footballGames.push(footballGame);
+      }
+    }
+
+    return [...locks.values()].sort((a, b) => a.lockTime - b.lockTime);
+  }
+
+  /**
+   * Announce picks locking in one pickem game to the channels subscribed to locks
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {Date} since - Start of the window
+   * @param {Date} now - End of the window
+   * @returns {Promise<number>} Number of locks announced
+   */
+  async notifyGame(game, seasonId, since, now) {
+    const channels = await notificationDispatcher.getSubscribedChannels(game.id, 'lock');
+    if (channels.length === 0) {
+      return 0;
+    }
+
+    const locks = await this.getLocksBetween(game, seasonId, since, now);
+    if (locks.length === 0) {
+      return 0;
+    }
+
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const gameService = DatabaseServiceFactory.getGameService();
+    const participants = await gameService.getGameParticipants(game.id);
+
+    for (const lock of locks) {
+      const matchups = [];
+      for (const footballGame of lock.footballGames) {
+        const away = await nflDataService.getTeamById(footballGame.away_team_id);
+        const home = await nflDataService.getTeamById(footballGame.home_team_id);
+        matchups.push(`${away?.team_code || footballGame.away_team_id} @ ${home?.team_code || footballGame.home_team_id}`);
+      }
+
+      const gamesText = game.type === 'survivor'
+        ? `Week ${lock.week} survivor picks are locked.`
+        : `Week ${lock.week} picks are locked for ${matchups.length === 1 ? '1 game' : `${matchups.length} games`}: ${matchups.join(', ')}.`;
+
+      await notificationDispatcher.dispatch(game, {
+        type: 'lock',
+        week: lock.week,
+        summary: gamesText,
+        data: {
+          lock_time: lock.lockTime.toISOString(),
+          football_game_ids: lock.footballGames.map(footballGame => footballGame.id),
+          matchups
+        },
+        emails: participants
+          .filter(participant => participant.email)
+          .map(participant => ({
+            user_id: participant.user_id,
+            to: participant.email,
+            message: emailService.buildGameNotice(participant.first_name, game.game_name, `Week ${lock.week} picks locked`, [gamesText])
+          }))
+      });
+    }
+
+    return locks.length;
+  }
+
+  /**
+   * Announce every lock since the last check across the active pickem games in a season
+   * @param {string} seasonId - Season ID
+   * @param {Date} since - When locks were last checked
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{games: number, locksAnnounced: number}>}
+   */
+  async notifyLocks(seasonId, since, now = new Date()) {
+    try {
+      const gameService = DatabaseServiceFactory.getGameService();
+
+      // Brackets are picked once before the playoffs, not week by week
+      const games = (await gameService.getAllGames()).filter(game =>
+        game.season_id === seasonId &&
+        game.is_active !== 0 && game.is_active !== false &&
+        game.type !== 'bracket'
+      );
+
+      let locksAnnounced = 0;
+      for (const game of games) {
+        locksAnnounced += await this.notifyGame(game, seasonId, since, now);
+      }
+
+      return { games: games.length, locksAnnounced };
+    } catch (error) {
+      console.error('[LockNotifications] Failed to announce locks:', error);
+      throw error;
+    }
+  }
+}
+
+export default new LockNotificationService();
@@ -0,0 +1,55 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import { createGameSlug } from '../utils/gameSlug.js';
+
+class NotificationCenterService {
+  /**
+   * Link to a pickem game's page
+   * @param {Object} game - Pickem game
+   * @returns {string}
+   */
+  getGameLink(game) {
+    return `/game/${createGameSlug(game.game_name)}`;
+  }
+
+  /**
+   * Add notifications to users' in-app notification centers. Never throws: a
+   * notification that can't be saved is logged so it doesn't break what triggered it.
+   * @param {Array<{userId: string, gameId?: string, type: string, title: string, message?: string, link?: string}>} notifications
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notify(notifications) {
+    const notificationService = DatabaseServiceFactory.getNotificationService();
+    let created = 0;
+
+    for (const notification of notifications) {
+      try {
+        await notificationService.createNotification(notification);
+        created++;
+      } catch (error) {
+        console.error(`[Notifications] Failed to notify user ${notification.userId} (${notification.type}):`, error);
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Tell a player they were added to a game
+   * @param {Object} game - Pickem game
+   * @param {string} userId - Player added
+   * @param {string} inviterName - Who added them
+   * @returns {Promise<number>}
+   */
+  async notifyInvitation(game, userId, inviterName) {
+    return await this.notify([{
+      userId,
+      gameId: game.id,
+      type: 'invitation',
+      title: `You've been added to "${game.game_name}"`,
+      message: `${inviterName} added you to the game. Make your picks before the next lock.`,
+      link: this.getGameLink(game)
+    }]);
+  }
+}
+
+export default new NotificationCenterService();
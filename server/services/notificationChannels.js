@@ -0,0 +1,122 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import emailService from './emailService.js';
+
+// Events a game's channels can subscribe to
+export const NOTIFICATION_EVENTS = ['pick_reminder', 'lock', 'results', 'elimination'];
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Discord rejects messages over 2000 characters; Slack truncates long ones anyway
+const MAX_CHAT_MESSAGE_LENGTH = 1900;
+
+/**
+ * Emails each recipient of an event the message built for them
+ */
+export class SmtpChannel {
+  constructor() {
+    this.name = 'email';
+  }
+
+  /**
+   * @param {Object} game - Pickem game
+   * @param {Object} event - Notification event with emails [{user_id, to, message}]
+   * @returns {Promise<{success: boolean, sent: number, failedUserIds: Array<string>}>}
+   */
+  async send(game, event) {
+    const failedUserIds = [];
+    let sent = 0;
+
+    for (const email of event.emails || []) {
+      const result = await emailService.sendNotification(email.to, email.message);
+      if (result.success) {
+        sent++;
+      } else {
+        failedUserIds.push(email.user_id);
+        console.error(`[Notifications] Failed to email ${email.to} (${event.type}):`, result.error);
+      }
+    }
+
+    return { success: failedUserIds.length === 0, sent, failedUserIds };
+  }
+}
+
+/**
+ * POSTs every event as JSON to a URL, signed with an HMAC of the body when a secret is set
+ */
+export class WebhookChannel {
+  constructor(url, secret) {
+    this.name = 'webhook';
+    this.url = url;
+    this.secret = secret;
+  }
+
+  /**
+   * Payload posted for an event
+   * @param {Object} game - Pickem game
+   * @param {Object} event - Notification event
+   * @returns {Object}
+   */
+  buildPayload(game, event) {
+    return {
+      event: event.type,
+      game: { id: game.id, name: game.game_name, type: game.type },
+      week: event.week ?? null,
+      summary: event.summary,
+      data: event.data || {},
+      sent_at: new Date().toISOString()
+    };
+  }
+
+  async send(game, event) {
+    const body = JSON.stringify(this.buildPayload(game, event));
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.secret) {
+      headers['X-Pickem-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+    }
+
+    try {
+      await axios.post(this.url, body, { headers, timeout: REQUEST_TIMEOUT_MS });
+      return { success: true };
+    } catch (error) {
+      console.error(`[Notifications] Webhook for game ${game.id} failed (${event.type}):`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * Posts an event's summary to a Slack or Discord incoming webhook
+ */
+export class ChatWebhookChannel {
+  /**
+   * @param {'slack'|'discord'} name - Service, which decides the payload field
+   * @param {string} url - Incoming webhook URL
+   */
+  constructor(name, url) {
+    this.name = name;
+    this.url = url;
+  }
+
+  buildPayload(game, event) {
+    let message = `*${game.game_name}*: ${event.summary}`;
+    if (this.name === 'discord') {
+      message = `**${game.game_name}**: ${event.summary}`;
+    }
+    if (message.length > MAX_CHAT_MESSAGE_LENGTH) {
+      message = `${message.slice(0, MAX_CHAT_MESSAGE_LENGTH - 1)}…`;
+    }
+
+    return this.name === 'discord' ? { content: message } : { text: message };
+  }
+
+  async send(game, event) {
+    try {
+      await axios.post(this.url, this.buildPayload(game, event), { timeout: REQUEST_TIMEOUT_MS });
+      return { success: true };
+    } catch (error) {
+      console.error(`[Notifications] ${this.name} webhook for game ${game.id} failed (${event.type}):`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,110 @@
+import emailService from './emailService.js';
+import { NOTIFICATION_EVENTS, SmtpChannel, WebhookChannel, ChatWebhookChannel } from './notificationChannels.js';
+
+// Emails players already got before channels were configurable
+const DEFAULT_EMAIL_EVENTS = ['pick_reminder', 'results'];
+
+const CHAT_SERVICES = ['slack', 'discord'];
+
+/**
+ * Settings category a game's channels are saved under in system_settings
+ * @param {string} gameId - Pickem game ID
+ * @returns {string}
+ */
+export const getNotificationCategory = (gameId) => `notifications_${gameId}`;
+
+// Comma-separated event list; unset falls back, an empty string turns the channel off
+const parseEvents = (value, fallback = []) => {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  return String(value)
+    .split(',')
+    .map(event => event.trim())
+    .filter(event => NOTIFICATION_EVENTS.includes(event));
+};
+
+class NotificationDispatcher {
+  /**
+   * A game's channels and the events each receives, from its notifications settings:
+   * email_events, webhook_url/webhook_secret/webhook_events, slack_url/slack_events
+   * and discord_url/discord_events. URLs and secrets are saved encrypted.
+   * @param {string} gameId - Pickem game ID
+   * @returns {Promise<Array<{channel: Object, events: Array<string>}>>}
+   */
+  async getChannels(gameId) {
+    const settings = await emailService.loadSettings(getNotificationCategory(gameId)) || {};
+
+    const channels = [
+      { channel: new SmtpChannel(), events: parseEvents(settings.email_events, DEFAULT_EMAIL_EVENTS) }
+    ];
+    if (settings.webhook_url) {
+      channels.push({
+        channel: new WebhookChannel(settings.webhook_url, settings.webhook_secret),
+        events: parseEvents(settings.webhook_events, NOTIFICATION_EVENTS)
+      });
+    }
+    for (const service of CHAT_SERVICES) {
+      if (settings[`${service}_url`]) {
+        channels.push({
+          channel: new ChatWebhookChannel(service, settings[`${service}_url`]),
+          events: parseEvents(settings[`${service}_events`], NOTIFICATION_EVENTS)
+        });
+      }
+    }
+
+    return channels;
+  }
+
+  /**
+   * Channels of a game that receive an event type
+   * @param {string} gameId - Pickem game ID
+   * @param {string} type - Event type
+   * @returns {Promise<Array<Object>>}
+   */
+  async getSubscribedChannels(gameId, type) {
+    return (await this.getChannels(gameId))
+      .filter(({ events }) => events.includes(type))
+      .map(({ channel }) => channel);
+  }
+
+  /**
+   * Send an event to every channel of a game subscribed to it. Never throws: a failing
+   * channel is logged and reported without stopping the others.
+   * @param {Object} game - Pickem game
+   * @param {Object} event - {type, week, summary, data, emails: [{user_id, to, message}]}
+   * @param {Array<string>} [channelNames] - Only send through these channels (e.g. ['email'] to retry failed emails)
+   * @returns {Promise<{delivered: Array<string>, failed: Array<string>, emailsSent: number, failedUserIds: Array<string>, emailed: boolean}>}
+   */
+  async dispatch(game, event, channelNames = null) {
+    const outcome = { delivered: [], failed: [], emailsSent: 0, failedUserIds: [], emailed: false };
+
+    let channels = [];
+    try {
+      channels = (await this.getSubscribedChannels(game.id, event.type))
+        .filter(channel => !channelNames || channelNames.includes(channel.name));
+    } catch (error) {
+      console.error(`[Notifications] Failed to load channels for game ${game.id}:`, error);
+      return outcome;
+    }
+
+    for (const channel of channels) {
+      try {
+        const result = await channel.send(game, event);
+        if (channel.name === 'email') {
+          outcome.emailed = true;
+          outcome.emailsSent = result.sent;
+          outcome.failedUserIds = result.failedUserIds;
+        }
+        (result.success ? outcome.delivered : outcome.failed).push(channel.name);
+      } catch (error) {
+        console.error(`[Notifications] ${channel.name} channel failed for game ${game.id}:`, error);
+        outcome.failed.push(channel.name);
+      }
+    }
+
+    return outcome;
+  }
+}
+
+export default new NotificationDispatcher();
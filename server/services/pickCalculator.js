@@ -1,6 +1,17 @@
 import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import standingsCalculator from './standingsCalculator.js';
+import survivorEngine from './survivorEngine.js';
+import futuresEngine from './futuresEngine.js';
+import gameRules, { FINAL_STATUSES } from './gameRules.js';
+import liveUpdates from './liveUpdates.js';
 
 class PickCalculatorService {
+  constructor() {
+    // Final score each football game was last graded at, so live clients only
+    // hear about picks whose correctness actually changed
+    this.gradedScores = new Map();
+  }
+
   /**
    * Calculate and update pick results for completed games
    * @param {string} seasonId - Season ID to calculate picks for
@@ -26,12 +37,20 @@ class PickCalculatorService {
       
       // Filter for completed games
       completedGames = completedGames.filter(game =>
-        ['STATUS_FINAL', 'STATUS_CLOSED', 'Final'].includes(game.status)
+        FINAL_STATUSES.includes(game.status)
       );
 
       let updatedPicks = 0;
+      let pickemGames = null;
+      const regradedWeeks = new Set();
 
       for (const game of completedGames) {
+        const scoreKey = `${game.home_score}-${game.away_score}`;
+        if (this.gradedScores.get(game.id) !== scoreKey) {
+          this.gradedScores.set(game.id, scoreKey);
+          regradedWeeks.add(gameRules.getSeasonWeek(game));
+        }
+
         // Determine winning team
         let winningTeamId = null;
         if (game.home_score > game.away_score) {
@@ -39,11 +58,39 @@ class PickCalculatorService {
         } else if (game.away_score > game.home_score) {
           winningTeamId = game.away_team_id;
         }
-        // If tied, both picks are marked as incorrect (no winner)
+        // If tied, both picks are marked as incorrect here and re-scored per game below
 
         // Update picks for this game
         const updateResult = await pickService.updatePicksForGame(game.id, winningTeamId);
         updatedPicks += updateResult.updatedCount || 0;
+
+        // Re-grade against-the-spread picks using the line each pick was made at
+        await pickService.updateSpreadPicksForGame(game);
+
+        // Straight-up ties are scored however each pickem game's rules say
+        if (!winningTeamId) {
+          if (!pickemGames) {
+            const gameService = DatabaseServiceFactory.getGameService();
+            pickemGames = (await gameService.getAllGames())
+              .filter(pickemGame => pickemGame.season_id === seasonId && pickemGame.type !== 'ats');
+          }
+          for (const pickemGame of pickemGames) {
+            const { tie_scoring } = gameRules.getRules(pickemGame);
+            await pickService.updateTiedPicksForGame(game.id, pickemGame.id, tie_scoring);
+          }
+        }
+      }
+
+      // Materialize standings from the freshly graded picks
+      if (completedGames.length > 0) {
+        // A week number matches both a regular-season week and a playoff round
+        const seasonWeeks = week
+          ? [...new Set(completedGames.map(g => gameRules.getSeasonWeek(g)))]
+          : null;
+        await standingsCalculator.updateStandings(seasonId, seasonWeeks);
+        await survivorEngine.updateSurvivorStatus(seasonId);
+        await futuresEngine.gradeFutures(seasonId);
+        liveUpdates.publishPicksGraded(seasonId, [...regradedWeeks]);
       }
 
       const result = {
@@ -61,6 +108,39 @@ class PickCalculatorService {
     }
   }
 
+  /**
+   * Re-score one pickem game after its rules change: re-grade its tied games,
+   * then rebuild its standings and survivor status
+   * @param {Object} game - Pickem game
+   * @returns {Promise<{tiedGames: number, weeks: number[]}>}
+   */
+  async rescoreGame(game) {
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const pickService = DatabaseServiceFactory.getPickService();
+    const rules = gameRules.getRules(game);
+
+    const finalGames = (await nflDataService.getGamesBySeason(game.season_id))
+      .filter(g => g.season_type !== 1 && FINAL_STATUSES.includes(g.status));
+
+    const tiedGames = finalGames.filter(g => g.home_score === g.away_score);
+    if (game.type !== 'ats') {
+      for (const tiedGame of tiedGames) {
+        await pickService.updateTiedPicksForGame(tiedGame.id, game.id, rules.tie_scoring);
+      }
+    }
+
+    const weeks = [...new Set(finalGames.map(g => gameRules.getSeasonWeek(g)))].sort((a, b) => a - b);
+    await standingsCalculator.updateGameStandings(game, game.season_id, weeks);
+
+    if (game.type === 'survivor') {
+      await survivorEngine.updateGameSurvivorStatus(game, game.season_id);
+    }
+
+    liveUpdates.publishPicksGraded(game.season_id, weeks, game.id);
+
+    return { tiedGames: tiedGames.length, weeks };
+  }
+
   /**
    * Calculate picks for multiple weeks
    * @param {string} seasonId - Season ID
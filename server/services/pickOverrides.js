@@ -0,0 +1,291 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import gameRules, { FINAL_STATUSES } from './gameRules.js';
+import pickCalculator from './pickCalculator.js';
+
+export const MAX_OVERRIDE_REASON_LENGTH = 500;
+
+const isGameType = (game, type) => game.type === type || game.game_type === type;
+
+class PickOverridesService {
+  /**
+   * Overrides as the API returns them, with team codes and the matchup filled in
+   * @param {Array} overrides - Override rows with player_name and overridden_by_name
+   * @returns {Promise<Array>}
+   */
+  async formatOverrides(overrides) {
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const teams = new Map();
+    const footballGames = new Map();
+
+    const teamCode = async (teamId) => {
+      if (!teamId) return null;
+      if (!teams.has(teamId)) {
+        teams.set(teamId, await nflDataService.getTeamById(teamId));
+      }
+      return teams.get(teamId)?.team_code || null;
+    };
+
+    const formatted = [];
+    for (const override of overrides) {
+      if (!footballGames.has(override.football_game_id)) {
+        footballGames.set(override.football_game_id, await nflDataService.getFootballGameById(override.football_game_id));
+      }
+      const footballGame = footballGames.get(override.football_game_id);
+
+      formatted.push({
+        id: override.id,
+        gameId: override.game_id,
+        userId: override.user_id,
+        playerName: override.player_name || 'Former player',
+        overriddenBy: override.overridden_by_user_id || null,
+        overriddenByName: override.overridden_by_name || 'Former commissioner',
+        footballGameId: override.football_game_id,
+        matchup: footballGame
+          ? `${await teamCode(footballGame.away_team_id)} @ ${await teamCode(footballGame.home_team_id)}`
+          : null,
+        week: override.week,
+        action: override.action,
+        previousTeam: await teamCode(override.previous_team_id),
+        newTeam: await teamCode(override.new_team_id),
+        previousConfidence: override.previous_confidence ?? null,
+        newConfidence: override.new_confidence ?? null,
+        reason: override.reason,
+        createdAt: override.created_at,
+        isHidden: false
+      });
+    }
+
+    return formatted;
+  }
+
+  /**
+   * A game's override log, newest first
+   * @param {string} gameId - Game ID
+   * @param {Object} [filters]
+   * @param {number} [filters.week] - Only overrides for this week
+   * @returns {Promise<Array>} Formatted overrides
+   */
+  async getOverrides(gameId, filters = {}) {
+    const pickOverrideService = DatabaseServiceFactory.getPickOverrideService();
+    return await this.formatOverrides(await pickOverrideService.getGameOverrides(gameId, filters));
+  }
+
+  /**
+   * Blank out the teams and confidence in overrides on football games whose picks haven't
+   * locked yet, unless the game makes picks always visible. Players still see their own.
+   * @param {Object} game - Pickem game
+   * @param {Array} overrides - Formatted overrides
+   * @param {string} viewerId - User reading the log
+   * @returns {Promise<Array>}
+   */
+  async maskUnlockedOverrides(game, overrides, viewerId) {
+    const rules = gameRules.getRules(game);
+    if (rules.pick_visibility === 'always') {
+      return overrides;
+    }
+
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const footballGames = new Map();
+    const weekGamesCache = new Map();
+    const now = new Date();
+
+    const visible = [];
+    for (const override of overrides) {
+      if (override.userId === viewerId) {
+        visible.push(override);
+        continue;
+      }
+
+      if (!footballGames.has(override.footballGameId)) {
+        footballGames.set(override.footballGameId, await nflDataService.getFootballGameById(override.footballGameId));
+      }
+      const footballGame = footballGames.get(override.footballGameId);
+
+      let isLocked = !footballGame;
+      if (footballGame) {
+        const weekKey = `${footballGame.season_id}:${footballGame.week}`;
+        if (!weekGamesCache.has(weekKey)) {
+          weekGamesCache.set(weekKey, await nflDataService.getGamesBySeasonAndWeek(footballGame.season_id, footballGame.week));
+        }
+        isLocked = gameRules.isPickLocked(rules, footballGame, weekGamesCache.get(weekKey), now);
+      }
+
+      visible.push(isLocked ? override : {
+        ...override,
+        previousTeam: null,
+        newTeam: null,
+        previousConfidence: null,
+        newConfidence: null,
+        isHidden: true
+      });
+    }
+
+    return visible;
+  }
+
+  /**
+   * Check a commissioner's override against everything a player's own pick must pass,
+   * except the pick lock
+   * @param {Object} game - Pickem game
+   * @param {Object} request - Override request
+   * @param {string} request.userId - Player whose pick changes
+   * @param {string} request.footballGameId - Football game picked
+   * @param {string|null} request.pickTeamId - New pick, or null to remove the pick
+   * @param {*} [request.confidence] - Confidence rank (confidence games only)
+   * @param {*} request.reason - Why the commissioner is stepping in
+   * @returns {Promise<string|null>} Validation error, or null if valid
+   */
+  async validateOverride(game, { userId, footballGameId, pickTeamId, confidence, reason }) {
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return 'A reason is required';
+    }
+    if (reason.trim().length > MAX_OVERRIDE_REASON_LENGTH) {
+      return `Reason must be ${MAX_OVERRIDE_REASON_LENGTH} characters or fewer`;
+    }
+    if (!userId || !footballGameId) {
+      return 'User ID and NFL game ID are required';
+    }
+    if (isGameType(game, 'bracket')) {
+      return 'Bracket games are picked on the playoff bracket';
+    }
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    const participant = await gameService.getParticipant(game.id, userId);
+    if (!participant) {
+      return 'User is not in this game';
+    }
+
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const footballGame = await nflDataService.getFootballGameById(footballGameId);
+    if (!footballGame || footballGame.season_id !== game.season_id) {
+      return 'Football game not found';
+    }
+    if (!gameRules.isGameInPlay(gameRules.getRules(game), footballGame)) {
+      return 'This football game is not part of this pick\'em game';
+    }
+
+    const pickService = DatabaseServiceFactory.getPickService();
+
+    if (!pickTeamId) {
+      const existingPick = await pickService.getExistingPick(userId, game.id, footballGameId);
+      return existingPick ? null : 'This player has no pick on that game to remove';
+    }
+
+    if (footballGame.home_team_id !== pickTeamId && footballGame.away_team_id !== pickTeamId) {
+      return 'Selected team is not playing in this game';
+    }
+
+    // Against-the-spread picks need a posted line to be graded against
+    if (isGameType(game, 'ats') && (footballGame.spread === null || footballGame.spread === undefined)) {
+      return 'No spread has been posted for this game yet';
+    }
+
+    if (isGameType(game, 'confidence')) {
+      const weekGames = await nflDataService.getGamesBySeasonAndWeek(footballGame.season_id, footballGame.week);
+      const weekPicks = await pickService.getUserPicks({
+        userId,
+        gameId: game.id,
+        seasonId: footballGame.season_id,
+        week: footballGame.week
+      });
+
+      const rankableGames = gameRules.getRankableGames(gameRules.getRules(game), weekGames, footballGame);
+      const rankableIds = new Set(rankableGames.map(g => g.id));
+      const ranks = weekPicks
+        .filter(p => p.football_game_id !== footballGameId && p.confidence && rankableIds.has(p.football_game_id))
+        .map(p => p.confidence);
+      ranks.push(Number(confidence));
+
+      const rankError = gameRules.validateConfidenceRanks(ranks, rankableGames.length);
+      if (rankError) {
+        return rankError;
+      }
+    }
+
+    if (isGameType(game, 'survivor')) {
+      // The player's own pick for this week is replaced, so only other weeks count as used
+      const seasonPicks = await pickService.getUserPicks({ userId, gameId: game.id, seasonId: footballGame.season_id });
+      if (seasonPicks.some(p => p.pick_team_id === pickTeamId && gameRules.getSeasonWeek(p) !== gameRules.getSeasonWeek(footballGame))) {
+        return 'This player has already picked that team in another week';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create, change or remove a player's pick on their behalf, even after it has locked,
+   * and record it in the game's override log. Call validateOverride first.
+   * @param {Object} game - Pickem game
+   * @param {string} overriddenBy - Commissioner or admin making the change
+   * @param {Object} request - Validated override request (see validateOverride)
+   * @returns {Promise<Object>} Formatted override
+   */
+  async applyOverride(game, overriddenBy, { userId, footballGameId, pickTeamId, confidence, reason }) {
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const pickService = DatabaseServiceFactory.getPickService();
+    const pickOverrideService = DatabaseServiceFactory.getPickOverrideService();
+
+    const footballGame = await nflDataService.getFootballGameById(footballGameId);
+    const isConfidence = isGameType(game, 'confidence');
+    const regradeGames = [footballGame];
+
+    const weekPicks = await pickService.getUserPicks({
+      userId,
+      gameId: game.id,
+      seasonId: footballGame.season_id,
+      week: footballGame.week
+    });
+
+    let existingPick = weekPicks.find(p => p.football_game_id === footballGameId) || null;
+    const otherWeekPick = weekPicks.find(p => gameRules.getSeasonWeek(p) === gameRules.getSeasonWeek(footballGame));
+    if (isGameType(game, 'survivor') && pickTeamId && !existingPick && otherWeekPick) {
+      // Survivor players get one pick a week, so a new pick replaces the week's pick on another game
+      existingPick = otherWeekPick;
+      await pickService.deletePick(existingPick.id, userId);
+      regradeGames.push(await nflDataService.getFootballGameById(existingPick.football_game_id));
+    }
+
+    let action;
+    if (!pickTeamId) {
+      action = 'delete';
+      await pickService.deletePick(existingPick.id, userId);
+    } else {
+      action = existingPick ? 'update' : 'create';
+      await pickService.createOrUpdatePick({
+        userId,
+        gameId: game.id,
+        footballGameId,
+        pickTeamId,
+        tiebreaker: existingPick?.tiebreaker ?? null,
+        confidence: isConfidence ? Number(confidence) : null,
+        spread: isGameType(game, 'ats') ? footballGame.spread : null,
+        isAuto: false
+      });
+    }
+
+    const override = await pickOverrideService.createOverride({
+      gameId: game.id,
+      userId,
+      overriddenBy,
+      footballGameId,
+      seasonId: footballGame.season_id,
+      week: footballGame.week,
+      action,
+      previousTeamId: existingPick?.pick_team_id || null,
+      newTeamId: pickTeamId || null,
+      previousConfidence: isConfidence ? existingPick?.confidence ?? null : null,
+      newConfidence: isConfidence && pickTeamId ? Number(confidence) : null,
+      reason: reason.trim()
+    });
+
+    // Picks on finished games are graded when the game ends, so grade this one now
+    if (regradeGames.some(g => g && FINAL_STATUSES.includes(g.status))) {
+      await pickCalculator.calculatePicks(footballGame.season_id, footballGame.week);
+    }
+
+    return (await this.formatOverrides([override]))[0];
+  }
+}
+
+export default new PickOverridesService();
@@ -0,0 +1,218 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import emailService, { formatLockTime } from './emailService.js';
+import gameRules, { FINAL_STATUSES } from './gameRules.js';
+import notificationDispatcher from './notificationDispatcher.js';
+
+// How long before a lock players with missing picks are emailed
+const DEFAULT_REMINDER_HOURS = 24;
+
+/**
+ * Whether a user still wants pick reminder emails (on unless they opted out)
+ * @param {Object} user - User or participant row
+ * @returns {boolean}
+ */
+export const wantsPickReminders = (user) =>
+  user.pick_reminders !== 0 && user.pick_reminders !== false;
+
+class PickReminderService {
+  /**
+   * Hours before a lock that reminders go out, from PICK_REMINDER_HOURS
+   * @returns {number}
+   */
+  getReminderHours() {
+    const hours = parseFloat(process.env.PICK_REMINDER_HOURS);
+    return hours > 0 ? hours : DEFAULT_REMINDER_HOURS;
+  }
+
+  /**
+   * The week a pickem game is currently taking picks for: the week of the next kickoff
+   * @param {Array} inPlayGames - Football games in play for the pickem game
+   * @param {Date} now - Current time
+   * @returns {Object|null} Next football game to kick off, or null when the season is over
+   */
+  getNextGame(inPlayGames, now) {
+    return inPlayGames
+      .filter(footballGame =>
+        !FINAL_STATUSES.includes(footballGame.status) && new Date(footballGame.start_time) > now
+      )
+      .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))[0] || null;
+  }
+
+  /**
+   * The pick_reminder notification for the participants due one
+   * @param {Object} game - Pickem game
+   * @param {number} week - Week number
+   * @param {Array<{participant: Object, missingCount: number, lockTime: Date}>} due - Participants to remind
+   * @returns {Object} Notification event
+   */
+  buildReminderEvent(game, week, due) {
+    const firstLock = new Date(Math.min(...due.map(({ lockTime }) => lockTime.getTime())));
+    const names = due.map(({ participant }) => participant.display_name || participant.first_name);
+    return {
+      type: 'pick_reminder',
+      week,
+      summary: `Week ${week} picks lock ${formatLockTime(firstLock)}. Still missing picks: ${names.join(', ')}`,
+      data: {
+        lock_time: firstLock.toISOString(),
+        players: due.map(({ participant, missingCount, lockTime }) => ({
+          user_id: participant.user_id,
+          display_name: participant.display_name || participant.first_name,
+          missing_picks: missingCount,
+          lock_time: lockTime.toISOString()
+        }))
+      },
+      emails: due
+        .filter(({ participant }) => participant.email && wantsPickReminders(participant))
+        .map(({ participant, missingCount, lockTime }) => ({
+          user_id: participant.user_id,
+          to: participant.email,
+          message: emailService.buildPickReminder(participant.first_name, game.game_name, week, lockTime, missingCount)
+        }))
+    };
+  }
+
+  /**
+   * Remind participants of one pickem game who are missing picks that lock within the
+   * reminder window, through the game's notification channels. Players are emailed
+   * individually unless they opted out; webhooks get one message listing everyone due.
+   * Each participant is reminded at most once a week; an email that failed is retried
+   * on its own, without announcing the player on the other channels again.
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {Date} [now] - Current time
+   * @returns {Promise<number>} Number of participants reminded
+   */
+  async remindGame(game, seasonId, now = new Date()) {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const pickService = DatabaseServiceFactory.getPickService();
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+
+    const channels = await notificationDispatcher.getSubscribedChannels(game.id, 'pick_reminder');
+    if (channels.length === 0) {
+      return 0;
+    }
+
+    const rules = gameRules.getRules(game);
+    const inPlayGames = await gameRules.getInPlayGames(game, seasonId);
+    const nextGame = this.getNextGame(inPlayGames, now);
+    if (!nextGame) {
+      return 0;
+    }
+
+    const { week } = nextGame;
+    const seasonType = nextGame.season_type || 2;
+    const weekGames = await nflDataService.getGamesBySeasonAndWeek(seasonId, week);
+    const openGames = inPlayGames.filter(footballGame =>
+      footballGame.week === week &&
+      (footballGame.season_type || 2) === seasonType &&
+      !gameRules.isPickLocked(rules, footballGame, weekGames, now)
+    );
+
+    // Survivor picks are due when the main slate locks, like auto-picks
+    let survivorDeadline = null;
+    if (game.type === 'survivor') {
+      const firstKickoff = new Date(Math.min(...inPlayGames
+        .filter(footballGame => footballGame.week === week && (footballGame.season_type || 2) === seasonType)
+        .map(footballGame => new Date(footballGame.start_time).getTime())));
+      survivorDeadline = rules.lock_mode === 'week' ? firstKickoff : gameRules.getSundayLock(firstKickoff);
+      if (now >= survivorDeadline) {
+        return 0;
+      }
+    }
+
+    const windowEnd = new Date(now.getTime() + this.getReminderHours() * 60 * 60 * 1000);
+    const participants = await gameService.getGameParticipants(game.id);
+    const due = [];
+
+    for (const participant of participants) {
+      const isEmailRetry = participant.reminder_week === week;
+      if (isEmailRetry && !participant.reminder_email_failed) continue;
+      if (game.type === 'survivor' && participant.survivor_status === 'eliminated') continue;
+
+      const picks = await pickService.getUserPicks({
+        userId: participant.user_id,
+        gameId: game.id,
+        seasonId,
+        week
+      });
+
+      let missingCount;
+      let lockTime;
+      if (game.type === 'survivor') {
+        missingCount = picks.length === 0 ? 1 : 0;
+        lockTime = survivorDeadline;
+      } else {
+        const missing = openGames.filter(footballGame =>
+          !picks.some(pick => pick.football_game_id === footballGame.id) &&
+          // Against-the-spread games can't be picked until a line is posted
+          !(game.type === 'ats' && (footballGame.spread === null || footballGame.spread === undefined))
+        );
+        missingCount = missing.length;
+        lockTime = missing.length > 0
+          ? new Date(Math.min(...missing.map(footballGame =>
+            gameRules.getLockTime(rules, footballGame, weekGames).getTime()
+          )))
+          : null;
+      }
+
+      if (missingCount === 0 || lockTime > windowEnd) continue;
+      due.push({ participant, missingCount, lockTime, isEmailRetry });
+    }
+
+    const newlyDue = due.filter(({ isEmailRetry }) => !isEmailRetry);
+    const emailRetries = due.filter(({ isEmailRetry }) => isEmailRetry);
+    let reminded = 0;
+
+    if (newlyDue.length > 0) {
+      const outcome = await notificationDispatcher.dispatch(game, this.buildReminderEvent(game, week, newlyDue));
+      for (const { participant } of newlyDue) {
+        const emailFailed = outcome.failedUserIds.includes(participant.user_id);
+        await gameService.updateReminderWeek(game.id, participant.user_id, week, emailFailed);
+        if (!emailFailed) reminded++;
+      }
+    }
+
+    if (emailRetries.length > 0) {
+      const outcome = await notificationDispatcher.dispatch(game, this.buildReminderEvent(game, week, emailRetries), ['email']);
+      for (const { participant } of emailRetries) {
+        if (outcome.failedUserIds.includes(participant.user_id)) continue;
+        await gameService.updateReminderWeek(game.id, participant.user_id, week, false);
+        reminded++;
+      }
+    }
+
+    return reminded;
+  }
+
+  /**
+   * Send pick reminders for every active pickem game in a season
+   * @param {string} seasonId - Season ID
+   * @param {Date} [now] - Current time
+   * @returns {Promise<{games: number, remindersSent: number}>}
+   */
+  async sendReminders(seasonId, now = new Date()) {
+    try {
+      const gameService = DatabaseServiceFactory.getGameService();
+
+      // Brackets are picked once before the playoffs, not week by week
+      const games = (await gameService.getAllGames()).filter(game =>
+        game.season_id === seasonId &&
+        game.is_active !== 0 && game.is_active !== false &&
+        game.type !== 'bracket'
+      );
+
+      let remindersSent = 0;
+      for (const game of games) {
+        remindersSent += await this.remindGame(game, seasonId, now);
+      }
+
+      console.log(`[PickReminders] Reminded ${remindersSent} players across ${games.length} games`);
+      return { games: games.length, remindersSent };
+    } catch (error) {
+      console.error('[PickReminders] Failed to send pick reminders:', error);
+      throw error;
+    }
+  }
+}
+
+export default new PickReminderService();
@@ -0,0 +1,212 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import gameRules, { FINAL_STATUSES } from './gameRules.js';
+
+// Game types where every player picks every matchup in the week
+export const PROJECTION_GAME_TYPES = ['week', 'weekly', 'confidence', 'ats'];
+
+class ProjectionEngine {
+  /**
+   * Where a football game stands right now
+   * @param {Object} footballGame - Football game
+   * @param {Date} now - Current time
+   * @returns {'final'|'live'|'upcoming'}
+   */
+  getGameState(footballGame, now) {
+    if (FINAL_STATUSES.includes(footballGame.status)) return 'final';
+    return new Date(footballGame.start_time) <= now ? 'live' : 'upcoming';
+  }
+
+  /**
+   * How a pick is doing on the current score: 'win', 'loss', 'push', or null while level
+   * (a tie is only scored once the game is final)
+   * @param {Object} game - Pickem game
+   * @param {Object} footballGame - Football game with current scores
+   * @param {Object} pick - Pick
+   * @param {boolean} isFinal - Whether the score is final
+   * @returns {'win'|'loss'|'push'|null}
+   */
+  getPickOutcome(game, footballGame, pick, isFinal) {
+    const homeScore = footballGame.home_score || 0;
+    const awayScore = footballGame.away_score || 0;
+    const pickedHome = pick.pick_team_id === footballGame.home_team_id;
+
+    // Against-the-spread picks are measured against the line they were locked in at
+    if (game.type === 'ats' && pick.spread !== null && pick.spread !== undefined) {
+      const margin = homeScore + pick.spread - awayScore;
+      if (margin === 0) return isFinal ? 'push' : null;
+      return (pickedHome ? margin > 0 : margin < 0) ? 'win' : 'loss';
+    }
+
+    if (homeScore === awayScore) {
+      if (!isFinal) return null;
+      const { tie_scoring } = gameRules.getRules(game);
+      return tie_scoring === 'win' ? 'win' : tie_scoring === 'push' ? 'push' : 'loss';
+    }
+    return (pickedHome ? homeScore > awayScore : awayScore > homeScore) ? 'win' : 'loss';
+  }
+
+  /**
+   * A graded pick's outcome, falling back to the score for games not graded yet
+   * @param {Object} game - Pickem game
+   * @param {Object} footballGame - Final football game
+   * @param {Object} pick - Pick
+   * @returns {'win'|'loss'|'push'}
+   */
+  getFinalOutcome(game, footballGame, pick) {
+    if (pick.is_push) return 'push';
+    if (pick.is_correct === 1 || pick.is_correct === true) return 'win';
+    if (pick.is_correct === 0 || pick.is_correct === false) return 'loss';
+    return this.getPickOutcome(game, footballGame, pick, true);
+  }
+
+  /**
+   * Most points a player can still add from games that haven't locked. Those picks can still
+   * change, so every player has the same room there: one point a game, or in confidence games
+   * the highest values their locked picks haven't used.
+   * @param {Object} game - Pickem game
+   * @param {number} openGames - Games in the week not locked yet
+   * @param {number} totalGames - Games in the week
+   * @param {number[]} lockedValues - Confidence values on the player's locked picks
+   * @returns {number}
+   */
+  getOpenPoints(game, openGames, totalGames, lockedValues) {
+    if (game.type !== 'confidence') return openGames;
+
+    const used = new Set(lockedValues);
+    const available = [];
+    for (let value = totalGames; value >= 1 && available.length < openGames; value--) {
+      if (!used.has(value)) available.push(value);
+    }
+    return available.reduce((sum, value) => sum + value, 0);
+  }
+
+  /**
+   * Standings for a week as if every game in progress ended with the current leader winning,
+   * with each player's remaining possible points and whether they can still win the week
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} Week games and projected standings
+   */
+  async getWeekProjection(game, seasonId, week, now = new Date()) {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const pickService = DatabaseServiceFactory.getPickService();
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+
+    const rules = gameRules.getRules(game);
+    const allWeekGames = await nflDataService.getGamesBySeasonAndWeek(seasonId, week);
+    const weekGames = allWeekGames.filter(footballGame => gameRules.isGameInPlay(rules, footballGame));
+    const gamesById = new Map(weekGames.map(footballGame => [footballGame.id, footballGame]));
+
+    const games = weekGames.map(footballGame => {
+      const state = this.getGameState(footballGame, now);
+      const homeScore = footballGame.home_score || 0;
+      const awayScore = footballGame.away_score || 0;
+      return {
+        id: footballGame.id,
+        home_team_id: footballGame.home_team_id,
+        away_team_id: footballGame.away_team_id,
+        home_score: homeScore,
+        away_score: awayScore,
+        status: footballGame.status,
+        quarter: footballGame.quarter ?? null,
+        time_remaining: footballGame.time_remaining ?? null,
+        start_time: footballGame.start_time,
+        state,
+        is_locked: gameRules.isPickLocked(rules, footballGame, allWeekGames, now),
+        leader_team_id: state === 'upcoming' || homeScore === awayScore
+          ? null
+          : homeScore > awayScore ? footballGame.home_team_id : footballGame.away_team_id
+      };
+    });
+
+    const openGames = games.filter(footballGame => !footballGame.is_locked).length;
+    const participants = await gameService.getGameParticipants(game.id);
+
+    const rows = [];
+    for (const participant of participants) {
+      const picks = (await pickService.getUserPicks({
+        userId: participant.user_id,
+        gameId: game.id,
+        seasonId,
+        week
+      })).filter(pick => gamesById.has(pick.football_game_id));
+
+      let currentPoints = 0;
+      let currentCorrect = 0;
+      let projectedPoints = 0;
+      let projectedCorrect = 0;
+      let lockedPendingPoints = 0;
+      const lockedValues = [];
+
+      for (const pick of picks) {
+        const footballGame = gamesById.get(pick.football_game_id);
+        const info = games.find(g => g.id === footballGame.id);
+        if (!info.is_locked) continue;
+
+        const value = game.type === 'confidence' ? (pick.confidence || 0) : 1;
+        lockedValues.push(pick.confidence);
+
+        if (info.state === 'final') {
+          if (this.getFinalOutcome(game, footballGame, pick) === 'win') {
+            currentPoints += value;
+            currentCorrect++;
+          }
+          continue;
+        }
+
+        lockedPendingPoints += value;
+        if (info.state === 'live' && this.getPickOutcome(game, footballGame, pick, false) === 'win') {
+          projectedPoints += value;
+          projectedCorrect++;
+        }
+      }
+
+      const remainingPoints = lockedPendingPoints +
+        this.getOpenPoints(game, openGames, weekGames.length, lockedValues);
+
+      rows.push({
+        user_id: participant.user_id,
+        display_name: participant.display_name || `${participant.first_name} ${participant.last_name}`,
+        current_points: currentPoints,
+        current_correct: currentCorrect,
+        projected_points: currentPoints + projectedPoints,
+        projected_correct: currentCorrect + projectedCorrect,
+        remaining_points: remainingPoints,
+        max_points: currentPoints + remainingPoints
+      });
+    }
+
+    rows.sort((a, b) =>
+      b.projected_points - a.projected_points ||
+      b.projected_correct - a.projected_correct ||
+      b.max_points - a.max_points
+    );
+
+    rows.forEach((row, index) => {
+      const previous = rows[index - 1];
+      row.projected_rank = previous &&
+        previous.projected_points === row.projected_points &&
+        previous.projected_correct === row.projected_correct
+        ? previous.projected_rank
+        : index + 1;
+
+      // Out of it once someone else has already banked more than this player can reach;
+      // level on points can still be won on correct picks or the tiebreaker
+      row.is_eliminated = rows.some(other =>
+        other.user_id !== row.user_id && other.current_points > row.max_points
+      );
+    });
+
+    return {
+      week,
+      season_id: seasonId,
+      is_live: games.some(footballGame => footballGame.state === 'live'),
+      games,
+      standings: rows
+    };
+  }
+}
+
+export default new ProjectionEngine();
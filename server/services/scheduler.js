@@ -2,6 +2,10 @@ import cron from 'node-cron';
 import espnService from './espnApi.js';
 import pickCalculator from './pickCalculator.js';
 import onDemandUpdates from './onDemandUpdates.js';
+import autoPicker from './autoPicker.js';
+import pickReminders from './pickReminders.js';
+import weeklyRecap from './weeklyRecap.js';
+import lockNotifications from './lockNotifications.js';
 import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
 import logger from '../utils/logger.js';
 
@@ -11,6 +15,7 @@ class SchedulerService {
     this.currentTasks = new Map();
     this.gameCache = new Map();
     this.cacheExpiry = 15 * 60 * 1000; // 15 minutes
+    this.lastLockCheck = null; // Locks before the scheduler started aren't announced
   }
 
   /**
@@ -271,6 +276,11 @@ class SchedulerService {
     try {
       const result = await this.calculatePicks();
       logger.info('[Scheduler] Pick calculations completed successfully:', result);
+
+      // Freshly graded picks may have finished a week
+      if (result.success) {
+        await this.runWeeklyRecaps();
+      }
     } catch (error) {
       logger.error('[Scheduler] Pick calculations failed:', error);
       logger.error('[Scheduler] Pick calculations error stack:', error.stack);
@@ -282,6 +292,114 @@ class SchedulerService {
     return true;
   }
 
+  /**
+   * Fill in picks for players who missed a lock, in games with an auto-pick policy.
+   * Runs every day: isGameDay() uses the server's clock, so on a UTC host Thursday and
+   * Monday night games lock on what it calls Friday and Tuesday.
+   */
+  async runAutoPicks() {
+    try {
+      const currentSeason = await this.getCurrentSeason();
+      if (!currentSeason) {
+        logger.debug('[Scheduler] No current season set, skipping auto-picks');
+        return;
+      }
+
+      const result = await autoPicker.applyAutoPicks(currentSeason.id);
+      if (result.picksCreated > 0) {
+        logger.info('[Scheduler] Auto-picks completed:', result);
+      }
+    } catch (error) {
+      logger.error('[Scheduler] Auto-picks failed:', error);
+
+      // Don't re-throw - let scheduler continue running
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Email every player a recap of a week once all of its games are final
+   */
+  async runWeeklyRecaps() {
+    try {
+      const currentSeason = await this.getCurrentSeason();
+      if (!currentSeason) {
+        logger.debug('[Scheduler] No current season set, skipping weekly recaps');
+        return;
+      }
+
+      const result = await weeklyRecap.sendRecaps(currentSeason.id);
+      if (result.recapsSent > 0) {
+        logger.info('[Scheduler] Weekly recaps sent:', result);
+      }
+    } catch (error) {
+      logger.error('[Scheduler] Weekly recaps failed:', error);
+
+      // Don't re-throw - let scheduler continue running
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Email players who still have picks to make before the week's lock.
+   * Not limited to game days: reminders go out the day before Thursday and Sunday games.
+   */
+  async runPickReminders() {
+    try {
+      const currentSeason = await this.getCurrentSeason();
+      if (!currentSeason) {
+        logger.debug('[Scheduler] No current season set, skipping pick reminders');
+        return;
+      }
+
+      const result = await pickReminders.sendReminders(currentSeason.id);
+      if (result.remindersSent > 0) {
+        logger.info('[Scheduler] Pick reminders sent:', result);
+      }
+    } catch (error) {
+      logger.error('[Scheduler] Pick reminders failed:', error);
+
+      // Don't re-throw - let scheduler continue running
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Announce picks that locked since the last check to the notification channels of
+   * games subscribed to locks
+   */
+  async runLockNotifications() {
+    const now = new Date();
+    const since = this.lastLockCheck || now;
+
+    try {
+      const currentSeason = await this.getCurrentSeason();
+      if (!currentSeason) {
+        logger.debug('[Scheduler] No current season set, skipping lock notifications');
+        return;
+      }
+
+      const result = await lockNotifications.notifyLocks(currentSeason.id, since, now);
+      this.lastLockCheck = now;
+      if (result.locksAnnounced > 0) {
+        logger.info('[Scheduler] Lock notifications sent:', result);
+      }
+    } catch (error) {
+      logger.error('[Scheduler] Lock notifications failed:', error);
+
+      // Don't re-throw - let scheduler continue running
+      return false;
+    }
+
+    return true;
+  }
+
   /**
    * Run the complete update cycle: scores + picks (for manual triggers)
    */
@@ -370,6 +488,45 @@ class SchedulerService {
       timezone: "America/New_York"
     });
 
+    // Make auto-picks every 5 minutes so they land right after picks lock
+    const autoPickTask = cron.schedule('*/5 * * * *', async () => {
+      try {
+        await this.runAutoPicks();
+      } catch (error) {
+        logger.error('[Scheduler] Auto-pick task failed:', error);
+        // Don't re-throw - keep scheduler running
+      }
+    }, {
+      scheduled: false,
+      timezone: "America/New_York"
+    });
+
+    // Check for missing picks every hour so reminders go out soon after the window opens
+    const pickReminderTask = cron.schedule('30 * * * *', async () => {
+      try {
+        await this.runPickReminders();
+      } catch (error) {
+        logger.error('[Scheduler] Pick reminder task failed:', error);
+        // Don't re-throw - keep scheduler running
+      }
+    }, {
+      scheduled: false,
+      timezone: "America/New_York"
+    });
+
+    // Check for picks that just locked every 5 minutes
+    const lockNotificationTask = cron.schedule('*/5 * * * *', async () => {
+      try {
+        await this.runLockNotifications();
+      } catch (error) {
+        logger.error('[Scheduler] Lock notification task failed:', error);
+        // Don't re-throw - keep scheduler running
+      }
+    }, {
+      scheduled: false,
+      timezone: "America/New_York"
+    });
+
     // Extended check every 6 hours during off-hours on game days with actual games
     const offHoursCheckTask = cron.schedule('0 */6 * * *', async () => {
       try {
@@ -421,6 +578,28 @@ class SchedulerService {
       logger.error('[Scheduler] Failed to start pick calculation task:', error);
     }
     
+    try {
+      autoPickTask.start();
+      this.currentTasks.set('autoPick', autoPickTask);
+    } catch (error) {
+      logger.error('[Scheduler] Failed to start auto-pick task:', error);
+    }
+    
+    try {
+      pickReminderTask.start();
+      this.currentTasks.set('pickReminder', pickReminderTask);
+    } catch (error) {
+      logger.error('[Scheduler] Failed to start pick reminder task:', error);
+    }
+    
+    try {
+      this.lastLockCheck = new Date();
+      lockNotificationTask.start();
+      this.currentTasks.set('lockNotification', lockNotificationTask);
+    } catch (error) {
+      logger.error('[Scheduler] Failed to start lock notification task:', error);
+    }
+    
     try {
       offHoursCheckTask.start();
       this.currentTasks.set('offHoursCheck', offHoursCheckTask);
@@ -431,7 +610,10 @@ class SchedulerService {
     this.isRunning = true;
     logger.important('[Scheduler] Automatic updates started');
     logger.info('[Scheduler] - Score updates every 15 minutes during active game hours (1 PM - 11 PM ET) on game days with scheduled games');
-    logger.info('[Scheduler] - Pick calculations every hour during game days with scheduled games');
+    logger.info('[Scheduler] - Pick calculations every hour during game days with scheduled games, followed by recap emails for finished weeks');
+    logger.info('[Scheduler] - Auto-picks every 5 minutes on game days for games with an auto-pick policy');
+    logger.info('[Scheduler] - Pick reminders checked hourly for players missing picks before a lock');
+    logger.info('[Scheduler] - Lock notifications every 5 minutes for games with channels subscribed to locks');
     logger.info('[Scheduler] - Off-hours staleness checks every 6 hours on game days with scheduled games');
     logger.info('[Scheduler] - Zero activity on non-game days (Tue, Wed, Fri) and days without scheduled games');
   }
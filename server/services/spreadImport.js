@@ -0,0 +1,130 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+
+const REGULAR_SEASON = 2;
+
+class SpreadImportService {
+  /**
+   * Parse a spread value. "PK"/"pick" mean a zero line, blank clears the line.
+   * @param {string|number|null|undefined} value - Raw spread value
+   * @returns {number|null} Home team spread or null
+   */
+  parseSpread(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return null;
+    }
+
+    const text = String(value).trim().toLowerCase();
+    if (text === 'pk' || text === 'pick' || text === 'even') {
+      return 0;
+    }
+
+    const spread = Number(text);
+    if (!Number.isFinite(spread)) {
+      throw new Error(`Invalid spread "${value}"`);
+    }
+    return spread;
+  }
+
+  /**
+   * Parse spread rows from CSV or JSON file content.
+   * CSV needs a header row; columns are game_id or week/away/home (plus optional season_type), and spread.
+   * JSON is an array of objects with the same keys, or { spreads: [...] }.
+   * @param {string} content - Raw file content
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Array<Object>} Rows keyed by lower-case column name
+   */
+  parse(content, format) {
+    if (format === 'json') {
+      const data = JSON.parse(content);
+      const rows = Array.isArray(data) ? data : data.spreads;
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON must be an array of spreads or an object with a "spreads" array');
+      }
+      return rows.map(row =>
+        Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase(), value]))
+      );
+    }
+
+    if (format === 'csv') {
+      const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+      if (lines.length < 2) {
+        throw new Error('CSV must have a header row and at least one spread');
+      }
+
+      const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+      return lines.slice(1).map(line => {
+        const cells = line.split(',').map(c => c.trim());
+        return Object.fromEntries(headers.map((header, i) => [header, cells[i]]));
+      });
+    }
+
+    throw new Error('Format must be "csv" or "json"');
+  }
+
+  /**
+   * Import spreads from file content into a season's football games
+   * @param {string} seasonId - Season ID
+   * @param {string} content - Raw file content
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<{updated: number, skipped: Array<{row: number, reason: string}>}>}
+   */
+  async importSpreads(seasonId, content, format) {
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+    const rows = this.parse(content, format);
+    const games = await nflDataService.getGamesBySeason(seasonId);
+
+    const teamIds = {};
+    const getTeamId = async (code) => {
+      const teamCode = String(code || '').trim().toUpperCase();
+      if (!(teamCode in teamIds)) {
+        const team = await nflDataService.getTeamByCode(teamCode);
+        teamIds[teamCode] = team ? team.id : null;
+      }
+      return teamIds[teamCode];
+    };
+
+    let updated = 0;
+    const skipped = [];
+
+    for (const [index, row] of rows.entries()) {
+      // Report 1-based data rows so admins can find them in the file
+      const rowNumber = index + 1;
+
+      try {
+        const spread = this.parseSpread(row.spread);
+        let game;
+
+        if (row.game_id) {
+          game = games.find(g => g.id === row.game_id);
+        } else {
+          const week = parseInt(row.week);
+          const seasonType = row.season_type ? parseInt(row.season_type) : REGULAR_SEASON;
+          const homeTeamId = await getTeamId(row.home);
+          const awayTeamId = await getTeamId(row.away);
+
+          game = games.find(g =>
+            g.week === week &&
+            (g.season_type || REGULAR_SEASON) === seasonType &&
+            g.home_team_id === homeTeamId &&
+            g.away_team_id === awayTeamId
+          );
+        }
+
+        if (!game) {
+          skipped.push({ row: rowNumber, reason: 'No matching game' });
+          continue;
+        }
+
+        await nflDataService.updateGameSpread(game.id, spread);
+        updated++;
+      } catch (error) {
+        skipped.push({ row: rowNumber, reason: error.message });
+      }
+    }
+
+    console.log(`[SpreadImport] Updated ${updated} spreads for season ${seasonId}, skipped ${skipped.length}`);
+    return { updated, skipped };
+  }
+}
+
+export default new SpreadImportService();
@@ -0,0 +1,257 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import gameRules, { FINAL_STATUSES } from './gameRules.js';
+
+// weekly_standings rows with this week number hold cumulative season totals
+export const CUMULATIVE_WEEK = 0;
+
+class StandingsCalculatorService {
+  /**
+   * Find a week's tiebreaker game: the commissioner's choice, otherwise the week's last kickoff
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @returns {Promise<{footballGame: Object, isDefault: boolean, weekGameIds: Set<string>}|null>} Tiebreaker game
+   *   (and the week's games it was chosen from) or null if the week has no games
+   */
+  async getTiebreakerGame(game, seasonId, week) {
+    const gameService = DatabaseServiceFactory.getGameService();
+
+    // Playoff rounds share week numbers 1-5 but never decide a regular-season week
+    const weekGames = (await gameRules.getInPlayGames(game, seasonId))
+      .filter(g => gameRules.getSeasonWeek(g) === week);
+    if (weekGames.length === 0) {
+      return null;
+    }
+
+    const weekGameIds = new Set(weekGames.map(g => g.id));
+    const tiebreakerGames = await gameService.getTiebreakerGames(game.id);
+    const designatedGame = weekGames.find(g => g.id === tiebreakerGames[week]);
+    if (designatedGame) {
+      return { footballGame: designatedGame, isDefault: false, weekGameIds };
+    }
+
+    const lastGame = weekGames.reduce((latest, g) =>
+      new Date(g.start_time) >= new Date(latest.start_time) ? g : latest
+    );
+    return { footballGame: lastGame, isDefault: true, weekGameIds };
+  }
+
+  /**
+   * Collect each player's tiebreaker guess and the actual combined score of the tiebreaker game
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @returns {Promise<{footballGameId: string, isDefault: boolean, actualTotal: number|null, guesses: Map<string, number>}|null>}
+   */
+  async getTiebreakerResult(game, seasonId, week) {
+    const pickService = DatabaseServiceFactory.getPickService();
+
+    const tiebreaker = await this.getTiebreakerGame(game, seasonId, week);
+    if (!tiebreaker) {
+      return null;
+    }
+
+    // Picks are stored under the NFL week, which is the playoff round for postseason games
+    const { footballGame, weekGameIds } = tiebreaker;
+    const entries = (await pickService.getWeekTiebreakers(game.id, seasonId, footballGame.week))
+      .filter(entry => weekGameIds.has(entry.football_game_id));
+
+    // A guess on the tiebreaker game wins; guesses entered on another game still count
+    // so a commissioner changing the game doesn't wipe out earlier entries
+    const guesses = new Map();
+    entries
+      .filter(entry => entry.football_game_id === footballGame.id)
+      .forEach(entry => guesses.set(entry.user_id, entry.tiebreaker));
+    entries
+      .filter(entry => !guesses.has(entry.user_id))
+      .forEach(entry => guesses.set(entry.user_id, entry.tiebreaker));
+
+    return {
+      footballGameId: footballGame.id,
+      isDefault: tiebreaker.isDefault,
+      actualTotal: FINAL_STATUSES.includes(footballGame.status)
+        ? (footballGame.home_score || 0) + (footballGame.away_score || 0)
+        : null,
+      guesses
+    };
+  }
+
+  /**
+   * Build ranked standings rows from a picks summary.
+   * Every participant gets a row. Players level on points and correct picks are separated by
+   * how close their tiebreaker guess was to the actual total; anyone still level shares a rank.
+   * @param {Object} game - Pickem game
+   * @param {Array} participants - Game participants
+   * @param {Array} summary - Picks summary from pickService.getGamePicksSummary
+   * @param {Object|null} [tiebreaker] - Result of getTiebreakerResult (weekly standings only)
+   * @param {number} [finishedGames] - Final games in scope; with a 'loss' missed-pick policy, each one
+   *   a player didn't pick counts against their pick percentage
+   * @returns {Array<Object>} Standings rows ordered by rank
+   */
+  buildStandings(game, participants, summary, tiebreaker = null, finishedGames = 0) {
+    const summaryByUser = new Map(summary.map(row => [row.user_id, row]));
+    const countMissedPicks = gameRules.getRules(game).missed_pick_policy === 'loss';
+
+    const rows = participants.map(participant => {
+      const row = summaryByUser.get(participant.user_id) || {};
+      const correctPicks = row.correct_picks || 0;
+      const guess = tiebreaker?.guesses.get(participant.user_id) ?? null;
+
+      let totalPicks = row.total_picks || 0;
+      let pickPercentage = row.pick_percentage || 0;
+      if (countMissedPicks && finishedGames > totalPicks) {
+        totalPicks = finishedGames;
+        const gradedPicks = totalPicks - (row.push_picks || 0);
+        pickPercentage = gradedPicks > 0 ? Math.round((correctPicks / gradedPicks) * 100 * 100) / 100 : 0;
+      }
+
+      return {
+        user_id: participant.user_id,
+        correct_picks: correctPicks,
+        total_picks: totalPicks,
+        pick_percentage: pickPercentage,
+        // Confidence games score the rank of each correct pick, everything else one point per win
+        points_earned: game.type === 'confidence' ? (row.total_points || 0) : correctPicks,
+        tiebreaker_score: guess,
+        // Missing guesses and unfinished tiebreaker games sort behind every real guess
+        tiebreaker_difference: guess !== null && tiebreaker?.actualTotal != null
+          ? Math.abs(guess - tiebreaker.actualTotal)
+          : Infinity
+      };
+    });
+
+    rows.sort((a, b) =>
+      b.points_earned - a.points_earned ||
+      b.correct_picks - a.correct_picks ||
+      (a.tiebreaker_difference === b.tiebreaker_difference ? 0 : a.tiebreaker_difference < b.tiebreaker_difference ? -1 : 1)
+    );
+
+    rows.forEach((row, index) => {
+      const previous = rows[index - 1];
+      row.weekly_rank = previous &&
+        previous.points_earned === row.points_earned &&
+        previous.correct_picks === row.correct_picks &&
+        previous.tiebreaker_difference === row.tiebreaker_difference
+        ? previous.weekly_rank
+        : index + 1;
+    });
+
+    return rows;
+  }
+
+  /**
+   * Recalculate and store standings for one week of a game
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number (CUMULATIVE_WEEK for the season table)
+   * @returns {Promise<Array>} Saved standings rows
+   */
+  async updateGameWeekStandings(game, seasonId, week) {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const pickService = DatabaseServiceFactory.getPickService();
+    const standingsService = DatabaseServiceFactory.getStandingsService();
+
+    // Only football games the game's rules put in play count toward standings
+    const inPlayGames = (await gameRules.getInPlayGames(game, seasonId))
+      .filter(g => week === CUMULATIVE_WEEK || gameRules.getSeasonWeek(g) === week);
+    const finishedGames = inPlayGames.filter(g => FINAL_STATUSES.includes(g.status));
+
+    // The football games already pin down the week; picks store playoff rounds as weeks 1-5,
+    // so filtering on the season week would drop every playoff pick
+    const participants = await gameService.getGameParticipants(game.id);
+    const summary = await pickService.getGamePicksSummary(game.id, {
+      seasonId,
+      footballGameIds: inPlayGames.map(g => g.id)
+    });
+
+    const tiebreaker = week === CUMULATIVE_WEEK
+      ? null
+      : await this.getTiebreakerResult(game, seasonId, week);
+
+    // Survivor players pick one team a week, so a finished week is one expected pick
+    const expectedPicks = game.type === 'survivor'
+      ? new Set(finishedGames.map(g => g.week)).size
+      : finishedGames.length;
+
+    const standings = this.buildStandings(game, participants, summary, tiebreaker, expectedPicks);
+    await standingsService.saveStandings(game.id, seasonId, week, standings);
+    return standings;
+  }
+
+  /**
+   * Recalculate one game's standings for the given weeks plus its cumulative table
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {number[]} weeks - Season weeks to recalculate (19 and up for the playoffs)
+   * @returns {Promise<void>}
+   */
+  async updateGameStandings(game, seasonId, weeks) {
+    const rules = gameRules.getRules(game);
+    for (const week of weeks) {
+      // Weeks outside the game's range have no standings of their own
+      if (!gameRules.isSeasonWeekInPlay(rules, week)) continue;
+      await this.updateGameWeekStandings(game, seasonId, week);
+    }
+    await this.updateGameWeekStandings(game, seasonId, CUMULATIVE_WEEK);
+  }
+
+  /**
+   * Recalculate standings for every game in a season after picks are graded
+   * @param {string} seasonId - Season ID
+   * @param {number[]|null} seasonWeeks - Season weeks to recalculate (optional, defaults to every week with a final game)
+   * @returns {Promise<{updatedGames: number, weeks: number[]}>}
+   */
+  async updateStandings(seasonId, seasonWeeks = null) {
+    try {
+      const gameService = DatabaseServiceFactory.getGameService();
+      const nflDataService = DatabaseServiceFactory.getNFLDataService();
+
+      // Bracket games are scored from the playoff bracket, not weekly picks
+      const games = (await gameService.getAllGames())
+        .filter(game => game.season_id === seasonId && game.type !== 'bracket');
+
+      let weeks;
+      if (seasonWeeks) {
+        weeks = seasonWeeks;
+      } else {
+        const seasonGames = await nflDataService.getGamesBySeason(seasonId);
+        weeks = [...new Set(
+          seasonGames
+            .filter(g => g.season_type !== 1 && FINAL_STATUSES.includes(g.status))
+            .map(g => gameRules.getSeasonWeek(g))
+        )].sort((a, b) => a - b);
+      }
+
+      for (const game of games) {
+        await this.updateGameStandings(game, seasonId, weeks);
+      }
+
+      console.log(`[Standings] Updated standings for ${games.length} games (weeks: ${weeks.join(', ') || 'none'})`);
+      return { updatedGames: games.length, weeks };
+    } catch (error) {
+      console.error('[Standings] Failed to update standings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get standings for a game, materializing them first if they have never been calculated
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {number} [week] - Week number (defaults to cumulative season standings)
+   * @returns {Promise<Array>} Standings with user names, ordered by rank
+   */
+  async getStandings(game, seasonId, week = CUMULATIVE_WEEK) {
+    const standingsService = DatabaseServiceFactory.getStandingsService();
+
+    let standings = await standingsService.getStandings(game.id, seasonId, week);
+    if (standings.length === 0) {
+      await this.updateGameWeekStandings(game, seasonId, week);
+      standings = await standingsService.getStandings(game.id, seasonId, week);
+    }
+
+    return standings;
+  }
+}
+
+export default new StandingsCalculatorService();
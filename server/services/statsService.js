@@ -0,0 +1,250 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+
+const isGraded = (pick) => pick.is_correct !== null && pick.is_correct !== undefined && !pick.is_push;
+const isCorrect = (pick) => pick.is_correct === 1 || pick.is_correct === true;
+
+const accuracy = (correct, graded) => graded > 0 ? Math.round((correct / graded) * 1000) / 10 : 0;
+
+/**
+ * Correct and graded pick counts for a set of picks
+ * @param {Array} picks - Picks
+ * @returns {{picks: number, graded_picks: number, correct_picks: number, accuracy: number}}
+ */
+const tally = (picks) => {
+  const graded = picks.filter(isGraded);
+  const correct = graded.filter(isCorrect).length;
+  return {
+    picks: picks.length,
+    graded_picks: graded.length,
+    correct_picks: correct,
+    accuracy: accuracy(correct, graded.length)
+  };
+};
+
+class StatsService {
+  /**
+   * Everything a user has picked, with the football game and pickem game each pick belongs to
+   * @param {string} userId - User ID
+   * @returns {Promise<{picks: Array, games: Array, seasons: Map<string, string>}>}
+   */
+  async loadUserPicks(userId) {
+    const pickService = DatabaseServiceFactory.getPickService();
+    const gameService = DatabaseServiceFactory.getGameService();
+    const seasonService = DatabaseServiceFactory.getSeasonService();
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+
+    const [picks, games, allSeasons] = await Promise.all([
+      pickService.getUserPicks({ userId }),
+      gameService.getUserGames(userId),
+      seasonService.getAllSeasons()
+    ]);
+
+    const seasons = new Map(allSeasons.map(season => [season.id, season.season]));
+    const gamesById = new Map(games.map(game => [game.id, game]));
+
+    // One lookup per season instead of one per pick
+    const footballGames = new Map();
+    for (const seasonId of new Set(picks.map(pick => pick.season_id))) {
+      for (const footballGame of await nflDataService.getGamesBySeason(seasonId)) {
+        footballGames.set(footballGame.id, footballGame);
+      }
+    }
+
+    return {
+      picks: picks
+        .filter(pick => footballGames.has(pick.football_game_id))
+        .map(pick => ({ ...pick, footballGame: footballGames.get(pick.football_game_id), game: gamesById.get(pick.game_id) })),
+      games,
+      seasons
+    };
+  }
+
+  /**
+   * Accuracy by the team picked, most-picked teams first
+   * @param {Array} picks - Picks with football games
+   * @returns {Array}
+   */
+  getTeamStats(picks) {
+    const byTeam = new Map();
+    for (const pick of picks) {
+      if (!byTeam.has(pick.pick_team_id)) byTeam.set(pick.pick_team_id, []);
+      byTeam.get(pick.pick_team_id).push(pick);
+    }
+
+    return [...byTeam.entries()]
+      .map(([teamId, teamPicks]) => ({
+        team_id: teamId,
+        team_code: teamPicks[0].pick_team_code,
+        team_city: teamPicks[0].pick_team_city,
+        team_name: teamPicks[0].pick_team_name,
+        ...tally(teamPicks)
+      }))
+      .sort((a, b) => b.picks - a.picks || b.accuracy - a.accuracy);
+  }
+
+  /**
+   * Accuracy picking favorites vs. underdogs. The line is the one locked in with the pick
+   * when there is one (against-the-spread games), otherwise the game's current line.
+   * Games without a line, or with a pick'em line, are left out.
+   * @param {Array} picks - Picks with football games
+   * @returns {{favorite: Object, underdog: Object}}
+   */
+  getFavoriteStats(picks) {
+    const favorite = [];
+    const underdog = [];
+
+    for (const pick of picks) {
+      const spread = pick.spread ?? pick.footballGame.spread;
+      if (spread === null || spread === undefined || Number(spread) === 0) continue;
+
+      // Spreads are from the home team's side: negative means the home team is favored
+      const favoriteTeamId = Number(spread) < 0 ? pick.footballGame.home_team_id : pick.footballGame.away_team_id;
+      (pick.pick_team_id === favoriteTeamId ? favorite : underdog).push(pick);
+    }
+
+    return { favorite: tally(favorite), underdog: tally(underdog) };
+  }
+
+  /**
+   * Best and worst single weeks in games with a pick for every matchup
+   * @param {Array} picks - Picks with football games
+   * @param {Map<string, string>} seasons - Season years by ID
+   * @returns {{best: Object|null, worst: Object|null}}
+   */
+  getWeekStats(picks, seasons) {
+    const weeks = new Map();
+    for (const pick of picks) {
+      if (!pick.game || pick.game.type === 'survivor') continue;
+
+      const key = `${pick.game_id}:${pick.season_id}:${pick.footballGame.season_type || 2}:${pick.footballGame.week}`;
+      if (!weeks.has(key)) weeks.set(key, []);
+      weeks.get(key).push(pick);
+    }
+
+    const results = [...weeks.values()]
+      .map(weekPicks => {
+        const { footballGame, game, season_id: seasonId } = weekPicks[0];
+        return {
+          game_id: game.id,
+          game_name: game.game_name,
+          season: seasons.get(seasonId) || null,
+          week: footballGame.week,
+          is_postseason: footballGame.season_type === 3,
+          ...tally(weekPicks)
+        };
+      })
+      // A week counts once every pick in it is graded
+      .filter(week => week.graded_picks > 0 && week.graded_picks === week.picks);
+
+    if (results.length === 0) {
+      return { best: null, worst: null };
+    }
+
+    const sorted = results.sort((a, b) =>
+      b.accuracy - a.accuracy || b.correct_picks - a.correct_picks
+    );
+    return { best: sorted[0], worst: sorted[sorted.length - 1] };
+  }
+
+  /**
+   * Longest run of correct picks in kickoff order, and the run the user is on now.
+   * The same pick made in several games counts once.
+   * @param {Array} picks - Picks with football games
+   * @returns {{longest: number, current: number}}
+   */
+  getStreaks(picks) {
+    const seen = new Set();
+    const graded = picks
+      .filter(isGraded)
+      .sort((a, b) => new Date(a.footballGame.start_time) - new Date(b.footballGame.start_time))
+      .filter(pick => {
+        const key = `${pick.football_game_id}:${pick.pick_team_id}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+    let longest = 0;
+    let current = 0;
+    for (const pick of graded) {
+      current = isCorrect(pick) ? current + 1 : 0;
+      longest = Math.max(longest, current);
+    }
+
+    return { longest, current };
+  }
+
+  /**
+   * How long the user lasted in each survivor game: weeks advanced (a correct or pushed pick)
+   * and whether they are still alive
+   * @param {string} userId - User ID
+   * @param {Array} games - The user's pickem games
+   * @param {Array} picks - Picks with football games
+   * @param {Map<string, string>} seasons - Season years by ID
+   * @returns {Promise<{games: Array, longest: number, average: number}>}
+   */
+  async getSurvivorStats(userId, games, picks, seasons) {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const survivorGames = [];
+
+    for (const game of games.filter(g => g.type === 'survivor')) {
+      const participant = await gameService.getParticipant(game.id, userId);
+      const gamePicks = picks.filter(pick => pick.game_id === game.id);
+
+      survivorGames.push({
+        game_id: game.id,
+        game_name: game.game_name,
+        season: seasons.get(game.season_id) || null,
+        weeks_survived: gamePicks.filter(pick => pick.is_push || isCorrect(pick)).length,
+        status: participant?.survivor_status || 'alive',
+        eliminated_week: participant?.eliminated_week ?? null,
+        strikes: participant?.strikes || 0
+      });
+    }
+
+    const lengths = survivorGames.map(game => game.weeks_survived);
+    return {
+      games: survivorGames.sort((a, b) => String(b.season || '').localeCompare(String(a.season || ''))),
+      longest: lengths.length > 0 ? Math.max(...lengths) : 0,
+      average: lengths.length > 0 ? Math.round((lengths.reduce((sum, n) => sum + n, 0) / lengths.length) * 10) / 10 : 0
+    };
+  }
+
+  /**
+   * All-time and per-season statistics for a user across every game they have played
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async getUserStats(userId) {
+    const { picks, games, seasons } = await this.loadUserPicks(userId);
+
+    const bySeason = new Map();
+    for (const pick of picks) {
+      if (!bySeason.has(pick.season_id)) bySeason.set(pick.season_id, []);
+      bySeason.get(pick.season_id).push(pick);
+    }
+
+    return {
+      career: {
+        ...tally(picks),
+        pushes: picks.filter(pick => pick.is_push).length,
+        games_played: games.length,
+        seasons_played: new Set(games.map(game => game.season_id)).size
+      },
+      seasons: [...bySeason.entries()]
+        .map(([seasonId, seasonPicks]) => ({ season_id: seasonId, season: seasons.get(seasonId) || null, ...tally(seasonPicks) }))
+        .sort((a, b) => String(b.season || '').localeCompare(String(a.season || ''))),
+      teams: this.getTeamStats(picks),
+      home_away: {
+        home: tally(picks.filter(pick => pick.pick_team_id === pick.footballGame.home_team_id)),
+        away: tally(picks.filter(pick => pick.pick_team_id === pick.footballGame.away_team_id))
+      },
+      favorite_underdog: this.getFavoriteStats(picks),
+      weeks: this.getWeekStats(picks, seasons),
+      streaks: this.getStreaks(picks),
+      survivor: await this.getSurvivorStats(userId, games, picks, seasons)
+    };
+  }
+}
+
+export default new StatsService();
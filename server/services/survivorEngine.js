@@ -0,0 +1,306 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import gameRules, { FINAL_STATUSES } from './gameRules.js';
+import emailService from './emailService.js';
+import notificationDispatcher from './notificationDispatcher.js';
+import notificationCenter from './notificationCenter.js';
+import gameChat from './gameChat.js';
+
+const isSurvivorGame = (game) =>
+  !!game && (game.type === 'survivor' || game.game_type === 'survivor');
+
+// SQLite stores CURRENT_TIMESTAMP as UTC without a zone marker
+export const parseTimestamp = (value) => {
+  if (!value) return null;
+  const text = String(value);
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+};
+
+class SurvivorEngineService {
+  /**
+   * Number of strikes a player can take before being eliminated
+   * @param {Object} game - Pickem game
+   * @returns {number}
+   */
+  getLives(game) {
+    return Math.max(1, parseInt(game.survivor_lives) || 1);
+  }
+
+  /**
+   * Find the weeks in play for a game where every football game is final. Weeks are season
+   * weeks (gameRules.getSeasonWeek), so playoff rounds come after week 18.
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @returns {Promise<Array<{week: number, firstKickoff: Date}>>} Completed weeks in order
+   */
+  async getCompletedWeeks(game, seasonId) {
+    const seasonGames = await gameRules.getInPlayGames(game, seasonId);
+
+    const weeks = new Map();
+    for (const footballGame of seasonGames) {
+      const seasonWeek = gameRules.getSeasonWeek(footballGame);
+      const week = weeks.get(seasonWeek) || { week: seasonWeek, firstKickoff: null, isFinal: true };
+      const kickoff = new Date(footballGame.start_time);
+      if (!week.firstKickoff || kickoff < week.firstKickoff) {
+        week.firstKickoff = kickoff;
+      }
+      week.isFinal = week.isFinal && FINAL_STATUSES.includes(footballGame.status);
+      weeks.set(seasonWeek, week);
+    }
+
+    return [...weeks.values()]
+      .filter(week => week.isFinal)
+      .map(({ week, firstKickoff }) => ({ week, firstKickoff }))
+      .sort((a, b) => a.week - b.week);
+  }
+
+  /**
+   * Work out a participant's survivor status from their graded picks.
+   * A losing pick in a completed week is a strike, as is no pick at all unless the game's
+   * missed-pick policy ignores it. Weeks that kicked off before the player joined, or that
+   * were cleared by a re-entry, don't count.
+   * @param {Object} participant - Game participant
+   * @param {Array} picks - The participant's picks for the season
+   * @param {Array} completedWeeks - Result of getCompletedWeeks
+   * @param {number} lives - Strikes allowed before elimination
+   * @param {Object} rules - The game's rules document
+   * @returns {{survivor_status: string, strikes: number, eliminated_week: number|null}}
+   */
+  evaluateParticipant(participant, picks, completedWeeks, lives, rules) {
+    const joinedAt = parseTimestamp(participant.created_at);
+    const picksByWeek = new Map(picks.map(pick => [gameRules.getSeasonWeek(pick), pick]));
+
+    let strikes = 0;
+    for (const { week, firstKickoff } of completedWeeks) {
+      if (participant.reentry_week && week <= participant.reentry_week) continue;
+      if (joinedAt && joinedAt > firstKickoff) continue;
+
+      const pick = picksByWeek.get(week);
+      const lostPick = pick && pick.is_correct !== null && pick.is_correct !== undefined && !pick.is_correct;
+
+      if ((!pick && rules.missed_pick_policy === 'loss') || lostPick) {
+        strikes++;
+      }
+
+      if (strikes >= lives) {
+        return { survivor_status: 'eliminated', strikes, eliminated_week: week };
+      }
+    }
+
+    return { survivor_status: 'alive', strikes, eliminated_week: null };
+  }
+
+  /**
+   * Re-evaluate and store the survivor status of every participant in a game
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @returns {Promise<Array>} Participants with their updated survivor status
+   */
+  async updateGameSurvivorStatus(game, seasonId) {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const pickService = DatabaseServiceFactory.getPickService();
+
+    const weeks = await this.getCompletedWeeks(game, seasonId);
+    const lives = this.getLives(game);
+    const rules = gameRules.getRules(game);
+    const participants = await gameService.getGameParticipants(game.id);
+
+    const results = [];
+    const newlyEliminated = [];
+    const newlyStruck = [];
+    for (const participant of participants) {
+      const picks = await pickService.getUserPicks({
+        userId: participant.user_id,
+        gameId: game.id,
+        seasonId
+      });
+
+      const status = this.evaluateParticipant(participant, picks, weeks, lives, rules);
+      const changed = status.survivor_status !== (participant.survivor_status || 'alive') ||
+        status.strikes !== (participant.strikes || 0) ||
+        status.eliminated_week !== (participant.eliminated_week ?? null);
+
+      if (changed) {
+        await gameService.updateSurvivorStatus(game.id, participant.user_id, status);
+        if (status.survivor_status === 'eliminated' && participant.survivor_status !== 'eliminated') {
+          newlyEliminated.push({ ...participant, ...status });
+        } else if (status.survivor_status !== 'eliminated' && status.strikes > (participant.strikes || 0)) {
+          newlyStruck.push({ ...participant, ...status });
+        }
+      }
+
+      results.push({ ...participant, ...status });
+    }
+
+    if (newlyEliminated.length > 0) {
+      await this.notifyEliminations(game, newlyEliminated);
+    }
+    if (newlyStruck.length > 0) {
+      await notificationCenter.notify(newlyStruck.map(participant => {
+        const livesLeft = Math.max(0, lives - participant.strikes);
+        return {
+          userId: participant.user_id,
+          gameId: game.id,
+          type: 'strike',
+          title: `You lost a life in "${game.game_name}"`,
+          message: `Your pick missed. You have ${livesLeft} ${livesLeft === 1 ? 'life' : 'lives'} left.`,
+          link: notificationCenter.getGameLink(game)
+        };
+      }));
+    }
+
+    return results;
+  }
+
+  /**
+   * Tell eliminated players in their in-app notifications, and the game's message board
+   * and notification channels who was just knocked out
+   * @param {Object} game - Pickem game
+   * @param {Array} eliminated - Participants eliminated by the latest results
+   * @returns {Promise<void>}
+   */
+  async notifyEliminations(game, eliminated) {
+    await notificationCenter.notify(eliminated.map(participant => ({
+      userId: participant.user_id,
+      gameId: game.id,
+      type: 'elimination',
+      title: `You've been eliminated from "${game.game_name}"`,
+      message: `Your run ended in Week ${participant.eliminated_week}.`,
+      link: notificationCenter.getGameLink(game)
+    })));
+
+    const names = eliminated.map(participant => participant.display_name || participant.first_name);
+    const summary = `Eliminated: ${names.join(', ')}`;
+    await gameChat.postSystemMessage(game, summary);
+
+    await notificationDispatcher.dispatch(game, {
+      type: 'elimination',
+      week: Math.max(...eliminated.map(participant => participant.eliminated_week || 0)) || null,
+      summary,
+      data: {
+        players: eliminated.map(participant => ({
+          user_id: participant.user_id,
+          display_name: participant.display_name || participant.first_name,
+          eliminated_week: participant.eliminated_week,
+          strikes: participant.strikes
+        }))
+      },
+      emails: eliminated
+        .filter(participant => participant.email)
+        .map(participant => ({
+          user_id: participant.user_id,
+          to: participant.email,
+          message: emailService.buildGameNotice(participant.first_name, game.game_name, "You've been eliminated", [
+            `Your run in "${game.game_name}" ended in Week ${participant.eliminated_week}.`,
+            'You can still follow the rest of the pool from the game page.'
+          ])
+        }))
+    });
+  }
+
+  /**
+   * Re-evaluate every survivor game in a season after picks are graded
+   * @param {string} seasonId - Season ID
+   * @returns {Promise<{updatedGames: number, eliminated: number}>}
+   */
+  async updateSurvivorStatus(seasonId) {
+    try {
+      const gameService = DatabaseServiceFactory.getGameService();
+
+      const games = (await gameService.getAllGames())
+        .filter(game => game.season_id === seasonId && isSurvivorGame(game));
+
+      let eliminated = 0;
+      for (const game of games) {
+        const results = await this.updateGameSurvivorStatus(game, seasonId);
+        eliminated += results.filter(r => r.survivor_status === 'eliminated').length;
+      }
+
+      console.log(`[Survivor] Updated ${games.length} survivor games (${eliminated} players eliminated)`);
+      return { updatedGames: games.length, eliminated };
+    } catch (error) {
+      console.error('[Survivor] Failed to update survivor status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get survivor standings for a game: players still alive first, then by how long they lasted.
+   * Read-only; statuses are as pickCalculator last stored them after grading.
+   * @param {Object} game - Pickem game
+   * @returns {Promise<{lives: number, aliveCount: number, eliminatedCount: number, standings: Array}>}
+   */
+  async getSurvivorStandings(game) {
+    const gameService = DatabaseServiceFactory.getGameService();
+    const lives = this.getLives(game);
+    const participants = await gameService.getGameParticipants(game.id);
+
+    const standings = participants.map(participant => ({
+      user_id: participant.user_id,
+      first_name: participant.first_name,
+      last_name: participant.last_name,
+      display_name: participant.display_name,
+      role: participant.role,
+      survivor_status: participant.survivor_status || 'alive',
+      strikes: participant.strikes || 0,
+      lives_remaining: Math.max(0, lives - (participant.strikes || 0)),
+      eliminated_week: participant.eliminated_week ?? null,
+      reentry_week: participant.reentry_week ?? null
+    }));
+
+    standings.sort((a, b) => {
+      if (a.survivor_status !== b.survivor_status) {
+        return a.survivor_status === 'alive' ? -1 : 1;
+      }
+      if (a.survivor_status === 'alive' && a.strikes !== b.strikes) {
+        return a.strikes - b.strikes;
+      }
+      if (a.eliminated_week !== b.eliminated_week) {
+        return (b.eliminated_week || 0) - (a.eliminated_week || 0);
+      }
+      return (a.display_name || '').localeCompare(b.display_name || '');
+    });
+
+    const aliveCount = standings.filter(s => s.survivor_status === 'alive').length;
+
+    return {
+      lives,
+      aliveCount,
+      eliminatedCount: standings.length - aliveCount,
+      standings
+    };
+  }
+
+  /**
+   * Bring an eliminated player back with a full set of lives.
+   * Strikes from every week completed so far are cleared; later weeks count as normal.
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {string} userId - User ID of the eliminated player
+   * @returns {Promise<void>}
+   */
+  async reinstateParticipant(game, seasonId, userId) {
+    const gameService = DatabaseServiceFactory.getGameService();
+
+    const participant = await gameService.getParticipant(game.id, userId);
+    if (!participant) {
+      throw new Error('User is not in this game');
+    }
+    if (participant.survivor_status !== 'eliminated') {
+      throw new Error('Player has not been eliminated');
+    }
+
+    const completedWeeks = await this.getCompletedWeeks(game, seasonId);
+    const lastCompletedWeek = completedWeeks.length > 0
+      ? completedWeeks[completedWeeks.length - 1].week
+      : participant.eliminated_week;
+
+    await gameService.updateSurvivorStatus(game.id, userId, {
+      survivor_status: 'alive',
+      strikes: 0,
+      eliminated_week: null,
+      reentry_week: lastCompletedWeek
+    });
+  }
+}
+
+export default new SurvivorEngineService();
@@ -0,0 +1,275 @@
+import DatabaseServiceFactory from './database/DatabaseServiceFactory.js';
+import emailService from './emailService.js';
+import gameRules, { FINAL_STATUSES } from './gameRules.js';
+import notificationDispatcher from './notificationDispatcher.js';
+import gameChat from './gameChat.js';
+import notificationCenter from './notificationCenter.js';
+import standingsCalculator, { CUMULATIVE_WEEK } from './standingsCalculator.js';
+import { PROJECTION_GAME_TYPES } from './projectionEngine.js';
+
+// Upsets listed in a recap
+const MAX_UPSETS = 3;
+
+const displayName = (row) => `${row.first_name} ${row.last_name}`;
+
+const ordinal = (n) => {
+  const suffixes = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return `${n}${suffixes[(v - 20) % 10] || suffixes[v] || suffixes[0]}`;
+};
+
+class WeeklyRecapService {
+  /**
+   * Whether a pickem game gets recap emails: games with a pick on every matchup whose
+   * commissioner hasn't turned them off
+   * @param {Object} game - Pickem game
+   * @returns {boolean}
+   */
+  isRecapEnabled(game) {
+    return PROJECTION_GAME_TYPES.includes(game.type) && gameRules.getRules(game).recap_emails;
+  }
+
+  /**
+   * Final games in a week the underdog won, biggest spread first
+   * @param {Array} footballGames - Football games in the week
+   * @returns {Array<{footballGame: Object, winnerId: string, loserId: string, spread: number}>}
+   */
+  getUpsets(footballGames) {
+    return footballGames
+      .filter(footballGame =>
+        FINAL_STATUSES.includes(footballGame.status) &&
+        footballGame.spread !== null && footballGame.spread !== undefined && footballGame.spread !== 0 &&
+        footballGame.home_score !== footballGame.away_score
+      )
+      .map(footballGame => {
+        const homeWon = footballGame.home_score > footballGame.away_score;
+        return {
+          footballGame,
+          // Spreads are from the home team's side, so a positive spread makes home the underdog
+          isUpset: homeWon ? footballGame.spread > 0 : footballGame.spread < 0,
+          winnerId: homeWon ? footballGame.home_team_id : footballGame.away_team_id,
+          loserId: homeWon ? footballGame.away_team_id : footballGame.home_team_id,
+          spread: Math.abs(footballGame.spread)
+        };
+      })
+      .filter(upset => upset.isUpset)
+      .sort((a, b) => b.spread - a.spread)
+      .slice(0, MAX_UPSETS);
+  }
+
+  /**
+   * Whether every football game a pickem game counts in a week is final
+   * @param {Object} game - Pickem game
+   * @param {Array} footballGames - Football games in the week
+   * @returns {boolean}
+   */
+  isWeekComplete(game, footballGames) {
+    const rules = gameRules.getRules(game);
+    const inPlay = footballGames.filter(footballGame => gameRules.isGameInPlay(rules, footballGame));
+    return inPlay.length > 0 && inPlay.every(footballGame => FINAL_STATUSES.includes(footballGame.status));
+  }
+
+  /**
+   * Gather a week's results for a recap: the winner, every player's record, the season
+   * standings and the biggest upsets with how many players called them
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @returns {Promise<Object>} Recap for emailService.buildWeeklyRecap
+   */
+  async buildRecap(game, seasonId, week) {
+    const pickService = DatabaseServiceFactory.getPickService();
+    const nflDataService = DatabaseServiceFactory.getNFLDataService();
+
+    const rules = gameRules.getRules(game);
+    const weekGames = (await nflDataService.getGamesBySeasonAndWeek(seasonId, week))
+      .filter(footballGame => gameRules.isGameInPlay(rules, footballGame));
+
+    const weekStandings = await standingsCalculator.getStandings(game, seasonId, week);
+    const seasonStandings = await standingsCalculator.getStandings(game, seasonId, CUMULATIVE_WEEK);
+
+    const records = weekStandings.map(row => ({
+      user_id: row.user_id,
+      display_name: displayName(row),
+      rank: row.weekly_rank,
+      correct_picks: row.correct_picks,
+      total_picks: row.total_picks,
+      points_earned: row.points_earned
+    }));
+
+    // Nobody wins a week nobody picked
+    const winners = records.some(record => record.total_picks > 0)
+      ? records.filter(record => record.rank === 1)
+      : [];
+
+    const pickCounts = await pickService.getWeekPickCounts(game.id, seasonId, week);
+    const upsets = [];
+    for (const upset of this.getUpsets(weekGames)) {
+      const winner = await nflDataService.getTeamById(upset.winnerId);
+      const loser = await nflDataService.getTeamById(upset.loserId);
+      const counts = pickCounts.filter(count => count.football_game_id === upset.footballGame.id);
+      const homeWon = upset.winnerId === upset.footballGame.home_team_id;
+
+      upsets.push({
+        winner: winner ? `${winner.team_city} ${winner.team_name}` : upset.winnerId,
+        loser: loser ? `${loser.team_city} ${loser.team_name}` : upset.loserId,
+        winner_score: homeWon ? upset.footballGame.home_score : upset.footballGame.away_score,
+        loser_score: homeWon ? upset.footballGame.away_score : upset.footballGame.home_score,
+        spread: upset.spread,
+        picked_by: counts
+          .filter(count => count.pick_team_id === upset.winnerId)
+          .reduce((sum, count) => sum + count.pick_count, 0),
+        total_picks: counts.reduce((sum, count) => sum + count.pick_count, 0)
+      });
+    }
+
+    return {
+      game_name: game.game_name,
+      week,
+      is_complete: this.isWeekComplete(game, weekGames),
+      // Confidence games are won on points, everything else on correct picks
+      uses_points: game.type === 'confidence',
+      winners,
+      records,
+      standings: seasonStandings.map(row => ({
+        display_name: displayName(row),
+        rank: row.weekly_rank,
+        correct_picks: row.correct_picks,
+        total_picks: row.total_picks,
+        pick_percentage: row.pick_percentage,
+        points_earned: row.points_earned
+      })),
+      upsets
+    };
+  }
+
+  /**
+   * Tell each player how their week went in their in-app notifications
+   * @param {Object} game - Pickem game
+   * @param {Object} recap - Recap from buildRecap
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyResults(game, recap) {
+    const score = (record) => recap.uses_points
+      ? `${record.points_earned} points (${record.correct_picks}/${record.total_picks} correct)`
+      : `${record.correct_picks}/${record.total_picks}`;
+
+    return await notificationCenter.notify(recap.records.map(record => ({
+      userId: record.user_id,
+      gameId: game.id,
+      type: 'results',
+      title: `Week ${recap.week} results: "${game.game_name}"`,
+      message: record.total_picks === 0
+        ? 'You had no picks graded this week.'
+        : recap.winners.some(winner => winner.user_id === record.user_id)
+          ? `You won the week with ${score(record)}!`
+          : `You went ${score(record)} and finished ${ordinal(record.rank)} of ${recap.records.length}.`,
+      link: notificationCenter.getGameLink(game)
+    })));
+  }
+
+  /**
+   * Send a week's recap: an in-app results notification for every participant, a recap
+   * email to each of them unless the commissioner turned recaps off, and a results summary
+   * for the game's webhooks
+   * @param {Object} game - Pickem game
+   * @param {string} seasonId - Season ID
+   * @param {number} week - Week number
+   * @returns {Promise<number>} Number of recap emails sent
+   */
+  async sendGameRecap(game, seasonId, week) {
+    const gameService = DatabaseServiceFactory.getGameService();
+
+    const recap = await this.buildRecap(game, seasonId, week);
+    const participants = await gameService.getGameParticipants(game.id);
+
+    await this.notifyResults(game, recap);
+
+    const winnerNames = recap.winners.map(winner => winner.display_name).join(' & ');
+    const summary = recap.winners.length > 0
+      ? `Week ${week} is final. ${winnerNames} ${recap.winners.length === 1 ? 'wins' : 'share'} the week.`
+      : `Week ${week} is final. No picks were made.`;
+    await gameChat.postSystemMessage(game, summary);
+
+    const outcome = await notificationDispatcher.dispatch(game, {
+      type: 'results',
+      week,
+      summary,
+      data: recap,
+      emails: this.isRecapEnabled(game)
+        ? participants
+          .filter(participant => participant.email)
+          .map(participant => ({
+            user_id: participant.user_id,
+            to: participant.email,
+            message: emailService.buildWeeklyRecap(recap, participant.first_name)
+          }))
+        : []
+    });
+
+    await gameService.addRecapWeek(game.id, week);
+    return outcome.emailsSent;
+  }
+
+  /**
+   * Wrap up the most recently finished week of every active pickem game in a season that
+   * hasn't had it done yet: every game gets a "week is final" message on its board, and games
+   * with a pick on every matchup get a full recap. Only the latest week is considered, so a
+   * game isn't wrapped up for every week already played the first time this runs.
+   * @param {string} seasonId - Season ID
+   * @returns {Promise<{games: number, recapsSent: number}>}
+   */
+  async sendRecaps(seasonId) {
+    try {
+      const gameService = DatabaseServiceFactory.getGameService();
+      const nflDataService = DatabaseServiceFactory.getNFLDataService();
+
+      const games = (await gameService.getAllGames()).filter(game =>
+        game.season_id === seasonId &&
+        game.is_active !== 0 && game.is_active !== false
+      );
+      if (games.length === 0) {
+        return { games: 0, recapsSent: 0 };
+      }
+
+      const seasonGames = (await nflDataService.getGamesBySeason(seasonId))
+        .filter(footballGame => footballGame.season_type !== 1);
+
+      let recapsSent = 0;
+      for (const game of games) {
+        const rules = gameRules.getRules(game);
+        const inPlayGames = seasonGames.filter(footballGame => gameRules.isGameInPlay(rules, footballGame));
+
+        // The week of the latest kickoff that has gone final
+        const lastFinal = inPlayGames
+          .filter(footballGame => FINAL_STATUSES.includes(footballGame.status))
+          .sort((a, b) => new Date(b.start_time) - new Date(a.start_time))[0];
+        if (!lastFinal) continue;
+
+        // Playoff rounds count toward the season table but have no weekly standings to recap
+        const week = gameRules.getSeasonWeek(lastFinal);
+        if (week < rules.start_week || week > rules.end_week) continue;
+        if (!this.isWeekComplete(game, inPlayGames.filter(footballGame => gameRules.getSeasonWeek(footballGame) === week))) continue;
+
+        const recapWeeks = await gameService.getRecapWeeks(game.id);
+        if (recapWeeks.includes(week)) continue;
+
+        // Recap games post the week's winner with their recap; isRecapEnabled only decides the emails
+        if (PROJECTION_GAME_TYPES.includes(game.type)) {
+          recapsSent += await this.sendGameRecap(game, seasonId, week);
+        } else {
+          await gameChat.postSystemMessage(game, `Week ${week} is final.`);
+          await gameService.addRecapWeek(game.id, week);
+        }
+      }
+
+      console.log(`[WeeklyRecap] Sent ${recapsSent} recap emails across ${games.length} games`);
+      return { games: games.length, recapsSent };
+    } catch (error) {
+      console.error('[WeeklyRecap] Failed to send weekly recaps:', error);
+      throw error;
+    }
+  }
+}
+
+export default new WeeklyRecapService();
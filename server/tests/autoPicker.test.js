@@ -0,0 +1,69 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
+import gameRules from '../services/gameRules.js';
+import autoPicker from '../services/autoPicker.js';
+import {
+  openDatabase, closeDatabase, createUsers, createSeason, createTeams, createFootballGame, createPickemGame
+} from './fixtures.js';
+
+const SEASON_ID = 'season-2026';
+
+describe('autoPicker.applyAutoPicks', () => {
+  let game;
+  let afterKickoff;
+
+  const pickOn = async (userId, footballGameId) => {
+    const picks = await DatabaseServiceFactory.getPickService().getUserPicks({ userId, gameId: game.id, seasonId: SEASON_ID });
+    return picks.find(pick => pick.football_game_id === footballGameId) || null;
+  };
+
+  before(async () => {
+    await openDatabase();
+    await createUsers('alice', 'bob');
+    await createSeason(SEASON_ID, '2026');
+    await createTeams('buf', 'mia', 'kc', 'den');
+
+    game = await createPickemGame({ gameName: 'Auto Picks', commissionerId: 'alice', seasonId: SEASON_ID, playerIds: ['bob'] });
+    await DatabaseServiceFactory.getGameService().updateGameRules(game.id, { ...gameRules.getRules(game), auto_pick_policy: 'home' });
+    game = await DatabaseServiceFactory.getGameService().getGameByIdForAdmin(game.id);
+
+    // Both players joined before kickoff. BUF beat MIA before the job got to run; KC and DEN are still playing.
+    const kickoff = new Date(Date.now() + 60 * 1000);
+    afterKickoff = new Date(kickoff.getTime() + 3 * 60 * 60 * 1000);
+    await createFootballGame({
+      id: 'finished', seasonId: SEASON_ID, homeTeamId: 'buf', awayTeamId: 'mia', homeScore: 24, awayScore: 17,
+      status: 'STATUS_FINAL', startTime: kickoff.toISOString()
+    });
+    await createFootballGame({
+      id: 'live', seasonId: SEASON_ID, homeTeamId: 'kc', awayTeamId: 'den', status: 'STATUS_IN_PROGRESS',
+      startTime: kickoff.toISOString()
+    });
+
+    await DatabaseServiceFactory.getPickService().createOrUpdatePick({
+      userId: 'alice', gameId: game.id, footballGameId: 'finished', pickTeamId: 'mia'
+    });
+
+    await autoPicker.applyAutoPicks(SEASON_ID, afterKickoff);
+  });
+
+  after(closeDatabase);
+
+  test('picks games that finished before the job ran, and grades them', async () => {
+    const pick = await pickOn('bob', 'finished');
+    assert.equal(pick.pick_team_id, 'buf');
+    assert.ok(pick.is_auto);
+    assert.equal(Boolean(pick.is_correct), true);
+  });
+
+  test('picks locked games that are still being played', async () => {
+    assert.equal((await pickOn('bob', 'live')).pick_team_id, 'kc');
+    assert.equal((await pickOn('alice', 'live')).pick_team_id, 'kc');
+  });
+
+  test('leaves picks the player made alone', async () => {
+    const pick = await pickOn('alice', 'finished');
+    assert.equal(pick.pick_team_id, 'mia');
+    assert.ok(!pick.is_auto);
+  });
+});
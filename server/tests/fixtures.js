@@ -0,0 +1,57 @@
+import configService from '../services/configService.js';
+import db from '../models/database.js';
+import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
+
+// Shared setup for tests that need a database (see setup.js for where it lives)
+
+export async function openDatabase() {
+  await configService.initialize();
+  await db.initialize();
+}
+
+export async function closeDatabase() {
+  await db.close();
+}
+
+export async function createUsers(...userIds) {
+  for (const userId of userIds) {
+    await db.provider.run(
+      'INSERT INTO users (id, email, password, first_name, last_name) VALUES (?, ?, ?, ?, ?)',
+      [userId, `${userId}@example.com`, 'not-a-real-hash', 'Test', userId]
+    );
+  }
+}
+
+export async function createSeason(seasonId, year) {
+  await db.provider.run('INSERT INTO seasons (id, season, is_current) VALUES (?, ?, 1)', [seasonId, year]);
+}
+
+export async function createTeams(...teamIds) {
+  for (const teamId of teamIds) {
+    await db.provider.run(`
+      INSERT INTO football_teams (id, team_code, team_name, team_city, team_conference, team_division)
+      VALUES (?, ?, ?, ?, 'AFC', 'East')
+    `, [teamId, teamId.toUpperCase(), teamId, teamId]);
+  }
+}
+
+export async function createFootballGame({
+  id, seasonId, week = 1, homeTeamId, awayTeamId, homeScore = 0, awayScore = 0,
+  status = 'STATUS_SCHEDULED', startTime = '2026-09-13T17:00:00.000Z', seasonType = 2
+}) {
+  await db.provider.run(`
+    INSERT INTO football_games (
+      id, season_id, week, home_team_id, away_team_id, home_score, away_score,
+      game_date, start_time, status, season_type
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [id, seasonId, week, homeTeamId, awayTeamId, homeScore, awayScore, startTime, startTime, status, seasonType]);
+}
+
+export async function createPickemGame({ gameName, gameType = 'weekly', commissionerId, seasonId, playerIds = [] }) {
+  const gameService = DatabaseServiceFactory.getGameService();
+  const game = await gameService.createGame({ gameName, gameType, commissionerId, seasonId });
+  for (const playerId of playerIds) {
+    await gameService.addParticipant(game.id, playerId, 'player');
+  }
+  return game;
+}
@@ -0,0 +1,37 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
+import gameDirectory from '../services/gameDirectory.js';
+import { openDatabase, closeDatabase, createUsers, createSeason, createPickemGame } from './fixtures.js';
+
+const SEASON_ID = 'season-2026';
+
+describe('gameDirectory.join', () => {
+  let game;
+
+  const loadGame = async () => await DatabaseServiceFactory.getGameService().getGameByIdForAdmin(game.id);
+
+  before(async () => {
+    await openDatabase();
+    await createUsers('owner', 'ann', 'ben', 'cal');
+    await createSeason(SEASON_ID, '2026');
+    game = await createPickemGame({ gameName: 'Public Game', commissionerId: 'owner', seasonId: SEASON_ID });
+    await DatabaseServiceFactory.getGameService().updateGameData(game.id, { visibility: 'public', max_participants: 2 });
+  });
+
+  after(closeDatabase);
+
+  test('lets only one of two simultaneous joins take the last spot', async () => {
+    // Both players loaded the game while it still had a spot open
+    const [annView, benView] = [await loadGame(), await loadGame()];
+
+    const results = await Promise.all([gameDirectory.join(annView, 'ann'), gameDirectory.join(benView, 'ben')]);
+
+    assert.deepEqual(results.slice().sort(), [null, 'This game is full'].sort());
+    assert.equal((await DatabaseServiceFactory.getGameService().getGameParticipants(game.id)).length, 2);
+  });
+
+  test('refuses a full game', async () => {
+    assert.equal(await gameDirectory.join(await loadGame(), 'cal'), 'This game is full');
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import gameRules from '../services/gameRules.js';
+
+const footballGame = (id, startTime, extra = {}) => ({ id, week: 1, season_type: 2, start_time: startTime, ...extra });
+
+// Week 1 of 2026: Thursday night, Sunday 1pm and 4:25pm, Monday night (all times UTC, Eastern is UTC-4)
+const thursday = footballGame('thu', '2026-09-11T00:20:00.000Z');
+const sundayEarly = footballGame('sun1', '2026-09-13T17:00:00.000Z');
+const sundayLate = footballGame('sun4', '2026-09-13T20:25:00.000Z');
+const monday = footballGame('mon', '2026-09-15T00:15:00.000Z');
+const weekGames = [thursday, sundayEarly, sundayLate, monday];
+
+const rulesWith = (lockMode) => ({ ...gameRules.getDefaultRules('weekly'), lock_mode: lockMode });
+
+describe('gameRules.getSundayLock', () => {
+  test('is 1pm Eastern on the coming Sunday', () => {
+    assert.equal(gameRules.getSundayLock(new Date(thursday.start_time)).toISOString(), '2026-09-13T17:00:00.000Z');
+  });
+
+  test('is the same day when given a Sunday', () => {
+    assert.equal(gameRules.getSundayLock(new Date('2026-09-13T14:00:00.000Z')).toISOString(), '2026-09-13T17:00:00.000Z');
+  });
+
+  test('follows Eastern standard time once daylight saving ends', () => {
+    assert.equal(gameRules.getSundayLock(new Date('2026-12-04T01:15:00.000Z')).toISOString(), '2026-12-06T18:00:00.000Z');
+  });
+
+  test('uses standard time on the Sunday the clocks go back', () => {
+    assert.equal(gameRules.getSundayLock(new Date('2026-10-30T00:15:00.000Z')).toISOString(), '2026-11-01T18:00:00.000Z');
+  });
+
+  test('uses the Eastern date, not the UTC date', () => {
+    // Saturday 9pm Eastern is already Sunday in UTC
+    assert.equal(gameRules.getSundayLock(new Date('2026-09-13T01:00:00.000Z')).toISOString(), '2026-09-13T17:00:00.000Z');
+  });
+});
+
+describe('gameRules.getLockTime', () => {
+  test('locks each game at its own kickoff by default', () => {
+    const rules = rulesWith('game');
+    for (const game of weekGames) {
+      assert.equal(gameRules.getLockTime(rules, game, weekGames).toISOString(), game.start_time);
+    }
+  });
+
+  test('locks the whole week at the first kickoff in week mode', () => {
+    const rules = rulesWith('week');
+    for (const game of weekGames) {
+      assert.equal(gameRules.getLockTime(rules, game, weekGames).toISOString(), thursday.start_time);
+    }
+  });
+
+  test('locks Sunday and Monday games at 1pm Sunday in sunday mode', () => {
+    const rules = rulesWith('sunday');
+    assert.equal(gameRules.getLockTime(rules, sundayLate, weekGames).toISOString(), sundayEarly.start_time);
+    assert.equal(gameRules.getLockTime(rules, monday, weekGames).toISOString(), sundayEarly.start_time);
+  });
+
+  test('still locks games before Sunday at their own kickoff in sunday mode', () => {
+    const rules = rulesWith('sunday');
+    assert.equal(gameRules.getLockTime(rules, thursday, weekGames).toISOString(), thursday.start_time);
+  });
+
+  test('ignores preseason and playoff games stored under the same week number', () => {
+    const rules = rulesWith('week');
+    const preseason = footballGame('pre', '2026-08-07T23:00:00.000Z', { season_type: 1 });
+    const wildCard = footballGame('wc', '2027-01-09T21:30:00.000Z', { season_type: 3 });
+    const mixedWeek = [preseason, ...weekGames, wildCard];
+
+    assert.equal(gameRules.getLockTime(rules, sundayLate, mixedWeek).toISOString(), thursday.start_time);
+    assert.equal(gameRules.getLockTime(rules, wildCard, mixedWeek).toISOString(), wildCard.start_time);
+  });
+});
+
+describe('gameRules.isPickLocked', () => {
+  test('is locked from the lock time on', () => {
+    const rules = rulesWith('game');
+    assert.equal(gameRules.isPickLocked(rules, sundayEarly, weekGames, new Date('2026-09-13T16:59:59.000Z')), false);
+    assert.equal(gameRules.isPickLocked(rules, sundayEarly, weekGames, new Date('2026-09-13T17:00:00.000Z')), true);
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
+import joinCodes from '../services/joinCodes.js';
+import { openDatabase, closeDatabase, createUsers, createSeason, createPickemGame } from './fixtures.js';
+
+const SEASON_ID = 'season-2026';
+
+describe('joinCodes.redeem', () => {
+  let game;
+
+  const newCode = async (options = {}) => await joinCodes.createJoinCode(game.id, 'owner', options);
+  const reload = async (joinCode) => await DatabaseServiceFactory.getJoinCodeService().getJoinCodeById(joinCode.id);
+  const isInGame = async (userId, gameId = game.id) =>
+    !!await DatabaseServiceFactory.getGameService().getParticipant(gameId, userId);
+
+  before(async () => {
+    await openDatabase();
+    await createUsers('owner', 'ann', 'ben', 'cal', 'dee', 'eve', 'fay', 'gus', 'hal');
+    await createSeason(SEASON_ID, '2026');
+    game = await createPickemGame({ gameName: 'Join Codes', commissionerId: 'owner', seasonId: SEASON_ID });
+  });
+
+  after(closeDatabase);
+
+  test('adds the user as a player and counts the use', async () => {
+    const joinCode = await newCode();
+
+    assert.equal(await joinCodes.redeem(joinCode, 'ann'), null);
+
+    const participant = await DatabaseServiceFactory.getGameService().getParticipant(game.id, 'ann');
+    assert.equal(participant.role, 'player');
+    assert.equal((await reload(joinCode)).use_count, 1);
+  });
+
+  test('refuses a revoked code', async () => {
+    const joinCode = await newCode();
+    await DatabaseServiceFactory.getJoinCodeService().revokeJoinCode(joinCode.id);
+
+    assert.equal(await joinCodes.redeem(await reload(joinCode), 'ben'), 'This join link has been revoked');
+    assert.equal(await isInGame('ben'), false);
+  });
+
+  test('refuses an expired code', async () => {
+    const joinCode = { ...await newCode(), expires_at: new Date(Date.now() - 60 * 1000).toISOString() };
+
+    assert.equal(await joinCodes.redeem(joinCode, 'ben'), 'This join link has expired');
+    assert.equal(await isInGame('ben'), false);
+  });
+
+  test('stops at the code\'s use limit', async () => {
+    const joinCode = await newCode({ maxUses: 1 });
+
+    assert.equal(await joinCodes.redeem(joinCode, 'ben'), null);
+    assert.equal(
+      await joinCodes.redeem(await reload(joinCode), 'cal'),
+      'This join link has already been used the maximum number of times'
+    );
+    assert.equal(await isInGame('cal'), false);
+  });
+
+  test('lets only one of two simultaneous joins take the last use', async () => {
+    const joinCode = await newCode({ maxUses: 1 });
+
+    // Both requests read the code before either records its use
+    const results = await Promise.all([joinCodes.redeem(joinCode, 'cal'), joinCodes.redeem(joinCode, 'dee')]);
+
+    assert.equal(results.filter(result => result === null).length, 1);
+    assert.equal((await reload(joinCode)).use_count, 1);
+    assert.equal([await isInGame('cal'), await isInGame('dee')].filter(Boolean).length, 1);
+  });
+
+  test('refuses to add players to a full game', async () => {
+    const fullGame = await createPickemGame({ gameName: 'Full Game', commissionerId: 'owner', seasonId: SEASON_ID });
+    await DatabaseServiceFactory.getGameService().updateGameData(fullGame.id, { max_participants: 1 });
+    const joinCode = await joinCodes.createJoinCode(fullGame.id, 'owner');
+
+    assert.equal(await joinCodes.redeem(joinCode, 'eve'), 'This game is full');
+    assert.equal(await isInGame('eve', fullGame.id), false);
+    assert.equal((await reload(joinCode)).use_count, 0);
+  });
+
+  test('lets only one of two simultaneous redemptions take a game\'s last spot', async () => {
+    const almostFull = await createPickemGame({ gameName: 'Almost Full', commissionerId: 'owner', seasonId: SEASON_ID });
+    await DatabaseServiceFactory.getGameService().updateGameData(almostFull.id, { max_participants: 2 });
+    const joinCode = await joinCodes.createJoinCode(almostFull.id, 'owner');
+
+    // Both requests see one open spot before either takes it
+    const results = await Promise.all([joinCodes.redeem(joinCode, 'gus'), joinCodes.redeem(joinCode, 'hal')]);
+
+    assert.deepEqual(results.slice().sort(), [null, 'This game is full'].sort());
+    assert.equal((await DatabaseServiceFactory.getGameService().getGameParticipants(almostFull.id)).length, 2);
+    assert.equal((await reload(joinCode)).use_count, 1);
+  });
+
+  test('refuses an unknown code', async () => {
+    const joinCode = await DatabaseServiceFactory.getJoinCodeService().getJoinCodeByCode(joinCodes.normalizeCode('no-such-code'));
+
+    assert.equal(await joinCodes.redeem(joinCode, 'fay'), 'This join link is not valid');
+  });
+});
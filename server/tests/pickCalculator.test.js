@@ -0,0 +1,86 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
+import gameRules from '../services/gameRules.js';
+import pickCalculator from '../services/pickCalculator.js';
+import {
+  openDatabase, closeDatabase, createUsers, createSeason, createTeams, createFootballGame, createPickemGame
+} from './fixtures.js';
+
+const SEASON_ID = 'season-2026';
+
+describe('pickCalculator.calculatePicks', () => {
+  const picks = {};
+
+  const grade = async (key) => {
+    const pick = await DatabaseServiceFactory.getPickService().getPickById(picks[key].id);
+    return { isCorrect: pick.is_correct === null ? null : Boolean(pick.is_correct), isPush: Boolean(pick.is_push) };
+  };
+
+  before(async () => {
+    await openDatabase();
+    await createUsers('alice', 'bob', 'carol');
+    await createSeason(SEASON_ID, '2026');
+    await createTeams('buf', 'mia', 'kc', 'den', 'phi', 'dal');
+
+    // BUF beat MIA by 7, KC and DEN tied, PHI and DAL haven't played yet
+    await createFootballGame({ id: 'win', seasonId: SEASON_ID, homeTeamId: 'buf', awayTeamId: 'mia', homeScore: 24, awayScore: 17, status: 'STATUS_FINAL' });
+    await createFootballGame({ id: 'tie', seasonId: SEASON_ID, homeTeamId: 'kc', awayTeamId: 'den', homeScore: 20, awayScore: 20, status: 'STATUS_FINAL' });
+    await createFootballGame({ id: 'later', seasonId: SEASON_ID, homeTeamId: 'phi', awayTeamId: 'dal' });
+
+    const weekly = await createPickemGame({ gameName: 'Weekly', commissionerId: 'alice', seasonId: SEASON_ID, playerIds: ['bob'] });
+    const pushTies = await createPickemGame({ gameName: 'Push Ties', commissionerId: 'alice', seasonId: SEASON_ID });
+    const ats = await createPickemGame({ gameName: 'Spread', gameType: 'ats', commissionerId: 'alice', seasonId: SEASON_ID, playerIds: ['bob', 'carol'] });
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    await gameService.updateGameRules(pushTies.id, { ...gameRules.getRules(pushTies), tie_scoring: 'push' });
+
+    const pickService = DatabaseServiceFactory.getPickService();
+    const pick = (key, userId, game, footballGameId, pickTeamId, spread = null) =>
+      pickService.createOrUpdatePick({ userId, gameId: game.id, footballGameId, pickTeamId, spread })
+        .then(created => { picks[key] = created; });
+
+    await pick('winner', 'alice', weekly, 'win', 'buf');
+    await pick('loser', 'bob', weekly, 'win', 'mia');
+    await pick('tieAsLoss', 'alice', weekly, 'tie', 'kc');
+    await pick('unplayed', 'alice', weekly, 'later', 'phi');
+    await pick('tieAsPush', 'alice', pushTies, 'tie', 'den');
+    // BUF was favored by 3 and won by 7
+    await pick('covered', 'alice', ats, 'win', 'buf', -3);
+    await pick('didNotCover', 'bob', ats, 'win', 'mia', -3);
+    // At BUF -7 the game lands exactly on the number
+    await pick('spreadPush', 'carol', ats, 'win', 'buf', -7);
+
+    await pickCalculator.calculatePicks(SEASON_ID, 1);
+  });
+
+  after(closeDatabase);
+
+  test('marks picks on the winning team correct and the losing team incorrect', async () => {
+    assert.deepEqual(await grade('winner'), { isCorrect: true, isPush: false });
+    assert.deepEqual(await grade('loser'), { isCorrect: false, isPush: false });
+  });
+
+  test('leaves picks on unfinished games ungraded', async () => {
+    assert.deepEqual(await grade('unplayed'), { isCorrect: null, isPush: false });
+  });
+
+  test('scores ties as losses by default', async () => {
+    assert.deepEqual(await grade('tieAsLoss'), { isCorrect: false, isPush: false });
+  });
+
+  test('scores ties as pushes when the game\'s rules say so', async () => {
+    assert.deepEqual(await grade('tieAsPush'), { isCorrect: null, isPush: true });
+  });
+
+  test('grades against-the-spread picks against the line they were made at', async () => {
+    assert.deepEqual(await grade('covered'), { isCorrect: true, isPush: false });
+    assert.deepEqual(await grade('didNotCover'), { isCorrect: false, isPush: false });
+    assert.deepEqual(await grade('spreadPush'), { isCorrect: null, isPush: true });
+  });
+
+  test('reports how many games it graded', async () => {
+    const result = await pickCalculator.calculatePicks(SEASON_ID, 1);
+    assert.equal(result.completedGames, 2);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import emailService from '../services/emailService.js';
+import notificationDispatcher from '../services/notificationDispatcher.js';
+import { SmtpChannel } from '../services/notificationChannels.js';
+import pickReminders from '../services/pickReminders.js';
+import {
+  openDatabase, closeDatabase, createUsers, createSeason, createTeams, createFootballGame, createPickemGame
+} from './fixtures.js';
+
+const SEASON_ID = 'season-2026';
+
+describe('pickReminders.remindGame', () => {
+  let game;
+  let now;
+  let smtpUp;
+  const emailed = [];
+  const slack = { name: 'slack', send: mock.fn(async () => ({ success: true })) };
+
+  before(async () => {
+    await openDatabase();
+    await createUsers('alice', 'bob');
+    await createSeason(SEASON_ID, '2026');
+    await createTeams('buf', 'mia');
+
+    // Neither player has picked a game that kicks off in two hours
+    now = new Date();
+    await createFootballGame({
+      id: 'soon', seasonId: SEASON_ID, homeTeamId: 'buf', awayTeamId: 'mia',
+      startTime: new Date(now.getTime() + 2 * 60 * 60 * 1000).toISOString()
+    });
+    game = await createPickemGame({ gameName: 'Reminders', commissionerId: 'alice', seasonId: SEASON_ID, playerIds: ['bob'] });
+
+    mock.method(notificationDispatcher, 'getSubscribedChannels', async () => [new SmtpChannel(), slack]);
+    mock.method(emailService, 'sendNotification', async (to) => {
+      if (!smtpUp && to === 'bob@example.com') {
+        return { success: false, error: 'SMTP unavailable' };
+      }
+      emailed.push(to);
+      return { success: true };
+    });
+  });
+
+  after(async () => {
+    mock.restoreAll();
+    await closeDatabase();
+  });
+
+  test('reminds every player missing picks once on each channel', async () => {
+    smtpUp = false;
+
+    assert.equal(await pickReminders.remindGame(game, SEASON_ID, now), 1);
+    assert.deepEqual(emailed, ['alice@example.com']);
+    assert.equal(slack.send.mock.callCount(), 1);
+  });
+
+  test('retries a failed email without posting the reminder to other channels again', async () => {
+    smtpUp = true;
+
+    assert.equal(await pickReminders.remindGame(game, SEASON_ID, now), 1);
+    assert.deepEqual(emailed, ['alice@example.com', 'bob@example.com']);
+    assert.equal(slack.send.mock.callCount(), 1);
+  });
+
+  test('stops once every reminder has been delivered', async () => {
+    assert.equal(await pickReminders.remindGame(game, SEASON_ID, now), 0);
+    assert.equal(emailed.length, 2);
+    assert.equal(slack.send.mock.callCount(), 1);
+  });
+});
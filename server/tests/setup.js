@@ -0,0 +1,13 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Loaded before each test file (see the test script), so nothing opens the real database:
+// every file gets a throwaway SQLite database that's removed when it finishes
+const databaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pickem-test-'));
+process.env.DATABASE_PATH = path.join(databaseDir, 'test.sqlite');
+process.env.NODE_ENV = 'test';
+
+process.on('exit', () => {
+  fs.rmSync(databaseDir, { recursive: true, force: true });
+});
@@ -0,0 +1,81 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import DatabaseServiceFactory from '../services/database/DatabaseServiceFactory.js';
+import gameRules from '../services/gameRules.js';
+import pickCalculator from '../services/pickCalculator.js';
+import standingsCalculator, { CUMULATIVE_WEEK } from '../services/standingsCalculator.js';
+import {
+  openDatabase, closeDatabase, createUsers, createSeason, createTeams, createFootballGame, createPickemGame
+} from './fixtures.js';
+
+const SEASON_ID = 'season-2026';
+// The wild card round is stored as week 1 of the postseason
+const WILD_CARD_WEEK = 19;
+
+describe('standings for playoff rounds', () => {
+  let withPlayoffs;
+  let regularSeasonOnly;
+
+  const standingsFor = async (game, week) => {
+    const rows = await DatabaseServiceFactory.getStandingsService().getStandings(game.id, SEASON_ID, week);
+    return Object.fromEntries(rows.map(row => [row.user_id, row.correct_picks]));
+  };
+
+  before(async () => {
+    await openDatabase();
+    await createUsers('alice', 'bob');
+    await createSeason(SEASON_ID, '2026');
+    await createTeams('buf', 'mia', 'kc', 'den');
+
+    // BUF won week 1 of the regular season, KC won the wild card round
+    await createFootballGame({ id: 'opener', seasonId: SEASON_ID, homeTeamId: 'buf', awayTeamId: 'mia', homeScore: 24, awayScore: 17, status: 'STATUS_FINAL' });
+    await createFootballGame({
+      id: 'wildcard', seasonId: SEASON_ID, homeTeamId: 'kc', awayTeamId: 'den', homeScore: 27, awayScore: 10,
+      status: 'STATUS_FINAL', startTime: '2027-01-09T21:30:00.000Z', seasonType: 3
+    });
+
+    withPlayoffs = await createPickemGame({ gameName: 'With Playoffs', commissionerId: 'alice', seasonId: SEASON_ID, playerIds: ['bob'] });
+    regularSeasonOnly = await createPickemGame({ gameName: 'Regular Season', commissionerId: 'alice', seasonId: SEASON_ID, playerIds: ['bob'] });
+
+    const gameService = DatabaseServiceFactory.getGameService();
+    await gameService.updateGameRules(withPlayoffs.id, { ...gameRules.getRules(withPlayoffs), include_playoffs: true });
+    withPlayoffs = await gameService.getGameByIdForAdmin(withPlayoffs.id);
+
+    const pickService = DatabaseServiceFactory.getPickService();
+    for (const game of [withPlayoffs, regularSeasonOnly]) {
+      await pickService.createOrUpdatePick({ userId: 'alice', gameId: game.id, footballGameId: 'opener', pickTeamId: 'buf' });
+      await pickService.createOrUpdatePick({ userId: 'bob', gameId: game.id, footballGameId: 'opener', pickTeamId: 'buf' });
+      await pickService.createOrUpdatePick({ userId: 'alice', gameId: game.id, footballGameId: 'wildcard', pickTeamId: 'kc', tiebreaker: 40 });
+      await pickService.createOrUpdatePick({ userId: 'bob', gameId: game.id, footballGameId: 'wildcard', pickTeamId: 'den' });
+    }
+
+    // The wild card round shares week number 1 with the regular-season opener
+    await pickCalculator.calculatePicks(SEASON_ID, 1);
+  });
+
+  after(closeDatabase);
+
+  test('builds a playoff round\'s standings from its own picks', async () => {
+    assert.deepEqual(await standingsFor(withPlayoffs, WILD_CARD_WEEK), { alice: 1, bob: 0 });
+  });
+
+  test('scores a playoff round\'s tiebreaker from its own game', async () => {
+    const result = await standingsCalculator.getTiebreakerResult(withPlayoffs, SEASON_ID, WILD_CARD_WEEK);
+    assert.equal(result.footballGameId, 'wildcard');
+    assert.equal(result.actualTotal, 37);
+    assert.equal(result.guesses.get('alice'), 40);
+  });
+
+  test('keeps playoff picks out of the regular-season week with the same number', async () => {
+    assert.deepEqual(await standingsFor(withPlayoffs, 1), { alice: 1, bob: 1 });
+  });
+
+  test('counts playoff picks in the season table when the game includes the playoffs', async () => {
+    assert.deepEqual(await standingsFor(withPlayoffs, CUMULATIVE_WEEK), { alice: 2, bob: 1 });
+    assert.deepEqual(await standingsFor(regularSeasonOnly, CUMULATIVE_WEEK), { alice: 1, bob: 1 });
+  });
+
+  test('builds no playoff standings for games that leave the playoffs out', async () => {
+    assert.deepEqual(await standingsFor(regularSeasonOnly, WILD_CARD_WEEK), {});
+  });
+});
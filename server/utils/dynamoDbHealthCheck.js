@@ -19,7 +19,13 @@ export class DynamoDBHealthCheck {
       'system_settings',
       'picks',
       'weekly_standings',
-      'game_invitations'
+      'game_invitations',
+      'futures_picks',
+      'leagues',
+      'notifications',
+      'game_messages',
+      'game_join_codes',
+      'pick_overrides'
     ];
   }
 
@@ -0,0 +1,10 @@
+// URL-friendly game slugs, the same ones the client uses for /game/[gameSlug] pages
+export function createGameSlug(gameName) {
+  return gameName
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, "") // Remove special characters except spaces and hyphens
+    .replace(/\s+/g, "-") // Replace spaces with hyphens
+    .replace(/-+/g, "-") // Replace multiple hyphens with single hyphen
+    .trim()
+    .replace(/^-+|-+$/g, ""); // Remove leading/trailing hyphens
+}
@@ -4,6 +4,13 @@ import { $user, $isAuthenticated, $isLoading, initAuth } from '../stores/auth';
 import { HomeIcon, CheckCircleIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline';
 // import DatabaseSwitcher from './DatabaseSwitcher';
 
+const NOTIFICATION_EVENTS = [
+  { key: 'pick_reminder', label: 'Pick reminders' },
+  { key: 'lock', label: 'Picks locked' },
+  { key: 'results', label: 'Weekly results' },
+  { key: 'elimination', label: 'Survivor eliminations' },
+];
+
 interface Setting {
   key: string;
   value: string;
@@ -23,6 +30,10 @@ const AdminSettings: React.FC = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [testResult, setTestResult] = useState<{ success: boolean; message: string } | null>(null);
+  const [games, setGames] = useState<{ id: string; game_name: string }[]>([]);
+  const [notificationGameId, setNotificationGameId] = useState('');
+  const [notificationSettings, setNotificationSettings] = useState<Setting[]>([]);
+  const [savingNotifications, setSavingNotifications] = useState(false);
 
   // Default SMTP settings structure
   const defaultSmtpSettings: Setting[] = [
@@ -33,6 +44,18 @@ const AdminSettings: React.FC = () => {
     { key: 'from', value: '', encrypted: false, description: 'From email address for outgoing emails' },
   ];
 
+  // Per-game notification channels; URLs and secrets are stored encrypted
+  const defaultNotificationSettings: Setting[] = [
+    { key: 'email_events', value: 'pick_reminder,results', encrypted: false, description: 'Events emailed to players' },
+    { key: 'webhook_url', value: '', encrypted: true, description: 'URL that receives every event as a JSON POST' },
+    { key: 'webhook_secret', value: '', encrypted: true, description: 'Optional secret for the X-Pickem-Signature HMAC header' },
+    { key: 'webhook_events', value: NOTIFICATION_EVENTS.map(event => event.key).join(','), encrypted: false, description: 'Events posted to the webhook' },
+    { key: 'slack_url', value: '', encrypted: true, description: 'Slack incoming webhook URL' },
+    { key: 'slack_events', value: NOTIFICATION_EVENTS.map(event => event.key).join(','), encrypted: false, description: 'Events posted to Slack' },
+    { key: 'discord_url', value: '', encrypted: true, description: 'Discord webhook URL' },
+    { key: 'discord_events', value: NOTIFICATION_EVENTS.map(event => event.key).join(','), encrypted: false, description: 'Events posted to Discord' },
+  ];
+
   useEffect(() => {
     if (typeof window !== 'undefined') {
       initAuth();
@@ -46,6 +69,7 @@ const AdminSettings: React.FC = () => {
         return;
       }
       loadSettings();
+      loadGames();
     } else if (!isLoading && !isAuthenticated) {
       window.location.href = '/';
     }
@@ -147,6 +171,89 @@ const AdminSettings: React.FC = () => {
     }
   };
 
+  const loadGames = async () => {
+    try {
+      const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+      const response = await fetch('/api/admin/games', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setGames(data.games || []);
+      }
+    } catch (err) {
+      setError('Failed to load games');
+    }
+  };
+
+  const loadNotificationSettings = async (gameId: string) => {
+    setNotificationGameId(gameId);
+    if (!gameId) {
+      setNotificationSettings([]);
+      return;
+    }
+
+    try {
+      const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+      const response = await fetch(`/api/admin/settings/notifications_${gameId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const data = response.ok ? await response.json() : { settings: [] };
+
+      setNotificationSettings(defaultNotificationSettings.map(defaultSetting => {
+        const existingSetting = data.settings.find((s: Setting) => s.key === defaultSetting.key);
+        return existingSetting ? { ...defaultSetting, value: existingSetting.value } : defaultSetting;
+      }));
+    } catch (err) {
+      setError('Failed to load notification settings');
+      setNotificationSettings(defaultNotificationSettings);
+    }
+  };
+
+  const saveNotificationSettings = async () => {
+    try {
+      setSavingNotifications(true);
+      setError('');
+      setSuccess('');
+
+      const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+      const response = await fetch(`/api/admin/settings/notifications_${notificationGameId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ settings: notificationSettings })
+      });
+
+      if (response.ok) {
+        setSuccess('Notification settings saved successfully!');
+        setTimeout(() => setSuccess(''), 3000);
+      } else {
+        const errorData = await response.json();
+        setError(errorData.error || 'Failed to save notification settings');
+      }
+    } catch (err) {
+      setError('Failed to save notification settings');
+    } finally {
+      setSavingNotifications(false);
+    }
+  };
+
+  const updateNotificationSetting = (key: string, value: string) => {
+    setNotificationSettings(prev => prev.map(setting =>
+      setting.key === key ? { ...setting, value } : setting
+    ));
+  };
+
+  const toggleNotificationEvent = (key: string, event: string) => {
+    const current = notificationSettings.find(setting => setting.key === key)?.value || '';
+    const events = current.split(',').filter(Boolean);
+    const next = events.includes(event) ? events.filter(e => e !== event) : [...events, event];
+    updateNotificationSetting(key, next.join(','));
+  };
+
   const updateSetting = (key: string, value: string) => {
     setSmtpSettings(prev => prev.map(setting => 
       setting.key === key ? { ...setting, value } : setting
@@ -286,6 +393,76 @@ const AdminSettings: React.FC = () => {
           </div>
         </div>
 
+        {/* Game Notifications */}
+        <div className="bg-white rounded-lg shadow-md mt-8">
+          <div className="p-6 border-b">
+            <h2 className="text-2xl font-bold text-gray-800">Game Notifications</h2>
+            <p className="text-gray-600 mt-1">Choose where each game's reminders, locks, results and eliminations are sent</p>
+          </div>
+
+          <div className="p-6">
+            <div className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">GAME</label>
+                <select
+                  value={notificationGameId}
+                  onChange={(e) => loadNotificationSettings(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  <option value="">Select a game...</option>
+                  {games.map((game) => (
+                    <option key={game.id} value={game.id}>{game.game_name}</option>
+                  ))}
+                </select>
+              </div>
+
+              {notificationGameId && notificationSettings.map((setting) => (
+                <div key={setting.key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {setting.key.toUpperCase()}
+                  </label>
+                  {setting.key.endsWith('_events') ? (
+                    <div className="flex flex-wrap gap-4">
+                      {NOTIFICATION_EVENTS.map((event) => (
+                        <label key={event.key} className="flex items-center space-x-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={setting.value.split(',').includes(event.key)}
+                            onChange={() => toggleNotificationEvent(setting.key, event.key)}
+                            className="rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                          />
+                          <span>{event.label}</span>
+                        </label>
+                      ))}
+                    </div>
+                  ) : (
+                    <input
+                      type={setting.key.endsWith('_secret') ? 'password' : 'url'}
+                      value={setting.value}
+                      onChange={(e) => updateNotificationSetting(setting.key, e.target.value)}
+                      placeholder={setting.description}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    />
+                  )}
+                  <p className="text-sm text-gray-500 mt-1">{setting.description}</p>
+                </div>
+              ))}
+
+              {notificationGameId && (
+                <div className="flex space-x-4 pt-4">
+                  <button
+                    onClick={saveNotificationSettings}
+                    disabled={savingNotifications}
+                    className="bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {savingNotifications ? 'Saving...' : 'Save Notifications'}
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+
         {/* Database Switcher - Disabled due to flickering issues */}
         {/* <div className="mt-8">
           <DatabaseSwitcher />
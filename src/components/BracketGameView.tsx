@@ -0,0 +1,446 @@
+import React, { useState, useEffect } from 'react';
+import { logout } from '../stores/auth';
+import type { PickemGame, GameParticipant, Bracket, BracketPicks, BracketRoundKey, BracketStanding } from '../utils/api';
+import api from '../utils/api';
+import { UserCircleIcon, HomeIcon, ArrowLeftStartOnRectangleIcon, Bars3Icon, XMarkIcon, ClockIcon, CheckCircleIcon, LockClosedIcon, TrophyIcon } from '@heroicons/react/24/outline';
+
+interface BracketGameViewProps {
+  gameId?: string;
+  gameSlug?: string;
+  initialGameData?: (PickemGame & { participants: GameParticipant[] });
+  user?: any; // User from auth store
+}
+
+type Matchups = Record<BracketRoundKey, [string, string][]>;
+
+const CONFERENCES = ['AFC', 'NFC'] as const;
+
+const emptyPicks = (): BracketPicks => ({ wild_card: [], divisional: [], conference: [], super_bowl: [] });
+
+// Mirrors the server's bracketService.getMatchups: divisional matchups are reseeded so the
+// 1 seed hosts the lowest remaining seed, and a round stays empty until its feeders are picked
+const getMatchups = (bracket: Bracket, picks: BracketPicks): Matchups => {
+  const seedOf: Record<string, number> = {};
+  CONFERENCES.forEach(conference => {
+    bracket.seeds[conference].forEach(({ seed, team_id }) => { seedOf[team_id] = seed; });
+  });
+  const bySeedOrder = (a: string, b: string) => seedOf[a] - seedOf[b];
+  const pickedFrom = (round: BracketRoundKey, matchups: [string, string][]) =>
+    matchups.map(matchup => matchup.find(teamId => picks[round].includes(teamId)) || null);
+
+  const matchups: Matchups = { wild_card: [], divisional: [], conference: [], super_bowl: [] };
+  const champions: string[] = [];
+
+  CONFERENCES.forEach(conference => {
+    const bySeed: Record<number, string> = {};
+    bracket.seeds[conference].forEach(({ seed, team_id }) => { bySeed[seed] = team_id; });
+
+    const wildCard: [string, string][] = [[bySeed[2], bySeed[7]], [bySeed[3], bySeed[6]], [bySeed[4], bySeed[5]]];
+    matchups.wild_card.push(...wildCard);
+
+    const wildCardWinners = pickedFrom('wild_card', wildCard);
+    if (wildCardWinners.includes(null)) return;
+
+    const remaining = [bySeed[1], ...(wildCardWinners as string[])].sort(bySeedOrder);
+    const divisional: [string, string][] = [[remaining[0], remaining[3]], [remaining[1], remaining[2]]];
+    matchups.divisional.push(...divisional);
+
+    const divisionalWinners = pickedFrom('divisional', divisional);
+    if (divisionalWinners.includes(null)) return;
+
+    const championship = (divisionalWinners as string[]).sort(bySeedOrder) as [string, string];
+    matchups.conference.push(championship);
+
+    const [champion] = pickedFrom('conference', [championship]);
+    if (champion) champions.push(champion);
+  });
+
+  if (champions.length === CONFERENCES.length) {
+    matchups.super_bowl.push([champions[0], champions[1]]);
+  }
+
+  return matchups;
+};
+
+// Drop later-round picks that no longer follow from the earlier rounds
+const prunePicks = (bracket: Bracket, picks: BracketPicks): BracketPicks => {
+  const pruned = emptyPicks();
+  bracket.rounds.forEach(round => {
+    pruned[round.key] = picks[round.key];
+    const teamsInRound = getMatchups(bracket, pruned)[round.key].flat();
+    pruned[round.key] = picks[round.key].filter(teamId => teamsInRound.includes(teamId));
+  });
+  return pruned;
+};
+
+const BracketGameView: React.FC<BracketGameViewProps> = ({ initialGameData, user }) => {
+  const [game] = useState<(PickemGame & { participants: GameParticipant[] }) | null>(initialGameData || null);
+  const [bracket, setBracket] = useState<Bracket | null>(null);
+  const [picks, setPicks] = useState<BracketPicks>(emptyPicks());
+  const [savedPicks, setSavedPicks] = useState<BracketPicks | null>(null);
+  const [standings, setStandings] = useState<BracketStanding[]>([]);
+  const [viewingUserId, setViewingUserId] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+
+  useEffect(() => {
+    if (initialGameData && user) {
+      loadBracket();
+    } else {
+      setError(initialGameData ? 'User not provided.' : 'No game data provided.');
+      setLoading(false);
+    }
+  }, []); // Only run once on mount
+
+  const loadBracket = async () => {
+    if (!initialGameData) return;
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await api.getBracket(initialGameData.id);
+      if (!response.success || !response.data) {
+        setError(response.error || 'Failed to load the bracket');
+        return;
+      }
+
+      setBracket(response.data.bracket);
+      setPicks(response.data.picks || emptyPicks());
+      setSavedPicks(response.data.picks);
+      setStandings(response.data.standings);
+    } catch (err) {
+      console.error('Error loading bracket:', err);
+      setError(`Failed to load the bracket: ${err instanceof Error ? err.message : 'Unknown error'}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePick = (round: BracketRoundKey, matchup: [string, string], teamId: string) => {
+    if (!bracket || bracket.isLocked) return;
+
+    const roundPicks = picks[round].filter(id => !matchup.includes(id));
+    setPicks(prunePicks(bracket, { ...picks, [round]: [...roundPicks, teamId] }));
+    setMessage('');
+  };
+
+  const handleSave = async () => {
+    if (!game) return;
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+
+      const response = await api.saveBracket(game.id, picks);
+      if (response.success && response.data) {
+        setSavedPicks(response.data.picks);
+        setMessage('Bracket saved');
+        await loadBracket();
+      } else {
+        setError(response.error || 'Failed to save bracket');
+      }
+    } catch (err) {
+      console.error('Error saving bracket:', err);
+      setError('Failed to save bracket');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex justify-center items-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading playoff bracket...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!game || !user) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex justify-center items-center">
+        <div className="text-center">
+          <div className="bg-red-100 border border-red-400 text-red-700 px-6 py-4 rounded-lg mb-4">
+            <h3 className="font-bold text-lg mb-2">Error Loading Game</h3>
+            <p>{error || 'Game data not available'}</p>
+          </div>
+          <a href="/dashboard" className="bg-gray-600 text-white px-6 py-2 rounded-lg hover:bg-gray-700 transition-colors">
+            Back to Dashboard
+          </a>
+        </div>
+      </div>
+    );
+  }
+
+  const viewingStanding = viewingUserId ? standings.find(s => s.user_id === viewingUserId) : null;
+  const displayedPicks = viewingStanding?.picks || (viewingStanding ? emptyPicks() : picks);
+  const matchups = bracket ? getMatchups(bracket, displayedPicks) : null;
+  const canEdit = !!bracket && !bracket.isLocked && !viewingStanding;
+  const isComplete = !!bracket && bracket.rounds.every(round => matchups?.[round.key].length === round.matchups &&
+    displayedPicks[round.key].length === round.matchups);
+  const hasChanges = JSON.stringify(picks) !== JSON.stringify(savedPicks || emptyPicks());
+
+  const renderTeam = (round: BracketRoundKey, matchup: [string, string], teamId: string) => {
+    if (!bracket) return null;
+
+    const team = bracket.teams[teamId];
+    const seed = CONFERENCES.flatMap(c => bracket.seeds[c]).find(s => s.team_id === teamId)?.seed;
+    const isPicked = displayedPicks[round].includes(teamId);
+    const won = bracket.winners[round].includes(teamId);
+    const lost = isPicked && !won && bracket.eliminated.includes(teamId);
+
+    return (
+      <button
+        key={teamId}
+        onClick={() => handlePick(round, matchup, teamId)}
+        disabled={!canEdit}
+        className={`w-full flex items-center justify-between px-3 py-2 text-sm transition-colors ${
+          isPicked && won ? 'bg-green-100 text-green-800 font-semibold' :
+          lost ? 'bg-red-50 text-red-700 line-through' :
+          isPicked ? 'bg-blue-100 text-blue-800 font-semibold' :
+          canEdit ? 'hover:bg-gray-50 text-gray-700' : 'text-gray-600'
+        } ${canEdit ? 'cursor-pointer' : 'cursor-default'}`}
+      >
+        <span className="flex items-center space-x-2">
+          <span className="text-xs text-gray-400 w-3">{seed}</span>
+          {team?.team_logo && (
+            <img src={team.team_logo} alt={`${team.team_city} ${team.team_name} logo`} className="w-5 h-5 object-contain" />
+          )}
+          <span>{team?.team_code || 'TBD'}</span>
+        </span>
+        {isPicked && won && <CheckCircleIcon className="h-4 w-4" />}
+      </button>
+    );
+  };
+
+  const renderRound = (round: BracketRoundKey, conference?: typeof CONFERENCES[number]) => {
+    if (!bracket || !matchups) return null;
+
+    const roundInfo = bracket.rounds.find(r => r.key === round);
+    const roundMatchups = matchups[round].filter(matchup =>
+      !conference || bracket.teams[matchup[0]]?.team_conference === conference
+    );
+    const expected = conference ? (roundInfo?.matchups || 0) / 2 : roundInfo?.matchups || 0;
+
+    return (
+      <div className="space-y-3">
+        <div className="text-xs font-semibold text-gray-500 uppercase tracking-wide">
+          {roundInfo?.name} · {roundInfo?.points} {roundInfo?.points === 1 ? 'pt' : 'pts'}
+        </div>
+        {roundMatchups.map(matchup => (
+          <div key={matchup.join('-')} className="border border-gray-200 rounded-md overflow-hidden divide-y divide-gray-200 bg-white">
+            {matchup.map(teamId => renderTeam(round, matchup, teamId))}
+          </div>
+        ))}
+        {Array.from({ length: Math.max(0, expected - roundMatchups.length) }, (_, i) => (
+          <div key={`tbd-${i}`} className="border border-dashed border-gray-300 rounded-md px-3 py-4 text-xs text-gray-400 text-center">
+            Pick earlier rounds first
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      {/* Header */}
+      <header className="bg-blue-600 text-white shadow-lg">
+        <div className="container mx-auto px-4 py-6">
+          <div className="flex justify-between items-center">
+            <div>
+              <h1 className="text-2xl md:text-3xl font-bold">{game.game_name}</h1>
+              <p className="text-sm md:text-lg opacity-90">Playoff Bracket</p>
+            </div>
+            <div className="hidden md:flex items-center space-x-4">
+              <a href="/dashboard" className="bg-purple-500 hover:bg-purple-600 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2">
+                <HomeIcon className="h-4 w-4" />
+                <span>Dashboard</span>
+              </a>
+              <a href="/profile" className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2">
+                <UserCircleIcon className="h-4 w-4" />
+                <span>Profile</span>
+              </a>
+              <button onClick={logout} className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2">
+                <ArrowLeftStartOnRectangleIcon className="h-4 w-4" />
+                <span>Logout</span>
+              </button>
+            </div>
+            <button
+              onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+              className="md:hidden bg-blue-500 hover:bg-blue-600 text-white p-2 rounded-lg transition-colors"
+              aria-label="Toggle menu"
+            >
+              {mobileMenuOpen ? <XMarkIcon className="h-6 w-6" /> : <Bars3Icon className="h-6 w-6" />}
+            </button>
+          </div>
+
+          {/* Mobile Menu */}
+          {mobileMenuOpen && (
+            <div className="md:hidden mt-4 pt-4 border-t border-blue-500 space-y-2">
+              <a href="/dashboard" className="flex items-center space-x-3 bg-purple-500 hover:bg-purple-600 text-white px-4 py-3 rounded-lg transition-colors" onClick={() => setMobileMenuOpen(false)}>
+                <HomeIcon className="h-5 w-5" />
+                <span>Dashboard</span>
+              </a>
+              <a href="/profile" className="flex items-center space-x-3 bg-blue-500 hover:bg-blue-600 text-white px-4 py-3 rounded-lg transition-colors" onClick={() => setMobileMenuOpen(false)}>
+                <UserCircleIcon className="h-5 w-5" />
+                <span>Profile</span>
+              </a>
+              <button onClick={() => { setMobileMenuOpen(false); logout(); }} className="w-full flex items-center space-x-3 bg-red-500 hover:bg-red-600 text-white px-4 py-3 rounded-lg transition-colors">
+                <ArrowLeftStartOnRectangleIcon className="h-5 w-5" />
+                <span>Logout</span>
+              </button>
+            </div>
+          )}
+        </div>
+      </header>
+
+      <main className="container mx-auto px-4 py-8">
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-6">
+            {error}
+          </div>
+        )}
+        {message && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-6">
+            {message}
+          </div>
+        )}
+
+        {!bracket ? (
+          <div className="bg-white rounded-lg shadow-md p-8 text-center text-gray-600">
+            <ClockIcon className="h-10 w-10 mx-auto mb-3 text-gray-400" />
+            The playoff bracket opens once every wild-card matchup is set.
+          </div>
+        ) : (
+          <>
+            {/* Status and scoring */}
+            <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+              <div className="flex flex-wrap justify-between items-center gap-4">
+                <div>
+                  <h2 className="text-2xl font-bold text-gray-800">
+                    {viewingStanding ? `${viewingStanding.display_name}'s Bracket` : 'Your Bracket'}
+                  </h2>
+                  <div className="text-sm text-gray-500 mt-1">
+                    {bracket.rounds.map(round => `${round.name} ${round.points} ${round.points === 1 ? 'pt' : 'pts'}`).join(' · ')}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-4">
+                  {bracket.isLocked ? (
+                    <div className="flex items-center text-red-600">
+                      <LockClosedIcon className="h-5 w-5 mr-1" />
+                      <span className="font-medium">Brackets Locked</span>
+                    </div>
+                  ) : (
+                    <div className="flex items-center text-green-600">
+                      <ClockIcon className="h-5 w-5 mr-1" />
+                      <span className="font-medium">
+                        Locks {new Date(bracket.lockTime).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                      </span>
+                    </div>
+                  )}
+                  {viewingStanding ? (
+                    <button
+                      onClick={() => setViewingUserId(null)}
+                      className="bg-gray-500 text-white px-4 py-2 rounded-lg hover:bg-gray-600 transition-colors"
+                    >
+                      Back to Mine
+                    </button>
+                  ) : canEdit && (
+                    <button
+                      onClick={handleSave}
+                      disabled={saving || !isComplete || !hasChanges}
+                      className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors"
+                    >
+                      {saving ? 'Saving...' : 'Save Bracket'}
+                    </button>
+                  )}
+                </div>
+              </div>
+              {canEdit && !isComplete && (
+                <p className="text-sm text-gray-600 mt-3">
+                  Pick a winner in every matchup, from the wild-card round through the Super Bowl, then save your bracket.
+                </p>
+              )}
+            </div>
+
+            {/* Bracket */}
+            <div className="bg-white rounded-lg shadow-md p-6 mb-8 overflow-x-auto">
+              {CONFERENCES.map(conference => (
+                <div key={conference} className="mb-8">
+                  <h3 className="text-lg font-bold text-gray-800 mb-4">{conference}</h3>
+                  <div className="grid grid-cols-3 gap-6 min-w-[36rem]">
+                    {renderRound('wild_card', conference)}
+                    {renderRound('divisional', conference)}
+                    {renderRound('conference', conference)}
+                  </div>
+                </div>
+              ))}
+              <div className="max-w-xs">
+                {renderRound('super_bowl')}
+              </div>
+            </div>
+
+            {/* Standings */}
+            <div className="bg-white rounded-lg shadow-md">
+              <div className="p-6 border-b">
+                <h3 className="text-xl font-bold text-gray-800">Bracket Standings</h3>
+                {!bracket.isLocked && (
+                  <p className="text-sm text-gray-600 mt-1">Other players' brackets are revealed when the wild-card round kicks off.</p>
+                )}
+              </div>
+              <ul className="divide-y divide-gray-200">
+                {standings.map((standing, index) => {
+                  const champion = standing.champion_id ? bracket.teams[standing.champion_id] : null;
+                  return (
+                    <li key={standing.user_id} className="px-6 py-3 flex justify-between items-center">
+                      <div className="flex items-center space-x-3">
+                        <span className="text-sm text-gray-400 w-6">{index + 1}</span>
+                        <span className="font-medium text-gray-800">{standing.display_name}</span>
+                        {standing.user_id === user.id && (
+                          <span className="text-xs text-blue-600">(you)</span>
+                        )}
+                        {champion && (
+                          <span className="flex items-center text-xs text-gray-500" title="Super Bowl pick">
+                            <TrophyIcon className="h-4 w-4 mr-1 text-yellow-500" />
+                            {champion.team_code}
+                          </span>
+                        )}
+                      </div>
+                      <div className="flex items-center space-x-4 text-sm">
+                        {standing.has_bracket ? (
+                          <>
+                            <span className="font-bold text-gray-800">{standing.points} pts</span>
+                            <span className="text-gray-500">{standing.max_points} possible</span>
+                          </>
+                        ) : (
+                          <span className="text-gray-400">No bracket</span>
+                        )}
+                        {standing.picks && standing.user_id !== user.id && (
+                          <button
+                            onClick={() => setViewingUserId(standing.user_id)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            View
+                          </button>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default BracketGameView;
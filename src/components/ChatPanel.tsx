@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ChatBubbleLeftRightIcon, TrashIcon } from '@heroicons/react/24/outline';
+import api, { type GameMessage } from '../utils/api';
+
+interface ChatPanelProps {
+  gameId: string;
+  currentUserId?: string;
+  // Game owners and admins can pin and remove anyone's messages
+  canModerate: boolean;
+}
+
+// Matches the server's limit
+const MAX_MESSAGE_LENGTH = 1000;
+
+const formatTime = (createdAt: string) => {
+  const date = new Date(createdAt);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay
+    ? date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
+
+const ChatPanel: React.FC<ChatPanelProps> = ({ gameId, currentUserId, canModerate }) => {
+  const [messages, setMessages] = useState<GameMessage[]>([]);
+  const [pinned, setPinned] = useState<GameMessage[]>([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const listRef = useRef<HTMLDivElement>(null);
+  const stickToBottom = useRef(true);
+
+  useEffect(() => {
+    loadMessages();
+
+    return api.subscribeToGame(gameId, {
+      onMessage: (message) => {
+        stickToBottom.current = isScrolledToBottom();
+        setMessages(prev => prev.some(m => m.id === message.id) ? prev : [...prev, message]);
+      },
+      onMessageUpdated: (message) => {
+        setMessages(prev => prev.map(m => m.id === message.id ? message : m));
+        setPinned(prev => {
+          const others = prev.filter(m => m.id !== message.id);
+          return message.isPinned ? [message, ...others] : others;
+        });
+      },
+      onMessageDeleted: ({ id }) => {
+        setMessages(prev => prev.filter(m => m.id !== id));
+        setPinned(prev => prev.filter(m => m.id !== id));
+      },
+      onResync: loadMessages
+    });
+  }, [gameId]);
+
+  useEffect(() => {
+    if (stickToBottom.current && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  const isScrolledToBottom = () => {
+    const list = listRef.current;
+    return !list || list.scrollHeight - list.scrollTop - list.clientHeight < 40;
+  };
+
+  const loadMessages = async () => {
+    try {
+      const response = await api.getGameMessages(gameId);
+      if (response.success && response.data) {
+        stickToBottom.current = true;
+        setMessages(response.data.messages);
+        setPinned(response.data.pinned);
+        setHasMore(response.data.hasMore);
+      }
+    } catch (err) {
+      console.error('Failed to load messages:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadOlder = async () => {
+    if (messages.length === 0) return;
+    setLoadingOlder(true);
+    try {
+      const response = await api.getGameMessages(gameId, messages[0].id);
+      if (response.success && response.data) {
+        stickToBottom.current = false;
+        setMessages(prev => [...response.data!.messages, ...prev]);
+        setHasMore(response.data.hasMore);
+      }
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleSend = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const body = draft.trim();
+    if (!body) return;
+
+    setSending(true);
+    setError('');
+    try {
+      const response = await api.postGameMessage(gameId, body);
+      if (response.success && response.data) {
+        const { message } = response.data;
+        stickToBottom.current = true;
+        setMessages(prev => prev.some(m => m.id === message.id) ? prev : [...prev, message]);
+        setDraft('');
+      } else {
+        setError(response.error || 'Failed to send message');
+      }
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleDelete = async (message: GameMessage) => {
+    if (!confirm('Delete this message?')) return;
+    const response = await api.deleteGameMessage(gameId, message.id);
+    if (response.success) {
+      setMessages(prev => prev.filter(m => m.id !== message.id));
+      setPinned(prev => prev.filter(m => m.id !== message.id));
+    } else {
+      setError(response.error || 'Failed to delete message');
+    }
+  };
+
+  const handleTogglePin = async (message: GameMessage) => {
+    const response = await api.pinGameMessage(gameId, message.id, !message.isPinned);
+    if (response.success && response.data) {
+      const updated = response.data.message;
+      setMessages(prev => prev.map(m => m.id === updated.id ? updated : m));
+      setPinned(prev => {
+        const others = prev.filter(m => m.id !== updated.id);
+        return updated.isPinned ? [updated, ...others] : others;
+      });
+    } else {
+      setError(response.error || 'Failed to update message');
+    }
+  };
+
+  const renderActions = (message: GameMessage) => {
+    const canDelete = canModerate || (!!currentUserId && message.userId === currentUserId);
+    if (!canModerate && !canDelete) return null;
+
+    return (
+      <div className="flex items-center space-x-2 flex-shrink-0">
+        {canModerate && (
+          <button
+            onClick={() => handleTogglePin(message)}
+            className="text-xs text-gray-400 hover:text-blue-600"
+          >
+            {message.isPinned ? 'Unpin' : 'Pin'}
+          </button>
+        )}
+        {canDelete && (
+          <button
+            onClick={() => handleDelete(message)}
+            className="text-gray-400 hover:text-red-600"
+            aria-label="Delete message"
+          >
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+        <ChatBubbleLeftRightIcon className="h-6 w-6 mr-2 text-blue-600" />
+        Message Board
+      </h2>
+
+      {pinned.length > 0 && (
+        <div className="mb-4 space-y-2">
+          {pinned.map(message => (
+            <div key={message.id} className="bg-yellow-50 border border-yellow-200 rounded-lg px-3 py-2">
+              <div className="flex justify-between items-start space-x-2">
+                <p className="text-xs font-semibold text-yellow-800">
+                  📌 {message.isSystem ? 'Announcement' : message.authorName}
+                </p>
+                {canModerate && (
+                  <button
+                    onClick={() => handleTogglePin(message)}
+                    className="text-xs text-yellow-700 hover:text-yellow-900"
+                  >
+                    Unpin
+                  </button>
+                )}
+              </div>
+              <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">{message.body}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div ref={listRef} className="max-h-96 overflow-y-auto border border-gray-200 rounded-lg p-3 space-y-3">
+        {hasMore && (
+          <div className="text-center">
+            <button
+              onClick={loadOlder}
+              disabled={loadingOlder}
+              className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50"
+            >
+              {loadingOlder ? 'Loading...' : 'Load older messages'}
+            </button>
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-gray-500 text-center py-6">Loading messages...</p>
+        ) : messages.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">No messages yet. Get the trash talk started!</p>
+        ) : (
+          messages.map(message => message.isSystem ? (
+            <div key={message.id} className="flex justify-between items-start space-x-2 bg-blue-50 rounded-lg px-3 py-2">
+              <div>
+                <p className="text-sm text-blue-900 whitespace-pre-wrap break-words">{message.body}</p>
+                <p className="text-xs text-blue-500 mt-1">{formatTime(message.createdAt)}</p>
+              </div>
+              {renderActions(message)}
+            </div>
+          ) : (
+            <div key={message.id} className="flex justify-between items-start space-x-2">
+              <div className="min-w-0">
+                <p className="text-xs text-gray-500">
+                  <span className={`font-semibold ${message.userId === currentUserId ? 'text-blue-700' : 'text-gray-800'}`}>
+                    {message.authorName}
+                  </span>
+                  {' · '}{formatTime(message.createdAt)}
+                </p>
+                <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">{message.body}</p>
+              </div>
+              {renderActions(message)}
+            </div>
+          ))
+        )}
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 mt-2">{error}</p>
+      )}
+
+      <form onSubmit={handleSend} className="mt-4 flex space-x-2">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={MAX_MESSAGE_LENGTH}
+          placeholder="Say something to the group..."
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={sending || !draft.trim()}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Send'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChatPanel;
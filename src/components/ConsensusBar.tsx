@@ -0,0 +1,39 @@
+import React from 'react';
+import type { MatchupConsensus } from '../utils/api';
+
+interface ConsensusBarProps {
+  consensus: MatchupConsensus;
+  awayCode: string;
+  homeCode: string;
+  awayColor?: string;
+  homeColor?: string;
+}
+
+// Share of the pool on each side of a matchup, away team on the left like the cards above it
+const ConsensusBar: React.FC<ConsensusBarProps> = ({ consensus, awayCode, homeCode, awayColor = '#666666', homeColor = '#999999' }) => {
+  if (consensus.isHidden || consensus.totalPicks === 0) {
+    return null;
+  }
+
+  const share = (teamId: string) => consensus.teamStats.find(stat => stat.teamId === teamId)?.percentage || 0;
+  const awayShare = share(consensus.awayTeamId);
+  const homeShare = share(consensus.homeTeamId);
+
+  return (
+    <div className="mt-4">
+      <div className="flex justify-between text-xs text-gray-600 mb-1">
+        <span>{awayCode} {Math.round(awayShare)}%</span>
+        <span className="text-gray-400">
+          {consensus.totalPicks} {consensus.totalPicks === 1 ? 'pick' : 'picks'}
+        </span>
+        <span>{Math.round(homeShare)}% {homeCode}</span>
+      </div>
+      <div className="flex h-2 rounded-full overflow-hidden bg-gray-200">
+        <div style={{ width: `${awayShare}%`, backgroundColor: awayColor }} />
+        <div style={{ width: `${homeShare}%`, backgroundColor: homeColor }} className="ml-auto" />
+      </div>
+    </div>
+  );
+};
+
+export default ConsensusBar;
@@ -4,6 +4,8 @@ import { $user, $isAuthenticated, $isLoading, initAuth, logout } from '../stores
 import type { PickemGame, NFLTeam, SeasonStatus } from '../utils/api';
 import api, { createGameSlug } from '../utils/api';
 import { UserCircleIcon, ArrowLeftStartOnRectangleIcon, CogIcon, Bars3Icon, XMarkIcon } from '@heroicons/react/24/outline';
+import NotificationBell from './NotificationBell';
+import FindGames from './FindGames';
 
 const Dashboard: React.FC = () => {
   const user = useStore($user);
@@ -24,7 +26,8 @@ const Dashboard: React.FC = () => {
   }>>({});
   const [showCreateGame, setShowCreateGame] = useState(false);
   const [newGameName, setNewGameName] = useState('');
-  const [newGameType, setNewGameType] = useState<'week' | 'survivor'>('week');
+  const [joinCode, setJoinCode] = useState('');
+  const [newGameType, setNewGameType] = useState<'week' | 'survivor' | 'confidence' | 'ats' | 'bracket'>('week');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
@@ -316,6 +319,14 @@ const Dashboard: React.FC = () => {
     }
   };
 
+  const handleJoinWithCode = (e: React.FormEvent) => {
+    e.preventDefault();
+    const code = joinCode.trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (code) {
+      window.location.href = `/join/${code}`;
+    }
+  };
+
   const handleCreateGame = async (e: React.FormEvent) => {
     e.preventDefault();
     if (!newGameName.trim()) return;
@@ -407,6 +418,7 @@ const Dashboard: React.FC = () => {
               </div>
             </div>
             <div className="flex items-center space-x-4">
+              <NotificationBell />
               {user.isAdmin && (
                 <a
                   href="/admin"
@@ -454,17 +466,20 @@ const Dashboard: React.FC = () => {
                   </p>
                 </div>
               </div>
-              <button
-                onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
-                className="bg-blue-500 hover:bg-blue-600 text-white p-2 rounded-lg transition-colors"
-                aria-label="Toggle menu"
-              >
-                {mobileMenuOpen ? (
-                  <XMarkIcon className="h-6 w-6" />
-                ) : (
-                  <Bars3Icon className="h-6 w-6" />
-                )}
-              </button>
+              <div className="flex items-center space-x-2">
+                <NotificationBell />
+                <button
+                  onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                  className="bg-blue-500 hover:bg-blue-600 text-white p-2 rounded-lg transition-colors"
+                  aria-label="Toggle menu"
+                >
+                  {mobileMenuOpen ? (
+                    <XMarkIcon className="h-6 w-6" />
+                  ) : (
+                    <Bars3Icon className="h-6 w-6" />
+                  )}
+                </button>
+              </div>
             </div>
 
             {/* Mobile Menu */}
@@ -540,6 +555,22 @@ const Dashboard: React.FC = () => {
                 Create New Game
               </button>
             </div>
+            <form onSubmit={handleJoinWithCode} className="flex items-center gap-2 mt-4">
+              <input
+                type="text"
+                value={joinCode}
+                onChange={(e) => setJoinCode(e.target.value)}
+                placeholder="Have a join code?"
+                className="flex-1 max-w-xs px-3 py-2 border border-gray-300 rounded-lg uppercase placeholder:normal-case focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={!joinCode.trim()}
+                className="border border-blue-600 text-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 disabled:opacity-50 transition-colors"
+              >
+                Join
+              </button>
+            </form>
           </div>
 
           <div className="p-6">
@@ -584,7 +615,7 @@ const Dashboard: React.FC = () => {
                         >
                           View
                         </a>
-                        {game.user_role === 'owner' && (
+                        {(game.user_role === 'owner' || game.user_role === 'co_commissioner') && (
                           <a
                             href={`/game/${game.id}/manage`}
                             className="bg-gray-600 text-white px-3 py-1 rounded text-sm hover:bg-gray-700 transition-colors"
@@ -670,6 +701,8 @@ const Dashboard: React.FC = () => {
             )}
           </div>
         </div>
+
+        <FindGames sharedGameId={typeof window !== 'undefined' ? new URLSearchParams(window.location.search).get('game') : null} />
       </main>
 
       {/* Create Game Modal */}
@@ -699,11 +732,14 @@ const Dashboard: React.FC = () => {
                 <select
                   id="gameType"
                   value={newGameType}
-                  onChange={(e) => setNewGameType(e.target.value as 'week' | 'survivor')}
+                  onChange={(e) => setNewGameType(e.target.value as 'week' | 'survivor' | 'confidence' | 'ats' | 'bracket')}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 >
                   <option value="week">Weekly Picks</option>
+                  <option value="confidence">Confidence Points</option>
+                  <option value="ats">Against the Spread</option>
                   <option value="survivor">Survivor</option>
+                  <option value="bracket">Playoff Bracket</option>
                 </select>
               </div>
               <div className="flex justify-end space-x-3">
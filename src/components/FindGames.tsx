@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { MagnifyingGlassIcon, UserGroupIcon } from '@heroicons/react/24/outline';
+import api, { createGameSlug, type PublicGameListing } from '../utils/api';
+
+interface FindGamesProps {
+  // Game opened from an unlisted or public share link (/dashboard?game=<id>)
+  sharedGameId?: string | null;
+}
+
+const formatGameType = (type: string) =>
+  type === 'ats' ? 'Against the Spread' : type.charAt(0).toUpperCase() + type.slice(1);
+
+const FindGames: React.FC<FindGamesProps> = ({ sharedGameId }) => {
+  const [games, setGames] = useState<PublicGameListing[]>([]);
+  const [sharedGame, setSharedGame] = useState<PublicGameListing | null>(null);
+  const [sharedGameError, setSharedGameError] = useState<string | null>(null);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [joiningId, setJoiningId] = useState<string | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadGames();
+  }, [query, page]);
+
+  useEffect(() => {
+    if (sharedGameId) {
+      loadSharedGame(sharedGameId);
+    }
+  }, [sharedGameId]);
+
+  const loadGames = async () => {
+    setLoading(true);
+    try {
+      const response = await api.getPublicGames(query, page);
+      if (response.success && response.data) {
+        setGames(response.data.games);
+        setTotalPages(response.data.totalPages);
+      }
+    } catch (err) {
+      console.error('Failed to load public games:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadSharedGame = async (gameId: string) => {
+    const response = await api.getGamePreview(gameId);
+    if (response.success && response.data) {
+      setSharedGame(response.data.game);
+      setSharedGameError(response.data.joinError);
+    } else {
+      setError(response.error || 'That game could not be found');
+    }
+  };
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setPage(1);
+    setQuery(search.trim());
+  };
+
+  const handleJoin = async (game: PublicGameListing) => {
+    setJoiningId(game.id);
+    setError('');
+    try {
+      const response = await api.joinPublicGame(game.id);
+      if (response.success && response.data) {
+        window.location.href = `/game/${createGameSlug(response.data.gameName)}`;
+      } else {
+        setError(response.error || 'Failed to join game');
+      }
+    } finally {
+      setJoiningId(null);
+    }
+  };
+
+  const renderGame = (game: PublicGameListing, joinError: string | null = null) => (
+    <div key={game.id} className="flex flex-wrap items-center justify-between gap-3 p-4 border border-gray-200 rounded-lg">
+      <div>
+        <h3 className="font-semibold text-gray-900">{game.gameName}</h3>
+        <p className="text-sm text-gray-500 flex items-center">
+          <UserGroupIcon className="h-4 w-4 mr-1" />
+          {formatGameType(game.gameType)} • {game.playerCount}
+          {game.maxParticipants !== null ? ` / ${game.maxParticipants}` : ''} players
+          {game.commissionerName ? ` • Run by ${game.commissionerName}` : ''}
+        </p>
+      </div>
+      {game.isMember ? (
+        <a
+          href={`/game/${createGameSlug(game.gameName)}`}
+          className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+        >
+          You're in · View Game
+        </a>
+      ) : game.isFull || joinError ? (
+        <span className="text-sm text-gray-500">{joinError || 'Full'}</span>
+      ) : (
+        <button
+          onClick={() => handleJoin(game)}
+          disabled={joiningId === game.id}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {joiningId === game.id ? 'Joining...' : 'Join'}
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-md mt-8">
+      <div className="p-6 border-b">
+        <h2 className="text-2xl font-bold text-gray-800">Find a Game</h2>
+        <p className="text-gray-600 mt-1">Join an open pool without an invitation</p>
+      </div>
+
+      <div className="p-6">
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        {sharedGame && (
+          <div className="mb-6">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Shared with you</h3>
+            <div className="bg-blue-50 rounded-lg">
+              {renderGame(sharedGame, sharedGameError)}
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleSearch} className="flex gap-2 mb-4">
+          <div className="relative flex-1">
+            <MagnifyingGlassIcon className="h-5 w-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search public games"
+              className="w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Search
+          </button>
+        </form>
+
+        {loading ? (
+          <p className="text-gray-500 text-center py-6">Loading games...</p>
+        ) : games.length === 0 ? (
+          <p className="text-gray-500 text-center py-6">
+            {query ? `No public games match "${query}"` : 'No public games yet'}
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {games.map(game => renderGame(game))}
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="flex justify-between items-center mt-4">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="text-blue-600 hover:text-blue-800 disabled:text-gray-400 text-sm font-medium"
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-500">Page {page} of {totalPages}</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= totalPages}
+              className="text-blue-600 hover:text-blue-800 disabled:text-gray-400 text-sm font-medium"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FindGames;
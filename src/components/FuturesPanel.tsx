@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import type { FuturesResponse, FuturesMarket, FuturesPick, FuturesPickInput } from '../utils/api';
+import api from '../utils/api';
+import { SparklesIcon, LockClosedIcon, ClockIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+
+interface FuturesPanelProps {
+  gameId: string;
+  userId?: string;
+}
+
+const marketKey = (market: { category: string; subject: string }) => `${market.category}:${market.subject}`;
+
+const FuturesPanel: React.FC<FuturesPanelProps> = ({ gameId, userId }) => {
+  const [futures, setFutures] = useState<FuturesResponse | null>(null);
+  const [selections, setSelections] = useState<Record<string, string>>({}); // market key -> pick
+  const [expandedPlayer, setExpandedPlayer] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadFutures();
+  }, [gameId]);
+
+  const loadFutures = async () => {
+    try {
+      const response = await api.getFutures(gameId);
+      if (!response.success || !response.data) {
+        setError(response.error || 'Failed to load futures');
+        return;
+      }
+
+      setFutures(response.data);
+      setSelections(Object.fromEntries(response.data.picks.map(pick => [marketKey(pick), pick.pick])));
+    } catch (err) {
+      console.error('Error loading futures:', err);
+      setError('Failed to load futures');
+    }
+  };
+
+  const handleSelect = (market: FuturesMarket, pick: string) => {
+    setSelections(prev => {
+      const next = { ...prev };
+      if (pick) {
+        next[marketKey(market)] = pick;
+      } else {
+        delete next[marketKey(market)];
+      }
+      return next;
+    });
+    setMessage('');
+  };
+
+  const handleSave = async () => {
+    if (!futures) return;
+
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+
+      const picks: FuturesPickInput[] = futures.markets
+        .filter(market => selections[marketKey(market)])
+        .map(market => ({ category: market.category, subject: market.subject, pick: selections[marketKey(market)] }));
+
+      const response = await api.saveFuturesPicks(gameId, picks);
+      if (response.success) {
+        setMessage('Futures saved');
+        await loadFutures();
+      } else {
+        setError(response.error || 'Failed to save futures');
+      }
+    } catch (err) {
+      console.error('Error saving futures:', err);
+      setError('Failed to save futures');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!futures || !futures.settings.enabled) {
+    return null;
+  }
+
+  const teamLabel = (teamId: string) => {
+    const team = futures.teams[teamId];
+    return team ? `${team.team_city} ${team.team_name}` : teamId;
+  };
+
+  const pickLabel = (market: FuturesMarket | undefined, pick: string) =>
+    market?.category === 'win_total' ? `${pick === 'over' ? 'Over' : 'Under'} ${market.line}` : teamLabel(pick);
+
+  const findMarket = (pick: FuturesPick) => futures.markets.find(market => marketKey(market) === marketKey(pick));
+
+  const resultMark = (pick: FuturesPick | undefined) => {
+    if (pick?.is_correct === true) return <span className="text-green-600 font-bold">✓</span>;
+    if (pick?.is_correct === false) return <span className="text-red-600 font-bold">✗</span>;
+    return null;
+  };
+
+  const myPicks = new Map(futures.picks.map(pick => [marketKey(pick), pick]));
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-8">
+      {/* Picks */}
+      <div className="bg-white rounded-lg shadow-md">
+        <div className="p-6 border-b">
+          <h3 className="text-xl font-bold text-gray-800 flex items-center space-x-2">
+            <SparklesIcon className="h-6 w-6 text-purple-500" />
+            <span>Futures</span>
+          </h3>
+          <p className="text-sm text-gray-600 mt-1 flex items-center">
+            {futures.isLocked ? (
+              <>
+                <LockClosedIcon className="h-4 w-4 mr-1" />
+                Futures picks are locked
+              </>
+            ) : futures.lockTime ? (
+              <>
+                <ClockIcon className="h-4 w-4 mr-1" />
+                Picks lock {new Date(futures.lockTime).toLocaleString()}
+              </>
+            ) : (
+              'Picks lock when the season kicks off'
+            )}
+          </p>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">{error}</div>
+          )}
+
+          {futures.categories.map(category => {
+            const markets = futures.markets.filter(market => market.category === category.key);
+            if (markets.length === 0) return null;
+
+            return (
+              <div key={category.key}>
+                <h4 className="font-semibold text-gray-700 mb-2">
+                  {category.name}
+                  <span className="text-xs font-normal text-gray-500 ml-2">{category.points} pts each</span>
+                </h4>
+                <div className="space-y-2">
+                  {markets.map(market => {
+                    const key = marketKey(market);
+                    return (
+                      <div key={key} className="flex items-center justify-between space-x-3">
+                        <span className="text-sm text-gray-700 flex-1">
+                          {market.name}
+                          {market.line !== undefined && <span className="text-gray-500"> ({market.line} wins)</span>}
+                        </span>
+                        <select
+                          value={selections[key] || ''}
+                          onChange={(e) => handleSelect(market, e.target.value)}
+                          disabled={futures.isLocked}
+                          className="border border-gray-300 rounded px-2 py-1 text-sm w-48 disabled:bg-gray-100"
+                        >
+                          <option value="">No pick</option>
+                          {market.options.map(option => (
+                            <option key={option} value={option}>{pickLabel(market, option)}</option>
+                          ))}
+                        </select>
+                        <span className="w-4">{resultMark(myPicks.get(key))}</span>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+
+          {!futures.isLocked && (
+            <div className="flex items-center justify-end space-x-3">
+              {message && <span className="text-sm text-green-600">{message}</span>}
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                {saving ? 'Saving...' : 'Save Futures'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Standings */}
+      <div className="bg-white rounded-lg shadow-md self-start">
+        <div className="p-6 border-b">
+          <h3 className="text-xl font-bold text-gray-800">Futures Standings</h3>
+          {!futures.isLocked && (
+            <p className="text-sm text-gray-600 mt-1">Other players' futures are revealed when picks lock.</p>
+          )}
+        </div>
+        <ul className="divide-y divide-gray-200">
+          {futures.standings.map((standing, index) => {
+            const isExpanded = expandedPlayer === standing.user_id;
+            return (
+              <li key={standing.user_id} className="px-6 py-3">
+                <div className="flex justify-between items-center">
+                  <button
+                    onClick={() => setExpandedPlayer(isExpanded ? null : standing.user_id)}
+                    disabled={!standing.picks || standing.picks.length === 0}
+                    className="flex items-center space-x-3 text-left disabled:cursor-default"
+                  >
+                    {standing.picks && standing.picks.length > 0 ? (
+                      isExpanded ? <ChevronDownIcon className="h-4 w-4 text-gray-400" /> : <ChevronRightIcon className="h-4 w-4 text-gray-400" />
+                    ) : (
+                      <span className="w-4" />
+                    )}
+                    <span className="text-sm text-gray-400 w-6">{index + 1}</span>
+                    <span className="font-medium text-gray-800">{standing.display_name}</span>
+                    {standing.user_id === userId && (
+                      <span className="text-xs text-blue-600">(you)</span>
+                    )}
+                  </button>
+                  <div className="flex items-center space-x-4 text-sm">
+                    {standing.total_picks > 0 ? (
+                      <>
+                        <span className="font-bold text-gray-800">{standing.points} pts</span>
+                        <span className="text-gray-500">{standing.max_points} possible</span>
+                      </>
+                    ) : (
+                      <span className="text-gray-400">No picks</span>
+                    )}
+                  </div>
+                </div>
+
+                {isExpanded && standing.picks && (
+                  <ul className="mt-2 ml-14 space-y-1">
+                    {standing.picks.map(pick => {
+                      const market = findMarket(pick);
+                      return (
+                        <li key={marketKey(pick)} className="flex justify-between text-sm">
+                          <span className="text-gray-600">{market?.name || pick.subject}</span>
+                          <span className="flex items-center space-x-2 text-gray-800">
+                            <span>{pickLabel(market, pick.pick)}</span>
+                            {resultMark(pick)}
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default FuturesPanel;
@@ -1,14 +1,28 @@
 import React, { useState, useEffect } from 'react';
 import { useStore } from '@nanostores/react';
 import { $user, $isAuthenticated, $isLoading, initAuth, logout } from '../stores/auth';
-import type { PickemGame, GameParticipant, NFLTeam, GameInvitation } from '../utils/api';
-import api from '../utils/api';
+import type { PickemGame, GameParticipant, NFLTeam, GameInvitation, GameRules, FuturesSettings, Season, RecapPreview, JoinCode, GameVisibility, GameRole, GamePermission } from '../utils/api';
+import api, { createGameSlug, getGamePermissions, GAME_PERMISSIONS } from '../utils/api';
 import { UserCircleIcon, ArrowLeftStartOnRectangleIcon, HomeIcon, Bars3Icon, XMarkIcon } from '@heroicons/react/24/outline';
 
 interface GameManagementProps {
   gameId: string;
 }
 
+const PERMISSION_LABELS: Record<GamePermission, string> = {
+  invite: 'Invite players',
+  remove_players: 'Remove players',
+  edit_picks: 'Edit picks for players',
+  edit_rules: 'Edit rules and settings',
+  moderate_chat: 'Delete and pin chat messages'
+};
+
+const ROLE_LABELS: Record<GameRole, string> = {
+  owner: 'Commissioner',
+  co_commissioner: 'Co-commissioner',
+  player: 'Player'
+};
+
 const GameManagement: React.FC<GameManagementProps> = ({ gameId }) => {
   const user = useStore($user);
   const isAuthenticated = useStore($isAuthenticated);
@@ -22,12 +36,35 @@ const GameManagement: React.FC<GameManagementProps> = ({ gameId }) => {
   const [success, setSuccess] = useState('');
   const [inviteEmail, setInviteEmail] = useState('');
   const [inviting, setInviting] = useState(false);
+  const [joinCodes, setJoinCodes] = useState<JoinCode[]>([]);
+  const [joinLinkExpiry, setJoinLinkExpiry] = useState(''); // days, '' never expires
+  const [joinLinkMaxUses, setJoinLinkMaxUses] = useState(''); // '' is unlimited
+  const [creatingJoinLink, setCreatingJoinLink] = useState(false);
+  const [visibility, setVisibility] = useState<GameVisibility>('private');
+  const [maxParticipants, setMaxParticipants] = useState(''); // '' is no cap
+  const [savingVisibility, setSavingVisibility] = useState(false);
   const [editingGameName, setEditingGameName] = useState(false);
   const [newGameName, setNewGameName] = useState('');
   const [savingGameName, setSavingGameName] = useState(false);
   const [deletingGame, setDeletingGame] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [rules, setRules] = useState<GameRules | null>(null);
+  const [savedRules, setSavedRules] = useState<GameRules | null>(null);
+  const [savingRules, setSavingRules] = useState(false);
+  const [recapWeek, setRecapWeek] = useState(1);
+  const [recapPreview, setRecapPreview] = useState<RecapPreview | null>(null);
+  const [loadingRecap, setLoadingRecap] = useState(false);
+  const [teams, setTeams] = useState<NFLTeam[]>([]);
+  const [futuresSettings, setFuturesSettings] = useState<FuturesSettings | null>(null);
+  const [winTotalInputs, setWinTotalInputs] = useState<Record<string, string>>({}); // team ID -> line being typed
+  const [futuresLocked, setFuturesLocked] = useState(false);
+  const [savingFutures, setSavingFutures] = useState(false);
+  const [currentSeason, setCurrentSeason] = useState<Season | null>(null);
+  const [startingSeason, setStartingSeason] = useState(false);
+  const [editingRoleFor, setEditingRoleFor] = useState<string | null>(null); // user ID
+  const [roleDraft, setRoleDraft] = useState<{ role: Exclude<GameRole, 'owner'>; permissions: GamePermission[] }>({ role: 'player', permissions: [] });
+  const [savingRole, setSavingRole] = useState(false);
 
   useEffect(() => {
     if (typeof window !== 'undefined') {
@@ -46,10 +83,14 @@ const GameManagement: React.FC<GameManagementProps> = ({ gameId }) => {
   const loadGameData = async () => {
     try {
       setLoading(true);
-      const [gameResponse, teamsResponse, invitationsResponse] = await Promise.all([
+      const [gameResponse, teamsResponse, invitationsResponse, joinCodesResponse, rulesResponse, futuresResponse, seasonResponse] = await Promise.all([
         api.getGame(gameId),
         api.getTeams(),
-        api.getGameInvitations(gameId)
+        api.getGameInvitations(gameId),
+        api.getJoinCodes(gameId),
+        api.getGameRules(gameId),
+        api.getFutures(gameId),
+        api.getCurrentSeason()
       ]);
 
       if (!gameResponse.success || !gameResponse.data) {
@@ -59,12 +100,36 @@ const GameManagement: React.FC<GameManagementProps> = ({ gameId }) => {
 
       setGame(gameResponse.data.game);
       setNewGameName(gameResponse.data.game.game_name);
+      setVisibility(gameResponse.data.game.visibility || 'private');
+      setMaxParticipants(gameResponse.data.game.max_participants ? String(gameResponse.data.game.max_participants) : '');
 
       // Load invitations
       if (invitationsResponse.success && invitationsResponse.data) {
         setInvitations(invitationsResponse.data.invitations);
       }
 
+      if (joinCodesResponse.success && joinCodesResponse.data) {
+        setJoinCodes(joinCodesResponse.data.joinCodes);
+      }
+
+      if (rulesResponse.success && rulesResponse.data) {
+        setRules(rulesResponse.data.rules);
+        setSavedRules(rulesResponse.data.rules);
+      }
+
+      if (futuresResponse.success && futuresResponse.data) {
+        applyFuturesSettings(futuresResponse.data.settings);
+        setFuturesLocked(futuresResponse.data.isLocked);
+      }
+
+      if (teamsResponse.success && teamsResponse.data) {
+        setTeams(teamsResponse.data.teams);
+      }
+
+      if (seasonResponse.success && seasonResponse.data) {
+        setCurrentSeason(seasonResponse.data.season);
+      }
+
       // Load favorite team for header styling
       if (user?.favoriteTeamId && teamsResponse.success && teamsResponse.data) {
         const team = teamsResponse.data.teams.find(t => t.id === user.favoriteTeamId);
@@ -156,6 +221,164 @@ const GameManagement: React.FC<GameManagementProps> = ({ gameId }) => {
     }
   };
 
+  const handleSaveVisibility = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSavingVisibility(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await api.updateGameVisibility(
+        gameId,
+        visibility,
+        maxParticipants ? parseInt(maxParticipants, 10) : null
+      );
+
+      if (response.success) {
+        setSuccess('Visibility saved');
+        setTimeout(() => setSuccess(''), 3000);
+      } else {
+        setError(response.error || 'Failed to save visibility');
+      }
+    } catch (err) {
+      setError('Failed to save visibility');
+    } finally {
+      setSavingVisibility(false);
+    }
+  };
+
+  const handleEditRole = (participant: GameParticipant) => {
+    setEditingRoleFor(participant.user_id);
+    setRoleDraft({
+      role: participant.role === 'co_commissioner' ? 'co_commissioner' : 'player',
+      permissions: participant.permissions || []
+    });
+  };
+
+  const handleToggleDraftPermission = (permission: GamePermission) => {
+    setRoleDraft(draft => ({
+      ...draft,
+      permissions: draft.permissions.includes(permission)
+        ? draft.permissions.filter(p => p !== permission)
+        : [...draft.permissions, permission]
+    }));
+  };
+
+  const handleSaveRole = async (participant: GameParticipant) => {
+    setSavingRole(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await api.updateParticipantRole(
+        gameId,
+        participant.user_id,
+        roleDraft.role,
+        roleDraft.role === 'co_commissioner' ? roleDraft.permissions : []
+      );
+
+      if (response.success) {
+        setSuccess(`${participant.display_name || 'Player'} is now a ${ROLE_LABELS[roleDraft.role].toLowerCase()}`);
+        setEditingRoleFor(null);
+        await loadGameData();
+        setTimeout(() => setSuccess(''), 3000);
+      } else {
+        setError(response.error || 'Failed to update role');
+      }
+    } catch (err) {
+      setError('Failed to update role');
+    } finally {
+      setSavingRole(false);
+    }
+  };
+
+  const handleTransferOwnership = async (participant: GameParticipant) => {
+    const name = participant.display_name || 'this player';
+    if (!confirm(`Make ${name} the owner of this game? You'll stay on as a co-commissioner.`)) {
+      return;
+    }
+
+    setSavingRole(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await api.transferGameOwnership(gameId, participant.user_id);
+
+      if (response.success) {
+        setSuccess(`${name} now owns this game`);
+        setEditingRoleFor(null);
+        await loadGameData();
+        setTimeout(() => setSuccess(''), 3000);
+      } else {
+        setError(response.error || 'Failed to transfer ownership');
+      }
+    } catch (err) {
+      setError('Failed to transfer ownership');
+    } finally {
+      setSavingRole(false);
+    }
+  };
+
+  const getJoinLink = (code: string) => `${window.location.origin}/join/${code}`;
+
+  const handleCreateJoinLink = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setCreatingJoinLink(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await api.createJoinCode(gameId, {
+        expiresInDays: joinLinkExpiry ? parseInt(joinLinkExpiry, 10) : null,
+        maxUses: joinLinkMaxUses ? parseInt(joinLinkMaxUses, 10) : null
+      });
+
+      if (response.success && response.data) {
+        setJoinCodes([response.data.joinCode, ...joinCodes]);
+        setJoinLinkMaxUses('');
+        setSuccess(`Join link created. Share it or the code ${response.data.joinCode.code} with your players.`);
+        setTimeout(() => setSuccess(''), 5000);
+      } else {
+        setError(response.error || 'Failed to create join link');
+      }
+    } catch (err) {
+      setError('Failed to create join link');
+    } finally {
+      setCreatingJoinLink(false);
+    }
+  };
+
+  const handleCopyJoinLink = async (code: string) => {
+    try {
+      await navigator.clipboard.writeText(getJoinLink(code));
+      setSuccess('Join link copied to clipboard');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError('Could not copy the link. Copy it from the list instead.');
+    }
+  };
+
+  const handleRevokeJoinLink = async (joinCode: JoinCode) => {
+    if (!confirm(`Revoke the join link ${joinCode.code}? Anyone who hasn't used it yet won't be able to join with it.`)) {
+      return;
+    }
+
+    try {
+      const response = await api.revokeJoinCode(gameId, joinCode.id);
+
+      if (response.success) {
+        setJoinCodes(joinCodes.map(jc => jc.id === joinCode.id ? { ...jc, status: 'revoked' } : jc));
+        setSuccess(`Join link ${joinCode.code} revoked`);
+        setTimeout(() => setSuccess(''), 3000);
+      } else {
+        setError(response.error || 'Failed to revoke join link');
+      }
+    } catch (err) {
+      setError('Failed to revoke join link');
+    }
+  };
+
   const handleUpdateGameName = async () => {
     if (!newGameName.trim() || newGameName.trim() === game?.game_name) {
       setEditingGameName(false);
@@ -192,6 +415,126 @@ const GameManagement: React.FC<GameManagementProps> = ({ gameId }) => {
     setNewGameName(game?.game_name || '');
   };
 
+  const handleRuleChange = <K extends keyof GameRules>(field: K, value: GameRules[K]) => {
+    if (!rules) return;
+    setRules({ ...rules, [field]: value });
+  };
+
+  const handleSaveRules = async () => {
+    if (!rules) return;
+
+    setSavingRules(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await api.updateGameRules(gameId, rules);
+
+      if (response.success && response.data) {
+        setRules(response.data.rules);
+        setSavedRules(response.data.rules);
+        setSuccess('Game rules updated successfully!');
+        setTimeout(() => setSuccess(''), 3000);
+      } else {
+        setError(response.error || 'Failed to update game rules');
+      }
+    } catch (err) {
+      setError('Failed to update game rules');
+    } finally {
+      setSavingRules(false);
+    }
+  };
+
+  const handlePreviewRecap = async () => {
+    setLoadingRecap(true);
+    setError('');
+
+    try {
+      const response = await api.getRecapPreview(gameId, recapWeek);
+
+      if (response.success && response.data) {
+        setRecapPreview(response.data);
+      } else {
+        setError(response.error || 'Failed to preview recap');
+      }
+    } catch (err) {
+      setError('Failed to preview recap');
+    } finally {
+      setLoadingRecap(false);
+    }
+  };
+
+  const applyFuturesSettings = (settings: FuturesSettings) => {
+    setFuturesSettings(settings);
+    setWinTotalInputs(Object.fromEntries(
+      Object.entries(settings.win_totals).map(([teamId, line]) => [teamId, String(line)])
+    ));
+  };
+
+  // datetime-local inputs work in local time without a zone
+  const toLocalDateTimeInput = (iso: string | null) => {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  };
+
+  const handleSaveFutures = async () => {
+    if (!futuresSettings) return;
+
+    const winTotals: Record<string, number> = {};
+    for (const [teamId, input] of Object.entries(winTotalInputs)) {
+      if (input.trim() !== '') {
+        winTotals[teamId] = parseFloat(input);
+      }
+    }
+
+    setSavingFutures(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await api.updateFuturesSettings(gameId, { ...futuresSettings, win_totals: winTotals });
+
+      if (response.success && response.data) {
+        applyFuturesSettings(response.data.settings);
+        setSuccess('Futures settings updated successfully!');
+        setTimeout(() => setSuccess(''), 3000);
+      } else {
+        setError(response.error || 'Failed to update futures settings');
+      }
+    } catch (err) {
+      setError('Failed to update futures settings');
+    } finally {
+      setSavingFutures(false);
+    }
+  };
+
+  const handleStartNewSeason = async () => {
+    if (!game || !currentSeason) return;
+
+    if (!confirm(`Start the ${currentSeason.season} season? Everyone in this game will be carried over to a new game with the same settings.`)) {
+      return;
+    }
+
+    setStartingSeason(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await api.startNewSeason(gameId);
+
+      if (response.success && response.data) {
+        window.location.href = `/game/${response.data.game.id}/manage`;
+      } else {
+        setError(response.error || 'Failed to start the new season');
+      }
+    } catch (err) {
+      setError('Failed to start the new season');
+    } finally {
+      setStartingSeason(false);
+    }
+  };
+
   const handleDeleteGame = () => {
     if (!game) return;
     setShowDeleteModal(true);
@@ -268,6 +611,17 @@ const GameManagement: React.FC<GameManagementProps> = ({ gameId }) => {
     );
   }
 
+  const myParticipant = game.participants.find(p => p.user_id === user.id);
+  const isOwner = !!user.isAdmin || myParticipant?.role === 'owner';
+  const permissions: GamePermission[] = user.isAdmin ? [...GAME_PERMISSIONS] : getGamePermissions(myParticipant);
+  const canEditRules = permissions.includes('edit_rules');
+  const canInvite = permissions.includes('invite');
+  // Only the owner can remove another co-commissioner
+  const canRemove = (participant: GameParticipant) =>
+    participant.role !== 'owner' &&
+    permissions.includes('remove_players') &&
+    (participant.role !== 'co_commissioner' || isOwner);
+
   return (
     <div className="min-h-screen bg-gray-100">
       {/* Header */}
@@ -437,15 +791,17 @@ const GameManagement: React.FC<GameManagementProps> = ({ gameId }) => {
                 ) : (
                   <div className="flex items-center space-x-2">
                     <p className="text-lg font-semibold text-gray-900">{game.game_name}</p>
-                    <button
-                      onClick={() => setEditingGameName(true)}
-                      className="text-blue-600 hover:text-blue-800 text-sm"
-                      title="Edit game name"
-                    >
-                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                      </svg>
-                    </button>
+                    {isOwner && (
+                      <button
+                        onClick={() => setEditingGameName(true)}
+                        className="text-blue-600 hover:text-blue-800 text-sm"
+                        title="Edit game name"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                        </svg>
+                      </button>
+                    )}
                   </div>
                 )}
               </div>
@@ -461,6 +817,269 @@ const GameManagement: React.FC<GameManagementProps> = ({ gameId }) => {
           </div>
         </div>
 
+        {/* Game Rules */}
+        {rules && canEditRules && (
+          <div className="bg-white rounded-lg shadow-md mb-8">
+            <div className="p-6 border-b">
+              <h2 className="text-2xl font-bold text-gray-800">Game Rules</h2>
+              <p className="text-gray-600 mt-1">Changes re-score the standings for the whole season</p>
+            </div>
+            <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label htmlFor="rules-lock-mode" className="block text-sm font-medium text-gray-700 mb-1">Picks lock</label>
+                <select
+                  id="rules-lock-mode"
+                  value={rules.lock_mode}
+                  onChange={(e) => handleRuleChange('lock_mode', e.target.value as GameRules['lock_mode'])}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="game">At each game's kickoff</option>
+                  <option value="week">At the first kickoff of the week</option>
+                  <option value="sunday">Sunday 1pm ET (earlier games at kickoff)</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="rules-tie-scoring" className="block text-sm font-medium text-gray-700 mb-1">Tied games</label>
+                <select
+                  id="rules-tie-scoring"
+                  value={rules.tie_scoring}
+                  onChange={(e) => handleRuleChange('tie_scoring', e.target.value as GameRules['tie_scoring'])}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="loss">Count as a loss</option>
+                  <option value="push">Count as a push (no result)</option>
+                  <option value="win">Count as a win</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="rules-missed-picks" className="block text-sm font-medium text-gray-700 mb-1">Missed picks</label>
+                <select
+                  id="rules-missed-picks"
+                  value={rules.missed_pick_policy}
+                  onChange={(e) => handleRuleChange('missed_pick_policy', e.target.value as GameRules['missed_pick_policy'])}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="loss">Count as a loss</option>
+                  <option value="ignore">Don't count</option>
+                </select>
+              </div>
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">Regular season weeks</span>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="number"
+                    min={1}
+                    max={18}
+                    value={rules.start_week}
+                    onChange={(e) => handleRuleChange('start_week', parseInt(e.target.value) || 1)}
+                    className="w-20 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label="First week"
+                  />
+                  <span className="text-gray-500">to</span>
+                  <input
+                    type="number"
+                    min={1}
+                    max={18}
+                    value={rules.end_week}
+                    onChange={(e) => handleRuleChange('end_week', parseInt(e.target.value) || 1)}
+                    className="w-20 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label="Last week"
+                  />
+                </div>
+              </div>
+              <div>
+                <label htmlFor="rules-pick-visibility" className="block text-sm font-medium text-gray-700 mb-1">Other players' picks</label>
+                <select
+                  id="rules-pick-visibility"
+                  value={rules.pick_visibility}
+                  onChange={(e) => handleRuleChange('pick_visibility', e.target.value as GameRules['pick_visibility'])}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="after_lock">Hidden until they lock</option>
+                  <option value="always">Always visible</option>
+                </select>
+              </div>
+              <div>
+                <label htmlFor="rules-auto-pick" className="block text-sm font-medium text-gray-700 mb-1">Missed picks are auto-picked</label>
+                <select
+                  id="rules-auto-pick"
+                  value={rules.auto_pick_policy}
+                  onChange={(e) => handleRuleChange('auto_pick_policy', e.target.value as GameRules['auto_pick_policy'])}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="none">Never</option>
+                  <option value="home">Home team</option>
+                  <option value="favorite">Favorite by the spread</option>
+                  <option value="favorite_team">Player's favorite team (else home team)</option>
+                  <option value="random">Random team</option>
+                </select>
+              </div>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={rules.include_playoffs}
+                  onChange={(e) => handleRuleChange('include_playoffs', e.target.checked)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span className="text-sm font-medium text-gray-700">Include playoff games</span>
+              </label>
+              {game && ['week', 'weekly', 'confidence', 'ats'].includes(game.type) && (
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={rules.recap_emails}
+                    onChange={(e) => handleRuleChange('recap_emails', e.target.checked)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <span className="text-sm font-medium text-gray-700">Email a results recap when each week is final</span>
+                </label>
+              )}
+            </div>
+            <div className="px-6 pb-6 flex justify-end space-x-2">
+              <button
+                onClick={() => setRules(savedRules)}
+                disabled={savingRules || JSON.stringify(rules) === JSON.stringify(savedRules)}
+                className="bg-gray-500 text-white px-4 py-2 rounded-md hover:bg-gray-600 disabled:opacity-50 text-sm transition-colors"
+              >
+                Reset
+              </button>
+              <button
+                onClick={handleSaveRules}
+                disabled={savingRules || JSON.stringify(rules) === JSON.stringify(savedRules)}
+                className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-50 text-sm transition-colors"
+              >
+                {savingRules ? 'Saving...' : 'Save Rules'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Weekly Recap Preview */}
+        {canEditRules && ['week', 'weekly', 'confidence', 'ats'].includes(game.type) && (
+          <div className="bg-white rounded-lg shadow-md mb-8">
+            <div className="p-6 border-b">
+              <h2 className="text-2xl font-bold text-gray-800">Weekly Recap</h2>
+              <p className="text-gray-600 mt-1">See the results email players get once every game in a week is final</p>
+            </div>
+            <div className="p-6 space-y-4">
+              <div className="flex items-center space-x-2">
+                <label htmlFor="recap-week" className="text-sm font-medium text-gray-700">Week</label>
+                <input
+                  id="recap-week"
+                  type="number"
+                  min={1}
+                  max={18}
+                  value={recapWeek}
+                  onChange={(e) => setRecapWeek(parseInt(e.target.value) || 1)}
+                  className="w-20 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  onClick={handlePreviewRecap}
+                  disabled={loadingRecap}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm transition-colors"
+                >
+                  {loadingRecap ? 'Loading...' : 'Preview'}
+                </button>
+              </div>
+              {recapPreview && (
+                <div>
+                  {!recapPreview.enabled && (
+                    <p className="text-sm text-yellow-700 mb-2">Recap emails are turned off in this game's rules.</p>
+                  )}
+                  {!recapPreview.isComplete && (
+                    <p className="text-sm text-yellow-700 mb-2">
+                      Week {recapPreview.week} isn't over yet, so these results aren't final.
+                    </p>
+                  )}
+                  <p className="text-sm text-gray-700 mb-2">
+                    <span className="font-medium">Subject:</span> {recapPreview.subject}
+                  </p>
+                  <iframe
+                    title="Recap email preview"
+                    srcDoc={recapPreview.html}
+                    sandbox=""
+                    className="w-full h-96 border border-gray-200 rounded-md"
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Futures */}
+        {futuresSettings && canEditRules && (
+          <div className="bg-white rounded-lg shadow-md mb-8">
+            <div className="p-6 border-b">
+              <h2 className="text-2xl font-bold text-gray-800">Futures</h2>
+              <p className="text-gray-600 mt-1">Season-long picks on division winners, conference champions, the Super Bowl and win totals</p>
+            </div>
+            <div className="p-6 space-y-6">
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={futuresSettings.enabled}
+                  onChange={(e) => setFuturesSettings({ ...futuresSettings, enabled: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span className="text-sm font-medium text-gray-700">Enable futures picks</span>
+              </label>
+              <div className="max-w-sm">
+                <label htmlFor="futures-lock-at" className="block text-sm font-medium text-gray-700 mb-1">Futures lock</label>
+                <input
+                  id="futures-lock-at"
+                  type="datetime-local"
+                  value={toLocalDateTimeInput(futuresSettings.lock_at)}
+                  onChange={(e) => setFuturesSettings({
+                    ...futuresSettings,
+                    lock_at: e.target.value ? new Date(e.target.value).toISOString() : null
+                  })}
+                  disabled={futuresLocked}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  {futuresLocked
+                    ? 'Futures are locked, so the lock date and win totals can no longer change'
+                    : "Leave blank to lock at the season's first kickoff"}
+                </p>
+              </div>
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">Win total lines</span>
+                <p className="text-xs text-gray-500 mb-2">Half-point lines (e.g. 9.5). Teams without a line have no win total pick.</p>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                  {teams
+                    .slice()
+                    .sort((a, b) => a.team_code.localeCompare(b.team_code))
+                    .map(team => (
+                      <label key={team.id} className="flex items-center space-x-2 text-sm">
+                        <span className="w-12 font-medium text-gray-700">{team.team_code}</span>
+                        <input
+                          type="number"
+                          min={0.5}
+                          max={16.5}
+                          step={0.5}
+                          value={winTotalInputs[team.id] || ''}
+                          onChange={(e) => setWinTotalInputs({ ...winTotalInputs, [team.id]: e.target.value })}
+                          disabled={futuresLocked}
+                          className="w-20 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                          aria-label={`${team.team_city} ${team.team_name} win total`}
+                        />
+                      </label>
+                    ))}
+                </div>
+              </div>
+            </div>
+            <div className="px-6 pb-6 flex justify-end">
+              <button
+                onClick={handleSaveFutures}
+                disabled={savingFutures}
+                className="bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 disabled:opacity-50 text-sm transition-colors"
+              >
+                {savingFutures ? 'Saving...' : 'Save Futures'}
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Current Participants */}
         <div className="bg-white rounded-lg shadow-md mb-8">
           <div className="p-6 border-b">
@@ -477,38 +1096,111 @@ const GameManagement: React.FC<GameManagementProps> = ({ gameId }) => {
                 {game.participants.map((participant) => (
                   <div
                     key={participant.id}
-                    className="flex items-center justify-between p-4 border border-gray-200 rounded-lg"
+                    className="p-4 border border-gray-200 rounded-lg"
                   >
-                    <div className="flex items-center space-x-3">
-                      <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
-                        <span className="text-blue-600 font-semibold text-sm">
-                          {participant.display_name?.charAt(0).toUpperCase() || 
-                           participant.first_name?.charAt(0).toUpperCase() || 
-                           participant.email?.charAt(0).toUpperCase() || '?'}
-                        </span>
-                      </div>
-                      <div>
-                        <p className="font-medium text-gray-900">
-                          {participant.display_name || `${participant.first_name || ''} ${participant.last_name || ''}`.trim() || participant.email}
-                        </p>
-                        <p className="text-sm text-gray-500">
-                          <span className={`px-2 py-1 rounded-full text-xs ${
-                            participant.role === 'owner'
-                              ? 'bg-blue-100 text-blue-800'
-                              : 'bg-green-100 text-green-800'
-                          }`}>
-                            {participant.role === 'owner' ? 'Commissioner' : 'Player'}
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center space-x-3">
+                        <div className="w-10 h-10 bg-blue-100 rounded-full flex items-center justify-center">
+                          <span className="text-blue-600 font-semibold text-sm">
+                            {participant.display_name?.charAt(0).toUpperCase() || 
+                             participant.first_name?.charAt(0).toUpperCase() || 
+                             participant.email?.charAt(0).toUpperCase() || '?'}
                           </span>
-                        </p>
+                        </div>
+                        <div>
+                          <p className="font-medium text-gray-900">
+                            {participant.display_name || `${participant.first_name || ''} ${participant.last_name || ''}`.trim() || participant.email}
+                          </p>
+                          <p className="text-sm text-gray-500">
+                            <span className={`px-2 py-1 rounded-full text-xs ${
+                              participant.role === 'owner'
+                                ? 'bg-blue-100 text-blue-800'
+                                : participant.role === 'co_commissioner'
+                                  ? 'bg-purple-100 text-purple-800'
+                                  : 'bg-green-100 text-green-800'
+                            }`}>
+                              {ROLE_LABELS[participant.role]}
+                            </span>
+                            {participant.role === 'co_commissioner' && (
+                              <span className="ml-2">
+                                {(participant.permissions || []).length > 0
+                                  ? (participant.permissions || []).map(permission => PERMISSION_LABELS[permission]).join(', ')
+                                  : 'No permissions'}
+                              </span>
+                            )}
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-4">
+                        {isOwner && participant.role !== 'owner' && (
+                          <button
+                            onClick={() => editingRoleFor === participant.user_id ? setEditingRoleFor(null) : handleEditRole(participant)}
+                            className="text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
+                          >
+                            {editingRoleFor === participant.user_id ? 'Close' : 'Edit Role'}
+                          </button>
+                        )}
+                        {canRemove(participant) && (
+                          <button
+                            onClick={() => handleRemovePlayer(participant.user_id, participant.display_name || 'Player')}
+                            className="text-red-600 hover:text-red-800 text-sm font-medium transition-colors"
+                          >
+                            Remove
+                          </button>
+                        )}
                       </div>
                     </div>
-                    {participant.role !== 'owner' && (
-                      <button
-                        onClick={() => handleRemovePlayer(participant.user_id, participant.display_name || 'Player')}
-                        className="text-red-600 hover:text-red-800 text-sm font-medium transition-colors"
-                      >
-                        Remove
-                      </button>
+
+                    {editingRoleFor === participant.user_id && (
+                      <div className="mt-4 pt-4 border-t border-gray-200 space-y-4">
+                        <div className="flex space-x-6">
+                          {(['player', 'co_commissioner'] as const).map(role => (
+                            <label key={role} className="flex items-center space-x-2 cursor-pointer">
+                              <input
+                                type="radio"
+                                name={`role-${participant.user_id}`}
+                                checked={roleDraft.role === role}
+                                onChange={() => setRoleDraft({ ...roleDraft, role })}
+                                className="h-4 w-4 text-blue-600"
+                              />
+                              <span className="text-sm text-gray-700">{ROLE_LABELS[role]}</span>
+                            </label>
+                          ))}
+                        </div>
+
+                        {roleDraft.role === 'co_commissioner' && (
+                          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                            {GAME_PERMISSIONS.map(permission => (
+                              <label key={permission} className="flex items-center space-x-2">
+                                <input
+                                  type="checkbox"
+                                  checked={roleDraft.permissions.includes(permission)}
+                                  onChange={() => handleToggleDraftPermission(permission)}
+                                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                                />
+                                <span className="text-sm text-gray-700">{PERMISSION_LABELS[permission]}</span>
+                              </label>
+                            ))}
+                          </div>
+                        )}
+
+                        <div className="flex flex-wrap items-center justify-between gap-4">
+                          <button
+                            onClick={() => handleSaveRole(participant)}
+                            disabled={savingRole}
+                            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                          >
+                            {savingRole ? 'Saving...' : 'Save Role'}
+                          </button>
+                          <button
+                            onClick={() => handleTransferOwnership(participant)}
+                            disabled={savingRole}
+                            className="text-red-600 hover:text-red-800 text-sm font-medium disabled:opacity-50 transition-colors"
+                          >
+                            Make Owner
+                          </button>
+                        </div>
+                      </div>
                     )}
                   </div>
                 ))}
@@ -518,105 +1210,296 @@ const GameManagement: React.FC<GameManagementProps> = ({ gameId }) => {
         </div>
 
         {/* Invite Players & Pending Invitations */}
-        <div className="bg-white rounded-lg shadow-md mb-8">
-          <div className="p-6 border-b">
-            <h2 className="text-2xl font-bold text-gray-800">Invite Players</h2>
-            <p className="text-gray-600 mt-1">Add players to your game by their email address</p>
+        {canInvite && (
+          <div className="bg-white rounded-lg shadow-md mb-8">
+            <div className="p-6 border-b">
+              <h2 className="text-2xl font-bold text-gray-800">Invite Players</h2>
+              <p className="text-gray-600 mt-1">Add players to your game by their email address</p>
+            </div>
+            <div className="p-6">
+              <form onSubmit={handleInvitePlayer} className="flex gap-4">
+                <div className="flex-1">
+                  <input
+                    type="email"
+                    value={inviteEmail}
+                    onChange={(e) => setInviteEmail(e.target.value)}
+                    placeholder="Enter player's email address"
+                    required
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={inviting}
+                  className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {inviting ? 'Inviting...' : 'Invite Player'}
+                </button>
+              </form>
+
+              {/* Pending Invitations */}
+              {invitations.length > 0 && (
+                <div className="mt-6 pt-6 border-t border-gray-200">
+                  <h3 className="text-lg font-semibold text-gray-800 mb-4">Pending Invitations ({invitations.length})</h3>
+                  <div className="space-y-3">
+                    {invitations.map((invitation) => (
+                      <div
+                        key={invitation.id}
+                        className="flex items-center justify-between p-4 border border-gray-200 rounded-lg"
+                      >
+                        <div className="flex items-center space-x-3">
+                          <div className="w-10 h-10 bg-yellow-100 rounded-full flex items-center justify-center">
+                            <span className="text-yellow-600 font-semibold text-sm">
+                              {invitation.email.charAt(0).toUpperCase()}
+                            </span>
+                          </div>
+                          <div>
+                            <p className="font-medium text-gray-900">{invitation.email}</p>
+                            <p className="text-sm text-gray-500">
+                              Invited by {invitation.invited_by_name} on{' '}
+                              {new Date(invitation.created_at).toLocaleDateString()}
+                            </p>
+                            <p className="text-sm text-gray-500">
+                              Expires: {new Date(invitation.expires_at).toLocaleDateString()}
+                            </p>
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => handleCancelInvitation(invitation.id, invitation.email)}
+                          className="text-red-600 hover:text-red-800 text-sm font-medium transition-colors"
+                        >
+                          Cancel Invitation
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
           </div>
-          <div className="p-6">
-            <form onSubmit={handleInvitePlayer} className="flex gap-4">
-              <div className="flex-1">
+        )}
+
+        {/* Visibility */}
+        {isOwner && (
+          <div className="bg-white rounded-lg shadow-md mb-8">
+            <div className="p-6 border-b">
+              <h2 className="text-2xl font-bold text-gray-800">Visibility</h2>
+              <p className="text-gray-600 mt-1">Choose whether players can find and join this game on their own</p>
+            </div>
+            <form onSubmit={handleSaveVisibility} className="p-6 space-y-4">
+              <div className="space-y-2">
+                {([
+                  ['private', 'Private', 'Players join by invitation or join link only'],
+                  ['unlisted', 'Unlisted', 'Anyone with the game link below can join'],
+                  ['public', 'Public', 'Listed in Find a Game for anyone to join']
+                ] as [GameVisibility, string, string][]).map(([value, label, description]) => (
+                  <label key={value} className="flex items-start space-x-3 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="visibility"
+                      value={value}
+                      checked={visibility === value}
+                      onChange={() => setVisibility(value)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="font-medium text-gray-900">{label}</span>
+                      <span className="block text-sm text-gray-500">{description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+
+              {visibility !== 'private' && (
+                <p className="text-sm text-gray-600 break-all">
+                  Game link: <span className="font-mono">{`${window.location.origin}/dashboard?game=${gameId}`}</span>
+                </p>
+              )}
+
+              <div>
+                <label htmlFor="maxParticipants" className="block text-sm font-medium text-gray-700 mb-1">
+                  Player cap
+                </label>
                 <input
-                  type="email"
-                  value={inviteEmail}
-                  onChange={(e) => setInviteEmail(e.target.value)}
-                  placeholder="Enter player's email address"
-                  required
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  id="maxParticipants"
+                  type="number"
+                  min={2}
+                  max={1000}
+                  value={maxParticipants}
+                  onChange={(e) => setMaxParticipants(e.target.value)}
+                  placeholder="No cap"
+                  className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
+                <p className="text-xs text-gray-500 mt-1">Stops players joining on their own or with a join link once the game is full</p>
               </div>
+
               <button
                 type="submit"
-                disabled={inviting}
+                disabled={savingVisibility}
                 className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
               >
-                {inviting ? 'Inviting...' : 'Invite Player'}
+                {savingVisibility ? 'Saving...' : 'Save Visibility'}
               </button>
             </form>
+          </div>
+        )}
+
+        {/* Join Links */}
+        {canInvite && (
+          <div className="bg-white rounded-lg shadow-md mb-8">
+            <div className="p-6 border-b">
+              <h2 className="text-2xl font-bold text-gray-800">Join Links</h2>
+              <p className="text-gray-600 mt-1">Share a link or code so players can join without an email invitation</p>
+            </div>
+            <div className="p-6">
+              <form onSubmit={handleCreateJoinLink} className="flex flex-wrap items-end gap-4">
+                <div>
+                  <label htmlFor="joinLinkExpiry" className="block text-sm font-medium text-gray-700 mb-1">Expires</label>
+                  <select
+                    id="joinLinkExpiry"
+                    value={joinLinkExpiry}
+                    onChange={(e) => setJoinLinkExpiry(e.target.value)}
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="">Never</option>
+                    <option value="1">In 1 day</option>
+                    <option value="7">In 7 days</option>
+                    <option value="30">In 30 days</option>
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="joinLinkMaxUses" className="block text-sm font-medium text-gray-700 mb-1">Max uses</label>
+                  <input
+                    id="joinLinkMaxUses"
+                    type="number"
+                    min={1}
+                    max={1000}
+                    value={joinLinkMaxUses}
+                    onChange={(e) => setJoinLinkMaxUses(e.target.value)}
+                    placeholder="Unlimited"
+                    className="w-32 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={creatingJoinLink}
+                  className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {creatingJoinLink ? 'Creating...' : 'Create Join Link'}
+                </button>
+              </form>
 
-            {/* Pending Invitations */}
-            {invitations.length > 0 && (
-              <div className="mt-6 pt-6 border-t border-gray-200">
-                <h3 className="text-lg font-semibold text-gray-800 mb-4">Pending Invitations ({invitations.length})</h3>
-                <div className="space-y-3">
-                  {invitations.map((invitation) => (
+              {joinCodes.length > 0 && (
+                <div className="mt-6 pt-6 border-t border-gray-200 space-y-3">
+                  {joinCodes.map((joinCode) => (
                     <div
-                      key={invitation.id}
-                      className="flex items-center justify-between p-4 border border-gray-200 rounded-lg"
+                      key={joinCode.id}
+                      className={`flex flex-wrap items-center justify-between gap-3 p-4 border border-gray-200 rounded-lg ${
+                        joinCode.status === 'active' ? '' : 'opacity-60'
+                      }`}
                     >
-                      <div className="flex items-center space-x-3">
-                        <div className="w-10 h-10 bg-yellow-100 rounded-full flex items-center justify-center">
-                          <span className="text-yellow-600 font-semibold text-sm">
-                            {invitation.email.charAt(0).toUpperCase()}
-                          </span>
-                        </div>
-                        <div>
-                          <p className="font-medium text-gray-900">{invitation.email}</p>
-                          <p className="text-sm text-gray-500">
-                            Invited by {invitation.invited_by_name} on{' '}
-                            {new Date(invitation.created_at).toLocaleDateString()}
-                          </p>
-                          <p className="text-sm text-gray-500">
-                            Expires: {new Date(invitation.expires_at).toLocaleDateString()}
-                          </p>
-                        </div>
+                      <div>
+                        <p className="font-mono font-semibold text-gray-900 tracking-wider">{joinCode.code}</p>
+                        <p className="text-sm text-gray-500 break-all">{getJoinLink(joinCode.code)}</p>
+                        <p className="text-sm text-gray-500">
+                          Used {joinCode.useCount}{joinCode.maxUses !== null ? ` of ${joinCode.maxUses}` : ''} times
+                          {' • '}
+                          {joinCode.status === 'revoked' ? 'Revoked'
+                            : joinCode.status === 'expired' ? 'Expired'
+                            : joinCode.status === 'used_up' ? 'Used up'
+                            : joinCode.expiresAt ? `Expires ${new Date(joinCode.expiresAt).toLocaleDateString()}`
+                            : 'Never expires'}
+                        </p>
                       </div>
-                      <button
-                        onClick={() => handleCancelInvitation(invitation.id, invitation.email)}
-                        className="text-red-600 hover:text-red-800 text-sm font-medium transition-colors"
-                      >
-                        Cancel Invitation
-                      </button>
+                      {joinCode.status === 'active' && (
+                        <div className="flex items-center space-x-4">
+                          <button
+                            onClick={() => handleCopyJoinLink(joinCode.code)}
+                            className="text-blue-600 hover:text-blue-800 text-sm font-medium transition-colors"
+                          >
+                            Copy Link
+                          </button>
+                          <button
+                            onClick={() => handleRevokeJoinLink(joinCode)}
+                            className="text-red-600 hover:text-red-800 text-sm font-medium transition-colors"
+                          >
+                            Revoke
+                          </button>
+                        </div>
+                      )}
                     </div>
                   ))}
                 </div>
-              </div>
-            )}
+              )}
+            </div>
           </div>
-        </div>
+        )}
 
-        {/* Danger Zone */}
-        <div className="bg-gray-50 rounded-lg border border-gray-200 mt-12">
-          <div className="p-6">
-            <div className="flex items-start justify-between">
+        {/* Seasons */}
+        {isOwner && (
+          <div className="bg-white rounded-lg shadow-md mb-8">
+            <div className="p-6 flex items-start justify-between">
               <div className="flex-1">
-                <h3 className="text-lg font-medium text-gray-900 mb-2">Delete Game</h3>
-                <p className="text-sm text-gray-600">
-                  This will permanently delete the game, all participants, and all picks. This action cannot be undone.
+                <h2 className="text-2xl font-bold text-gray-800">Seasons</h2>
+                <p className="text-gray-600 mt-1">
+                  {currentSeason && game.season_id !== currentSeason.id
+                    ? `Start the ${currentSeason.season} season to carry this game's players, commissioner and settings over to a new game.`
+                    : 'When a new season starts you can carry this game\'s players, commissioner and settings over to it.'}
                 </p>
+                <a
+                  href={`/game/${createGameSlug(game.game_name)}/history`}
+                  className="inline-block text-sm text-blue-600 hover:text-blue-800 mt-2"
+                >
+                  View league history
+                </a>
               </div>
-              <button
-                onClick={handleDeleteGame}
-                disabled={deletingGame}
-                className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-2 ml-4"
-              >
-                {deletingGame ? (
-                  <>
-                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                    <span>Deleting...</span>
-                  </>
-                ) : (
-                  <>
-                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                    </svg>
-                    <span>Delete Game</span>
-                  </>
-                )}
-              </button>
+              {currentSeason && game.season_id !== currentSeason.id && (
+                <button
+                  onClick={handleStartNewSeason}
+                  disabled={startingSeason}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors ml-4"
+                >
+                  {startingSeason ? 'Starting...' : `Start ${currentSeason.season} Season`}
+                </button>
+              )}
             </div>
           </div>
-        </div>
+        )}
+
+        {/* Danger Zone */}
+        {isOwner && (
+          <div className="bg-gray-50 rounded-lg border border-gray-200 mt-12">
+            <div className="p-6">
+              <div className="flex items-start justify-between">
+                <div className="flex-1">
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Delete Game</h3>
+                  <p className="text-sm text-gray-600">
+                    This will permanently delete the game, all participants, and all picks. This action cannot be undone.
+                  </p>
+                </div>
+                <button
+                  onClick={handleDeleteGame}
+                  disabled={deletingGame}
+                  className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center space-x-2 ml-4"
+                >
+                  {deletingGame ? (
+                    <>
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                      <span>Deleting...</span>
+                    </>
+                  ) : (
+                    <>
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                      </svg>
+                      <span>Delete Game</span>
+                    </>
+                  )}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
 
         {/* Delete Game Modal */}
         {showDeleteModal && game && (
@@ -3,6 +3,7 @@ import { useStore } from '@nanostores/react';
 import { $user, $isAuthenticated, $isLoading, initAuth } from '../stores/auth';
 import WeeklyGameView from './WeeklyGameView';
 import SurvivorGameView from './SurvivorGameView';
+import BracketGameView from './BracketGameView';
 import api from '../utils/api';
 import type { PickemGame, GameParticipant } from '../utils/api';
 
@@ -153,6 +154,8 @@ const GameViewRouter: React.FC<GameViewRouterProps> = ({ gameId, gameSlug }) =>
   // Render the appropriate view based on game type
   if (game.type === 'survivor') {
     return <SurvivorGameView gameId={gameId} gameSlug={gameSlug} initialGameData={game} user={user} />;
+  } else if (game.type === 'bracket') {
+    return <BracketGameView gameId={gameId} gameSlug={gameSlug} initialGameData={game} user={user} />;
   } else {
     return <WeeklyGameView gameId={gameId} gameSlug={gameSlug} />;
   }
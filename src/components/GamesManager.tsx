@@ -17,7 +17,7 @@ function createGameSlug(gameName: string) {
 interface PickemGame {
   id: string;
   name: string;
-  type: 'weekly' | 'survivor';
+  type: 'weekly' | 'survivor' | 'confidence' | 'ats' | 'bracket';
   commissioner_id: string;
   season_id: string;
   weekly_week?: number;
@@ -48,7 +48,7 @@ const GamesManager: React.FC = () => {
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [newGame, setNewGame] = useState({
     name: '',
-    type: 'weekly' as 'weekly' | 'survivor'
+    type: 'weekly' as 'weekly' | 'survivor' | 'confidence' | 'ats' | 'bracket'
   });
   const [editingGame, setEditingGame] = useState<PickemGame | null>(null);
   const [updatingGame, setUpdatingGame] = useState(false);
@@ -164,7 +164,7 @@ const GamesManager: React.FC = () => {
         },
         body: JSON.stringify({
           gameName: newGame.name,
-          gameType: newGame.type === 'weekly' ? 'week' : 'survivor'
+          gameType: newGame.type === 'weekly' ? 'week' : newGame.type
         })
       });
 
@@ -373,7 +373,10 @@ const GamesManager: React.FC = () => {
                 >
                   <option value="all">All Types</option>
                   <option value="weekly">Weekly Picks</option>
+                  <option value="confidence">Confidence Points</option>
+                  <option value="ats">Against the Spread</option>
                   <option value="survivor">Survivor</option>
+                  <option value="bracket">Playoff Bracket</option>
                 </select>
               </div>
             </div>
@@ -440,9 +443,15 @@ const GamesManager: React.FC = () => {
                         <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${
                           gameType === 'weekly'
                             ? 'bg-purple-100 text-purple-800'
-                            : 'bg-red-100 text-red-800'
+                            : gameType === 'confidence'
+                              ? 'bg-blue-100 text-blue-800'
+                              : gameType === 'ats'
+                                ? 'bg-green-100 text-green-800'
+                                : gameType === 'bracket'
+                                  ? 'bg-yellow-100 text-yellow-800'
+                                  : 'bg-red-100 text-red-800'
                         }`}>
-                          {gameType === 'weekly' ? 'Weekly Picks' : 'Survivor'}
+                          {gameType === 'weekly' ? 'Weekly Picks' : gameType === 'confidence' ? 'Confidence Points' : gameType === 'ats' ? 'Against the Spread' : gameType === 'bracket' ? 'Playoff Bracket' : 'Survivor'}
                         </span>
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -552,11 +561,14 @@ const GamesManager: React.FC = () => {
                   </label>
                   <select
                     value={newGame.type}
-                    onChange={(e) => setNewGame({...newGame, type: e.target.value as 'weekly' | 'survivor'})}
+                    onChange={(e) => setNewGame({...newGame, type: e.target.value as 'weekly' | 'survivor' | 'confidence' | 'ats' | 'bracket'})}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                   >
                     <option value="weekly">Weekly Picks</option>
+                    <option value="confidence">Confidence Points</option>
+                    <option value="ats">Against the Spread</option>
                     <option value="survivor">Survivor</option>
+                    <option value="bracket">Playoff Bracket</option>
                   </select>
                 </div>
 
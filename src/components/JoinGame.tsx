@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import { useStore } from '@nanostores/react';
+import { $isAuthenticated, $isLoading, login, registerWithJoinCode, initAuth } from '../stores/auth';
+import type { NFLTeam, JoinPreview } from '../utils/api';
+import api, { createGameSlug } from '../utils/api';
+import { ExclamationTriangleIcon, UserGroupIcon } from '@heroicons/react/24/outline';
+
+interface JoinGameProps {
+  code: string;
+}
+
+const formatGameType = (type: string) =>
+  type === 'ats' ? 'Against the Spread' : type.charAt(0).toUpperCase() + type.slice(1);
+
+const JoinGame: React.FC<JoinGameProps> = ({ code }) => {
+  const isAuthenticated = useStore($isAuthenticated);
+  const isLoading = useStore($isLoading);
+  const [preview, setPreview] = useState<JoinPreview | null>(null);
+  const [loadingPreview, setLoadingPreview] = useState(true);
+  const [teams, setTeams] = useState<NFLTeam[]>([]);
+  const [mode, setMode] = useState<'register' | 'login'>('register');
+  const [formData, setFormData] = useState({
+    email: '',
+    password: '',
+    firstName: '',
+    lastName: '',
+    favoriteTeamId: '',
+  });
+  const [error, setError] = useState('');
+  const [joining, setJoining] = useState(false);
+
+  useEffect(() => {
+    // Only run on client side
+    if (typeof window !== 'undefined') {
+      initAuth();
+      loadPreview();
+      loadTeams();
+    }
+  }, [code]);
+
+  const loadPreview = async () => {
+    setLoadingPreview(true);
+    try {
+      const response = await api.getJoinPreview(code);
+      if (response.success && response.data) {
+        setPreview(response.data);
+      } else {
+        setError(response.error || 'This join link is not valid');
+      }
+    } catch (err) {
+      setError('Failed to load join link');
+    } finally {
+      setLoadingPreview(false);
+    }
+  };
+
+  const loadTeams = async () => {
+    const response = await api.getTeams();
+    if (response.success && response.data) {
+      setTeams(response.data.teams);
+    }
+  };
+
+  const goToGame = (gameName: string) => {
+    window.location.href = `/game/${createGameSlug(gameName)}`;
+  };
+
+  const joinGame = async () => {
+    const response = await api.joinWithCode(code);
+    if (response.success && response.data) {
+      goToGame(response.data.gameName);
+    } else {
+      setError(response.error || 'Failed to join game');
+    }
+  };
+
+  const handleJoin = async () => {
+    setError('');
+    setJoining(true);
+    try {
+      await joinGame();
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setJoining(true);
+
+    try {
+      if (mode === 'login') {
+        const result = await login(formData.email, formData.password);
+        if (result.success) {
+          await joinGame();
+        } else {
+          setError(result.error || 'Login failed');
+        }
+      } else {
+        const result = await registerWithJoinCode({
+          email: formData.email,
+          password: formData.password,
+          firstName: formData.firstName,
+          lastName: formData.lastName,
+          favoriteTeamId: formData.favoriteTeamId || undefined,
+          joinCode: code
+        });
+        if (result.success && result.joined && result.gameName) {
+          goToGame(result.gameName);
+        } else {
+          setError(result.error || 'Registration failed');
+        }
+      }
+    } catch (err) {
+      setError('An unexpected error occurred');
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  if (isLoading || loadingPreview) {
+    return (
+      <div className="flex justify-center items-center p-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <span className="ml-3 text-gray-600">Loading...</span>
+      </div>
+    );
+  }
+
+  if (!preview || !preview.available) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center space-x-3 text-red-600 mb-4">
+          <ExclamationTriangleIcon className="h-6 w-6" />
+          <h2 className="text-lg font-semibold">Can't Join This Game</h2>
+        </div>
+        <p className="text-gray-700 mb-4">
+          {preview?.reason || error || 'This join link is not valid.'} Ask the commissioner for a new link.
+        </p>
+        <a
+          href={isAuthenticated ? '/dashboard' : '/'}
+          className="inline-block bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          {isAuthenticated ? 'Go to Dashboard' : 'Return to Login'}
+        </a>
+      </div>
+    );
+  }
+
+  const { game } = preview;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Join "{game.gameName}"</h2>
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-blue-800">
+          <p className="flex items-center">
+            <UserGroupIcon className="h-5 w-5 mr-2" />
+            {formatGameType(game.gameType)} • {game.playerCount} {game.playerCount === 1 ? 'player' : 'players'}
+          </p>
+          {game.commissionerName && (
+            <p className="text-sm mt-1">Run by {game.commissionerName}</p>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {isAuthenticated ? (
+        <button
+          onClick={handleJoin}
+          disabled={joining}
+          className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {joining ? 'Joining...' : 'Join Game'}
+        </button>
+      ) : (
+        <>
+          <div className="flex border-b mb-4">
+            {(['register', 'login'] as const).map((tab) => (
+              <button
+                key={tab}
+                onClick={() => { setMode(tab); setError(''); }}
+                className={`flex-1 py-2 text-sm font-medium border-b-2 transition-colors ${
+                  mode === tab ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {tab === 'register' ? 'New here? Create an account' : 'I have an account'}
+              </button>
+            ))}
+          </div>
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                Email
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={formData.email}
+                onChange={handleInputChange}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            {mode === 'register' && (
+              <>
+                <div>
+                  <label htmlFor="firstName" className="block text-sm font-medium text-gray-700 mb-1">
+                    First Name
+                  </label>
+                  <input
+                    type="text"
+                    id="firstName"
+                    name="firstName"
+                    value={formData.firstName}
+                    onChange={handleInputChange}
+                    required
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="lastName" className="block text-sm font-medium text-gray-700 mb-1">
+                    Last Name
+                  </label>
+                  <input
+                    type="text"
+                    id="lastName"
+                    name="lastName"
+                    value={formData.lastName}
+                    onChange={handleInputChange}
+                    required
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              </>
+            )}
+
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                name="password"
+                value={formData.password}
+                onChange={handleInputChange}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            {mode === 'register' && (
+              <div>
+                <label htmlFor="favoriteTeamId" className="block text-sm font-medium text-gray-700 mb-1">
+                  Favorite Team (Optional)
+                </label>
+                <select
+                  id="favoriteTeamId"
+                  name="favoriteTeamId"
+                  value={formData.favoriteTeamId}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Select a team...</option>
+                  {teams.map((team) => (
+                    <option key={team.id} value={team.id}>
+                      {team.team_city} {team.team_name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={joining}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {joining
+                ? 'Joining...'
+                : mode === 'register' ? 'Create Account & Join' : 'Log In & Join'}
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default JoinGame;
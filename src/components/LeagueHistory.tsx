@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { useStore } from '@nanostores/react';
+import { $user, $isAuthenticated, $isLoading, initAuth, logout } from '../stores/auth';
+import type { PickemGame, LeagueHistoryResponse } from '../utils/api';
+import api, { createGameSlug } from '../utils/api';
+import { HomeIcon, ArrowLeftStartOnRectangleIcon, ChartBarIcon, TrophyIcon } from '@heroicons/react/24/outline';
+
+interface LeagueHistoryProps {
+  gameSlug: string;
+}
+
+const GAME_TYPE_LABELS: Record<PickemGame['type'], string> = {
+  week: 'Weekly',
+  weekly: 'Weekly',
+  survivor: 'Survivor',
+  confidence: 'Confidence Points',
+  ats: 'Against the Spread',
+  bracket: 'Playoff Bracket'
+};
+
+const LeagueHistory: React.FC<LeagueHistoryProps> = ({ gameSlug }) => {
+  const user = useStore($user);
+  const isAuthenticated = useStore($isAuthenticated);
+  const isLoading = useStore($isLoading);
+
+  const [game, setGame] = useState<PickemGame | null>(null);
+  const [history, setHistory] = useState<LeagueHistoryResponse | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (typeof window !== 'undefined') {
+      initAuth();
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated && user) {
+      loadHistory();
+    } else if (!isLoading && !isAuthenticated) {
+      window.location.href = '/';
+    }
+  }, [isAuthenticated, user, isLoading, gameSlug]);
+
+  const loadHistory = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const gameResponse = await api.getGameBySlug(gameSlug);
+      if (!gameResponse.success || !gameResponse.data) {
+        setError(gameResponse.error || 'Game not found or access denied');
+        return;
+      }
+      setGame(gameResponse.data.game);
+
+      const historyResponse = await api.getGameHistory(gameResponse.data.game.id);
+      if (!historyResponse.success || !historyResponse.data) {
+        setError(historyResponse.error || 'Failed to load league history');
+        return;
+      }
+      setHistory(historyResponse.data);
+    } catch (err) {
+      console.error('Error loading league history:', err);
+      setError('Failed to load league history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (isLoading || loading) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex justify-center items-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading league history...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error || !game || !history) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex justify-center items-center">
+        <div className="text-center">
+          <div className="bg-red-100 border border-red-400 text-red-700 px-6 py-4 rounded-lg mb-4">
+            <h3 className="font-bold text-lg mb-2">Error Loading History</h3>
+            <p>{error || 'League history not available'}</p>
+          </div>
+          <a href="/dashboard" className="bg-gray-600 text-white px-6 py-2 rounded-lg hover:bg-gray-700 transition-colors">
+            Back to Dashboard
+          </a>
+        </div>
+      </div>
+    );
+  }
+
+  const titles = new Map<string, { display_name: string; seasons: string[] }>();
+  history.seasons
+    .filter(season => season.is_complete)
+    .forEach(season => season.leaders.forEach(leader => {
+      const entry = titles.get(leader.user_id) || { display_name: leader.display_name, seasons: [] };
+      entry.seasons.push(season.season || '');
+      titles.set(leader.user_id, entry);
+    }));
+  const titleHolders = [...titles.entries()].sort((a, b) => b[1].seasons.length - a[1].seasons.length);
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      {/* Header */}
+      <header className="bg-blue-600 text-white shadow-lg">
+        <div className="container mx-auto px-4 py-6 flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">{history.league?.league_name || game.game_name}</h1>
+            <p className="text-lg opacity-90">League History</p>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <a
+              href={`/game/${gameSlug}`}
+              className="bg-green-500 hover:bg-green-600 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <ChartBarIcon className="h-4 w-4" />
+              <span>Back to Game</span>
+            </a>
+            <a
+              href="/dashboard"
+              className="bg-purple-500 hover:bg-purple-600 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <HomeIcon className="h-4 w-4" />
+              <span>Dashboard</span>
+            </a>
+            <button
+              onClick={logout}
+              className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
+            >
+              <ArrowLeftStartOnRectangleIcon className="h-4 w-4" />
+              <span>Logout</span>
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container mx-auto px-4 py-8 space-y-8">
+        {/* Titles */}
+        {titleHolders.length > 0 && (
+          <div className="bg-white rounded-lg shadow-md">
+            <div className="p-6 border-b">
+              <h2 className="text-xl font-bold text-gray-800 flex items-center space-x-2">
+                <TrophyIcon className="h-6 w-6 text-yellow-500" />
+                <span>Championships</span>
+              </h2>
+            </div>
+            <ul className="divide-y divide-gray-200">
+              {titleHolders.map(([userId, entry]) => (
+                <li key={userId} className="px-6 py-3 flex justify-between items-center">
+                  <span className="font-medium text-gray-800">
+                    {entry.display_name}
+                    {userId === user?.id && <span className="text-xs text-blue-600 ml-2">(you)</span>}
+                  </span>
+                  <span className="text-sm text-gray-600">
+                    {entry.seasons.length} {entry.seasons.length === 1 ? 'title' : 'titles'} ({entry.seasons.join(', ')})
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Seasons */}
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="p-6 border-b">
+            <h2 className="text-xl font-bold text-gray-800">Seasons</h2>
+            {!history.league && (
+              <p className="text-sm text-gray-600 mt-1">
+                Past seasons appear here once the commissioner starts a new season for this game.
+              </p>
+            )}
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {history.seasons.map(season => (
+              <li key={season.game_id} className="px-6 py-4 flex flex-col md:flex-row md:justify-between md:items-center gap-2">
+                <div>
+                  <div className="font-semibold text-gray-800">{season.season} Season</div>
+                  <div className="text-sm text-gray-500">
+                    {GAME_TYPE_LABELS[season.game_type] || season.game_type} · {season.player_count} players
+                  </div>
+                </div>
+                <div className="flex items-center space-x-4">
+                  <div className="text-sm text-right">
+                    {season.leaders.length === 0 ? (
+                      <span className="text-gray-400">{season.is_complete ? 'No champion' : 'Not started'}</span>
+                    ) : (
+                      <>
+                        <span className="text-gray-500">{season.is_complete ? 'Champion: ' : 'Leading: '}</span>
+                        <span className="font-medium text-gray-800">
+                          {season.leaders.map(leader => leader.display_name).join(', ')}
+                        </span>
+                      </>
+                    )}
+                  </div>
+                  <a
+                    href={`/game/${createGameSlug(season.game_name)}/scores`}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    Standings
+                  </a>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default LeagueHistory;
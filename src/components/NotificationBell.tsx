@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { BellIcon } from '@heroicons/react/24/outline';
+import api, { type AppNotification } from '../utils/api';
+
+interface NotificationBellProps {
+  className?: string;
+}
+
+// How often the unread badge is refreshed while a page is open
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const formatAge = (createdAt: string | null) => {
+  if (!createdAt) return '';
+  const minutes = Math.floor((Date.now() - new Date(createdAt).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+const NotificationBell: React.FC<NotificationBellProps> = ({ className = '' }) => {
+  const [notifications, setNotifications] = useState<AppNotification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    loadNotifications();
+    const interval = setInterval(loadNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event: MouseEvent) => {
+      if (menuRef.current && !menuRef.current.contains(event.target as Node)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const loadNotifications = async () => {
+    try {
+      const response = await api.getNotifications();
+      if (response.success && response.data) {
+        setNotifications(response.data.notifications);
+        setUnreadCount(response.data.unreadCount);
+      }
+    } catch (err) {
+      console.error('Failed to load notifications:', err);
+    }
+  };
+
+  const markRead = async (ids?: string[]) => {
+    const response = await api.markNotificationsRead(ids);
+    if (response.success && response.data) {
+      setUnreadCount(response.data.unreadCount);
+      setNotifications(prev => prev.map(notification =>
+        !ids || ids.includes(notification.id) ? { ...notification, isRead: true } : notification
+      ));
+    }
+  };
+
+  const handleNotificationClick = async (notification: AppNotification) => {
+    if (!notification.isRead) {
+      await markRead([notification.id]);
+    }
+    if (notification.link) {
+      window.location.href = notification.link;
+    }
+  };
+
+  return (
+    <div className={`relative ${className}`} ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative bg-blue-500 hover:bg-blue-600 text-white p-2 rounded-lg transition-colors"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <BellIcon className="h-6 w-6" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs font-bold rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white text-gray-800 rounded-lg shadow-xl border border-gray-200 z-50">
+          <div className="flex justify-between items-center px-4 py-3 border-b">
+            <h3 className="font-semibold">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markRead()}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    onClick={() => handleNotificationClick(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 transition-colors ${
+                      notification.isRead ? '' : 'bg-blue-50'
+                    }`}
+                  >
+                    <div className="flex justify-between items-start space-x-2">
+                      <p className={`text-sm ${notification.isRead ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                        {notification.title}
+                      </p>
+                      {!notification.isRead && (
+                        <span className="mt-1 h-2 w-2 rounded-full bg-blue-600 flex-shrink-0" />
+                      )}
+                    </div>
+                    {notification.message && (
+                      <p className="text-sm text-gray-600 mt-1">{notification.message}</p>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1">{formatAge(notification.createdAt)}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
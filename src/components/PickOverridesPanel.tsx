@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import api, { type GameParticipant, type NFLGame, type PickOverride } from '../utils/api';
+
+interface PickOverridesPanelProps {
+  gameId: string;
+  gameType: string;
+  seasonId: string;
+  week: number;
+  participants: GameParticipant[];
+  // Owners, admins and co-commissioners with edit_picks can enter picks for players
+  canOverride: boolean;
+  // Called after an override so the view can reload the week's picks
+  onOverride?: () => void;
+}
+
+// Matches the server's limit
+const MAX_REASON_LENGTH = 500;
+
+const formatTime = (createdAt: string) =>
+  new Date(createdAt).toLocaleDateString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const formatTeam = (team: string | null, confidence: number | null) =>
+  confidence ? `${team} (${confidence})` : team;
+
+const describeOverride = (override: PickOverride) => {
+  if (override.isHidden) {
+    return override.action === 'delete' ? 'removed a pick' : override.action === 'update' ? 'changed a pick' : 'entered a pick';
+  }
+
+  const previous = formatTeam(override.previousTeam, override.previousConfidence);
+  const next = formatTeam(override.newTeam, override.newConfidence);
+
+  if (override.action === 'delete') {
+    return `removed the ${previous} pick`;
+  }
+  if (override.action === 'update') {
+    return `changed ${previous} to ${next}`;
+  }
+  return `entered ${next}`;
+};
+
+const PickOverridesPanel: React.FC<PickOverridesPanelProps> = ({
+  gameId, gameType, seasonId, week, participants, canOverride, onOverride
+}) => {
+  const [overrides, setOverrides] = useState<PickOverride[]>([]);
+  const [footballGames, setFootballGames] = useState<NFLGame[]>([]);
+  const [userId, setUserId] = useState('');
+  const [footballGameId, setFootballGameId] = useState('');
+  const [pickTeamId, setPickTeamId] = useState('');
+  const [confidence, setConfidence] = useState('');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const isConfidenceGame = gameType === 'confidence';
+  const selectedGame = footballGames.find(g => g.id === footballGameId);
+
+  useEffect(() => {
+    loadOverrides();
+  }, [gameId, week]);
+
+  useEffect(() => {
+    if (canOverride) {
+      loadFootballGames();
+    }
+  }, [canOverride, seasonId, week]);
+
+  const loadOverrides = async () => {
+    try {
+      const response = await api.getPickOverrides(gameId, week);
+      if (response.success && response.data) {
+        setOverrides(response.data.overrides);
+      }
+    } catch (err) {
+      console.error('Failed to load pick overrides:', err);
+    }
+  };
+
+  const loadFootballGames = async () => {
+    const response = await api.getSeasonGames(seasonId, week);
+    if (response.success && response.data) {
+      setFootballGames(response.data.games);
+      setFootballGameId('');
+      setPickTeamId('');
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await api.overridePick(gameId, {
+        userId,
+        footballGameId,
+        pickTeamId: pickTeamId === 'remove' ? null : pickTeamId,
+        confidence: isConfidenceGame && pickTeamId !== 'remove' ? Number(confidence) : undefined,
+        reason: reason.trim()
+      });
+      if (response.success && response.data) {
+        setOverrides(prev => [response.data!.override, ...prev]);
+        setPickTeamId('');
+        setConfidence('');
+        setReason('');
+        onOverride?.();
+      } else {
+        setError(response.error || 'Failed to override pick');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Nothing to show players until a commissioner has stepped in
+  if (!canOverride && overrides.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1 flex items-center">
+        <ShieldCheckIcon className="h-6 w-6 mr-2 text-blue-600" />
+        Pick Overrides
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Picks a commissioner entered or changed for a player in Week {week}
+      </p>
+
+      {canOverride && (
+        <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-4 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <select
+              value={userId}
+              onChange={(e) => setUserId(e.target.value)}
+              required
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Player...</option>
+              {participants.map(participant => (
+                <option key={participant.user_id} value={participant.user_id}>
+                  {participant.display_name || `${participant.first_name} ${participant.last_name}`}
+                </option>
+              ))}
+            </select>
+            <select
+              value={footballGameId}
+              onChange={(e) => { setFootballGameId(e.target.value); setPickTeamId(''); }}
+              required
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Game...</option>
+              {footballGames.map(footballGame => (
+                <option key={footballGame.id} value={footballGame.id}>
+                  {footballGame.away_team_code} @ {footballGame.home_team_code}
+                </option>
+              ))}
+            </select>
+            <select
+              value={pickTeamId}
+              onChange={(e) => setPickTeamId(e.target.value)}
+              required
+              disabled={!selectedGame}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+            >
+              <option value="">Pick...</option>
+              {selectedGame && (
+                <>
+                  <option value={selectedGame.away_team_id}>{selectedGame.away_team_code}</option>
+                  <option value={selectedGame.home_team_id}>{selectedGame.home_team_code}</option>
+                </>
+              )}
+              <option value="remove">Remove pick</option>
+            </select>
+          </div>
+
+          {isConfidenceGame && pickTeamId !== 'remove' && (
+            <input
+              type="number"
+              min={1}
+              value={confidence}
+              onChange={(e) => setConfidence(e.target.value)}
+              required
+              placeholder="Confidence"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          )}
+
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={MAX_REASON_LENGTH}
+            required
+            placeholder="Reason (shown to everyone in the game)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+
+          {error && (
+            <p className="text-sm text-red-600">{error}</p>
+          )}
+
+          <button
+            type="submit"
+            disabled={saving || !reason.trim()}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Override Pick'}
+          </button>
+        </form>
+      )}
+
+      {overrides.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">No picks have been overridden this week.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {overrides.map(override => (
+            <li key={override.id} className="py-3">
+              <p className="text-sm text-gray-800">
+                <span className="font-semibold">{override.overriddenByName}</span>
+                {' '}{describeOverride(override)} for{' '}
+                <span className="font-semibold">{override.playerName}</span>
+                {override.matchup && ` on ${override.matchup}`}
+              </p>
+              <p className="text-sm text-gray-600 italic break-words">"{override.reason}"</p>
+              <p className="text-xs text-gray-400 mt-1">{formatTime(override.createdAt)}</p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PickOverridesPanel;
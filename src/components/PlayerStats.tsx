@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react';
+import type { UserStats, PickTally, WeekPickStats } from '../utils/api';
+import api from '../utils/api';
+import { ChartBarIcon, FireIcon, ShieldCheckIcon } from '@heroicons/react/24/outline';
+
+interface PlayerStatsProps {
+  userId: string;
+}
+
+const formatAccuracy = (tally: PickTally) => tally.graded_picks > 0 ? `${tally.accuracy}%` : '—';
+
+const StatTile: React.FC<{ label: string; value: React.ReactNode; detail?: string }> = ({ label, value, detail }) => (
+  <div className="bg-gray-50 rounded-lg p-4">
+    <div className="text-sm text-gray-500">{label}</div>
+    <div className="text-2xl font-bold text-gray-800">{value}</div>
+    {detail && <div className="text-xs text-gray-500 mt-1">{detail}</div>}
+  </div>
+);
+
+const SplitRow: React.FC<{ label: string; tally: PickTally }> = ({ label, tally }) => (
+  <div className="flex justify-between items-center py-2">
+    <span className="text-gray-700">{label}</span>
+    <span className="text-sm text-gray-600">
+      <span className="font-semibold text-gray-800">{formatAccuracy(tally)}</span>
+      <span className="ml-2">{tally.correct_picks}/{tally.graded_picks}</span>
+    </span>
+  </div>
+);
+
+const weekLabel = (week: WeekPickStats) =>
+  `${week.season ? `${week.season} ` : ''}${week.is_postseason ? 'Playoffs ' : ''}Week ${week.week}`;
+
+const PlayerStats: React.FC<PlayerStatsProps> = ({ userId }) => {
+  const [stats, setStats] = useState<UserStats | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadStats();
+  }, [userId]);
+
+  const loadStats = async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const response = await api.getUserStats(userId);
+      if (response.success && response.data) {
+        setStats(response.data.stats);
+      } else {
+        setError(response.error || 'Failed to load stats');
+      }
+    } catch (err) {
+      console.error('Error loading stats:', err);
+      setError('Failed to load stats');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error || !stats) {
+    return (
+      <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+        {error || 'Stats not available'}
+      </div>
+    );
+  }
+
+  if (stats.career.picks === 0 && stats.survivor.games.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 text-center text-gray-600">
+        No picks yet. Your stats will show up here once you start making picks.
+      </div>
+    );
+  }
+
+  const { best, worst } = stats.weeks;
+
+  return (
+    <div className="space-y-6">
+      {/* Career */}
+      <div className="bg-white rounded-lg shadow-md">
+        <div className="p-6 border-b">
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center space-x-2">
+            <ChartBarIcon className="h-6 w-6 text-blue-600" />
+            <span>Career</span>
+          </h2>
+          <p className="text-gray-600 mt-1">
+            {stats.career.games_played} {stats.career.games_played === 1 ? 'game' : 'games'} across {stats.career.seasons_played} {stats.career.seasons_played === 1 ? 'season' : 'seasons'}
+          </p>
+        </div>
+        <div className="p-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+          <StatTile
+            label="Accuracy"
+            value={formatAccuracy(stats.career)}
+            detail={`${stats.career.correct_picks} of ${stats.career.graded_picks} graded picks`}
+          />
+          <StatTile
+            label="Total Picks"
+            value={stats.career.picks}
+            detail={stats.career.pushes > 0 ? `${stats.career.pushes} pushes` : undefined}
+          />
+          <StatTile
+            label="Longest Streak"
+            value={stats.streaks.longest}
+            detail={`Current streak: ${stats.streaks.current}`}
+          />
+          <StatTile
+            label="Best Week"
+            value={best ? `${best.correct_picks}/${best.graded_picks}` : '—'}
+            detail={best ? `${weekLabel(best)} · ${best.game_name}` : undefined}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Splits */}
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="p-6 border-b">
+            <h3 className="text-xl font-bold text-gray-800">Splits</h3>
+          </div>
+          <div className="p-6 divide-y divide-gray-200">
+            <SplitRow label="Home teams" tally={stats.home_away.home} />
+            <SplitRow label="Away teams" tally={stats.home_away.away} />
+            <SplitRow label="Favorites" tally={stats.favorite_underdog.favorite} />
+            <SplitRow label="Underdogs" tally={stats.favorite_underdog.underdog} />
+          </div>
+          {worst && worst !== best && (
+            <div className="px-6 pb-6 text-sm text-gray-600">
+              Worst week: <span className="font-medium text-gray-800">{worst.correct_picks}/{worst.graded_picks}</span> in {weekLabel(worst)} · {worst.game_name}
+            </div>
+          )}
+        </div>
+
+        {/* Seasons */}
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="p-6 border-b">
+            <h3 className="text-xl font-bold text-gray-800">By Season</h3>
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {stats.seasons.map(season => (
+              <li key={season.season_id} className="px-6 py-3 flex justify-between items-center">
+                <span className="font-medium text-gray-800">{season.season || 'Unknown'} Season</span>
+                <span className="text-sm text-gray-600">
+                  <span className="font-semibold text-gray-800">{formatAccuracy(season)}</span>
+                  <span className="ml-2">{season.correct_picks}/{season.graded_picks}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      {/* Teams */}
+      {stats.teams.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="p-6 border-b">
+            <h3 className="text-xl font-bold text-gray-800 flex items-center space-x-2">
+              <FireIcon className="h-6 w-6 text-orange-500" />
+              <span>By Team Picked</span>
+            </h3>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Team</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Picks</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Correct</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Accuracy</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {stats.teams.map(team => (
+                  <tr key={team.team_id}>
+                    <td className="px-6 py-2 text-gray-800">{team.team_city} {team.team_name}</td>
+                    <td className="px-6 py-2 text-right text-gray-600">{team.picks}</td>
+                    <td className="px-6 py-2 text-right text-gray-600">{team.correct_picks}/{team.graded_picks}</td>
+                    <td className="px-6 py-2 text-right font-semibold text-gray-800">{formatAccuracy(team)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Survivor */}
+      {stats.survivor.games.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md">
+          <div className="p-6 border-b">
+            <h3 className="text-xl font-bold text-gray-800 flex items-center space-x-2">
+              <ShieldCheckIcon className="h-6 w-6 text-green-600" />
+              <span>Survivor</span>
+            </h3>
+            <p className="text-gray-600 mt-1">
+              Longest run: {stats.survivor.longest} weeks · Average: {stats.survivor.average} weeks
+            </p>
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {stats.survivor.games.map(game => (
+              <li key={game.game_id} className="px-6 py-3 flex justify-between items-center">
+                <div>
+                  <div className="font-medium text-gray-800">{game.game_name}</div>
+                  {game.season && <div className="text-sm text-gray-500">{game.season} Season</div>}
+                </div>
+                <div className="text-sm text-right">
+                  <div className="font-semibold text-gray-800">
+                    {game.weeks_survived} {game.weeks_survived === 1 ? 'week' : 'weeks'}
+                  </div>
+                  {game.status === 'eliminated' ? (
+                    <div className="text-red-600">Eliminated{game.eliminated_week ? ` week ${game.eliminated_week}` : ''}</div>
+                  ) : (
+                    <div className="text-green-600">Alive</div>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlayerStats;
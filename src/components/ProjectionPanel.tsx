@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import type { WeekProjection, ProjectionGame, NFLTeam } from '../utils/api';
+import api from '../utils/api';
+import { BoltIcon } from '@heroicons/react/24/outline';
+
+interface ProjectionPanelProps {
+  gameId: string;
+  seasonId: string;
+  week: number;
+  teams: NFLTeam[];
+  userId?: string;
+  // Bumped by the parent whenever live scores or pick results arrive
+  refreshKey: number;
+}
+
+// "Q3 7:42", "OT 2:05", "Half"
+const formatClock = (game: ProjectionGame) => {
+  if (game.status === 'STATUS_HALFTIME') return 'Half';
+  if (!game.quarter) return 'Live';
+
+  const period = game.quarter > 4 ? 'OT' : `Q${game.quarter}`;
+  if (game.time_remaining === null) return period;
+
+  const minutes = Math.floor(game.time_remaining / 60);
+  const seconds = String(game.time_remaining % 60).padStart(2, '0');
+  return `${period} ${minutes}:${seconds}`;
+};
+
+const ProjectionPanel: React.FC<ProjectionPanelProps> = ({ gameId, seasonId, week, teams, userId, refreshKey }) => {
+  const [projection, setProjection] = useState<WeekProjection | null>(null);
+
+  useEffect(() => {
+    loadProjection();
+  }, [gameId, seasonId, week, refreshKey]);
+
+  const loadProjection = async () => {
+    try {
+      const response = await api.getWeekProjection(gameId, week, seasonId);
+      setProjection(response.success && response.data ? response.data : null);
+    } catch (err) {
+      console.error('Error loading projection:', err);
+      setProjection(null);
+    }
+  };
+
+  // Only worth showing while something is still being played
+  if (!projection || !projection.is_live) {
+    return null;
+  }
+
+  const teamCode = (teamId: string) => teams.find(t => t.id === teamId)?.team_code || '';
+  const liveGames = projection.games.filter(g => g.state === 'live');
+
+  return (
+    <div className="bg-white rounded-lg shadow-md mb-8">
+      <div className="p-6 border-b">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center space-x-2">
+          <BoltIcon className="h-6 w-6 text-orange-500" />
+          <span>Week {projection.week} Projection</span>
+        </h3>
+        <p className="text-sm text-gray-600 mt-1">
+          Standings if every game in progress ends the way it stands now
+        </p>
+      </div>
+
+      {/* Games in progress */}
+      <div className="px-6 py-4 border-b flex flex-wrap gap-3">
+        {liveGames.map(g => (
+          <div key={g.id} className="border border-orange-200 bg-orange-50 rounded px-3 py-2 text-sm">
+            <div className="flex items-center space-x-2">
+              <span className={g.leader_team_id === g.away_team_id ? 'font-bold' : ''}>
+                {teamCode(g.away_team_id)} {g.away_score}
+              </span>
+              <span className="text-gray-400">@</span>
+              <span className={g.leader_team_id === g.home_team_id ? 'font-bold' : ''}>
+                {teamCode(g.home_team_id)} {g.home_score}
+              </span>
+            </div>
+            <div className="text-xs text-orange-700">{formatClock(g)}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Proj.</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Player</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Now</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Projected</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Remaining</th>
+              <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Max</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {projection.standings.map(row => (
+              <tr key={row.user_id} className={row.is_eliminated ? 'text-gray-400' : ''}>
+                <td className="px-6 py-2 font-medium">{row.projected_rank}</td>
+                <td className="px-6 py-2">
+                  <span className={row.is_eliminated ? '' : 'text-gray-800'}>{row.display_name}</span>
+                  {row.user_id === userId && <span className="text-xs text-blue-600 ml-2">(you)</span>}
+                  {row.is_eliminated && (
+                    <span className="ml-2 text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded">Eliminated</span>
+                  )}
+                </td>
+                <td className="px-6 py-2 text-right">{row.current_points}</td>
+                <td className="px-6 py-2 text-right font-semibold">{row.projected_points}</td>
+                <td className="px-6 py-2 text-right">{row.remaining_points}</td>
+                <td className="px-6 py-2 text-right">{row.max_points}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectionPanel;
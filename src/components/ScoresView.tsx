@@ -2,10 +2,12 @@
 import React, { useState, useEffect } from 'react';
 import { useStore } from '@nanostores/react';
 import { $user, $isAuthenticated, $isLoading, initAuth, logout } from '../stores/auth';
-import type { PickemGame, GameParticipant, Season, PicksSummary, NFLTeam, SeasonStatus, Pick, NFLGame } from '../utils/api';
-import api from '../utils/api';
-import { UserCircleIcon, HomeIcon, ArrowLeftStartOnRectangleIcon, Bars3Icon, XMarkIcon, TrophyIcon, ChartBarIcon, EyeIcon, ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import type { PickemGame, GameParticipant, Season, PicksSummary, NFLTeam, SeasonStatus, Pick, NFLGame, TiebreakerInfo } from '../utils/api';
+import api, { formatSpread, createGameSlug } from '../utils/api';
+import { UserCircleIcon, HomeIcon, ArrowLeftStartOnRectangleIcon, Bars3Icon, XMarkIcon, TrophyIcon, ChartBarIcon, EyeIcon, ChevronDownIcon, ChevronRightIcon, LockClosedIcon } from '@heroicons/react/24/outline';
 import ScoreUpdateBadge from './ScoreUpdateBadge';
+import FuturesPanel from './FuturesPanel';
+import ProjectionPanel from './ProjectionPanel';
 
 interface ScoresViewProps {
   gameId?: string;
@@ -31,6 +33,21 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
   const [defaultTeam, setDefaultTeam] = useState<NFLTeam | null>(null);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [expandedPlayer, setExpandedPlayer] = useState<string | null>(null);
+  const [weekTiebreaker, setWeekTiebreaker] = useState<TiebreakerInfo | null>(null);
+  const [liveUpdateCount, setLiveUpdateCount] = useState(0);
+
+  // Weekly and confidence games both have a pick for every matchup in the week
+  const hasMatchupPicks = (g: PickemGame | null) =>
+    g?.type === 'week' || g?.type === 'weekly' || g?.type === 'confidence';
+  const isConfidenceGame = game?.type === 'confidence';
+  const isSpreadGame = game?.type === 'ats';
+
+  // A week's winner is only announced once every game in it is final
+  const isWeekFinal = weekGames.length > 0 &&
+    weekGames.every(g => ['STATUS_FINAL', 'STATUS_CLOSED', 'Final'].includes(g.status));
+  const weekWinners = selectedWeek && hasMatchupPicks(game) && isWeekFinal
+    ? picksSummary.filter(player => player.rank === 1 && player.correct_picks > 0)
+    : [];
 
   useEffect(() => {
     if (typeof window !== 'undefined') {
@@ -46,6 +63,36 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
     }
   }, [isAuthenticated, user, isLoading, gameId, gameSlug]);
 
+  // Scores and pick results are pushed from the server as they change
+  useEffect(() => {
+    if (!game || !currentSeason) {
+      return;
+    }
+
+    const reloadStandings = () => {
+      setLiveUpdateCount(count => count + 1);
+      loadPicksSummary(game.id, currentSeason.id, selectedWeek || undefined);
+    };
+
+    return api.subscribeToGame(game.id, {
+      onScores: ({ games }) => {
+        setLiveUpdateCount(count => count + 1);
+        setWeekGames(prev => prev.map(footballGame => {
+          const update = games.find(g => g.id === footballGame.id);
+          return update
+            ? { ...footballGame, home_score: update.home_score, away_score: update.away_score, status: update.status }
+            : footballGame;
+        }));
+      },
+      onPicks: ({ weeks }) => {
+        if (!selectedWeek || weeks.includes(selectedWeek)) {
+          reloadStandings();
+        }
+      },
+      onResync: reloadStandings
+    });
+  }, [game?.id, currentSeason?.id, selectedWeek]);
+
   const loadGameData = async () => {
     try {
       setLoading(true);
@@ -67,14 +114,16 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
         return;
       }
 
+      // A league's past seasons are viewed with their own season's results
+      const gameSeasonId = gameResponse.data.game.season_id;
       const [seasonResponse, teamsResponse, seasonStatusResponse] = await Promise.all([
-        api.getCurrentSeason(),
+        gameSeasonId ? api.getSeason(gameSeasonId) : api.getCurrentSeason(),
         api.getTeams(),
         api.getSeasonStatus()
       ]);
 
       if (!seasonResponse?.success || !seasonResponse.data) {
-        setError('No current season found.');
+        setError('No season found for this game.');
         return;
       }
 
@@ -125,25 +174,79 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
     }
   };
 
+  // The season table is served from the materialized standings
+  const loadSeasonStandings = async (gameId: string, seasonId: string): Promise<PicksSummary[] | null> => {
+    const response = await api.getStandings(gameId, seasonId);
+    if (!response.success || !response.data) {
+      return null;
+    }
+    return response.data.standings.map(standing => ({
+      user_id: standing.user_id,
+      first_name: standing.first_name,
+      last_name: standing.last_name,
+      total_picks: standing.total_picks,
+      correct_picks: standing.correct_picks,
+      pick_percentage: standing.pick_percentage,
+      total_points: standing.points_earned,
+      rank: standing.weekly_rank
+    }));
+  };
+
+  // Weekly ranks come from the materialized standings so tiebreakers are applied
+  const applyWeekStandings = async (gameId: string, seasonId: string, week: number, summary: PicksSummary[]) => {
+    const response = await api.getStandings(gameId, seasonId, week);
+    if (!response.success || !response.data) {
+      setWeekTiebreaker(null);
+      return summary;
+    }
+
+    setWeekTiebreaker(response.data.tiebreaker);
+    const standingsByUser = new Map(response.data.standings.map(standing => [standing.user_id, standing]));
+    return summary
+      .map(player => ({
+        ...player,
+        rank: standingsByUser.get(player.user_id)?.weekly_rank,
+        tiebreaker_score: standingsByUser.get(player.user_id)?.tiebreaker_score
+      }))
+      .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+  };
+
   const loadPicksSummary = async (gameId: string, seasonId: string, week?: number) => {
     try {
+      if (!week) {
+        setWeekTiebreaker(null);
+        const standings = await loadSeasonStandings(gameId, seasonId);
+        if (standings) {
+          setPicksSummary(standings);
+          setWeeklyPicks({}); // Clear weekly picks for overall view
+          setWeekGames([]); // Clear week games for overall view
+          return;
+        }
+      }
+
       const response = await api.getPicksSummary(gameId, seasonId, week);
       
       if (response.success && response.data) {
-        // Sort by correct picks (descending), then by pick percentage (descending)
-        const sortedSummary = response.data.summary.sort((a, b) => {
+        // Sort by confidence points, then correct picks, then pick percentage (all descending)
+        let sortedSummary = response.data.summary.sort((a, b) => {
+          if ((b.total_points || 0) !== (a.total_points || 0)) {
+            return (b.total_points || 0) - (a.total_points || 0);
+          }
           if (b.correct_picks !== a.correct_picks) {
             return b.correct_picks - a.correct_picks;
           }
           return b.pick_percentage - a.pick_percentage;
         });
+        if (week) {
+          sortedSummary = await applyWeekStandings(gameId, seasonId, week, sortedSummary);
+        }
         setPicksSummary(sortedSummary);
         
         // For games with a specific week selected, also load individual picks
         if (week) {
           await loadWeeklyPicks(gameId, seasonId, week, sortedSummary);
           // For weekly games, also load the NFL games for that week
-          if (game?.type === 'week' || game?.type === 'weekly') {
+          if (hasMatchupPicks(game)) {
             await loadWeekGames(seasonId, week);
           }
         } else {
@@ -530,7 +633,7 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                     // Reload picks summary to show updated results
                     loadPicksSummary(game.id, currentSeason.id, selectedWeek || undefined).then(() => {
                       // If we're viewing a specific week, also refresh the weekly picks and games data
-                      if (selectedWeek && (game?.type === 'week' || game?.type === 'weekly')) {
+                      if (selectedWeek && hasMatchupPicks(game)) {
                         loadWeeklyPicks(game.id, currentSeason.id, selectedWeek, picksSummary);
                         loadWeekGames(currentSeason.id, selectedWeek);
                       }
@@ -542,21 +645,61 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
           )}
         </div>
 
+        {/* What-if standings while games are in progress (renders nothing otherwise) */}
+        {currentSeason && ['week', 'weekly', 'confidence', 'ats'].includes(game.type) && (
+          <ProjectionPanel
+            gameId={game.id}
+            seasonId={currentSeason.id}
+            week={selectedWeek || seasonStatus?.week || 1}
+            teams={teams}
+            userId={user?.id}
+            refreshKey={liveUpdateCount}
+          />
+        )}
+
         {/* Standings Table */}
         <div className="bg-white rounded-lg shadow-md">
-          <div className="p-6 border-b">
-            <h3 className="text-xl font-bold text-gray-800">
-              {selectedWeek ? `Week ${selectedWeek} Results` : 'Season Standings'}
-            </h3>
-            <p className="text-sm text-gray-600 mt-1">
-              {selectedWeek
-                ? `Performance for week ${selectedWeek} only`
-                : `Overall performance across all weeks in ${currentSeason?.season || 'current'} season`
-              }
-            </p>
+          <div className="p-6 border-b flex justify-between items-start">
+            <div>
+              <h3 className="text-xl font-bold text-gray-800">
+                {selectedWeek ? `Week ${selectedWeek} Results` : 'Season Standings'}
+              </h3>
+              <p className="text-sm text-gray-600 mt-1">
+                {selectedWeek
+                  ? `Performance for week ${selectedWeek} only`
+                  : `Overall performance across all weeks in ${currentSeason?.season || 'current'} season`
+                }
+              </p>
+            </div>
+            <a
+              href={`/game/${gameSlug || createGameSlug(game.game_name)}/history`}
+              className="text-sm text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+            >
+              <TrophyIcon className="h-4 w-4" />
+              <span>League History</span>
+            </a>
           </div>
 
           <div className="p-6">
+            {weekWinners.length > 0 && (
+              <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4 mb-6 flex items-center space-x-3">
+                <TrophyIcon className="h-6 w-6 text-yellow-600 flex-shrink-0" />
+                <div>
+                  <div className="font-semibold text-gray-800">
+                    Week {selectedWeek} {weekWinners.length > 1 ? 'Co-Winners' : 'Winner'}:{' '}
+                    {weekWinners.map(winner => `${winner.first_name} ${winner.last_name}`).join(', ')}
+                  </div>
+                  {weekTiebreaker?.actualTotal !== null && weekTiebreaker?.actualTotal !== undefined && (
+                    <div className="text-sm text-gray-600">
+                      Tiebreaker total: {weekTiebreaker.actualTotal} points
+                      {weekWinners.length === 1 && weekWinners[0].tiebreaker_score !== null && weekWinners[0].tiebreaker_score !== undefined &&
+                        ` (guessed ${weekWinners[0].tiebreaker_score})`}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+
             {picksSummary.length === 0 ? (
               <div className="text-center py-8">
                 <p className="text-gray-600">No picks data available</p>
@@ -571,9 +714,12 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                       {game?.type === 'survivor' && selectedWeek && (
                         <th className="text-center py-3 px-4 font-semibold text-gray-700">Team Pick</th>
                       )}
-                      {(game?.type === 'week' || game?.type === 'weekly') && selectedWeek && (
+                      {hasMatchupPicks(game) && selectedWeek && (
                         <th className="text-center py-3 px-4 font-semibold text-gray-700">View Picks</th>
                       )}
+                      {isConfidenceGame && (
+                        <th className="text-center py-3 px-4 font-semibold text-gray-700">Points</th>
+                      )}
                       <th className="text-center py-3 px-4 font-semibold text-gray-700">Correct</th>
                       <th className="text-center py-3 px-4 font-semibold text-gray-700">Total</th>
                       <th className="text-center py-3 px-4 font-semibold text-gray-700">Percentage</th>
@@ -581,7 +727,7 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                   </thead>
                   <tbody>
                     {picksSummary.map((player, index) => {
-                      const rank = index + 1;
+                      const rank = player.rank ?? index + 1;
                       const isCurrentUser = player.user_id === user?.id;
                       const playerPicks = weeklyPicks[player.user_id] || [];
                       const playerPick = playerPicks.length > 0 ? playerPicks[0] : null; // Survivor games have only one pick per week
@@ -610,7 +756,7 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                                 )}
                               </div>
                             </td>
-                            {(game?.type === 'week' || game?.type === 'weekly') && selectedWeek && (
+                            {hasMatchupPicks(game) && selectedWeek && (
                               <td className="py-4 px-4 text-center">
                                 <button
                                   onClick={() => setExpandedPlayer(isExpanded ? null : player.user_id)}
@@ -627,7 +773,12 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                             )}
                             {game?.type === 'survivor' && selectedWeek && (
                               <td className="py-4 px-4 text-center">
-                                {pickedTeam ? (
+                                {playerPick?.is_hidden ? (
+                                  <span className="inline-flex items-center text-gray-400 text-sm" title="Revealed when picks lock">
+                                    <LockClosedIcon className="h-4 w-4 mr-1" />
+                                    Hidden
+                                  </span>
+                                ) : pickedTeam ? (
                                   <div className="flex items-center justify-center space-x-2">
                                     <img
                                       src={pickedTeam.team_logo || `/logos/${pickedTeam.team_code}.svg`}
@@ -643,7 +794,14 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                                       }}
                                     />
                                     <div className="text-sm">
-                                      <div className="font-medium">{pickedTeam.team_code}</div>
+                                      <div className="font-medium">
+                                        {pickedTeam.team_code}
+                                        {!!playerPick?.is_auto && (
+                                          <span className="ml-1 text-xs font-medium text-amber-800 bg-amber-100 px-1.5 py-0.5 rounded-full" title="Picked automatically after the player missed the lock">
+                                            Auto
+                                          </span>
+                                        )}
+                                      </div>
                                       {playerPick && playerPick.is_correct !== null && (
                                         <div className="text-xs">
                                           {playerPick.is_correct ? (
@@ -660,6 +818,13 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                                 )}
                               </td>
                             )}
+                            {isConfidenceGame && (
+                              <td className="py-4 px-4 text-center">
+                                <span className="font-bold text-lg text-blue-600">
+                                  {player.total_points || 0}
+                                </span>
+                              </td>
+                            )}
                             <td className="py-4 px-4 text-center">
                               <span className={`font-bold text-lg ${
                                 player.correct_picks > 0 ? 'text-green-600' : 'text-gray-500'
@@ -696,9 +861,9 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                           </tr>
                           
                           {/* Expanded row showing detailed picks for weekly games */}
-                          {(game?.type === 'week' || game?.type === 'weekly') && selectedWeek && isExpanded && (
+                          {hasMatchupPicks(game) && selectedWeek && isExpanded && (
                             <tr className="bg-gray-50">
-                              <td colSpan={6} className="px-4 py-6">
+                              <td colSpan={isConfidenceGame ? 7 : 6} className="px-4 py-6">
                                 <div className="bg-white rounded-lg p-4 shadow-sm">
                                   <h4 className="text-lg font-semibold text-gray-800 mb-4">
                                     {player.first_name} {player.last_name}'s Picks - Week {selectedWeek}
@@ -713,6 +878,12 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                                         const pickedTeam = pick ? teams.find(t => t.id === pick.pick_team_id) : null;
                                         const homeTeam = teams.find(t => t.id === nflGame.home_team_id);
                                         const awayTeam = teams.find(t => t.id === nflGame.away_team_id);
+                                        // ATS picks are graded against the line locked in with the pick
+                                        const line = formatSpread(
+                                          isSpreadGame && pick?.spread !== null && pick?.spread !== undefined ? pick.spread : nflGame.spread,
+                                          homeTeam?.team_code || '',
+                                          awayTeam?.team_code || ''
+                                        );
                                         
                                         return (
                                           <div
@@ -720,6 +891,7 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                                             className={`border rounded-lg p-3 ${
                                               pick?.is_correct === true ? 'border-green-200 bg-green-50' :
                                               pick?.is_correct === false ? 'border-red-200 bg-red-50' :
+                                              pick?.is_push ? 'border-gray-300 bg-gray-50' :
                                               'border-gray-200'
                                             }`}
                                           >
@@ -729,6 +901,11 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                                                 <div className="text-sm">
                                                   <div className="font-medium">
                                                     {awayTeam?.team_code} @ {homeTeam?.team_code}
+                                                    {line && (
+                                                      <span className="ml-2 text-xs font-mono text-gray-600 bg-gray-100 px-2 py-0.5 rounded-full">
+                                                        {line}
+                                                      </span>
+                                                    )}
                                                   </div>
                                                   <div className="text-gray-500">
                                                     {new Date(nflGame.start_time).toLocaleDateString()} at{' '}
@@ -741,7 +918,12 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                                                 
                                                 {/* Pick */}
                                                 <div className="flex items-center space-x-2">
-                                                  {pickedTeam ? (
+                                                  {pick?.is_hidden ? (
+                                                    <span className="inline-flex items-center text-gray-400 text-sm" title="Revealed when picks lock">
+                                                      <LockClosedIcon className="h-4 w-4 mr-1" />
+                                                      Pick hidden until lock
+                                                    </span>
+                                                  ) : pickedTeam ? (
                                                     <>
                                                       <span className="text-sm text-gray-600">Picked:</span>
                                                       <img
@@ -758,6 +940,16 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                                                         }}
                                                       />
                                                       <span className="font-medium text-sm">{pickedTeam.team_code}</span>
+                                                      {!!pick?.is_auto && (
+                                                        <span className="text-xs font-medium text-amber-800 bg-amber-100 px-2 py-0.5 rounded-full" title="Picked automatically after the player missed the lock">
+                                                          Auto
+                                                        </span>
+                                                      )}
+                                                      {isConfidenceGame && pick?.confidence && (
+                                                        <span className="text-xs font-bold text-blue-800 bg-blue-100 px-2 py-0.5 rounded-full">
+                                                          {pick.confidence} pts
+                                                        </span>
+                                                      )}
                                                     </>
                                                   ) : (
                                                     <span className="text-gray-400 text-sm">No pick</span>
@@ -779,6 +971,9 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
                                                 {pick?.is_correct === false && (
                                                   <span className="text-red-600 font-bold">✗</span>
                                                 )}
+                                                {pick?.is_push && (
+                                                  <span className="text-gray-600 font-bold text-sm">Push</span>
+                                                )}
                                               </div>
                                             </div>
                                             
@@ -808,6 +1003,9 @@ const ScoresView: React.FC<ScoresViewProps> = ({ gameId, gameSlug }) => {
             )}
           </div>
         </div>
+
+        {/* Futures (renders nothing unless the game has futures enabled) */}
+        {game && <FuturesPanel gameId={game.id} userId={user?.id} />}
       </main>
     </div>
   );
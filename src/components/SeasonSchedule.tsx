@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useStore } from '@nanostores/react';
 import { $user, $isAuthenticated, $isLoading, initAuth } from '../stores/auth';
-import { HomeIcon } from '@heroicons/react/24/outline';
+import { HomeIcon, ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import { formatSpread } from '../utils/api';
 
 interface Season {
   id: string;
@@ -22,6 +23,7 @@ interface NFLGame {
   away_score: number;
   start_time: string;
   status: string;
+  spread?: number | null;
   home_team_city: string;
   home_team_name: string;
   home_team_code: string;
@@ -40,6 +42,10 @@ const SeasonSchedule: React.FC = () => {
   const [error, setError] = useState('');
   const [editingGame, setEditingGame] = useState<string | null>(null);
   const [editDateTime, setEditDateTime] = useState('');
+  const [editingSpread, setEditingSpread] = useState<string | null>(null);
+  const [editSpreadValue, setEditSpreadValue] = useState('');
+  const [importMessage, setImportMessage] = useState('');
+  const [importing, setImporting] = useState(false);
 
   const seasonYear = typeof window !== 'undefined' ? 
     window.location.pathname.split('/')[3] : null;
@@ -139,6 +145,80 @@ const SeasonSchedule: React.FC = () => {
     }
   };
 
+  const updateGameSpread = async (gameId: string, value: string) => {
+    const spread = value.trim() === '' ? null : Number(value);
+    if (spread !== null && !Number.isFinite(spread)) {
+      setError('Spread must be a number');
+      return;
+    }
+
+    try {
+      const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+      const response = await fetch(`/api/admin/football-games/${gameId}/spread`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ spread })
+      });
+
+      if (response.ok) {
+        setGames(games.map(g =>
+          g.id === gameId ? { ...g, spread } : g
+        ));
+        setEditingSpread(null);
+        setEditSpreadValue('');
+      } else {
+        setError('Failed to update game spread');
+      }
+    } catch (err) {
+      setError('Failed to update game spread');
+    }
+  };
+
+  const importSpreads = async (file: File) => {
+    if (!season) return;
+
+    const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+
+    try {
+      setImporting(true);
+      setImportMessage('');
+      const content = await file.text();
+      const token = typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+      const response = await fetch(`/api/admin/seasons/${season.id}/spreads/import`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ format, content })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setImportMessage(
+          data.skipped.length > 0
+            ? `${data.message}. Skipped rows: ${data.skipped.map((s: { row: number; reason: string }) => `${s.row} (${s.reason})`).join(', ')}`
+            : data.message
+        );
+        await loadSeasonAndGames();
+      } else {
+        setError(data.error || 'Failed to import spreads');
+      }
+    } catch (err) {
+      setError('Failed to import spreads');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const startEditingSpread = (game: NFLGame) => {
+    setEditingSpread(game.id);
+    setEditSpreadValue(game.spread === null || game.spread === undefined ? '' : String(game.spread));
+  };
+
   const startEditing = (game: NFLGame) => {
     setEditingGame(game.id);
     // Format datetime for input
@@ -364,7 +444,7 @@ const SeasonSchedule: React.FC = () => {
                           </div>
                         </div>
 
-                        <div className="mt-3 pt-3 border-t">
+                        <div className="mt-3 pt-3 border-t flex items-center justify-between">
                           <span className={`text-xs px-2 py-1 rounded font-medium ${
                             game.status === 'STATUS_FINAL'
                               ? 'bg-green-100 text-green-800'
@@ -374,6 +454,41 @@ const SeasonSchedule: React.FC = () => {
                           }`}>
                             {game.status?.replace('STATUS_', '') || 'SCHEDULED'}
                           </span>
+                          {editingSpread === game.id ? (
+                            <div className="flex items-center space-x-1">
+                              <input
+                                type="number"
+                                step="0.5"
+                                value={editSpreadValue}
+                                onChange={(e) => setEditSpreadValue(e.target.value)}
+                                placeholder={`${game.home_team_code} line`}
+                                className="w-20 text-xs border border-orange-300 rounded px-2 py-1 focus:outline-none focus:ring-2 focus:ring-orange-500"
+                              />
+                              <button
+                                onClick={() => updateGameSpread(game.id, editSpreadValue)}
+                                className="bg-green-500 text-white px-2 py-1 rounded text-xs hover:bg-green-600"
+                              >
+                                Save
+                              </button>
+                              <button
+                                onClick={() => {
+                                  setEditingSpread(null);
+                                  setEditSpreadValue('');
+                                }}
+                                className="bg-gray-500 text-white px-2 py-1 rounded text-xs hover:bg-gray-600"
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          ) : (
+                            <button
+                              onClick={() => startEditingSpread(game)}
+                              className="text-xs text-gray-600 hover:bg-orange-50 px-2 py-1 rounded font-mono"
+                              title={`Spread from the ${game.home_team_code} perspective`}
+                            >
+                              {formatSpread(game.spread, game.home_team_code, game.away_team_code) || 'Set line'}
+                            </button>
+                          )}
                         </div>
                       </div>
                     ))}
@@ -399,9 +514,26 @@ const SeasonSchedule: React.FC = () => {
                 {season.year} Schedule
               </nav>
               <h1 className="text-3xl font-bold">{season.year} NFL Schedule</h1>
-              <p className="text-lg opacity-90">{games.length} games • Click dates/times to edit</p>
+              <p className="text-lg opacity-90">{games.length} games • Click dates/times or lines to edit</p>
             </div>
             <div className="flex items-center space-x-4">
+              <label
+                className={`bg-white text-orange-600 hover:bg-orange-50 px-4 py-2 rounded-lg transition-colors flex items-center space-x-2 cursor-pointer ${importing ? 'opacity-50 pointer-events-none' : ''}`}
+                title="CSV with week,away,home,spread columns or a JSON array of the same fields"
+              >
+                <ArrowUpTrayIcon className="h-4 w-4" />
+                <span>{importing ? 'Importing...' : 'Import Spreads'}</span>
+                <input
+                  type="file"
+                  accept=".csv,.json"
+                  className="hidden"
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    if (file) importSpreads(file);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
               <a
                 href="/admin/seasons"
                 className="bg-gray-600 text-white hover:bg-opacity-30 px-4 py-2 rounded-lg transition-colors"
@@ -420,6 +552,12 @@ const SeasonSchedule: React.FC = () => {
           </div>
         )}
 
+        {importMessage && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-6">
+            {importMessage}
+          </div>
+        )}
+
         <div className="space-y-8">
           {/* Render Preseason */}
           {renderSeasonSection(1, preseasonGames)}
@@ -1,10 +1,13 @@
 
 import React, { useState, useEffect } from 'react';
 import { logout } from '../stores/auth';
-import type { PickemGame, GameParticipant, Season, NFLGame, Pick, NFLTeam, TeamSurvivorStats } from '../utils/api';
-import api, { createGameSlug } from '../utils/api';
-import { UserCircleIcon, HomeIcon, ArrowLeftStartOnRectangleIcon, Bars3Icon, XMarkIcon, ClockIcon, CheckCircleIcon, TrophyIcon } from '@heroicons/react/24/outline';
+import type { PickemGame, GameParticipant, Season, NFLGame, Pick, NFLTeam, TeamSurvivorStats, SurvivorStandingsResponse } from '../utils/api';
+import api, { createGameSlug, getGamePermissions } from '../utils/api';
+import { UserCircleIcon, HomeIcon, ArrowLeftStartOnRectangleIcon, Bars3Icon, XMarkIcon, ClockIcon, CheckCircleIcon, TrophyIcon, HeartIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
 import ScoreUpdateBadge from './ScoreUpdateBadge';
+import NotificationBell from './NotificationBell';
+import ChatPanel from './ChatPanel';
+import PickOverridesPanel from './PickOverridesPanel';
 
 interface SurvivorGameViewProps {
   gameId?: string;
@@ -18,6 +21,7 @@ interface SurvivorStats {
   aliveCount: number;
   eliminatedCount: number;
   currentWeekSubmissions: number;
+  lives: number;
 }
 
 interface TeamPickHistory {
@@ -47,6 +51,16 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [picksLocked, setPicksLocked] = useState(false);
   const [teamsPlayingThisWeek, setTeamsPlayingThisWeek] = useState<Set<string>>(new Set());
+  const [survivorStandings, setSurvivorStandings] = useState<SurvivorStandingsResponse | null>(null);
+  const [updatingSurvivor, setUpdatingSurvivor] = useState(false);
+
+  const myStanding = survivorStandings?.standings.find(s => s.user_id === user?.id);
+  const isEliminated = myStanding?.survivor_status === 'eliminated';
+  const myParticipant = game?.participants?.find(p => p.user_id === user?.id);
+  const isOwner = !!user?.isAdmin || myParticipant?.role === 'owner';
+  const canEditRules = !!user?.isAdmin || getGamePermissions(myParticipant).includes('edit_rules');
+  const canOverridePicks = !!user?.isAdmin || getGamePermissions(myParticipant).includes('edit_picks');
+  const canModerateChat = !!user?.isAdmin || getGamePermissions(myParticipant).includes('moderate_chat');
 
   useEffect(() => {
     // Initialize data when component mounts
@@ -61,6 +75,20 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
     }
   }, []); // Empty dependency array - only run once on mount
 
+  // Pick results are pushed from the server once games are graded
+  useEffect(() => {
+    if (!game || !currentSeason) {
+      return;
+    }
+
+    const reloadSurvivor = () => loadSurvivorData(game.id, currentSeason.id);
+
+    return api.subscribeToGame(game.id, {
+      onPicks: reloadSurvivor,
+      onResync: reloadSurvivor
+    });
+  }, [game?.id, currentSeason?.id]);
+
   const initializeGameData = async () => {
     try {
       setLoading(true);
@@ -135,7 +163,7 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
       const [
         userPicksResponse,
         gamesResponse,
-        summaryResponse,
+        standingsResponse,
         survivorStatsResponse
       ] = await Promise.allSettled([
         api.getUserPicks({
@@ -144,7 +172,7 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
           userId: user?.id
         }),
         api.getSeasonGames(seasonId, currentWeekToUse),
-        api.getPicksSummary(gameId, seasonId),
+        api.getSurvivorStandings(gameId),
         api.getSurvivorStats(gameId, seasonId, currentWeekToUse)
       ]);
 
@@ -187,32 +215,10 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
         setPicksLocked(now >= firstGameStart);
       }
 
-      // Process survivor stats
-      if (summaryResponse.status === 'fulfilled' && summaryResponse.value.success && summaryResponse.value.data && game) {
-        const totalPlayers = game.participants?.length || 0;
-        
-        // Check if any games this week have been completed
-        let hasCompletedGames = false;
-        if (gamesResponse.status === 'fulfilled' &&
-            gamesResponse.value.success &&
-            gamesResponse.value.data &&
-            gamesResponse.value.data.games) {
-          hasCompletedGames = gamesResponse.value.data.games.some(g =>
-            g.status && g.status !== 'scheduled' && g.status !== 'STATUS_SCHEDULED'
-          );
-        }
-        
-        // Only count eliminations if games have actually been completed
-        // Before games are played, everyone should be alive
-        let eliminatedCount = 0;
-        if (hasCompletedGames) {
-          const eliminatedPlayers = summaryResponse.value.data.summary.filter(s =>
-            s.total_picks > 0 && s.correct_picks < s.total_picks
-          );
-          eliminatedCount = eliminatedPlayers.length;
-        }
-        
-        const aliveCount = totalPlayers - eliminatedCount;
+      // Process survivor stats - elimination is tracked by the server
+      if (standingsResponse.status === 'fulfilled' && standingsResponse.value.success && standingsResponse.value.data) {
+        const standings = standingsResponse.value.data;
+        setSurvivorStandings(standings);
 
         // Count current week submissions from survivor stats
         let currentWeekPickCount = 0;
@@ -223,10 +229,11 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
         }
 
         setSurvivorStats({
-          totalPlayers,
-          aliveCount,
-          eliminatedCount,
-          currentWeekSubmissions: currentWeekPickCount
+          totalPlayers: standings.standings.length,
+          aliveCount: standings.aliveCount,
+          eliminatedCount: standings.eliminatedCount,
+          currentWeekSubmissions: currentWeekPickCount,
+          lives: standings.lives
         });
       }
 
@@ -242,7 +249,8 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
         totalPlayers: game?.participants?.length || 0,
         aliveCount: game?.participants?.length || 0,
         eliminatedCount: 0,
-        currentWeekSubmissions: 0
+        currentWeekSubmissions: 0,
+        lives: 1
       });
     }
   };
@@ -267,7 +275,7 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
   };
 
   const handleTeamSelect = (teamId: string) => {
-    if (picksLocked) {
+    if (picksLocked || isEliminated) {
       return; // Can't select if picks are locked
     }
     
@@ -286,7 +294,7 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
   };
 
   const handleSavePick = async () => {
-    if (!selectedTeam || !game || !currentSeason || picksLocked) return;
+    if (!selectedTeam || !game || !currentSeason || picksLocked || isEliminated) return;
     
     setSavingPick(true);
     setError('');
@@ -329,6 +337,48 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
     }
   };
 
+  const handleSetLives = async (lives: number) => {
+    if (!game || !currentSeason) return;
+
+    setUpdatingSurvivor(true);
+    setError('');
+
+    try {
+      const response = await api.setSurvivorLives(game.id, lives);
+
+      if (response.success) {
+        await loadSurvivorData(game.id, currentSeason.id);
+      } else {
+        setError(response.error || 'Failed to update lives');
+      }
+    } catch (err) {
+      setError('Failed to update lives');
+    } finally {
+      setUpdatingSurvivor(false);
+    }
+  };
+
+  const handleReinstate = async (userId: string) => {
+    if (!game || !currentSeason) return;
+
+    setUpdatingSurvivor(true);
+    setError('');
+
+    try {
+      const response = await api.reinstateSurvivor(game.id, userId);
+
+      if (response.success) {
+        await loadSurvivorData(game.id, currentSeason.id);
+      } else {
+        setError(response.error || 'Failed to reinstate player');
+      }
+    } catch (err) {
+      setError('Failed to reinstate player');
+    } finally {
+      setUpdatingSurvivor(false);
+    }
+  };
+
   const getTeamStatus = (team: NFLTeam) => {
     // Check if team was used in a PREVIOUS week (not current week)
     const pickedInPreviousWeek = userPickHistory.find(p => p.teamId === team.id && p.week !== currentWeek);
@@ -462,6 +512,7 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
               </div>
             </div>
             <div className="flex items-center space-x-4">
+              <NotificationBell />
               <a href="/dashboard" className="bg-purple-500 hover:bg-purple-600 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2">
                 <HomeIcon className="h-4 w-4" />
                 <span>Dashboard</span>
@@ -496,13 +547,16 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
                   <p className="text-sm opacity-90">Survivor Pool - {currentSeason?.season}</p>
                 </div>
               </div>
-              <button
-                onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
-                className="bg-blue-500 hover:bg-blue-600 text-white p-2 rounded-lg transition-colors"
-                aria-label="Toggle menu"
-              >
-                {mobileMenuOpen ? <XMarkIcon className="h-6 w-6" /> : <Bars3Icon className="h-6 w-6" />}
-              </button>
+              <div className="flex items-center space-x-2">
+                <NotificationBell />
+                <button
+                  onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                  className="bg-blue-500 hover:bg-blue-600 text-white p-2 rounded-lg transition-colors"
+                  aria-label="Toggle menu"
+                >
+                  {mobileMenuOpen ? <XMarkIcon className="h-6 w-6" /> : <Bars3Icon className="h-6 w-6" />}
+                </button>
+              </div>
             </div>
 
             {/* Mobile Menu */}
@@ -588,6 +642,38 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
             </div>
           )}
 
+          {/* Lives */}
+          {survivorStats && (
+            <div className="flex flex-wrap justify-between items-center gap-2 mt-4 text-sm text-gray-600">
+              <div className="flex items-center">
+                <HeartIcon className="h-4 w-4 mr-1 text-red-500" />
+                {survivorStats.lives === 1
+                  ? 'One loss or missed week and you\'re out'
+                  : `Eliminated after ${survivorStats.lives} losses or missed weeks`}
+                {myStanding && myStanding.survivor_status === 'alive' && survivorStats.lives > 1 && (
+                  <span className="ml-2 font-medium text-gray-800">
+                    ({myStanding.lives_remaining} {myStanding.lives_remaining === 1 ? 'life' : 'lives'} left)
+                  </span>
+                )}
+              </div>
+              {canEditRules && (
+                <label className="flex items-center space-x-2">
+                  <span>Lives per player</span>
+                  <select
+                    value={survivorStats.lives}
+                    onChange={(e) => handleSetLives(parseInt(e.target.value))}
+                    disabled={updatingSurvivor}
+                    className="border border-gray-300 rounded-md px-2 py-1 disabled:opacity-60"
+                  >
+                    {[1, 2, 3, 4, 5].map(lives => (
+                      <option key={lives} value={lives}>{lives}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+          )}
+
           {/* Score Update Badge */}
           {currentSeason && (
             <div className="flex justify-end mt-4">
@@ -604,6 +690,13 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
           )}
         </div>
 
+        {/* Elimination Notice */}
+        {isEliminated && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-6">
+            You were eliminated in week {myStanding?.eliminated_week}. You can follow the rest of the pool, but you can no longer make picks.
+          </div>
+        )}
+
         {/* Team Selection Grid */}
         <div className="bg-white rounded-lg shadow-md">
           <div className="p-6 border-b">
@@ -611,7 +704,7 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
               <h3 className="text-xl font-bold text-gray-800">
                 {picksLocked ? `Week ${currentWeek} Picks` : `Choose Your Team for Week ${currentWeek}`}
               </h3>
-              {!picksLocked && selectedTeam && (
+              {!picksLocked && !isEliminated && selectedTeam && (
                 <button
                   onClick={handleSavePick}
                   disabled={savingPick}
@@ -621,7 +714,7 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
                 </button>
               )}
             </div>
-            {!picksLocked && (
+            {!picksLocked && !isEliminated && (
               <p className="text-sm text-gray-600 mt-2">
                 Select a team for this week. You can only pick each team once during the season. Click to Select/Deselect.
               </p>
@@ -645,10 +738,10 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
                       ${teamStatus.status === 'selected' ? 'border-green-500 bg-green-50 shadow-lg' :
                         teamStatus.status === 'used' ? 'border-gray-300 bg-gray-100 opacity-60 cursor-not-allowed' :
                         isOnBye ? 'border-yellow-300 bg-yellow-50 cursor-not-allowed' :
-                        picksLocked ? 'border-gray-200 cursor-not-allowed' :
+                        picksLocked || isEliminated ? 'border-gray-200 cursor-not-allowed' :
                         'border-gray-200 hover:border-gray-300 cursor-pointer hover:shadow-md'}
                     `}
-                    onClick={() => !picksLocked && !isOnBye && teamStatus.status !== 'used' && handleTeamSelect(team.id)}
+                    onClick={() => !picksLocked && !isEliminated && !isOnBye && teamStatus.status !== 'used' && handleTeamSelect(team.id)}
                   >
                     <div className="text-center">
                       {/* Team Logo */}
@@ -699,7 +792,7 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
                           {picksLocked ? 'Week Pick' : 'Selected'}
                         </div>
                       )}
-                      {!isOnBye && teamStatus.status === 'available' && !picksLocked && (
+                      {!isOnBye && teamStatus.status === 'available' && !picksLocked && !isEliminated && (
                         <div className="text-xs text-blue-600 font-medium">
                           Available
                         </div>
@@ -719,6 +812,64 @@ const SurvivorGameView: React.FC<SurvivorGameViewProps> = ({ gameId, gameSlug, i
           </div>
         </div>
 
+        {/* Survivor Standings */}
+        {survivorStandings && survivorStandings.standings.length > 0 && (
+          <div className="bg-white rounded-lg shadow-md mt-8">
+            <div className="p-6 border-b">
+              <h3 className="text-xl font-bold text-gray-800">Survivor Standings</h3>
+            </div>
+            <ul className="divide-y divide-gray-200">
+              {survivorStandings.standings.map(standing => (
+                <li key={standing.user_id} className="px-6 py-3 flex justify-between items-center">
+                  <div>
+                    <span className={`font-medium ${standing.survivor_status === 'eliminated' ? 'text-gray-400 line-through' : 'text-gray-800'}`}>
+                      {standing.display_name}
+                    </span>
+                    {standing.user_id === user.id && (
+                      <span className="ml-2 text-xs text-blue-600">(you)</span>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-4 text-sm">
+                    {standing.survivor_status === 'alive' ? (
+                      <span className="text-green-600 font-medium">
+                        Alive
+                        {survivorStandings.lives > 1 && ` · ${standing.lives_remaining} of ${survivorStandings.lives} lives`}
+                      </span>
+                    ) : (
+                      <span className="text-red-600 font-medium">Out in week {standing.eliminated_week}</span>
+                    )}
+                    {isOwner && standing.survivor_status === 'eliminated' && (
+                      <button
+                        onClick={() => handleReinstate(standing.user_id)}
+                        disabled={updatingSurvivor}
+                        className="flex items-center text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                      >
+                        <ArrowPathIcon className="h-4 w-4 mr-1" />
+                        Re-enter
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {game && currentSeason && (
+          <PickOverridesPanel
+            gameId={game.id}
+            gameType={game.type}
+            seasonId={currentSeason.id}
+            week={currentWeek}
+            participants={game.participants}
+            canOverride={canOverridePicks}
+            onOverride={() => loadSurvivorData(game.id, currentSeason.id)}
+          />
+        )}
+
+        {game && (
+          <ChatPanel gameId={game.id} currentUserId={user?.id} canModerate={canModerateChat} />
+        )}
       </main>
     </div>
   );
@@ -4,6 +4,7 @@ import { $user, $isAuthenticated, $isLoading, initAuth, logout } from '../stores
 import type { NFLTeam } from '../utils/api';
 import api from '../utils/api';
 import FavoriteTeamSelector from './FavoriteTeamSelector';
+import PlayerStats from './PlayerStats';
 import { ArrowLeftStartOnRectangleIcon, HomeIcon } from '@heroicons/react/24/outline';
 
 const UserProfile: React.FC = () => {
@@ -15,12 +16,14 @@ const UserProfile: React.FC = () => {
   const [lastName, setLastName] = useState('');
   const [email, setEmail] = useState('');
   const [favoriteTeamId, setFavoriteTeamId] = useState('');
+  const [pickReminders, setPickReminders] = useState(true);
   const [favoriteTeam, setFavoriteTeam] = useState<NFLTeam | null>(null);
   const [defaultTeam, setDefaultTeam] = useState<NFLTeam | null>(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [activeTab, setActiveTab] = useState<'settings' | 'stats'>('settings');
 
   useEffect(() => {
     if (typeof window !== 'undefined') {
@@ -43,6 +46,7 @@ const UserProfile: React.FC = () => {
       setLastName(user?.lastName || '');
       setEmail(user?.email || '');
       setFavoriteTeamId(user?.favoriteTeamId || '');
+      setPickReminders(user?.pickReminders ?? true);
 
       // Always load the default team for fallback
       await loadDefaultTeam();
@@ -93,7 +97,8 @@ const UserProfile: React.FC = () => {
       const updateData = {
         firstName: firstName.trim(),
         lastName: lastName.trim(),
-        favoriteTeamId: favoriteTeamId === '' ? undefined : favoriteTeamId
+        favoriteTeamId: favoriteTeamId === '' ? undefined : favoriteTeamId,
+        pickReminders
       };
       
       const response = await api.updateUser(updateData);
@@ -185,7 +190,7 @@ const UserProfile: React.FC = () => {
               />
               <div>
                 <h1 className="text-3xl font-bold">User Profile</h1>
-                <p className="text-lg opacity-90">Manage your account settings</p>
+                <p className="text-lg opacity-90">Manage your account settings and see your stats</p>
               </div>
             </div>
             <div className="flex items-center space-x-4">
@@ -209,117 +214,154 @@ const UserProfile: React.FC = () => {
       </header>
 
       <main className="container mx-auto px-4 py-8">
-        {error && (
+        {/* Tabs */}
+        <div className="flex space-x-6 border-b border-gray-300 mb-6">
+          {([['settings', 'Profile Settings'], ['stats', 'Stats']] as const).map(([tab, label]) => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={`pb-2 -mb-px border-b-2 font-medium transition-colors ${
+                activeTab === tab
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'stats' && <PlayerStats userId={user.id} />}
+
+        {activeTab === 'settings' && error && (
           <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-6">
             {error}
           </div>
         )}
 
-        {success && (
+        {activeTab === 'settings' && success && (
           <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-6">
             {success}
           </div>
         )}
 
-        <div className="bg-white rounded-lg shadow-md">
-          <div className="p-6 border-b">
-            <h2 className="text-2xl font-bold text-gray-800">Profile Settings</h2>
-            <p className="text-gray-600 mt-1">Update your personal information and preferences</p>
-          </div>
+        {activeTab === 'settings' && (
+          <div className="bg-white rounded-lg shadow-md">
+            <div className="p-6 border-b">
+              <h2 className="text-2xl font-bold text-gray-800">Profile Settings</h2>
+              <p className="text-gray-600 mt-1">Update your personal information and preferences</p>
+            </div>
+
+            <div className="p-6">
+              <form onSubmit={handleSubmit} className="space-y-6">
+                {/* Name Fields */}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="firstName" className="block text-sm font-medium text-gray-700 mb-1">
+                      First Name
+                    </label>
+                    <input
+                      type="text"
+                      id="firstName"
+                      value={firstName}
+                      onChange={(e) => setFirstName(e.target.value)}
+                      required
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="lastName" className="block text-sm font-medium text-gray-700 mb-1">
+                      Last Name
+                    </label>
+                    <input
+                      type="text"
+                      id="lastName"
+                      value={lastName}
+                      onChange={(e) => setLastName(e.target.value)}
+                      required
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                </div>
 
-          <div className="p-6">
-            <form onSubmit={handleSubmit} className="space-y-6">
-              {/* Name Fields */}
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {/* Email Field (Read-only) */}
                 <div>
-                  <label htmlFor="firstName" className="block text-sm font-medium text-gray-700 mb-1">
-                    First Name
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                    Email Address
                   </label>
                   <input
-                    type="text"
-                    id="firstName"
-                    value={firstName}
-                    onChange={(e) => setFirstName(e.target.value)}
-                    required
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    type="email"
+                    id="email"
+                    value={email}
+                    disabled
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-50 text-gray-500 cursor-not-allowed"
                   />
+                  <p className="text-sm text-gray-500 mt-1">Email cannot be changed. Contact support if needed.</p>
                 </div>
+
+                {/* Favorite Team */}
                 <div>
-                  <label htmlFor="lastName" className="block text-sm font-medium text-gray-700 mb-1">
-                    Last Name
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Favorite Team
                   </label>
-                  <input
-                    type="text"
-                    id="lastName"
-                    value={lastName}
-                    onChange={(e) => setLastName(e.target.value)}
-                    required
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
+                  <div className="flex items-center space-x-4">
+                    <FavoriteTeamSelector
+                      currentFavoriteId={favoriteTeamId}
+                      onTeamSelect={handleFavoriteTeamSelect}
+                    />
+                    {favoriteTeam && (
+                      <div className="flex items-center space-x-2 text-sm text-gray-600">
+                        <span>Selected:</span>
+                        <div className="flex items-center space-x-1">
+                          {favoriteTeam.team_logo && (
+                            <img
+                              src={favoriteTeam.team_logo}
+                              alt={`${favoriteTeam.team_city} ${favoriteTeam.team_name} logo`}
+                              className="w-6 h-6 object-contain"
+                            />
+                          )}
+                          <span className="font-medium">
+                            {favoriteTeam.team_city} {favoriteTeam.team_name}
+                          </span>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-500 mt-1">
+                    Your favorite team will be used to customize header colors and themes throughout the app.
+                  </p>
                 </div>
-              </div>
-
-              {/* Email Field (Read-only) */}
-              <div>
-                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
-                  Email Address
-                </label>
-                <input
-                  type="email"
-                  id="email"
-                  value={email}
-                  disabled
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-50 text-gray-500 cursor-not-allowed"
-                />
-                <p className="text-sm text-gray-500 mt-1">Email cannot be changed. Contact support if needed.</p>
-              </div>
 
-              {/* Favorite Team */}
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Favorite Team
-                </label>
-                <div className="flex items-center space-x-4">
-                  <FavoriteTeamSelector
-                    currentFavoriteId={favoriteTeamId}
-                    onTeamSelect={handleFavoriteTeamSelect}
-                  />
-                  {favoriteTeam && (
-                    <div className="flex items-center space-x-2 text-sm text-gray-600">
-                      <span>Selected:</span>
-                      <div className="flex items-center space-x-1">
-                        {favoriteTeam.team_logo && (
-                          <img
-                            src={favoriteTeam.team_logo}
-                            alt={`${favoriteTeam.team_city} ${favoriteTeam.team_name} logo`}
-                            className="w-6 h-6 object-contain"
-                          />
-                        )}
-                        <span className="font-medium">
-                          {favoriteTeam.team_city} {favoriteTeam.team_name}
-                        </span>
-                      </div>
-                    </div>
-                  )}
+                {/* Email Reminders */}
+                <div>
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={pickReminders}
+                      onChange={(e) => setPickReminders(e.target.checked)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    <span className="text-sm font-medium text-gray-700">Email me pick reminders</span>
+                  </label>
+                  <p className="text-sm text-gray-500 mt-1">
+                    Get an email ahead of the lock when you still have picks to make for the week.
+                  </p>
                 </div>
-                <p className="text-sm text-gray-500 mt-1">
-                  Your favorite team will be used to customize header colors and themes throughout the app.
-                </p>
-              </div>
 
-              {/* Submit Button */}
-              <div className="pt-4">
-                <button
-                  type="submit"
-                  disabled={saving}
-                  className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                >
-                  {saving ? 'Saving...' : 'Save Changes'}
-                </button>
-              </div>
-            </form>
+                {/* Submit Button */}
+                <div className="pt-4">
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {saving ? 'Saving...' : 'Save Changes'}
+                  </button>
+                </div>
+              </form>
+            </div>
           </div>
-        </div>
+        )}
       </main>
     </div>
   );
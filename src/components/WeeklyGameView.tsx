@@ -1,16 +1,34 @@
 import React, { useState, useEffect } from 'react';
 import { useStore } from '@nanostores/react';
 import { $user, $isAuthenticated, $isLoading, initAuth, logout } from '../stores/auth';
-import type { PickemGame, GameParticipant, Season, NFLGame, Pick, NFLTeam } from '../utils/api';
-import api, { createGameSlug } from '../utils/api';
-import { UserCircleIcon, HomeIcon, DocumentDuplicateIcon, ArrowLeftStartOnRectangleIcon, Bars3Icon, XMarkIcon, TrophyIcon } from '@heroicons/react/24/outline';
+import type { PickemGame, GameParticipant, Season, NFLGame, Pick, NFLTeam, PickLock, GameRules, MatchupConsensus } from '../utils/api';
+import api, { createGameSlug, formatSpread, getGamePermissions } from '../utils/api';
+import { UserCircleIcon, HomeIcon, DocumentDuplicateIcon, ArrowLeftStartOnRectangleIcon, Bars3Icon, XMarkIcon, TrophyIcon, ChevronUpIcon, ChevronDownIcon, LockClosedIcon, ClockIcon } from '@heroicons/react/24/outline';
 import ScoreUpdateBadge from './ScoreUpdateBadge';
+import ConsensusBar from './ConsensusBar';
+import NotificationBell from './NotificationBell';
+import ChatPanel from './ChatPanel';
+import PickOverridesPanel from './PickOverridesPanel';
 
 interface WeeklyGameViewProps {
   gameId?: string;
   gameSlug?: string;
 }
 
+// "2d 4h 12m" for far-off locks, down to seconds on the final day
+const formatCountdown = (ms: number) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) {
+    return `${days}d ${hours}h ${minutes}m`;
+  }
+  return `${hours}h ${String(minutes).padStart(2, '0')}m ${String(seconds).padStart(2, '0')}s`;
+};
+
 const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) => {
   const user = useStore($user);
   const isAuthenticated = useStore($isAuthenticated);
@@ -25,7 +43,16 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
   const [error, setError] = useState('');
   const [selectedPicks, setSelectedPicks] = useState<Record<string, string>>({});
   const [tiebreakers, setTiebreakers] = useState<Record<string, number>>({});
+  // Football game whose combined score breaks ties this week (chosen by the commissioner)
   const [tiebreakerGame, setTiebreakerGame] = useState<string | null>(null);
+  const [pickLocks, setPickLocks] = useState<Record<string, PickLock>>({});
+  // How the pool picked each matchup, keyed by football game ID
+  const [consensus, setConsensus] = useState<Record<string, MatchupConsensus>>({});
+  const [lockMode, setLockMode] = useState<GameRules['lock_mode']>('game');
+  const [now, setNow] = useState(() => new Date());
+  // Football game IDs ordered from most to least confident (confidence games only)
+  const [confidenceOrder, setConfidenceOrder] = useState<string[]>([]);
+  const [draggedGameId, setDraggedGameId] = useState<string | null>(null);
   const [savingPicks, setSavingPicks] = useState(false);
   const [favoriteTeam, setFavoriteTeam] = useState<NFLTeam | null>(null);
   const [defaultTeam, setDefaultTeam] = useState<NFLTeam | null>(null);
@@ -40,7 +67,6 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
     userTotalPoints: number;
     userWeekPoints: number;
   } | null>(null);
-  const [autoRefreshInterval, setAutoRefreshInterval] = useState<NodeJS.Timeout | null>(null);
   
 
   useEffect(() => {
@@ -58,72 +84,46 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
     }
   }, [isAuthenticated, user, isLoading, gameId, gameSlug]);
 
-  // Auto-refresh stats when there are active games
+  // Scores and pick results are pushed from the server as they change
   useEffect(() => {
-    // Clear any existing interval
-    if (autoRefreshInterval) {
-      clearInterval(autoRefreshInterval);
-      setAutoRefreshInterval(null);
+    const currentGameId = game?.id;
+    if (!currentGameId || !currentSeason) {
+      return;
     }
 
-    // Only set up auto-refresh if we have game data and there are games that might need updates
-    if (game && currentSeason && weekGames.length > 0) {
-      const shouldAutoRefresh = weekGames.some(footballGame => {
-        const gameStart = new Date(footballGame.start_time);
-        const now = new Date();
-        const gameEnd = new Date(gameStart.getTime() + (4 * 60 * 60 * 1000)); // Assume 4 hours max game duration
-        
-        // Auto-refresh if:
-        // 1. Game has started but not ended (in progress)
-        // 2. Game ended recently (within 2 hours) to catch delayed score updates
-        // 3. Game has scores but status might not be final yet
-        const hasStarted = now >= gameStart;
-        const hasEnded = now >= gameEnd;
-        const hasRecentlyEnded = now.getTime() - gameEnd.getTime() < (2 * 60 * 60 * 1000); // Within 2 hours of end
-        const hasScores = (footballGame.home_score > 0) || (footballGame.away_score > 0);
-        const isNotFinal = footballGame.status !== 'STATUS_FINAL' && footballGame.status !== 'Final' && footballGame.status !== 'STATUS_CLOSED';
-        
-        return (hasStarted && !hasEnded) || hasRecentlyEnded || (hasScores && isNotFinal);
-      });
-
-      if (shouldAutoRefresh) {
-        console.log('[WeeklyGameView] Setting up auto-refresh for active games');
-        // Refresh stats every 5 minutes when there are active games
-        const interval = setInterval(() => {
-          console.log('[WeeklyGameView] Auto-refreshing weekly stats');
-          const currentGameId = game?.id || gameId;
-          if (currentGameId && currentSeason?.id) {
-            loadWeeklyStats(currentSeason.id, currentWeek, currentGameId).catch(error => {
-              console.error('[WeeklyGameView] Auto-refresh failed:', error);
-            });
-          }
-        }, 5 * 60 * 1000); // 5 minutes
-
-        setAutoRefreshInterval(interval);
+    const reloadWeek = () => loadWeekData(currentSeason.id, currentWeek, currentGameId);
+
+    return api.subscribeToGame(currentGameId, {
+      onScores: ({ games }) => {
+        setWeekGames(prev => prev.map(footballGame => {
+          const update = games.find(g => g.id === footballGame.id);
+          return update
+            ? { ...footballGame, home_score: update.home_score, away_score: update.away_score, status: update.status }
+            : footballGame;
+        }));
+      },
+      onPicks: ({ weeks }) => {
+        if (weeks.includes(currentWeek)) {
+          reloadWeek();
+        }
+      },
+      onResync: reloadWeek
+    });
+  }, [game?.id, currentSeason?.id, currentWeek]);
 
-        // Cleanup function
-        return () => {
-          clearInterval(interval);
-        };
-      }
+  // Tick once a second while a lock is still ahead so the countdown stays current
+  // and pick controls close the moment the lock passes
+  useEffect(() => {
+    const hasUpcomingLock = weekGames.some(footballGame =>
+      new Date(pickLocks[footballGame.id]?.lockTime || footballGame.start_time) > new Date()
+    );
+    if (!hasUpcomingLock) {
+      return;
     }
 
-    // Cleanup function when dependencies change or component unmounts
-    return () => {
-      if (autoRefreshInterval) {
-        clearInterval(autoRefreshInterval);
-      }
-    };
-  }, [game, currentSeason, weekGames, currentWeek, gameId]);
-
-  // Cleanup auto-refresh on component unmount
-  useEffect(() => {
-    return () => {
-      if (autoRefreshInterval) {
-        clearInterval(autoRefreshInterval);
-      }
-    };
-  }, []);
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, [weekGames, pickLocks]);
 
   const loadGameData = async () => {
     try {
@@ -287,15 +287,35 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
   const loadWeekData = async (seasonId: string, week: number, currentGameId?: string, gameData?: PickemGame & { participants: GameParticipant[] }) => {
     try {
       
-      const [gamesResponse, picksResponse] = await Promise.all([
+      const [gamesResponse, picksResponse, tiebreakerResponse, locksResponse] = await Promise.all([
         api.getSeasonGames(seasonId, week),
         // Use the passed gameId or fall back to the current game or provided gameId
-        api.getUserPicks({ gameId: currentGameId || game?.id || gameId || '', seasonId, week })
+        api.getUserPicks({ gameId: currentGameId || game?.id || gameId || '', seasonId, week }),
+        api.getTiebreaker(currentGameId || game?.id || gameId || '', week),
+        api.getPickLocks(currentGameId || game?.id || gameId || '', week),
+        loadConsensus(seasonId, week, currentGameId || game?.id || gameId || '')
       ]);
 
+      // Lock times follow the game's rules; games outside its week range aren't offered
+      const weekLocks = locksResponse.success && locksResponse.data ? locksResponse.data.locks : {};
+      setPickLocks(weekLocks);
+      if (locksResponse.success && locksResponse.data) {
+        setLockMode(locksResponse.data.lockMode);
+      }
+
+      const weekTiebreakerGame = tiebreakerResponse.success && tiebreakerResponse.data?.tiebreaker
+        ? tiebreakerResponse.data.tiebreaker.footballGameId
+        : null;
+      setTiebreakerGame(weekTiebreakerGame);
+
 
       if (gamesResponse.success && gamesResponse.data) {
-        setWeekGames(gamesResponse.data.games);
+        const inPlayGames = gamesResponse.data.games.filter(g => weekLocks[g.id]?.inPlay !== false);
+        setWeekGames(inPlayGames);
+        setConfidenceOrder(buildConfidenceOrder(
+          inPlayGames,
+          picksResponse.success && picksResponse.data ? picksResponse.data.picks : []
+        ));
       } else {
         console.error('[GameView] Failed to load week games:', gamesResponse.error);
       }
@@ -311,9 +331,16 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
           picks[pick.football_game_id] = pick.pick_team_id;
           if (pick.tiebreaker) {
             ties[pick.football_game_id] = pick.tiebreaker;
-            setTiebreakerGame(pick.football_game_id);
           }
         });
+
+        // Carry a guess entered on another game over if the commissioner changed the tiebreaker game
+        if (weekTiebreakerGame && ties[weekTiebreakerGame] === undefined) {
+          const earlierGuess = Object.values(ties)[0];
+          if (earlierGuess !== undefined) {
+            ties[weekTiebreakerGame] = earlierGuess;
+          }
+        }
         
         setSelectedPicks(picks);
         setTiebreakers(ties);
@@ -329,6 +356,17 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
     }
   };
 
+  const loadConsensus = async (seasonId: string, week: number, gameId: string) => {
+    try {
+      const response = await api.getWeekConsensus(gameId, seasonId, week);
+      if (response.success && response.data) {
+        setConsensus(Object.fromEntries(response.data.matchups.map(m => [m.footballGameId, m])));
+      }
+    } catch (err) {
+      console.error('[WeeklyGameView] Failed to load pick consensus:', err);
+    }
+  };
+
   const loadWeeklyStats = async (seasonId: string, week: number, gameId: string) => {
     try {
       // Get total number of NFL games for this week
@@ -360,17 +398,24 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
 
       const userPicksCount = userPicksResponse.success ? userPicksResponse.data?.picks.length || 0 : 0;
 
-      // Calculate total correct picks across all weeks
+      // Correct picks are worth one point, or their confidence rank in confidence games
+      const pickPoints = (pick: Pick) => pick.confidence || 1;
+
+      // Calculate total points across all weeks
       let userTotalPoints = 0;
       if (userAllPicksResponse.success && userAllPicksResponse.data) {
-        userTotalPoints = userAllPicksResponse.data.picks.filter(pick => pick.is_correct === true).length;
+        userTotalPoints = userAllPicksResponse.data.picks
+          .filter(pick => pick.is_correct == true)
+          .reduce((sum, pick) => sum + pickPoints(pick), 0);
       }
 
-      // Calculate correct picks for current week only
+      // Calculate points for current week only
       let userWeekPoints = 0;
       if (userPicksResponse.success && userPicksResponse.data) {
         // Use loose equality or truthy check to handle 0/1 from backend
-        userWeekPoints = userPicksResponse.data.picks.filter(pick => pick.is_correct == true).length;
+        userWeekPoints = userPicksResponse.data.picks
+          .filter(pick => pick.is_correct == true)
+          .reduce((sum, pick) => sum + pickPoints(pick), 0);
       }
 
       // Count players who have made all their picks for this week
@@ -434,6 +479,17 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
     }));
   };
 
+  const handleSetTiebreakerGame = async (footballGameId: string) => {
+    if (!game) return;
+
+    const response = await api.setTiebreakerGame(game.id, currentWeek, footballGameId);
+    if (response.success && response.data) {
+      setTiebreakerGame(response.data.tiebreaker?.footballGameId || null);
+    } else {
+      setError(response.error || 'Failed to update tiebreaker game');
+    }
+  };
+
   const handleTiebreakerChange = (footballGameId: string, value: number) => {
     setTiebreakers(prev => ({
       ...prev,
@@ -441,6 +497,45 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
     }));
   };
 
+  // Seed the ranking from saved confidence values; unranked games fill the open slots in kickoff order
+  const buildConfidenceOrder = (games: NFLGame[], picks: Pick[]) => {
+    const order: (string | null)[] = new Array(games.length).fill(null);
+    const unranked: string[] = [];
+
+    games.forEach(footballGame => {
+      const rank = picks.find(p => p.football_game_id === footballGame.id)?.confidence;
+      const slot = rank ? games.length - rank : -1;
+      if (slot >= 0 && slot < order.length && order[slot] === null) {
+        order[slot] = footballGame.id;
+      } else {
+        unranked.push(footballGame.id);
+      }
+    });
+
+    return order.map(id => id ?? unranked.shift()!);
+  };
+
+  const getConfidenceRank = (footballGameId: string) => {
+    const index = confidenceOrder.indexOf(footballGameId);
+    return index >= 0 ? confidenceOrder.length - index : undefined;
+  };
+
+  // Move a game to another game's slot; locked games keep their rank
+  const moveConfidenceGame = (fromId: string, toId: string) => {
+    if (fromId === toId) return;
+
+    setConfidenceOrder(prev => {
+      const lockedIds = new Set(weekGames.filter(g => !canMakePicks(g)).map(g => g.id));
+      if (lockedIds.has(fromId) || lockedIds.has(toId)) return prev;
+
+      const movable = prev.filter(id => !lockedIds.has(id));
+      movable.splice(movable.indexOf(fromId), 1);
+      movable.splice(movable.indexOf(toId) + (prev.indexOf(fromId) < prev.indexOf(toId) ? 1 : 0), 0, fromId);
+
+      return prev.map(id => (lockedIds.has(id) ? id : movable.shift()!));
+    });
+  };
+
 
   const handleSavePicks = async () => {
     if (!currentSeason || !user) return;
@@ -449,18 +544,36 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
     setError('');
     
     try {
-      const promises = Object.entries(selectedPicks).map(([footballGameId, pickTeamId]) => {
-        const tiebreaker = tiebreakers[footballGameId];
-        return api.makePick({
-          gameId: game?.id || gameId || '',
-          footballGameId,
-          pickTeamId,
-          tiebreaker
+      let failedPicks: { success: boolean }[] = [];
+
+      if (game?.type === 'confidence') {
+        // Save the whole ranking at once so reordered ranks never collide
+        const result = await api.saveConfidencePicks(
+          game.id,
+          Object.entries(selectedPicks).map(([footballGameId, pickTeamId]) => ({
+            footballGameId,
+            pickTeamId,
+            confidence: getConfidenceRank(footballGameId) || 0
+          })),
+          tiebreakers
+        );
+        if (!result.success) {
+          failedPicks = [result];
+        }
+      } else {
+        const promises = Object.entries(selectedPicks).map(([footballGameId, pickTeamId]) => {
+          const tiebreaker = tiebreakers[footballGameId];
+          return api.makePick({
+            gameId: game?.id || gameId || '',
+            footballGameId,
+            pickTeamId,
+            tiebreaker
+          });
         });
-      });
 
-      const results = await Promise.all(promises);
-      const failedPicks = results.filter(r => !r.success);
+        const results = await Promise.all(promises);
+        failedPicks = results.filter(r => !r.success);
+      }
       
       if (failedPicks.length > 0) {
         setError(`Failed to save ${failedPicks.length} picks`);
@@ -528,19 +641,34 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
   };
 
 
+  const getLockTime = (footballGame: NFLGame) =>
+    new Date(pickLocks[footballGame.id]?.lockTime || footballGame.start_time);
+
   const canMakePicks = (footballGame: NFLGame) => {
-    const gameStart = new Date(footballGame.start_time);
+    const lockTime = getLockTime(footballGame);
     const now = new Date();
-    return now < gameStart && (footballGame.status === 'scheduled' || footballGame.status === 'STATUS_SCHEDULED');
+    return now < lockTime && (footballGame.status === 'scheduled' || footballGame.status === 'STATUS_SCHEDULED');
   };
 
   const getPickResult = (footballGame: NFLGame, pick: Pick | undefined) => {
+    if (pick?.is_push) {
+      return 'push';
+    }
     if (!pick || pick.is_correct === null || pick.is_correct === undefined) {
       return null;
     }
     return pick.is_correct ? 'correct' : 'incorrect';
   };
 
+  // Picks on a matchup become visible when it locks, so fetch the consensus again as locks pass
+  const lockedGameCount = weekGames.filter(g => !canMakePicks(g)).length;
+  useEffect(() => {
+    const currentGameId = game?.id;
+    if (currentGameId && currentSeason && lockedGameCount > 0) {
+      loadConsensus(currentSeason.id, currentWeek, currentGameId);
+    }
+  }, [lockedGameCount]);
+
   // Add comprehensive render error handling
   try {
     if (isLoading || loading) {
@@ -676,13 +804,25 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
     );
   }
 
+  const isConfidenceGame = game?.type === 'confidence';
+  const isSpreadGame = game?.type === 'ats';
+  const myParticipant = game?.participants?.find(p => p.user_id === user?.id);
+  const isOwner = !!user?.isAdmin || myParticipant?.role === 'owner';
+  const canEditRules = !!user?.isAdmin || getGamePermissions(myParticipant).includes('edit_rules');
+  const canOverridePicks = !!user?.isAdmin || getGamePermissions(myParticipant).includes('edit_picks');
+  const canModerateChat = !!user?.isAdmin || getGamePermissions(myParticipant).includes('moderate_chat');
+  const currentTiebreakerGame = weekGames.find(g => g.id === tiebreakerGame);
+  // Commissioners can move the tiebreaker until the current tiebreaker game kicks off
+  const canChangeTiebreaker = canEditRules && (!currentTiebreakerGame || canMakePicks(currentTiebreakerGame));
+
   // Add safety checks for calculations
   const hasUnsavedChanges = (() => {
     try {
       return Object.keys(selectedPicks).some(footballGameId => {
         const existingPick = userPicks.find(p => p.football_game_id === footballGameId);
         return !existingPick || existingPick.pick_team_id !== selectedPicks[footballGameId] ||
-               (tiebreakers[footballGameId] || 0) !== (existingPick.tiebreaker || 0);
+               (tiebreakers[footballGameId] || 0) !== (existingPick.tiebreaker || 0) ||
+               (isConfidenceGame && existingPick.confidence !== getConfidenceRank(footballGameId));
       });
     } catch (error) {
       console.error('[GameView] Error calculating unsaved changes:', error);
@@ -839,6 +979,7 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
               </div>
             </div>
             <div className="flex items-center space-x-4">
+              <NotificationBell />
               <a
                 href="/dashboard"
                 className="bg-purple-500 hover:bg-purple-600 text-white px-4 py-2 rounded-lg transition-colors flex items-center space-x-2"
@@ -887,17 +1028,20 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                   </p>
                 </div>
               </div>
-              <button
-                onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
-                className="bg-blue-500 hover:bg-blue-600 text-white p-2 rounded-lg transition-colors"
-                aria-label="Toggle menu"
-              >
-                {mobileMenuOpen ? (
-                  <XMarkIcon className="h-6 w-6" />
-                ) : (
-                  <Bars3Icon className="h-6 w-6" />
-                )}
-              </button>
+              <div className="flex items-center space-x-2">
+                <NotificationBell />
+                <button
+                  onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+                  className="bg-blue-500 hover:bg-blue-600 text-white p-2 rounded-lg transition-colors"
+                  aria-label="Toggle menu"
+                >
+                  {mobileMenuOpen ? (
+                    <XMarkIcon className="h-6 w-6" />
+                  ) : (
+                    <Bars3Icon className="h-6 w-6" />
+                  )}
+                </button>
+              </div>
             </div>
 
             {/* Mobile Menu */}
@@ -949,6 +1093,32 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
           <div className="flex justify-between items-center mb-4">
             <div className="flex items-center space-x-4">
               <h2 className="text-2xl font-bold text-gray-800">Week {currentWeek}</h2>
+              {weekGames.length > 0 && (() => {
+                const upcomingLocks = weekGames
+                  .map(getLockTime)
+                  .filter(lockTime => lockTime > now)
+                  .sort((a, b) => a.getTime() - b.getTime());
+
+                if (upcomingLocks.length === 0) {
+                  return (
+                    <span className="flex items-center text-sm font-medium text-red-600">
+                      <LockClosedIcon className="h-4 w-4 mr-1" />
+                      Picks locked
+                    </span>
+                  );
+                }
+
+                return (
+                  <span
+                    className="flex items-center text-sm font-medium text-gray-600"
+                    title={upcomingLocks[0].toLocaleString()}
+                  >
+                    <ClockIcon className="h-4 w-4 mr-1" />
+                    {lockMode === 'week' ? 'All picks lock in' : 'Next pick locks in'}{' '}
+                    <span className="ml-1 font-mono">{formatCountdown(upcomingLocks[0].getTime() - now.getTime())}</span>
+                  </span>
+                );
+              })()}
             </div>
             <div className="flex space-x-2">
               <button
@@ -1060,7 +1230,9 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                 </div>
                 <div className="text-center">
                   <div className="text-2xl font-bold text-green-600">
-                    {`${weeklyStats.userWeekPoints}/${weeklyStats.userPicks}`}
+                    {isConfidenceGame
+                      ? weeklyStats.userWeekPoints
+                      : `${weeklyStats.userWeekPoints}/${weeklyStats.userPicks}`}
                   </div>
                   <div className="text-xs text-gray-500">Week {currentWeek} Points</div>
                 </div>
@@ -1111,6 +1283,96 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
           </div>
 
           <div className="p-6">
+            {/* Confidence Ranking */}
+            {isConfidenceGame && weekGames.length > 0 && (() => {
+              const movableIds = confidenceOrder.filter(id => {
+                const footballGame = weekGames.find(g => g.id === id);
+                return footballGame && canMakePicks(footballGame);
+              });
+
+              return (
+                <div className="mb-6 border border-gray-200 rounded-lg">
+                  <div className="p-4 border-b bg-gray-50 rounded-t-lg">
+                    <h4 className="font-semibold text-gray-800">Confidence Ranking</h4>
+                    <p className="text-sm text-gray-600">
+                      Drag games to rank them. A correct pick on the top game earns {confidenceOrder.length} points, the bottom game earns 1.
+                    </p>
+                  </div>
+                  <ul className="divide-y divide-gray-100">
+                    {confidenceOrder.map(footballGameId => {
+                      const footballGame = weekGames.find(g => g.id === footballGameId);
+                      if (!footballGame) return null;
+
+                      const locked = !canMakePicks(footballGame);
+                      const pickedTeamId = selectedPicks[footballGameId];
+                      const pickedTeamCode = pickedTeamId === footballGame.home_team_id
+                        ? footballGame.home_team_code
+                        : pickedTeamId === footballGame.away_team_id
+                          ? footballGame.away_team_code
+                          : null;
+                      const movableIndex = movableIds.indexOf(footballGameId);
+
+                      return (
+                        <li
+                          key={footballGameId}
+                          draggable={!locked}
+                          onDragStart={() => setDraggedGameId(footballGameId)}
+                          onDragOver={(e) => {
+                            if (!locked) e.preventDefault();
+                          }}
+                          onDrop={(e) => {
+                            e.preventDefault();
+                            if (draggedGameId) moveConfidenceGame(draggedGameId, footballGameId);
+                            setDraggedGameId(null);
+                          }}
+                          onDragEnd={() => setDraggedGameId(null)}
+                          className={`flex items-center justify-between px-4 py-2 ${
+                            locked ? 'bg-gray-50 opacity-60' : 'cursor-move hover:bg-blue-50'
+                          } ${draggedGameId === footballGameId ? 'bg-blue-100' : ''}`}
+                        >
+                          <div className="flex items-center space-x-3">
+                            <span className="w-10 text-center font-bold text-blue-600">
+                              {getConfidenceRank(footballGameId)}
+                            </span>
+                            <span className="font-medium text-gray-800">
+                              {footballGame.away_team_code} @ {footballGame.home_team_code}
+                            </span>
+                            <span className={`text-sm ${pickedTeamCode ? 'text-green-700 font-semibold' : 'text-gray-400'}`}>
+                              {pickedTeamCode ? `Pick: ${pickedTeamCode}` : 'No pick yet'}
+                            </span>
+                          </div>
+                          {locked ? (
+                            <LockClosedIcon className="h-4 w-4 text-red-600" />
+                          ) : (
+                            <div className="flex items-center space-x-1">
+                              <button
+                                type="button"
+                                onClick={() => moveConfidenceGame(footballGameId, movableIds[movableIndex - 1])}
+                                disabled={movableIndex <= 0}
+                                className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                                aria-label="Move up"
+                              >
+                                <ChevronUpIcon className="h-4 w-4" />
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => moveConfidenceGame(footballGameId, movableIds[movableIndex + 1])}
+                                disabled={movableIndex >= movableIds.length - 1}
+                                className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                                aria-label="Move down"
+                              >
+                                <ChevronDownIcon className="h-4 w-4" />
+                              </button>
+                            </div>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              );
+            })()}
+
             {/* Weekly Pick Interface */}
             {weekGames.length === 0 ? (
               <div className="text-center py-8">
@@ -1122,6 +1384,11 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                   const existingPick = userPicks.find(p => p.football_game_id === footballGame.id);
                   const pickResult = getPickResult(footballGame, existingPick);
                   const gameStarted = !canMakePicks(footballGame);
+                  const line = formatSpread(footballGame.spread, footballGame.home_team_code, footballGame.away_team_code);
+                  const lockedLine = existingPick ? formatSpread(existingPick.spread, footballGame.home_team_code, footballGame.away_team_code) : null;
+                  // ATS picks can't be made until a line is posted
+                  const awaitingLine = isSpreadGame && !line;
+                  const picksClosed = gameStarted || awaitingLine;
                   
                   return (
                     <div
@@ -1129,6 +1396,7 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                       className={`border rounded-lg p-4 ${
                         pickResult === 'correct' ? 'border-green-500 bg-green-50' :
                         pickResult === 'incorrect' ? 'border-red-500 bg-red-50' :
+                        pickResult === 'push' ? 'border-gray-400 bg-gray-50' :
                         'border-gray-200'
                       }`}
                     >
@@ -1139,6 +1407,21 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                             hour: '2-digit',
                             minute: '2-digit'
                           })}
+                          {isConfidenceGame && (
+                            <span className="ml-2 inline-block px-2 py-0.5 text-xs font-bold text-blue-800 bg-blue-100 rounded-full">
+                              {getConfidenceRank(footballGame.id)} pts
+                            </span>
+                          )}
+                          {line && (
+                            <span className="ml-2 inline-block px-2 py-0.5 text-xs font-bold text-gray-800 bg-gray-100 rounded-full font-mono">
+                              {line}
+                            </span>
+                          )}
+                          {isSpreadGame && lockedLine && lockedLine !== line && (
+                            <span className="ml-2 text-xs text-gray-500">
+                              (your line: <span className="font-mono">{lockedLine}</span>)
+                            </span>
+                          )}
                         </div>
                         <div className="text-sm">
                           {pickResult === 'correct' && (
@@ -1147,7 +1430,13 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                           {pickResult === 'incorrect' && (
                             <span className="text-red-600 font-semibold">✗ Incorrect</span>
                           )}
-                          {!pickResult && (
+                          {pickResult === 'push' && (
+                            <span className="text-gray-600 font-semibold">Push</span>
+                          )}
+                          {!pickResult && awaitingLine && !gameStarted && (
+                            <span className="text-gray-500 font-medium">Awaiting line</span>
+                          )}
+                          {!pickResult && !(awaitingLine && !gameStarted) && (
                             <div className="flex items-center space-x-1">
                               {canMakePicks(footballGame) ? (
                                 <>
@@ -1186,9 +1475,9 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                                 isSelected
                                   ? 'border-green-500 shadow-lg'
                                   : 'border-gray-200 hover:border-gray-300'
-                              } ${gameStarted ? 'opacity-60 cursor-not-allowed' : ''}`}
+                              } ${picksClosed ? 'opacity-60 cursor-not-allowed' : ''}`}
                               style={gradientStyle}
-                              onClick={() => !gameStarted && handlePickChange(footballGame.id, footballGame.away_team_id)}
+                              onClick={() => !picksClosed && handlePickChange(footballGame.id, footballGame.away_team_id)}
                             >
                               <div className="flex items-center justify-between">
                                 <div className="flex items-center space-x-3">
@@ -1230,7 +1519,7 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                                   <div className="text-2xl font-bold">
                                     {footballGame.away_score > 0 ? footballGame.away_score : '-'}
                                   </div>
-                                  {isSelected && !gameStarted && (
+                                  {isSelected && !picksClosed && (
                                     <div className="text-green-600">
                                       <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
                                         <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
@@ -1259,9 +1548,9 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                                 isSelected
                                   ? 'border-green-500 shadow-lg'
                                   : 'border-gray-200 hover:border-gray-300'
-                              } ${gameStarted ? 'opacity-60 cursor-not-allowed' : ''}`}
+                              } ${picksClosed ? 'opacity-60 cursor-not-allowed' : ''}`}
                               style={gradientStyle}
-                              onClick={() => !gameStarted && handlePickChange(footballGame.id, footballGame.home_team_id)}
+                              onClick={() => !picksClosed && handlePickChange(footballGame.id, footballGame.home_team_id)}
                             >
                               <div className="flex items-center justify-between">
                                 <div className="flex items-center space-x-3">
@@ -1303,7 +1592,7 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                                   <div className="text-2xl font-bold">
                                     {footballGame.home_score > 0 ? footballGame.home_score : '-'}
                                   </div>
-                                  {isSelected && !gameStarted && (
+                                  {isSelected && !picksClosed && (
                                     <div className="text-green-600">
                                       <svg className="w-6 h-6" fill="currentColor" viewBox="0 0 20 20">
                                         <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
@@ -1317,27 +1606,32 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                         })()}
                       </div>
 
+                      {/* Pick consensus, once the matchup's picks are visible */}
+                      {consensus[footballGame.id] && (
+                        <ConsensusBar
+                          consensus={consensus[footballGame.id]}
+                          awayCode={footballGame.away_team_code}
+                          homeCode={footballGame.home_team_code}
+                          awayColor={footballGame.away_team_primary_color}
+                          homeColor={footballGame.home_team_primary_color}
+                        />
+                      )}
+
                       {/* Tiebreaker */}
-                      <div className="mt-4">
-                        <div className="flex items-center mb-2">
-                          <input
-                            type="checkbox"
-                            id={`tiebreaker-${footballGame.id}`}
-                            checked={tiebreakerGame === footballGame.id}
-                            onChange={(e) => setTiebreakerGame(e.target.checked ? footballGame.id : null)}
-                            disabled={gameStarted}
-                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded disabled:opacity-60"
-                          />
-                          <label htmlFor={`tiebreaker-${footballGame.id}`} className="ml-2 text-sm font-medium text-gray-700">
-                            Use as Tiebreaker
-                          </label>
-                        </div>
-                        {tiebreakerGame === footballGame.id && (
+                      {tiebreakerGame === footballGame.id ? (
+                        <div className="mt-4">
+                          <div className="flex items-center mb-2">
+                            <TrophyIcon className="h-4 w-4 text-yellow-600" />
+                            <span className="ml-2 text-sm font-medium text-gray-700">
+                              Tiebreaker Game
+                            </span>
+                          </div>
                           <div className="ml-6">
-                            <label className="block text-sm font-medium text-gray-700 mb-1">
-                              Total Points
+                            <label htmlFor={`tiebreaker-${footballGame.id}`} className="block text-sm font-medium text-gray-700 mb-1">
+                              Total Points (both teams)
                             </label>
                             <input
+                              id={`tiebreaker-${footballGame.id}`}
                               type="number"
                               min="0"
                               max="200"
@@ -1347,9 +1641,21 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
                               className="w-32 px-3 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-60"
                               placeholder="0"
                             />
+                            {!selectedPicks[footballGame.id] && !gameStarted && (
+                              <p className="mt-1 text-xs text-gray-500">Pick a winner for this game to save your tiebreaker.</p>
+                            )}
                           </div>
-                        )}
-                      </div>
+                        </div>
+                      ) : canChangeTiebreaker && !gameStarted && (
+                        <div className="mt-4">
+                          <button
+                            onClick={() => handleSetTiebreakerGame(footballGame.id)}
+                            className="text-sm text-blue-600 hover:text-blue-800 underline"
+                          >
+                            Make this the tiebreaker game
+                          </button>
+                        </div>
+                      )}
                     </div>
                   );
                 })}
@@ -1358,6 +1664,22 @@ const WeeklyGameView: React.FC<WeeklyGameViewProps> = ({ gameId, gameSlug }) =>
           </div>
         </div>
 
+        {game && currentSeason && (
+          <PickOverridesPanel
+            gameId={game.id}
+            gameType={game.type}
+            seasonId={currentSeason.id}
+            week={currentWeek}
+            participants={game.participants}
+            canOverride={canOverridePicks}
+            onOverride={() => loadWeekData(currentSeason.id, currentWeek, game.id)}
+          />
+        )}
+
+        {game && (
+          <ChatPanel gameId={game.id} currentUserId={user?.id} canModerate={canModerateChat} />
+        )}
+
         {/* Copy Picks Modal */}
         {showCopyModal && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex justify-center items-center z-50">
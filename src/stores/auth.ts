@@ -117,6 +117,38 @@ export async function registerWithInvite(userData: {
   }
 }
 
+export async function registerWithJoinCode(userData: {
+  email: string;
+  password: string;
+  firstName: string;
+  lastName: string;
+  favoriteTeamId?: string;
+  joinCode: string;
+}): Promise<{ success: boolean; error?: string; joined?: boolean; gameName?: string }> {
+  try {
+    const response = await api.registerWithJoinCode(userData);
+
+    if (response.success && response.data) {
+      api.setToken(response.data.token);
+      $user.set(response.data.user);
+      $isAuthenticated.set(true);
+      return {
+        success: true,
+        joined: response.data.joined,
+        gameName: response.data.gameName,
+        error: response.data.joined ? undefined : response.data.message
+      };
+    } else {
+      return { success: false, error: response.error || 'Registration failed' };
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : 'Registration failed'
+    };
+  }
+}
+
 export async function forgotPassword(email: string): Promise<{ success: boolean; error?: string }> {
   try {
     const response = await api.forgotPassword(email);
@@ -1,5 +1,8 @@
 const API_BASE_URL = import.meta.env.PUBLIC_API_URL || '/api';
 
+// Wait before reopening an event stream the server closed
+const STREAM_RECONNECT_DELAY = 3000;
+
 interface ApiResponse<T> {
   success: boolean;
   data?: T;
@@ -17,6 +20,28 @@ export function createGameSlug(gameName: string): string {
     .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
 }
 
+// Format a home-perspective point spread as the favorite's line, e.g. "KC -3.5" or "PK"
+export function formatSpread(spread: number | null | undefined, homeCode: string, awayCode: string): string | null {
+  if (spread === null || spread === undefined) {
+    return null;
+  }
+  if (spread === 0) {
+    return 'PK';
+  }
+  return spread < 0 ? `${homeCode} ${spread}` : `${awayCode} -${spread}`;
+}
+
+// What a participant may manage in a game; owners can do everything, co-commissioners what they were given
+export function getGamePermissions(participant: GameParticipant | undefined): GamePermission[] {
+  if (!participant) {
+    return [];
+  }
+  if (participant.role === 'owner') {
+    return [...GAME_PERMISSIONS];
+  }
+  return participant.role === 'co_commissioner' ? participant.permissions || [] : [];
+}
+
 class ApiClient {
   private baseUrl: string;
   private token: string | null = null;
@@ -118,6 +143,20 @@ class ApiClient {
     });
   }
 
+  async registerWithJoinCode(userData: RegisterData & { joinCode: string }) {
+    return this.request<{
+      token: string;
+      user: User;
+      message: string;
+      joined: boolean;
+      gameId: string;
+      gameName: string;
+    }>('/auth/register-join', {
+      method: 'POST',
+      body: JSON.stringify(userData),
+    });
+  }
+
   async getInvitationByToken(token: string) {
     return this.request<{
       invitation: {
@@ -141,6 +180,10 @@ class ApiClient {
     });
   }
 
+  async getUserStats(userId: string) {
+    return this.request<{ stats: UserStats }>(`/users/${userId}/stats`);
+  }
+
   async forgotPassword(email: string) {
     return this.request<{ message: string }>('/auth/forgot-password', {
       method: 'POST',
@@ -173,7 +216,7 @@ class ApiClient {
     return this.request<{ games: PickemGame[] }>('/games');
   }
 
-  async createGame(gameName: string, gameType: 'week' | 'survivor' = 'week') {
+  async createGame(gameName: string, gameType: 'week' | 'survivor' | 'confidence' | 'ats' | 'bracket' = 'week') {
     return this.request<{
       game: PickemGame;
       message: string;
@@ -209,7 +252,27 @@ class ApiClient {
     });
   }
 
-  async updateGame(gameId: string, updates: { gameName?: string; gameType?: 'week' | 'survivor' }) {
+  async updateParticipantRole(gameId: string, userId: string, role: Exclude<GameRole, 'owner'>, permissions: GamePermission[]) {
+    return this.request<{
+      message: string;
+      participant: { user_id: string; role: GameRole; permissions: GamePermission[] };
+    }>(`/games/${gameId}/participants/${userId}/role`, {
+      method: 'PUT',
+      body: JSON.stringify({ role, permissions }),
+    });
+  }
+
+  async transferGameOwnership(gameId: string, userId: string) {
+    return this.request<{ message: string; game: PickemGame & { participants: GameParticipant[] } }>(
+      `/games/${gameId}/transfer-ownership`,
+      {
+        method: 'POST',
+        body: JSON.stringify({ userId }),
+      }
+    );
+  }
+
+  async updateGame(gameId: string, updates: { gameName?: string; gameType?: 'week' | 'survivor' | 'confidence' | 'ats' | 'bracket' }) {
     return this.request<{ message: string; game: PickemGame }>(`/games/${gameId}`, {
       method: 'PUT',
       body: JSON.stringify(updates),
@@ -222,6 +285,16 @@ class ApiClient {
     });
   }
 
+  async getGameHistory(gameId: string) {
+    return this.request<LeagueHistoryResponse>(`/games/${gameId}/history`);
+  }
+
+  async startNewSeason(gameId: string) {
+    return this.request<{ message: string; game: PickemGame }>(`/games/${gameId}/new-season`, {
+      method: 'POST',
+    });
+  }
+
   async getGameInvitations(gameId: string) {
     return this.request<{ invitations: GameInvitation[] }>(`/games/${gameId}/invitations`);
   }
@@ -232,11 +305,71 @@ class ApiClient {
     });
   }
 
+  // Public games directory
+  async getPublicGames(search = '', page = 1) {
+    const params = new URLSearchParams({ page: String(page) });
+    if (search) params.set('search', search);
+    return this.request<PublicGamesResponse>(`/games/public?${params.toString()}`);
+  }
+
+  async getGamePreview(gameId: string) {
+    return this.request<{ game: PublicGameListing; joinError: string | null }>(`/games/${gameId}/preview`);
+  }
+
+  async joinPublicGame(gameId: string) {
+    return this.request<{ message: string; gameId: string; gameName: string; alreadyMember: boolean }>(
+      `/games/${gameId}/join`,
+      { method: 'POST' }
+    );
+  }
+
+  async updateGameVisibility(gameId: string, visibility: GameVisibility, maxParticipants: number | null) {
+    return this.request<{ message: string; visibility: GameVisibility; maxParticipants: number | null }>(
+      `/games/${gameId}/visibility`,
+      {
+        method: 'PUT',
+        body: JSON.stringify({ visibility, maxParticipants }),
+      }
+    );
+  }
+
+  async getJoinCodes(gameId: string) {
+    return this.request<{ joinCodes: JoinCode[] }>(`/games/${gameId}/join-codes`);
+  }
+
+  async createJoinCode(gameId: string, options: { expiresInDays: number | null; maxUses: number | null }) {
+    return this.request<{ joinCode: JoinCode }>(`/games/${gameId}/join-codes`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  }
+
+  async revokeJoinCode(gameId: string, joinCodeId: string) {
+    return this.request<{ message: string }>(`/games/${gameId}/join-codes/${joinCodeId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getJoinPreview(code: string) {
+    return this.request<JoinPreview>(`/games/join/${encodeURIComponent(code)}`);
+  }
+
+  async joinWithCode(code: string) {
+    return this.request<{ message: string; gameId: string; gameName: string; alreadyMember: boolean }>(
+      `/games/join/${encodeURIComponent(code)}`,
+      { method: 'POST' }
+    );
+  }
+
   // Seasons endpoints
   async getCurrentSeason() {
     return this.request<{ season: Season }>('/seasons/current');
   }
 
+  async getSeason(seasonId: string) {
+    return this.request<{ season: Season }>(`/seasons/${seasonId}`);
+  }
+
   async getSeasons() {
     return this.request<{ seasons: Season[] }>('/seasons');
   }
@@ -267,6 +400,7 @@ class ApiClient {
     footballGameId: string;
     pickTeamId: string;
     tiebreaker?: number;
+    confidence?: number;
   }) {
     return this.request<{
       pick: Pick;
@@ -277,6 +411,20 @@ class ApiClient {
     });
   }
 
+  async saveConfidencePicks(
+    gameId: string,
+    picks: { footballGameId: string; pickTeamId: string; confidence: number }[],
+    tiebreakers: Record<string, number> = {}
+  ) {
+    return this.request<{
+      picks: Pick[];
+      message: string;
+    }>('/picks/confidence', {
+      method: 'PUT',
+      body: JSON.stringify({ gameId, picks, tiebreakers }),
+    });
+  }
+
   async deletePick(pickId: string) {
     return this.request<{ message: string }>(`/picks/${pickId}`, {
       method: 'DELETE',
@@ -291,6 +439,40 @@ class ApiClient {
     return this.request<{ summary: PicksSummary[] }>(`/picks/game/${gameId}/summary?${params}`);
   }
 
+  async getStandings(gameId: string, seasonId?: string, week?: number) {
+    const params = new URLSearchParams();
+    if (seasonId) params.append('seasonId', seasonId);
+    if (week) params.append('week', week.toString());
+
+    return this.request<{
+      standings: StandingsEntry[];
+      seasonId: string;
+      week: number | null;
+      tiebreaker: TiebreakerInfo | null;
+    }>(`/games/${gameId}/standings?${params}`);
+  }
+
+  async getTiebreaker(gameId: string, week: number) {
+    return this.request<{ tiebreaker: TiebreakerInfo | null }>(`/games/${gameId}/tiebreaker/${week}`);
+  }
+
+  async setTiebreakerGame(gameId: string, week: number, footballGameId: string | null) {
+    return this.request<{ message: string; tiebreaker: TiebreakerInfo | null }>(`/games/${gameId}/tiebreaker/${week}`, {
+      method: 'PUT',
+      body: JSON.stringify({ footballGameId }),
+    });
+  }
+
+  async getWeekConsensus(gameId: string, seasonId: string, week: number) {
+    const params = new URLSearchParams();
+    params.append('seasonId', seasonId);
+
+    return this.request<{
+      week: number;
+      matchups: MatchupConsensus[];
+    }>(`/picks/game/${gameId}/consensus/${week}?${params}`);
+  }
+
   async getSurvivorStats(gameId: string, seasonId: string, week: number) {
     const params = new URLSearchParams();
     params.append('seasonId', seasonId);
@@ -302,6 +484,140 @@ class ApiClient {
     }>(`/picks/game/${gameId}/survivor-stats/${week}?${params}`);
   }
 
+  async getGameRules(gameId: string) {
+    return this.request<{ rules: GameRules }>(`/games/${gameId}/rules`);
+  }
+
+  async updateGameRules(gameId: string, rules: Partial<GameRules>) {
+    return this.request<{ message: string; rules: GameRules }>(`/games/${gameId}/rules`, {
+      method: 'PUT',
+      body: JSON.stringify({ rules }),
+    });
+  }
+
+  async getRecapPreview(gameId: string, week: number) {
+    return this.request<RecapPreview>(`/games/${gameId}/recap/${week}/preview`);
+  }
+
+  async getWeekProjection(gameId: string, week: number, seasonId?: string) {
+    const query = seasonId ? `?seasonId=${encodeURIComponent(seasonId)}` : '';
+    return this.request<WeekProjection>(`/games/${gameId}/projection/${week}${query}`);
+  }
+
+  async getPickLocks(gameId: string, week: number) {
+    return this.request<{
+      lockMode: GameRules['lock_mode'];
+      locks: Record<string, PickLock>;
+    }>(`/games/${gameId}/pick-locks/${week}`);
+  }
+
+  async getSurvivorStandings(gameId: string) {
+    return this.request<SurvivorStandingsResponse>(`/games/${gameId}/survivor`);
+  }
+
+  async setSurvivorLives(gameId: string, lives: number) {
+    return this.request<SurvivorStandingsResponse & { message: string }>(`/games/${gameId}/survivor/lives`, {
+      method: 'PUT',
+      body: JSON.stringify({ lives }),
+    });
+  }
+
+  async reinstateSurvivor(gameId: string, userId: string) {
+    return this.request<SurvivorStandingsResponse & { message: string }>(`/games/${gameId}/survivor/${userId}/reinstate`, {
+      method: 'POST',
+    });
+  }
+
+  async getBracket(gameId: string) {
+    return this.request<BracketResponse>(`/games/${gameId}/bracket`);
+  }
+
+  async saveBracket(gameId: string, picks: BracketPicks) {
+    return this.request<{ message: string; picks: BracketPicks }>(`/games/${gameId}/bracket`, {
+      method: 'PUT',
+      body: JSON.stringify({ picks }),
+    });
+  }
+
+  async getFutures(gameId: string) {
+    return this.request<FuturesResponse>(`/games/${gameId}/futures`);
+  }
+
+  async saveFuturesPicks(gameId: string, picks: FuturesPickInput[]) {
+    return this.request<{ message: string; picks: FuturesPickInput[] }>(`/games/${gameId}/futures/picks`, {
+      method: 'PUT',
+      body: JSON.stringify({ picks }),
+    });
+  }
+
+  async updateFuturesSettings(gameId: string, settings: Partial<FuturesSettings>) {
+    return this.request<{ message: string; settings: FuturesSettings }>(`/games/${gameId}/futures/settings`, {
+      method: 'PUT',
+      body: JSON.stringify({ settings }),
+    });
+  }
+
+  // In-app notifications
+  async getNotifications(limit?: number) {
+    const query = limit ? `?limit=${limit}` : '';
+    return this.request<{ notifications: AppNotification[]; unreadCount: number }>(`/notifications${query}`);
+  }
+
+  async markNotificationsRead(ids?: string[]) {
+    return this.request<{ unreadCount: number }>('/notifications/read', {
+      method: 'POST',
+      body: JSON.stringify(ids ? { ids } : {}),
+    });
+  }
+
+  // Game message board
+  async getGameMessages(gameId: string, before?: string, limit?: number) {
+    const params = new URLSearchParams();
+    if (before) params.set('before', before);
+    if (limit) params.set('limit', String(limit));
+    const query = params.toString() ? `?${params.toString()}` : '';
+    return this.request<GameMessagesResponse>(`/games/${gameId}/messages${query}`);
+  }
+
+  async postGameMessage(gameId: string, body: string) {
+    return this.request<{ message: GameMessage }>(`/games/${gameId}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ body }),
+    });
+  }
+
+  async deleteGameMessage(gameId: string, messageId: string) {
+    return this.request<{ message: string }>(`/games/${gameId}/messages/${messageId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async pinGameMessage(gameId: string, messageId: string, pinned: boolean) {
+    return this.request<{ message: GameMessage }>(`/games/${gameId}/messages/${messageId}/pin`, {
+      method: 'PUT',
+      body: JSON.stringify({ pinned }),
+    });
+  }
+
+  // Commissioner pick overrides
+  async getPickOverrides(gameId: string, week?: number) {
+    const params = week ? `?week=${week}` : '';
+    return this.request<{ overrides: PickOverride[] }>(`/games/${gameId}/pick-overrides${params}`);
+  }
+
+  async overridePick(gameId: string, override: {
+    userId: string;
+    footballGameId: string;
+    pickTeamId: string | null;
+    confidence?: number;
+    reason: string;
+  }) {
+    return this.request<{ message: string; override: PickOverride }>(`/games/${gameId}/pick-overrides`, {
+      method: 'POST',
+      body: JSON.stringify(override),
+    });
+  }
+
   // On-demand score updates
   async updateScoresOnDemand(seasonId?: string, week?: number) {
     const body: any = {};
@@ -317,6 +633,75 @@ class ApiClient {
   async getScoresLastUpdated(seasonId: string, week: number) {
     return this.request<LastUpdateInfo>(`/admin/scores-last-updated/${seasonId}/${week}`);
   }
+
+  async getStreamToken(gameId: string) {
+    return this.request<{ token: string }>(`/stream/games/${gameId}/token`, {
+      method: 'POST'
+    });
+  }
+
+  // Live score and pick-result updates pushed by the server. Returns a function that closes the stream.
+  subscribeToGame(gameId: string, handlers: GameStreamHandlers) {
+    let source: EventSource | null = null;
+    let connected = false;
+    let closed = false;
+
+    // EventSource can't send headers, so each connection opens with a short-lived stream token
+    // in the query string
+    const open = async () => {
+      const response = await this.getStreamToken(gameId);
+      if (closed) {
+        return;
+      }
+      if (!response.success || !response.data) {
+        // Keep trying to get back a stream that was working; give up on one that never opened
+        if (connected) {
+          setTimeout(open, STREAM_RECONNECT_DELAY);
+        }
+        return;
+      }
+
+      const stream = new EventSource(`${this.baseUrl}/stream/games/${gameId}?token=${encodeURIComponent(response.data.token)}`);
+      source = stream;
+
+      stream.addEventListener('ready', () => {
+        // The stream reconnects after drops; anything pushed while it was down was missed
+        if (connected) {
+          handlers.onResync?.();
+        }
+        connected = true;
+      });
+      stream.addEventListener('scores', (event) => {
+        handlers.onScores?.(JSON.parse((event as MessageEvent).data));
+      });
+      stream.addEventListener('picks', (event) => {
+        handlers.onPicks?.(JSON.parse((event as MessageEvent).data));
+      });
+      stream.addEventListener('message', (event) => {
+        handlers.onMessage?.(JSON.parse((event as MessageEvent).data));
+      });
+      stream.addEventListener('message_updated', (event) => {
+        handlers.onMessageUpdated?.(JSON.parse((event as MessageEvent).data));
+      });
+      stream.addEventListener('message_deleted', (event) => {
+        handlers.onMessageDeleted?.(JSON.parse((event as MessageEvent).data));
+      });
+      stream.addEventListener('error', () => {
+        // EventSource retries a dropped connection with the same token, which the server refuses
+        // once it has expired, so start over with a new token
+        if (stream.readyState === EventSource.CLOSED) {
+          setTimeout(open, STREAM_RECONNECT_DELAY);
+        }
+      });
+    };
+
+    open();
+
+    return () => {
+      closed = true;
+      source?.close();
+    };
+  }
 }
 
 // Types
@@ -326,6 +711,7 @@ export interface User {
   firstName: string;
   lastName: string;
   favoriteTeamId?: string;
+  pickReminders?: boolean;
   isAdmin: boolean;
   emailVerified: boolean;
 }
@@ -353,23 +739,62 @@ export interface NFLTeam {
 export interface PickemGame {
   id: string;
   game_name: string;
-  type: 'week' | 'weekly' | 'survivor';
+  type: 'week' | 'weekly' | 'survivor' | 'confidence' | 'ats' | 'bracket';
+  game_type?: string;
   created_at: string;
   updated_at: string;
   player_count: number;
   owner_count: number;
-  user_role?: 'owner' | 'player';
+  user_role?: GameRole;
   is_active: boolean;
+  survivor_lives?: number;
+  season_id?: string;
+  // League this game is one season of
+  league_id?: string | null;
+  visibility?: GameVisibility;
+  // Cap on players joining on their own, null for no cap
+  max_participants?: number | null;
+}
+
+export type GameVisibility = 'private' | 'unlisted' | 'public';
+
+export interface PublicGameListing {
+  id: string;
+  gameName: string;
+  gameType: string;
+  playerCount: number;
+  maxParticipants: number | null;
+  commissionerName: string | null;
+  isFull: boolean;
+  isMember: boolean;
 }
 
+export interface PublicGamesResponse {
+  games: PublicGameListing[];
+  total: number;
+  page: number;
+  totalPages: number;
+}
+
+export type GameRole = 'owner' | 'co_commissioner' | 'player';
+
+export const GAME_PERMISSIONS = ['invite', 'remove_players', 'edit_picks', 'edit_rules', 'moderate_chat'] as const;
+
+export type GamePermission = typeof GAME_PERMISSIONS[number];
+
 export interface GameParticipant {
-  role: 'owner' | 'player';
+  role: GameRole;
+  // Co-commissioners only
+  permissions?: GamePermission[];
   id: string;
   user_id: string;
   first_name: string;
   last_name: string;
   email: string;
   display_name: string;
+  survivor_status?: 'alive' | 'eliminated';
+  strikes?: number;
+  eliminated_week?: number | null;
 }
 
 export interface GameInvitation {
@@ -415,6 +840,7 @@ export interface NFLGame {
   status: string;
   quarter?: number;
   time_remaining?: number;
+  spread?: number | null;
   home_team_city: string;
   home_team_name: string;
   home_team_code: string;
@@ -435,6 +861,13 @@ export interface Pick {
   pick_team_id: string;
   is_correct?: boolean;
   tiebreaker?: number;
+  confidence?: number | null;
+  spread?: number | null;
+  is_push?: boolean;
+  // Another player's pick that hasn't locked yet; the team and confidence are withheld
+  is_hidden?: boolean;
+  // Made by the game's auto-pick policy because the player missed the lock
+  is_auto?: boolean;
   created_at: string;
   updated_at: string;
   pick_team_city: string;
@@ -449,6 +882,32 @@ export interface PicksSummary {
   total_picks: number;
   correct_picks: number;
   pick_percentage: number;
+  total_points?: number;
+  push_picks?: number;
+  rank?: number;
+  tiebreaker_score?: number | null;
+}
+
+export interface StandingsEntry {
+  id: string;
+  user_id: string;
+  first_name: string;
+  last_name: string;
+  game_id: string;
+  season_id: string;
+  week: number;
+  correct_picks: number;
+  total_picks: number;
+  pick_percentage: number;
+  points_earned: number;
+  weekly_rank: number;
+  tiebreaker_score?: number | null;
+}
+
+export interface TiebreakerInfo {
+  footballGameId: string;
+  isDefault: boolean;
+  actualTotal: number | null;
 }
 
 export interface OnDemandUpdateResult {
@@ -472,5 +931,406 @@ export interface TeamSurvivorStats {
   percentage: number;
 }
 
+export interface MatchupConsensus {
+  footballGameId: string;
+  homeTeamId: string;
+  awayTeamId: string;
+  // Picks haven't locked yet and the game keeps them private until then
+  isHidden: boolean;
+  totalPicks: number | null; // null while hidden
+  teamStats: TeamSurvivorStats[];
+}
+
+export interface GameRules {
+  lock_mode: 'game' | 'week' | 'sunday';
+  tie_scoring: 'loss' | 'push' | 'win';
+  missed_pick_policy: 'loss' | 'ignore';
+  start_week: number;
+  end_week: number;
+  include_playoffs: boolean;
+  pick_visibility: 'after_lock' | 'always';
+  auto_pick_policy: 'none' | 'home' | 'favorite' | 'favorite_team' | 'random';
+  recap_emails: boolean;
+}
+
+export interface RecapPreview {
+  subject: string;
+  html: string;
+  text: string;
+  week: number;
+  isComplete: boolean;
+  enabled: boolean;
+}
+
+export interface AppNotification {
+  id: string;
+  gameId: string | null;
+  type: 'invitation' | 'results' | 'strike' | 'elimination';
+  title: string;
+  message: string | null;
+  link: string | null;
+  isRead: boolean;
+  createdAt: string | null;
+}
+
+export interface JoinCode {
+  id: string;
+  code: string;
+  expiresAt: string | null;
+  maxUses: number | null;
+  useCount: number;
+  status: 'active' | 'expired' | 'used_up' | 'revoked';
+  createdAt: string;
+}
+
+export interface JoinPreview {
+  game: {
+    id: string;
+    gameName: string;
+    gameType: string;
+    playerCount: number;
+    commissionerName: string | null;
+  };
+  code: string;
+  available: boolean;
+  reason: string | null;
+}
+
+export interface GameMessage {
+  id: string;
+  gameId: string;
+  userId: string | null;
+  authorName: string | null;
+  body: string;
+  isSystem: boolean;
+  isPinned: boolean;
+  createdAt: string;
+}
+
+export interface GameMessagesResponse {
+  messages: GameMessage[];
+  pinned: GameMessage[];
+  hasMore: boolean;
+}
+
+export interface PickOverride {
+  id: string;
+  gameId: string;
+  userId: string;
+  playerName: string;
+  overriddenBy: string | null;
+  overriddenByName: string;
+  footballGameId: string;
+  // e.g. "BUF @ KC"
+  matchup: string | null;
+  week: number;
+  action: 'create' | 'update' | 'delete';
+  previousTeam: string | null;
+  newTeam: string | null;
+  previousConfidence: number | null;
+  newConfidence: number | null;
+  reason: string;
+  createdAt: string;
+  // Teams and confidence are withheld until the football game's picks lock
+  isHidden: boolean;
+}
+
+export interface PickLock {
+  lockTime: string;
+  inPlay: boolean;
+}
+
+export interface ProjectionGame {
+  id: string;
+  home_team_id: string;
+  away_team_id: string;
+  home_score: number;
+  away_score: number;
+  status: string;
+  quarter: number | null;
+  time_remaining: number | null;
+  start_time: string;
+  state: 'final' | 'live' | 'upcoming';
+  is_locked: boolean;
+  // Null before kickoff and while the score is level
+  leader_team_id: string | null;
+}
+
+export interface ProjectedStanding {
+  user_id: string;
+  display_name: string;
+  current_points: number;
+  current_correct: number;
+  projected_points: number;
+  projected_correct: number;
+  remaining_points: number;
+  max_points: number;
+  projected_rank: number;
+  // Someone else already has more points than this player can reach
+  is_eliminated: boolean;
+}
+
+export interface WeekProjection {
+  week: number;
+  season_id: string;
+  is_live: boolean;
+  games: ProjectionGame[];
+  standings: ProjectedStanding[];
+}
+
+export interface SurvivorStanding {
+  user_id: string;
+  first_name: string;
+  last_name: string;
+  display_name: string;
+  role: GameRole;
+  survivor_status: 'alive' | 'eliminated';
+  strikes: number;
+  lives_remaining: number;
+  eliminated_week: number | null;
+  reentry_week: number | null;
+}
+
+export interface SurvivorStandingsResponse {
+  lives: number;
+  aliveCount: number;
+  eliminatedCount: number;
+  standings: SurvivorStanding[];
+  seasonId?: string;
+}
+
+export type BracketRoundKey = 'wild_card' | 'divisional' | 'conference' | 'super_bowl';
+
+// Winning team IDs keyed by round
+export type BracketPicks = Record<BracketRoundKey, string[]>;
+
+export interface BracketRound {
+  key: BracketRoundKey;
+  name: string;
+  week: number;
+  points: number;
+  matchups: number;
+}
+
+export interface BracketGame {
+  id: string;
+  week: number;
+  home_team_id: string;
+  away_team_id: string;
+  home_score: number;
+  away_score: number;
+  start_time: string;
+  status: string;
+}
+
+export interface BracketTeam {
+  id: string;
+  team_code: string;
+  team_name: string;
+  team_city: string;
+  team_logo?: string;
+  team_conference: string;
+}
+
+export interface Bracket {
+  seasonId: string;
+  lockTime: string;
+  isLocked: boolean;
+  rounds: BracketRound[];
+  seeds: Record<'AFC' | 'NFC', { seed: number; team_id: string }[]>;
+  teams: Record<string, BracketTeam>;
+  games: Record<BracketRoundKey, BracketGame[]>;
+  winners: Record<BracketRoundKey, string[]>;
+  eliminated: string[];
+}
+
+export interface BracketStanding {
+  user_id: string;
+  display_name: string;
+  first_name: string;
+  last_name: string;
+  has_bracket: boolean;
+  // Withheld for other players until the bracket locks
+  champion_id: string | null;
+  picks: BracketPicks | null;
+  points: number;
+  max_points: number;
+  correct_picks: number;
+}
+
+export interface BracketResponse {
+  // Null until every wild-card game is scheduled
+  bracket: Bracket | null;
+  picks: BracketPicks | null;
+  standings: BracketStanding[];
+}
+
+export type FuturesCategoryKey = 'division' | 'conference' | 'super_bowl' | 'win_total';
+
+export interface FuturesSettings {
+  enabled: boolean;
+  // Defaults to the season's first regular-season kickoff
+  lock_at: string | null;
+  // Half-point win total lines keyed by team ID
+  win_totals: Record<string, number>;
+}
+
+export interface FuturesCategory {
+  key: FuturesCategoryKey;
+  name: string;
+  points: number;
+}
+
+export interface FuturesMarket {
+  category: FuturesCategoryKey;
+  subject: string;
+  name: string;
+  // Team IDs, or 'over' and 'under' for win totals
+  options: string[];
+  line?: number;
+}
+
+export interface FuturesTeam extends BracketTeam {
+  team_division: string;
+}
+
+export interface FuturesPickInput {
+  category: FuturesCategoryKey;
+  subject: string;
+  pick: string;
+}
+
+export interface FuturesPick extends FuturesPickInput {
+  // Null until the market settles
+  is_correct: boolean | null;
+}
+
+export interface FuturesStanding {
+  user_id: string;
+  display_name: string;
+  first_name: string;
+  last_name: string;
+  // Withheld for other players until futures lock
+  picks: FuturesPick[] | null;
+  total_picks: number;
+  graded_picks: number;
+  correct_picks: number;
+  points: number;
+  max_points: number;
+}
+
+export interface FuturesResponse {
+  settings: FuturesSettings;
+  lockTime: string | null;
+  isLocked: boolean;
+  categories: FuturesCategory[];
+  markets: FuturesMarket[];
+  teams: Record<string, FuturesTeam>;
+  picks: FuturesPick[];
+  standings: FuturesStanding[];
+}
+
+export interface League {
+  id: string;
+  league_name: string;
+  commissioner_id: string;
+}
+
+export interface LeagueSeason {
+  game_id: string;
+  game_name: string;
+  game_type: PickemGame['type'];
+  season_id: string;
+  season: string | null;
+  player_count: number;
+  is_complete: boolean;
+  // Champions once the season is complete, otherwise whoever is in front
+  leaders: { user_id: string; display_name: string }[];
+}
+
+export interface LeagueHistoryResponse {
+  // Null for a game that has never been rolled over
+  league: League | null;
+  seasons: LeagueSeason[];
+}
+
+export interface ScoresStreamEvent {
+  season_id: string;
+  games: {
+    id: string;
+    week: number;
+    season_type?: number;
+    home_score: number;
+    away_score: number;
+    status: string;
+    quarter?: number;
+    time_remaining?: number;
+  }[];
+}
+
+export interface PicksStreamEvent {
+  season_id: string;
+  // Set when only one pickem game was re-scored
+  game_id: string | null;
+  weeks: number[];
+}
+
+export interface GameStreamHandlers {
+  onScores?: (event: ScoresStreamEvent) => void;
+  onPicks?: (event: PicksStreamEvent) => void;
+  onResync?: () => void;
+  onMessage?: (message: GameMessage) => void;
+  onMessageUpdated?: (message: GameMessage) => void;
+  onMessageDeleted?: (event: { game_id: string; id: string }) => void;
+}
+
+export interface PickTally {
+  picks: number;
+  graded_picks: number;
+  correct_picks: number;
+  accuracy: number;
+}
+
+export interface TeamPickStats extends PickTally {
+  team_id: string;
+  team_code: string;
+  team_city: string;
+  team_name: string;
+}
+
+export interface WeekPickStats extends PickTally {
+  game_id: string;
+  game_name: string;
+  season: string | null;
+  week: number;
+  is_postseason: boolean;
+}
+
+export interface SurvivorRunStats {
+  game_id: string;
+  game_name: string;
+  season: string | null;
+  weeks_survived: number;
+  status: 'alive' | 'eliminated';
+  eliminated_week: number | null;
+  strikes: number;
+}
+
+export interface UserStats {
+  career: PickTally & {
+    pushes: number;
+    games_played: number;
+    seasons_played: number;
+  };
+  seasons: (PickTally & { season_id: string; season: string | null })[];
+  teams: TeamPickStats[];
+  home_away: { home: PickTally; away: PickTally };
+  favorite_underdog: { favorite: PickTally; underdog: PickTally };
+  // Only weeks where every pick has been graded
+  weeks: { best: WeekPickStats | null; worst: WeekPickStats | null };
+  streaks: { longest: number; current: number };
+  survivor: { games: SurvivorRunStats[]; longest: number; average: number };
+}
+
 export const api = new ApiClient();
 export default api;
\ No newline at end of file